@@ -44,11 +44,19 @@ function loadScripts() {
   const scripts = [
     "console-utils.js",
     "clipboard-utils.js",
+    "snapshot-utils.js",
     "scroll_target.js",
     "version_update.js",
     "tester.js",
     "z80_assembler.js",
+    "z80_disassembler.js",
     "z80_assembler_test.js",
+    "memory_bus.js",
+    "io_bus.js",
+    "execution_history.js",
+    "execution_profile.js",
+    "stack_monitor.js",
+    "code_map.js",
     "z80_cpu_emulator.js",
     "z80_cpu_emulator_test_cases.js",
     "z80_cpu_emulator_test_runner.js",
@@ -0,0 +1,179 @@
+// Code Map
+// Which addresses the assembler filled with instructions and which with data (DB, DEFW, DEFS),
+// so that Z80CPU can catch the stray write that clobbers code and the jump that lands in data.
+// With cpu.codeMap set, a write to a code byte, or an instruction that starts on a data byte,
+// is a finding: { reason: 'code', access: 'write' or 'execute', target, value, line, address },
+// where line is the 1-based source line that emitted the target and address is the
+// instruction's. Under CodeMap.BREAK a finding stops execution after its instruction, as
+// stoppedAt; under CodeMap.WARN execution carries on and the finding is kept in warnings,
+// once per target. Lines whose comment holds the @SMC pragma are left out, for code that
+// rewrites itself, or runs its data, on purpose.
+//
+// USAGE:
+//   const codeMap = new CodeMap(CodeMap.WARN);
+//   codeMap.load(result.instructionDetails);
+//   cpu.codeMap = codeMap;
+//   cpu.executeSteps(memory, iomap, 1000);
+//   codeMap.takeWarnings().forEach((finding) => console.log(finding));
+class CodeMap {
+    // What kinds holds per address; 0 for bytes the program did not emit, or marked @SMC
+    static CODE = 1;
+    static DATA = 2;
+
+    // What a finding does
+    static BREAK = 'break';
+    static WARN = 'warn';
+
+    static WRITE = 'write';
+    static EXECUTE = 'execute';
+
+    // The read map of wrapMemory's stand-in over a plain array, which hooks no reads
+    static NONE_HOOKED = new Uint8Array(0x10000);
+
+    constructor(policy = CodeMap.BREAK) {
+        this.policy = policy;
+        this.kinds = new Uint8Array(0x10000);
+        // The source line each byte came from, 1-based, for the findings to point at
+        this.lines = new Uint16Array(0x10000);
+        // The write map of wrapMemory's stand-in: the bus's own plus the code bytes. Built on
+        // the first wrap, and again only for another program, another bus, or a remapped one.
+        this.writeMap = new Uint8Array(0x10000);
+        this.writeMapBuiltFor = null;
+        // Findings of the current instruction, and the warnings not yet taken
+        this.pending = [];
+        this.warnings = [];
+        // "access target" of each finding warned about, so that it is not again
+        this.warned = new Set();
+    }
+
+    /**
+     * Maps the program from the assembler's output, forgetting the previous one
+     * @param {Object[]} instructionDetails - The assembler's per-source-line details
+     */
+    load(instructionDetails) {
+        this.kinds.fill(0);
+        this.lines.fill(0);
+        this.writeMapBuiltFor = null;
+        this.clearWarnings();
+        instructionDetails.forEach((detail, index) => {
+            // A macro invocation's bytes are its expansion's, each line with its own kind
+            for (const part of detail.expansion || [detail]) {
+                if (part.startAddress === null || part.selfModifying) continue;
+                const kind = part.data ? CodeMap.DATA : CodeMap.CODE;
+                for (let i = 0; i < part.opcodes.length; i++) {
+                    const address = (part.startAddress + i) & 0xFFFF;
+                    this.kinds[address] = kind;
+                    this.lines[address] = index + 1;
+                }
+            }
+        });
+    }
+
+    // Forgets the findings so far, so that a program starting again is warned about them again
+    clearWarnings() {
+        this.pending = [];
+        this.warnings = [];
+        this.warned.clear();
+    }
+
+    // The map and what has been warned about, as plain values, for the simulator's worker
+    saveState() {
+        return { policy: this.policy, kinds: this.kinds, lines: this.lines, warned: [...this.warned] };
+    }
+
+    loadState(state) {
+        this.policy = state.policy;
+        this.kinds = state.kinds;
+        this.lines = state.lines;
+        this.writeMapBuiltFor = null;
+        this.pending = [];
+        this.warned = new Set(state.warned);
+    }
+
+    /**
+     * Wraps memory so that writes to code are noted; Z80CPU does this itself while cpu.codeMap
+     * is set
+     * @param {Uint8Array|MemoryBus|Object} memory - A memory array, a MemoryBus, or a stand-in of
+     *   the same shape
+     * @returns {Object} Memory for the CPU, of MemoryBus's shape
+     */
+    wrapMemory(memory) {
+        const ram = memory instanceof Uint8Array ? memory : memory.ram;
+        const bus = memory instanceof Uint8Array ? null : memory;
+        const kinds = this.kinds;
+        const writeMap = this.writeMap;
+        const builtFor = this.writeMapBuiltFor;
+        const source = bus !== null
+            ? { writeMap: bus.writeMap, generation: bus.generation }
+            : { writeMap: null, generation: undefined };
+        if (builtFor === null || builtFor.writeMap !== source.writeMap || builtFor.generation !== source.generation) {
+            for (let address = 0; address < 0x10000; address++) {
+                writeMap[address] = (kinds[address] === CodeMap.CODE ? 1 : 0) | (bus !== null ? bus.writeMap[address] : 0);
+            }
+            this.writeMapBuiltFor = source;
+        }
+        return {
+            ram,
+            readMap: bus !== null ? bus.readMap : CodeMap.NONE_HOOKED,
+            writeMap,
+            read: (address) => (bus !== null ? bus.read(address) : ram[address]),
+            write: (address, value) => {
+                // writeWord hands over the whole word for its low byte
+                if (kinds[address] === CodeMap.CODE) {
+                    this.pending.push({ access: CodeMap.WRITE, target: address, value: value & 0xFF });
+                }
+                if (bus !== null && bus.writeMap[address] !== 0) {
+                    bus.write(address, value);
+                } else {
+                    ram[address] = value;
+                }
+            },
+        };
+    }
+
+    /**
+     * Z80CPU calls this after each instruction, and after each interrupt acknowledge
+     * @param {number} address - Where the instruction started, or the address interrupted
+     * @param {boolean} executed - False for an interrupt, which runs nothing at address
+     * @returns {Object|null} The finding to stop on under BREAK, otherwise null
+     */
+    endInstruction(address, executed) {
+        if (executed && this.kinds[address] === CodeMap.DATA) {
+            this.pending.push({ access: CodeMap.EXECUTE, target: address, value: null });
+        }
+        if (this.pending.length === 0) return null;
+        const findings = this.pending.map((finding) => ({
+            reason: 'code',
+            ...finding,
+            line: this.lines[finding.target],
+            address,
+        }));
+        this.pending = [];
+        if (this.policy === CodeMap.BREAK) return findings[0];
+        for (const finding of findings) {
+            const key = `${finding.access} ${finding.target}`;
+            if (!this.warned.has(key)) {
+                this.warned.add(key);
+                this.warnings.push(finding);
+            }
+        }
+        return null;
+    }
+
+    // The warnings since the last call
+    takeWarnings() {
+        const warnings = this.warnings;
+        this.warnings = [];
+        return warnings;
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CodeMap;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.CodeMap = CodeMap;
+}
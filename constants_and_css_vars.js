@@ -2,6 +2,7 @@
 const one_million = 1000000; // hard to read so many zeros; get_with_the_program_js!
 const FPS = 60;
 const RUN_LOOP_INTERVAL_MS = 1;
+const CLOCK_RATES_HZ = [null, 3250000, 3500000]; // null runs as fast as the host allows; ZX81 and Spectrum clocks
 const fancy_highlight_scroll = true;
 const version_update_check_interval_ms = 5000;
 
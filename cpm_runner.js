@@ -0,0 +1,166 @@
+// CP/M Runner
+// Runs a CP/M .COM program on Z80CPU under Node, for the instruction exercisers ZEXDOC and
+// ZEXALL. They test each instruction group against CRCs taken from a real Z80 and print the
+// outcome through the BDOS, so only two BDOS functions are needed: 2 (print the character
+// in E) and 9 (print the "$"-terminated string at DE). A breakpoint on the BDOS entry at
+// 0005H traps each call; the runner prints, then returns to the caller as the BDOS would.
+// The program ends by jumping to the warm boot at 0000H, where a HALT waits.
+//
+// The exercisers are not part of this repository; supply a copy of zexdoc.com or zexall.com.
+// The exit code is 0 when the program finishes and reports at least one group, every one OK;
+// 1 otherwise, so that a program that printed no results does not pass as one that tested.
+//
+// USAGE:
+//   node cpm_runner.js zexdoc.com
+const fs = require('fs');
+const Z80CPU = require('./z80_cpu_emulator.js');
+
+const WARM_BOOT = 0x0000;
+const BDOS_ENTRY = 0x0005;
+// Where a .COM file is loaded and started
+const TPA_START = 0x0100;
+// The BDOS jump at 0005H points here; programs read it from 0006H as the top of their memory
+const BDOS_ADDRESS = 0xFE00;
+
+// BDOS function numbers, passed in C
+const CONSOLE_OUTPUT = 2;
+const PRINT_STRING = 9;
+
+// Instructions per executeSteps call; the loop only comes back to print
+const STEPS_PER_CALL = 10000000;
+
+// ZEXDOC/ZEXALL result lines: "<group>.... OK" or "<group>....  ERROR **** crc expected:<crc> found:<crc>"
+const GROUP_RESULT = /^(.*?)\.{2,}\s*(?:(OK)|ERROR \*+ crc expected:([0-9a-f]{8}) found:([0-9a-f]{8}))\s*$/i;
+
+class CPMMachine {
+    /**
+     * @param {Uint8Array} program - Contents of the .COM file
+     * @param {function(string): void} print - Receives console output as the program writes it
+     */
+    constructor(program, print) {
+        if (program.length > BDOS_ADDRESS - TPA_START) {
+            throw new Error(`Program of ${program.length} bytes does not fit below ${BDOS_ADDRESS.toString(16)}H`);
+        }
+        this.print = print;
+        this.cpu = new Z80CPU();
+        this.memory = new Uint8Array(0x10000);
+        this.ports = new Uint8Array(256);
+        this.memory.set(program, TPA_START);
+        this.memory[WARM_BOOT] = 0x76; // HALT
+        this.memory.set([0xC3, BDOS_ADDRESS & 0xFF, BDOS_ADDRESS >> 8], BDOS_ENTRY); // JP BDOS_ADDRESS
+        this.memory[BDOS_ADDRESS] = 0xC9; // RET, never reached: the trap returns first
+        this.cpu.registers.PC = TPA_START;
+        // CP/M leaves the return to the warm boot on the stack
+        this.cpu.registers.SP = BDOS_ADDRESS - 2;
+        this.memory.set([WARM_BOOT & 0xFF, WARM_BOOT >> 8], BDOS_ADDRESS - 2);
+        this.cpu.breakpoints.add(BDOS_ENTRY);
+    }
+
+    /**
+     * Runs until the program returns to CP/M
+     * @returns {string|null} Why it stopped short, such as an unknown opcode, or null
+     */
+    run() {
+        for (;;) {
+            // A call can also arrive as the first instruction of a run, where breakpoints
+            // do not stop
+            if (this.cpu.registers.PC === BDOS_ENTRY) {
+                const error = this.callBdos();
+                if (error) return error;
+            }
+            const result = this.cpu.executeSteps(this.memory, this.ports, STEPS_PER_CALL);
+            if (result.error) return result.error;
+            if (result.halted) {
+                return this.cpu.registers.PC === WARM_BOOT + 1 ? null : 'HALT outside the warm boot';
+            }
+        }
+    }
+
+    // Carries out the BDOS function in C and returns to the caller, or returns an error
+    callBdos() {
+        const registers = this.cpu.registers;
+        const address = (registers.D << 8) | registers.E;
+        switch (registers.C) {
+            case CONSOLE_OUTPUT:
+                this.print(String.fromCharCode(registers.E));
+                break;
+            case PRINT_STRING: {
+                // Up to the '$', giving up once the scan has been round the whole of memory
+                let text = '';
+                for (let i = 0; this.memory[(address + i) & 0xFFFF] !== 0x24; i++) {
+                    if (i === 0x10000) {
+                        return `No '$' ends the string at ${address.toString(16).toUpperCase()}H for BDOS function 9`;
+                    }
+                    text += String.fromCharCode(this.memory[(address + i) & 0xFFFF]);
+                }
+                this.print(text);
+                break;
+            }
+            default:
+                return `Unsupported BDOS function ${registers.C}`;
+        }
+        // RET
+        registers.PC = this.cpu.readWordFromMemory(this.memory, registers.SP);
+        registers.SP += 2;
+        return null;
+    }
+}
+
+/**
+ * Picks the per-group results out of an exerciser's output
+ * @param {string} output - Everything the program printed
+ * @returns {{group: string, ok: boolean, expected?: string, found?: string}[]}
+ */
+function parseGroupResults(output) {
+    const results = [];
+    for (const line of output.split(/\r?\n/)) {
+        const match = line.match(GROUP_RESULT);
+        if (!match) continue;
+        const group = match[1].trim();
+        if (match[2]) {
+            results.push({ group, ok: true });
+        } else {
+            results.push({ group, ok: false, expected: match[3].toLowerCase(), found: match[4].toLowerCase() });
+        }
+    }
+    return results;
+}
+
+function main(args) {
+    if (args.length !== 1) {
+        console.error('Usage: node cpm_runner.js <program.com>');
+        return 1;
+    }
+    const program = fs.readFileSync(args[0]);
+    let output = '';
+    const machine = new CPMMachine(program, (text) => {
+        output += text;
+        process.stdout.write(text);
+    });
+    const started = Date.now();
+    const error = machine.run();
+    const seconds = (Date.now() - started) / 1000;
+
+    const results = parseGroupResults(output);
+    const failed = results.filter((result) => !result.ok);
+    console.log(`\n\n${results.length} instruction groups, ${results.length - failed.length} OK, ` +
+        `${failed.length} failed, in ${seconds.toFixed(1)}s (${machine.cpu.cycleCount} T-states)`);
+    for (const result of failed) {
+        console.log(`  ${result.group}: crc expected ${result.expected}, found ${result.found}`);
+    }
+    if (error) {
+        console.log(`Stopped at ${machine.cpu.registers.PC.toString(16).toUpperCase()}H: ${error}`);
+        return 1;
+    }
+    if (results.length === 0) {
+        console.log('No instruction group results in the output: nothing was tested');
+        return 1;
+    }
+    return failed.length === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { CPMMachine, parseGroupResults, main };
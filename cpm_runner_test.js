@@ -0,0 +1,127 @@
+/**
+ * Tests for cpm_runner.js, under Node: a few bytes of CP/M program stand in for an exerciser
+ *
+ * USAGE:
+ *   node cpm_runner_test.js
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestFramework = require("./tester.js");
+const { CPMMachine, parseGroupResults, main } = require("./cpm_runner.js");
+
+// TestFramework reports through consoleLogIfNode, which console-utils.js defines on the page
+if (typeof consoleLogIfNode === "undefined") {
+  global.consoleLogIfNode = (message) => console.log(message);
+}
+
+// Where the test program's string starts: right after its code at 0100H
+const MESSAGE = 0x0110;
+
+// A .COM that prints text with BDOS function 9, then "X" with function 2, and returns to CP/M
+function comProgram(text) {
+  return Uint8Array.from([
+    0x0e, 0x09, // LD C, 9
+    0x11, MESSAGE & 0xff, MESSAGE >> 8, // LD DE, MESSAGE
+    0xcd, 0x05, 0x00, // CALL 5
+    0x0e, 0x02, // LD C, 2
+    0x1e, 0x58, // LD E, 'X'
+    0xcd, 0x05, 0x00, // CALL 5
+    0xc9, // RET, to the warm boot
+    ...Buffer.from(`${text}$`, "latin1"),
+  ]);
+}
+
+class CPMRunnerTestClass extends TestFramework {
+  constructor() {
+    super("CP/M Runner");
+  }
+
+  runAllTests() {
+    this.testMachine();
+    this.testParseGroupResults();
+    this.testExitCode();
+    return this.completeTests();
+  }
+
+  run(program) {
+    let output = "";
+    const machine = new CPMMachine(program, (text) => (output += text));
+    return { error: machine.run(), output, machine };
+  }
+
+  testMachine() {
+    consoleLogIfNode("\nTesting CPMMachine");
+
+    const { error, output, machine } = this.run(comProgram("Hello\r\n"));
+    this.assert(error === null, "Program returns to the warm boot", `Stopped with ${error}`);
+    this.assert(output === "Hello\r\nX", "BDOS functions 9 and 2 print", `Printed ${JSON.stringify(output)}`);
+    this.assert(machine.cpu.registers.PC === 0x0001, "Run ends on the HALT at the warm boot");
+
+    // LD C, 1 / CALL 5: console input, which the runner does not provide
+    const unsupported = this.run(Uint8Array.from([0x0e, 0x01, 0xcd, 0x05, 0x00, 0xc9]));
+    this.assert(
+      unsupported.error === "Unsupported BDOS function 1",
+      "Other BDOS functions stop the run",
+      `Stopped with ${unsupported.error}`
+    );
+
+    // LD C, 9 / LD DE, 0 / CALL 5, with no '$' anywhere in memory
+    const unterminated = this.run(Uint8Array.from([0x0e, 0x09, 0x11, 0x00, 0x00, 0xcd, 0x05, 0x00, 0xc9]));
+    this.assert(
+      unterminated.error === "No '$' ends the string at 0H for BDOS function 9" && unterminated.output === "",
+      "A string with no '$' stops the run",
+      `Stopped with ${unterminated.error}`
+    );
+  }
+
+  testParseGroupResults() {
+    consoleLogIfNode("\nTesting parseGroupResults");
+
+    const results = parseGroupResults(
+      "Z80doc instruction exerciser\r\n" +
+        "<adc,sbc> hl,<bc,de,hl,sp>....  OK\r\n" +
+        "aluop a,nn....................  ERROR **** crc expected:48799360 found:A2C39D08\r\n" +
+        "Tests complete"
+    );
+    this.assert(results.length === 2, "One result per group line", `Got ${results.length}`);
+    this.assert(
+      results[0].group === "<adc,sbc> hl,<bc,de,hl,sp>" && results[0].ok,
+      "An OK group is parsed"
+    );
+    this.assert(
+      results[1].group === "aluop a,nn" && !results[1].ok &&
+        results[1].expected === "48799360" && results[1].found === "a2c39d08",
+      "A failing group carries both CRCs, lowercased"
+    );
+    this.assert(parseGroupResults("Tests complete\r\n").length === 0, "Other output has no results");
+  }
+
+  // main() prints as it goes; its exit code is what a CI check sees
+  testExitCode() {
+    consoleLogIfNode("\nTesting the exit code");
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "cpm-runner-test-"));
+    const exitCode = (text) => {
+      const file = path.join(directory, "test.com");
+      fs.writeFileSync(file, comProgram(text));
+      return main([file]);
+    };
+    try {
+      this.assert(exitCode("add....  OK\r\n") === 0, "Exit code 0 when every group is OK");
+      this.assert(
+        exitCode("add....  OK\r\nsub....  ERROR **** crc expected:01234567 found:89abcdef\r\n") === 1,
+        "Exit code 1 when a group fails"
+      );
+      this.assert(exitCode("Nothing tested\r\n") === 1, "Exit code 1 when no group is reported");
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = new CPMRunnerTestClass().runAllTests() ? 0 : 1;
+}
+
+module.exports = CPMRunnerTestClass;
@@ -0,0 +1,365 @@
+// Emulator Worker
+// Runs Z80CPU in a Web Worker while the simulator is free running, so the page's main thread
+// stays free for the editor, console and animations. The simulator keeps the machine while it
+// is stopped or stepping: "run" hands the worker the CPU state, memory, ports and history, and
+// "stopped" hands them back. In between the worker reports the registers once a frame.
+//
+// Memory and the ports are SharedArrayBuffers when the page is cross-origin isolated, and then
+// both threads see the same bytes and the screen is drawn straight from them. Otherwise they
+// are copied: into the worker with "run", back with "stopped", and the screen and ports with
+// each "status".
+//
+// MESSAGES TO THE WORKER:
+//   { type: 'init', memory, ioMap, screen: { start, length }, ports: { frameCount, keyboard, beepHz, beepMs } }
+//     first, once; memory and ioMap are shared Uint8Arrays, or null to copy them per run
+//   { type: 'run', runId, cpu, memory, ioMap, instructionCount, breakpoints, watchpoints,
+//     unknownOpcodePolicy, clockHz, frameMs, history, profile, stack, codeMap }
+//     cpu is a saveState() result; memory and ioMap are null when shared; history is an
+//     ExecutionHistory.exportRecords() result, or null when not recording; profile is an
+//     ExecutionProfile.exportCounts() result, or null when not profiling; stack is a
+//     StackMonitor.saveState() result, or null when not checking the stack; codeMap is a
+//     CodeMap.saveState() result, or null when not checking for writes to code
+//   { type: 'break' }                          stop and send "stopped"
+//   { type: 'frame' }                          a display frame: advance the frame counter port
+//                                              and raise the maskable interrupt
+//   { type: 'port', port, value }              the host sets a port latch (the keyboard)
+//   { type: 'poke', address, value }           write memory through the bus
+//   { type: 'load', regions, pc, breakpoints }
+//     hot reload: [address, bytes] pairs to write, and the new PC; the history is dropped
+//   { type: 'reset', pc }
+//     reset the CPU, then start again from pc; the history, profile counts and code warnings
+//     are dropped
+//   { type: 'breakpoints', addresses }
+//   { type: 'watchpoints', watchpoints }       see Z80CPU.setWatchpoints
+//   { type: 'clock', clockHz }                 null for as fast as possible
+//   { type: 'unknownOpcodePolicy', policy }    a trap stops, as the worker has no handler
+//   { type: 'recordHistory', history }         records to continue, or null to stop recording
+//   { type: 'profile', profile }               counts to continue, or null to stop profiling
+//   { type: 'profileCounts' }                  send a copy of the counts so far
+//   { type: 'codeMap', codeMap }               a new map or policy, or null to stop checking
+//   { type: 'stack', guards }                  check the stack afresh from where SP is now,
+//                                              or stop checking it when guards is null
+//
+// MESSAGES FROM THE WORKER:
+//   { type: 'status', runId, cpu, instructionCount, screenWritten, screen, ioMap, codeWarnings }
+//     once a frame; screen and ioMap are copies, or null when shared; codeWarnings are the
+//     CodeMap findings warned about since the last status
+//   { type: 'beep', hz, ms }
+//   { type: 'profileCounts', profile }         the answer to 'profileCounts', null when not profiling
+//   { type: 'stopped', runId, cpu, instructionCount, memory, ioMap, history, profile, stack,
+//     codeMap, codeWarnings, error, stoppedAt, halted }
+//     after a break, an error, a breakpoint, a watchpoint, a stack check or a HALT with
+//     interrupts disabled; memory and ioMap are null when shared, history null when not
+//     recording, profile null when not profiling, stack and codeMap null when not checking
+//
+// USAGE (from the page):
+//   const worker = new Worker('emulator_worker.js');
+//   worker.postMessage({ type: 'init', ... });
+//   worker.postMessage({ type: 'run', ... });
+const scriptQuery = self.location.search;
+importScripts(...['z80_cpu_emulator.js', 'memory_bus.js', 'io_bus.js', 'execution_history.js',
+    'execution_profile.js', 'stack_monitor.js', 'code_map.js'].map((script) => script + scriptQuery));
+
+const cpu = new Z80CPU();
+let memory = new Uint8Array(0x10000);
+let ioMap = new Uint8Array(256);
+let shared = false;
+let screen = null;
+let ports = null;
+let memoryBus = null;
+let ioBus = null;
+let history = null;
+const profile = new ExecutionProfile();
+const stackMonitor = new StackMonitor();
+const codeMap = new CodeMap();
+
+// As in Simulator.runLoop: about a frame at 1 MIPS, and prime so as not to beat with it
+const INSTRUCTIONS_PER_SLICE = 15991;
+
+// The current run, or null while the simulator has the machine
+let run = null;
+
+// Set by the screen device, cleared by each status
+let screenWritten = true;
+
+// The same devices as the simulator's createMemoryBus and createIOBus, except that a beep is
+// played by the page
+function createBuses() {
+    memoryBus = new MemoryBus(memory, MemoryBus.ROM_WRITES_FAIL);
+    memoryBus.mapDevice(screen.start, screen.length, {
+        write: (address, value) => {
+            memory[address] = value;
+            screenWritten = true;
+        },
+    });
+    ioBus = new IOBus();
+    const latch = {
+        read: (port) => ioMap[port & 0xFF],
+        write: (port, value) => {
+            ioMap[port & 0xFF] = value;
+        },
+    };
+    ioBus.mapPort(ports.frameCount, latch);
+    ioBus.mapPort(ports.keyboard, latch);
+    const beep = {
+        read: latch.read,
+        write: (port, value) => {
+            latch.write(port, value);
+            const hz = ioMap[ports.beepHz] * 10;
+            const ms = ioMap[ports.beepMs];
+            if (hz > 0 && ms > 0) {
+                postMessage({ type: 'beep', hz, ms });
+                ioMap[ports.beepHz] = 0;
+                ioMap[ports.beepMs] = 0;
+            }
+        },
+    };
+    ioBus.mapPort(ports.beepHz, beep);
+    ioBus.mapPort(ports.beepMs, beep);
+    history = new ExecutionHistory(cpu, memoryBus, ioBus, ioMap);
+}
+
+// What the CPU runs against: the history's stand-ins while it records
+function cpuMemory() {
+    return cpu.tracer !== null ? history.memory : memoryBus;
+}
+
+function cpuIO() {
+    return cpu.tracer !== null ? history.io : ioBus;
+}
+
+function recordHistory(records) {
+    if (records) {
+        history.importRecords(records);
+        cpu.tracer = history;
+    } else {
+        cpu.tracer = null;
+    }
+}
+
+function countProfile(counts) {
+    if (counts) {
+        profile.importCounts(counts);
+        cpu.profile = profile;
+    } else {
+        cpu.profile = null;
+    }
+}
+
+function checkStack(state) {
+    if (state) {
+        stackMonitor.loadState(state);
+        cpu.stackMonitor = stackMonitor;
+    } else {
+        cpu.stackMonitor = null;
+    }
+}
+
+function checkCode(state) {
+    if (state) {
+        codeMap.loadState(state);
+        cpu.codeMap = codeMap;
+    } else {
+        cpu.codeMap = null;
+    }
+}
+
+function start(message) {
+    if (!shared) {
+        memory.set(message.memory);
+        ioMap.set(message.ioMap);
+    }
+    cpu.loadState(message.cpu);
+    cpu.breakpoints = new Set(message.breakpoints);
+    cpu.setWatchpoints(message.watchpoints);
+    cpu.unknownOpcodePolicy = message.unknownOpcodePolicy;
+    recordHistory(message.history);
+    countProfile(message.profile);
+    checkStack(message.stack);
+    checkCode(message.codeMap);
+    screenWritten = true;
+    run = {
+        id: message.runId,
+        instructionCount: message.instructionCount,
+        clockHz: message.clockHz,
+        frameMs: message.frameMs,
+        clockLastTime: performance.now(),
+        clockOvershoot: 0,
+        timer: null,
+    };
+    runLoop();
+}
+
+// The simulator's runLoop, minus the busy wait: run for a frame, report, and let the
+// messages that arrived in the meantime in
+function runLoop() {
+    run.timer = null;
+    const endTime = performance.now() + run.frameMs;
+    while (performance.now() < endTime) {
+        const result = runSlice();
+        run.instructionCount += result.instructionsExecuted;
+        if (result.error || result.stoppedAt || (result.halted && !cpu.iff1)) {
+            stop(result);
+            return;
+        }
+        // HALT sleeps until the next frame interrupt; a real-time clock has run every T-state owed
+        if (result.halted || run.clockHz) break;
+    }
+    postStatus();
+    run.timer = setTimeout(runLoop, 0);
+}
+
+// Like Simulator.runSlice: a fixed instruction count, or the T-states owed since the last slice
+function runSlice() {
+    if (!run.clockHz) {
+        return cpu.executeSteps(cpuMemory(), cpuIO(), INSTRUCTIONS_PER_SLICE);
+    }
+    const now = performance.now();
+    const elapsedMs = Math.min(now - run.clockLastTime, run.frameMs);
+    run.clockLastTime = now;
+    const owed = (elapsedMs / 1000) * run.clockHz - run.clockOvershoot;
+    const result = cpu.executeCycles(cpuMemory(), cpuIO(), owed);
+    run.clockOvershoot = result.tStates - owed;
+    return result;
+}
+
+function postStatus() {
+    postMessage({
+        type: 'status',
+        runId: run.id,
+        cpu: cpu.saveState(),
+        instructionCount: run.instructionCount,
+        screenWritten,
+        screen: !shared && screenWritten ? memory.slice(screen.start, screen.start + screen.length) : null,
+        ioMap: shared ? null : ioMap.slice(),
+        codeWarnings: codeMap.takeWarnings(),
+    });
+    screenWritten = false;
+}
+
+// Hands the machine back; the history's and profile's arrays go with it, to come back on the
+// next run
+function stop(result = {}) {
+    if (run.timer !== null) clearTimeout(run.timer);
+    const records = cpu.tracer !== null ? history.exportRecords() : null;
+    const counts = cpu.profile !== null ? profile.exportCounts() : null;
+    const memoryCopy = shared ? null : memory.slice();
+    const transfer = records ? ExecutionHistory.recordBuffers(records) : [];
+    if (counts) transfer.push(...ExecutionProfile.countBuffers(counts));
+    if (memoryCopy) transfer.push(memoryCopy.buffer);
+    postMessage({
+        type: 'stopped',
+        runId: run.id,
+        cpu: cpu.saveState(),
+        instructionCount: run.instructionCount,
+        memory: memoryCopy,
+        ioMap: shared ? null : ioMap.slice(),
+        history: records,
+        profile: counts,
+        stack: cpu.stackMonitor !== null ? stackMonitor.saveState() : null,
+        codeMap: cpu.codeMap !== null ? codeMap.saveState() : null,
+        codeWarnings: codeMap.takeWarnings(),
+        error: result.error || null,
+        stoppedAt: result.stoppedAt || null,
+        halted: result.halted || false,
+    }, transfer);
+    cpu.tracer = null;
+    cpu.profile = null;
+    cpu.stackMonitor = null;
+    cpu.codeMap = null;
+    run = null;
+}
+
+onmessage = (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        if (message.memory) {
+            memory = message.memory;
+            ioMap = message.ioMap;
+            shared = true;
+        }
+        screen = message.screen;
+        ports = message.ports;
+        createBuses();
+        return;
+    }
+    if (message.type === 'run') {
+        start(message);
+        return;
+    }
+    // Everything else steers a run, and is dropped when it arrives after one has stopped
+    if (run === null) return;
+    switch (message.type) {
+        case 'break':
+            stop();
+            break;
+        case 'frame':
+            ioMap[ports.frameCount] = (ioMap[ports.frameCount] + 1) & 0xFF;
+            // 0xFF on the data bus is RST 38H in IM 0, as on a floating Sinclair bus
+            cpu.requestInterrupt(0xFF);
+            break;
+        case 'port':
+            ioMap[message.port] = message.value;
+            break;
+        case 'poke':
+            memoryBus.write(message.address, message.value);
+            break;
+        case 'load':
+            for (const [address, bytes] of message.regions) {
+                memory.set(bytes, address);
+            }
+            cpu.set(message.pc);
+            cpu.breakpoints = new Set(message.breakpoints);
+            history.clear();
+            // The counts belong to the old program's addresses
+            if (cpu.profile !== null) profile.clear();
+            screenWritten = true;
+            break;
+        case 'reset':
+            cpu.reset();
+            cpu.set(message.pc);
+            history.clear();
+            stackMonitor.clear();
+            // Counts and warnings from before the reset are not the new run's
+            if (cpu.profile !== null) profile.clear();
+            codeMap.clearWarnings();
+            run.instructionCount = 0;
+            break;
+        case 'breakpoints':
+            cpu.breakpoints = new Set(message.addresses);
+            break;
+        case 'watchpoints':
+            cpu.setWatchpoints(message.watchpoints);
+            break;
+        case 'clock':
+            run.clockHz = message.clockHz;
+            run.clockLastTime = performance.now();
+            run.clockOvershoot = 0;
+            break;
+        case 'unknownOpcodePolicy':
+            cpu.unknownOpcodePolicy = message.policy;
+            break;
+        case 'recordHistory':
+            recordHistory(message.history);
+            break;
+        case 'profile':
+            countProfile(message.profile);
+            break;
+        case 'stack':
+            // Afresh from where the stack is now, as the simulator restarts its own
+            if (message.guards !== null) {
+                stackMonitor.guards = message.guards;
+                stackMonitor.clear(cpu.registers.SP);
+                cpu.stackMonitor = stackMonitor;
+            } else {
+                cpu.stackMonitor = null;
+            }
+            break;
+        case 'codeMap':
+            checkCode(message.codeMap);
+            break;
+        case 'profileCounts':
+            postMessage({ type: 'profileCounts', profile: cpu.profile !== null ? profile.exportCounts() : null });
+            break;
+    }
+};
@@ -0,0 +1,246 @@
+// Execution History
+// Records what each instruction changes so the machine can be stepped backwards. Before an
+// instruction Z80CPU calls beforeInstruction on its tracer, which saves the registers; the
+// memory and port writes that follow are logged with the bytes they replace. stepBack()
+// puts those bytes back, newest first, and restores the registers. Both logs are rings, so
+// the oldest instructions are forgotten once either fills up.
+//
+// USAGE:
+//   const history = new ExecutionHistory(cpu, memoryBus, ioBus, ioMap);
+//   cpu.tracer = history;
+//   cpu.executeSteps(history.memory, history.io, 1000);
+//   history.stepBack();
+class ExecutionHistory {
+    // Instructions remembered, and memory or port writes remembered across all of them
+    static DEFAULT_CAPACITY = 100000;
+    static CHANGES_PER_INSTRUCTION = 4;
+
+    // Marks a logged change as a port rather than a memory address
+    static PORT_CHANGE = 0x10000;
+
+    // Every write goes through the history's bus, to be logged before it happens; reads of a
+    // plain array never need to
+    static ALL_WRITES_HOOKED = new Uint8Array(0x10000).fill(1);
+    static NO_READS_HOOKED = new Uint8Array(0x10000);
+
+    // Bits of the per-instruction state byte
+    static HALTED = 1;
+    static IFF1 = 2;
+    static IFF2 = 4;
+    static PENDING_NMI = 8;
+    static INTERRUPTS_DELAYED = 16;
+
+    /**
+     * @param {Z80CPU} cpu - CPU whose registers are saved and restored
+     * @param {Uint8Array|MemoryBus} memory - Memory the CPU runs against
+     * @param {Uint8Array|IOBus} io - Ports the CPU runs against
+     * @param {Uint8Array} ports - Where the port state lives: io itself when it is an array, or the
+     *   latches behind an IOBus's devices. Writes are logged and rewound here.
+     * @param {number} capacity - Number of instructions remembered
+     */
+    constructor(cpu, memory, io, ports = io, capacity = ExecutionHistory.DEFAULT_CAPACITY) {
+        if (!(ports instanceof Uint8Array)) {
+            throw new Error("ExecutionHistory needs the port state as a Uint8Array");
+        }
+        if (cpu.regs8.buffer.byteLength % 4 !== 0 || cpu.regs16.buffer.byteLength % 4 !== 0) {
+            throw new Error("ExecutionHistory copies the CPU registers as whole 32-bit words");
+        }
+        this.cpu = cpu;
+        this.ports = ports;
+        this.capacity = capacity;
+
+        // The registers as 32-bit words: seven copies per instruction instead of 24
+        this.cpuRegs8Words = new Uint32Array(cpu.regs8.buffer);
+        this.cpuRegs16Words = new Uint32Array(cpu.regs16.buffer);
+        this.wordsPerRecord = this.cpuRegs8Words.length + this.cpuRegs16Words.length;
+
+        // Per instruction, indexed by its number modulo capacity
+        this.registerWords = new Uint32Array(capacity * this.wordsPerRecord);
+        this.cycleCounts = new Float64Array(capacity);
+        this.states = new Uint8Array(capacity);
+        this.interruptModes = new Uint8Array(capacity);
+        // Data bus byte of a pending interrupt, or -1 for none
+        this.pendingInterrupts = new Int16Array(capacity);
+        // Number of the first change the instruction made
+        this.changeStarts = new Float64Array(capacity);
+
+        // Change log, indexed by change number modulo changeCapacity
+        this.changeCapacity = capacity * ExecutionHistory.CHANGES_PER_INSTRUCTION;
+        this.changeAddresses = new Uint32Array(this.changeCapacity);
+        this.changeValues = new Uint8Array(this.changeCapacity);
+
+        this.clear();
+
+        // Stand-ins for memory and io that log each write first. The bus's read map and
+        // generation are read through getters, so that a remapped bus is seen.
+        const ram = memory instanceof Uint8Array ? memory : memory.ram;
+        const bus = memory instanceof Uint8Array ? null : memory;
+        this.ram = ram;
+        this.bus = bus;
+        this.memory = {
+            ram,
+            get readMap() {
+                return bus ? bus.readMap : ExecutionHistory.NO_READS_HOOKED;
+            },
+            get generation() {
+                return bus ? bus.generation : undefined;
+            },
+            writeMap: ExecutionHistory.ALL_WRITES_HOOKED,
+            read: (address) => bus.read(address),
+            write: (address, value) => {
+                this.logChange(address, ram[address]);
+                if (bus) {
+                    bus.write(address, value);
+                } else {
+                    ram[address] = value;
+                }
+            },
+        };
+        this.io = {
+            read: (port) => io instanceof Uint8Array ? io[port & 0xFF] : io.read(port),
+            write: (port, value) => {
+                this.logChange(ExecutionHistory.PORT_CHANGE | (port & 0xFF), ports[port & 0xFF]);
+                if (io instanceof Uint8Array) {
+                    io[port & 0xFF] = value;
+                } else {
+                    io.write(port, value);
+                }
+            },
+        };
+    }
+
+    // Forgets everything, for when the machine is changed from outside (reset, reload)
+    clear() {
+        // Instruction numbers [oldest, count) can be stepped back through
+        this.oldest = 0;
+        this.count = 0;
+        this.changeCount = 0;
+    }
+
+    get length() {
+        return this.count - this.oldest;
+    }
+
+    /**
+     * The records as plain values, for postMessage: the simulator's worker (emulator_worker.js)
+     * takes the history with it while it runs the CPU, and hands it back with importRecords
+     * @returns {Object} Typed arrays and counters, for importRecords
+     */
+    exportRecords() {
+        const records = { oldest: this.oldest, count: this.count, changeCount: this.changeCount };
+        for (const name of ExecutionHistory.RECORD_ARRAYS) records[name] = this[name];
+        return records;
+    }
+
+    // Buffers of an exportRecords() result, to transfer rather than copy it
+    static recordBuffers(records) {
+        return ExecutionHistory.RECORD_ARRAYS.map((name) => records[name].buffer);
+    }
+
+    // Adopts the records of another history of the same capacity, arrays and all
+    importRecords(records) {
+        if (records.cycleCounts.length !== this.capacity ||
+            records.changeValues.length !== this.changeCapacity) {
+            throw new Error("ExecutionHistory records are of another capacity");
+        }
+        for (const name of ExecutionHistory.RECORD_ARRAYS) this[name] = records[name];
+        this.oldest = records.oldest;
+        this.count = records.count;
+        this.changeCount = records.changeCount;
+    }
+
+    static RECORD_ARRAYS = [
+        'registerWords', 'cycleCounts', 'states', 'interruptModes', 'pendingInterrupts',
+        'changeStarts', 'changeAddresses', 'changeValues',
+    ];
+
+    // Z80CPU tracer hook: opens a record holding the registers as they are now
+    beforeInstruction(cpu) {
+        if (this.count - this.oldest === this.capacity) this.oldest++;
+        const index = this.count % this.capacity;
+        // Element by element: set() costs more than it saves on arrays this short
+        const saved = this.registerWords;
+        const regs8Words = this.cpuRegs8Words;
+        const regs16Words = this.cpuRegs16Words;
+        let offset = index * this.wordsPerRecord;
+        for (let i = 0; i < regs8Words.length; i++) saved[offset++] = regs8Words[i];
+        for (let i = 0; i < regs16Words.length; i++) saved[offset++] = regs16Words[i];
+        this.cycleCounts[index] = cpu.cycleCount;
+        this.states[index] =
+            (cpu.halted ? ExecutionHistory.HALTED : 0) |
+            (cpu.iff1 ? ExecutionHistory.IFF1 : 0) |
+            (cpu.iff2 ? ExecutionHistory.IFF2 : 0) |
+            (cpu.pendingNMI ? ExecutionHistory.PENDING_NMI : 0) |
+            (cpu.interruptsDelayed ? ExecutionHistory.INTERRUPTS_DELAYED : 0);
+        this.interruptModes[index] = cpu.interruptMode;
+        this.pendingInterrupts[index] = cpu.pendingInterrupt === null ? -1 : cpu.pendingInterrupt;
+        this.changeStarts[index] = this.changeCount;
+        this.count++;
+    }
+
+    // Writes belong to the latest record, including those of an interrupt accepted after it
+    logChange(address, oldValue) {
+        const slot = this.changeCount % this.changeCapacity;
+        this.changeAddresses[slot] = address;
+        this.changeValues[slot] = oldValue;
+        this.changeCount++;
+        // Drop the records whose changes the ring has just overwritten, possibly all of them
+        while (this.oldest < this.count &&
+               this.changeCount - this.changeStarts[this.oldest % this.capacity] > this.changeCapacity) {
+            this.oldest++;
+        }
+    }
+
+    /**
+     * Undoes the latest recorded instruction: its memory and port writes, then the registers
+     * and interrupt state from before it
+     * @returns {boolean} False when there is nothing left to undo
+     */
+    stepBack() {
+        if (this.count === this.oldest) return false;
+        this.count--;
+        const index = this.count % this.capacity;
+        const changeStart = this.changeStarts[index];
+        for (let change = this.changeCount - 1; change >= changeStart; change--) {
+            const slot = change % this.changeCapacity;
+            const address = this.changeAddresses[slot];
+            if (address & ExecutionHistory.PORT_CHANGE) {
+                this.ports[address & 0xFF] = this.changeValues[slot];
+            } else if (this.bus !== null && this.bus.writeMap[address] >= this.bus.constructor.DEVICE) {
+                // A device is handed the byte back, as the screen has to notice it; ROM and
+                // RAM take it directly
+                this.bus.write(address, this.changeValues[slot]);
+            } else {
+                this.ram[address] = this.changeValues[slot];
+            }
+        }
+        this.changeCount = changeStart;
+
+        const cpu = this.cpu;
+        const offset = index * this.wordsPerRecord;
+        const regs8End = offset + this.cpuRegs8Words.length;
+        this.cpuRegs8Words.set(this.registerWords.subarray(offset, regs8End));
+        this.cpuRegs16Words.set(this.registerWords.subarray(regs8End, offset + this.wordsPerRecord));
+        cpu.cycleCount = this.cycleCounts[index];
+        const state = this.states[index];
+        cpu.halted = (state & ExecutionHistory.HALTED) !== 0;
+        cpu.iff1 = (state & ExecutionHistory.IFF1) !== 0;
+        cpu.iff2 = (state & ExecutionHistory.IFF2) !== 0;
+        cpu.pendingNMI = (state & ExecutionHistory.PENDING_NMI) !== 0;
+        cpu.interruptsDelayed = (state & ExecutionHistory.INTERRUPTS_DELAYED) !== 0;
+        cpu.interruptMode = this.interruptModes[index];
+        const pending = this.pendingInterrupts[index];
+        cpu.pendingInterrupt = pending === -1 ? null : pending;
+        return true;
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExecutionHistory;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.ExecutionHistory = ExecutionHistory;
+}
@@ -0,0 +1,199 @@
+// Execution Profile
+// Counts, per address, how many instructions Z80CPU executes there and the T-states they take,
+// and how often the memory there is read and written. Setting cpu.profile to one turns the
+// counting on. Reads include every byte the CPU fetches, operands as well as opcodes. A
+// repeating block instruction counts once per iteration; the cycles of interrupt acknowledges
+// belong to no address. summarize() adds the counts up by source line, label and subroutine
+// for a hot-spot report.
+//
+// USAGE:
+//   const profile = new ExecutionProfile();
+//   cpu.profile = profile;
+//   cpu.executeSteps(memory, iomap, 100000);
+//   const { totalCycles, lines, labels, subroutines, memory } = profile.summarize(result.instructionDetails, result.labels);
+class ExecutionProfile {
+    // The stand-in for memory hooks every address, to count each access on its way through
+    static ALL_HOOKED = new Uint8Array(0x10000).fill(1);
+
+    // Per-address counters, in the order exportCounts lists them
+    static COUNTERS = ['executions', 'cycles', 'reads', 'writes'];
+
+    constructor() {
+        // Doubles rather than 32-bit counters, which a tight loop overflows in minutes
+        for (const name of ExecutionProfile.COUNTERS) this[name] = new Float64Array(0x10000);
+    }
+
+    clear() {
+        for (const name of ExecutionProfile.COUNTERS) this[name].fill(0);
+    }
+
+    // Z80CPU calls this after each instruction it completes
+    countInstruction(address, tStates) {
+        this.executions[address]++;
+        this.cycles[address] += tStates;
+    }
+
+    /**
+     * Wraps memory so that the CPU's reads and writes are counted; Z80CPU does this itself while
+     * cpu.profile is set
+     * @param {Uint8Array|MemoryBus|Object} memory - A memory array, a MemoryBus, or a stand-in of
+     *   the same shape such as ExecutionHistory's
+     * @returns {Object} Memory for the CPU, of MemoryBus's shape
+     */
+    wrapMemory(memory) {
+        const ram = memory instanceof Uint8Array ? memory : memory.ram;
+        const bus = memory instanceof Uint8Array ? null : memory;
+        const reads = this.reads;
+        const writes = this.writes;
+        return {
+            ram,
+            readMap: ExecutionProfile.ALL_HOOKED,
+            writeMap: ExecutionProfile.ALL_HOOKED,
+            read: (address) => {
+                reads[address]++;
+                return bus !== null && bus.readMap[address] !== 0 ? bus.read(address) : ram[address];
+            },
+            write: (address, value) => {
+                writes[address]++;
+                if (bus !== null && bus.writeMap[address] !== 0) {
+                    bus.write(address, value);
+                } else {
+                    ram[address] = value;
+                }
+            },
+        };
+    }
+
+    // The counters as plain values, for postMessage to and from the simulator's worker
+    exportCounts() {
+        const counts = {};
+        for (const name of ExecutionProfile.COUNTERS) counts[name] = this[name];
+        return counts;
+    }
+
+    // Buffers of an exportCounts() result, to transfer rather than copy it
+    static countBuffers(counts) {
+        return ExecutionProfile.COUNTERS.map((name) => counts[name].buffer);
+    }
+
+    importCounts(counts) {
+        for (const name of ExecutionProfile.COUNTERS) {
+            if (counts[name].length !== 0x10000) {
+                throw new Error(`ExecutionProfile ${name} must cover 64K addresses`);
+            }
+        }
+        for (const name of ExecutionProfile.COUNTERS) this[name] = counts[name];
+    }
+
+    /**
+     * Adds the counts up for a hot-spot report
+     * @param {Object[]} instructionDetails - The assembler's per-source-line details
+     * @param {Object<string, number>} labels - Code label names and addresses
+     * @returns {Object} totalCycles, the T-states counted at any address, and four lists, each
+     *   of entries with executions and cycles (memory: reads and writes) and only those with a
+     *   count:
+     *   lines - { line (1-based), address, source } per executed source line
+     *   labels - { name, address } per label, for the code from it to the next label
+     *   subroutines - { name, address } per CALL or RST target reached, and the program's first
+     *     instruction, for the code from it to the next of them; name is null without a label.
+     *     This is each subroutine's own time: the time in what it calls is its callees'.
+     *   memory - { address, name, offset } per address read or written, under the label at or
+     *     before it (name null when there is none)
+     */
+    summarize(instructionDetails, labels) {
+        const lines = [];
+        const entries = new Set();
+        let firstInstruction = null;
+        instructionDetails.forEach((detail, index) => {
+            const address = detail.startAddress;
+            if (address === null || detail.opcodes.length === 0 || this.executions[address] === 0) return;
+            // A macro invocation's time is its expansion's
+            const parts = detail.expansion || [detail];
+            lines.push({
+                line: index + 1,
+                address,
+                source: detail.sourceString.trim(),
+                executions: this.executions[address],
+                cycles: parts.reduce((sum, part) => sum + this.cycles[part.startAddress], 0),
+            });
+            if (firstInstruction === null || address < firstInstruction) firstInstruction = address;
+            for (const part of parts) {
+                const target = ExecutionProfile.callTarget(part.opcodes);
+                if (target !== null) entries.add(target);
+            }
+        });
+        if (firstInstruction !== null) entries.add(firstInstruction);
+
+        const labelEntries = Object.keys(labels).map((name) => ({ name, address: labels[name] }));
+        const nameOf = new Map();
+        for (const { name, address } of labelEntries) {
+            if (!nameOf.has(address)) nameOf.set(address, name);
+        }
+        const subroutineEntries = [...entries].map((address) => ({ name: nameOf.get(address) || null, address }));
+
+        return {
+            totalCycles: this.cycles.reduce((sum, cycles) => sum + cycles, 0),
+            lines,
+            labels: this._sumRanges(labelEntries),
+            subroutines: this._sumRanges(subroutineEntries),
+            memory: this._memoryAccesses(labelEntries),
+        };
+    }
+
+    // Where a CALL or RST sends execution, or null for any other instruction
+    static callTarget(opcodes) {
+        const opcode = opcodes[0];
+        // CALL nn, and CALL cc,nn
+        if ((opcode === 0xCD || (opcode & 0xC7) === 0xC4) && opcodes.length === 3) {
+            return opcodes[1] | (opcodes[2] << 8);
+        }
+        // RST p
+        if ((opcode & 0xC7) === 0xC7 && opcodes.length === 1) return opcode & 0x38;
+        return null;
+    }
+
+    // Totals over each entry's range: from its address up to the next entry's
+    _sumRanges(entries) {
+        const sorted = entries.slice().sort((a, b) => a.address - b.address);
+        const totals = [];
+        sorted.forEach((entry, i) => {
+            const end = i + 1 < sorted.length ? sorted[i + 1].address : 0x10000;
+            let executions = 0;
+            let cycles = 0;
+            for (let address = entry.address; address < end; address++) {
+                executions += this.executions[address];
+                cycles += this.cycles[address];
+            }
+            if (executions !== 0) totals.push({ name: entry.name, address: entry.address, executions, cycles });
+        });
+        return totals;
+    }
+
+    _memoryAccesses(labelEntries) {
+        const sorted = labelEntries.slice().sort((a, b) => a.address - b.address);
+        const accesses = [];
+        let label = -1;
+        for (let address = 0; address < 0x10000; address++) {
+            while (label + 1 < sorted.length && sorted[label + 1].address <= address) label++;
+            if (this.reads[address] === 0 && this.writes[address] === 0) continue;
+            accesses.push({
+                address,
+                name: label >= 0 ? sorted[label].name : null,
+                offset: label >= 0 ? address - sorted[label].address : 0,
+                reads: this.reads[address],
+                writes: this.writes[address],
+            });
+        }
+        return accesses;
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExecutionProfile;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.ExecutionProfile = ExecutionProfile;
+}
@@ -23,6 +23,27 @@ window.addEventListener('load', () => {
     if (typeof initializeRetroFonts === 'function') {
         initializeRetroFonts();
     }
+    if (typeof initializeRecordHistory === 'function') {
+        initializeRecordHistory();
+    }
+    if (typeof initializeUnknownOpcodePolicy === 'function') {
+        initializeUnknownOpcodePolicy();
+    }
+    if (typeof initializeRunInWorker === 'function') {
+        initializeRunInWorker();
+    }
+    if (typeof initializeProfiling === 'function') {
+        initializeProfiling();
+    }
+    if (typeof initializeStackChecks === 'function') {
+        initializeStackChecks();
+    }
+    if (typeof initializeCodeChecks === 'function') {
+        initializeCodeChecks();
+    }
+    if (typeof initializeDefines === 'function') {
+        initializeDefines();
+    }
 
     // Load assembly: from URL if present, otherwise default
     if (!window.sinclaude.loadFromURL()) {
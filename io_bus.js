@@ -0,0 +1,60 @@
+// I/O Bus
+// Connects IN/OUT instructions to device handlers. Z80CPU accepts an IOBus wherever it takes
+// an iomap array, and passes the full 16-bit port address: A in the high byte for
+// IN A,(n)/OUT (n),A, and BC for the (C) forms and the block instructions.
+//
+// USAGE:
+//   const bus = new IOBus();
+//   bus.mapPort(0xFE, { read: (port) => keyboardRow(port >> 8), write: (port, value) => border(value) });
+//   cpu.executeSteps(memory, bus, 1000);
+class IOBus {
+    // Read from a port no device answers: the data lines float high
+    static FLOATING_BUS = 0xFF;
+
+    constructor() {
+        this.devices = [];
+    }
+
+    /**
+     * Registers a device for every port address where (address & mask) === (port & mask),
+     * which is how partially decoded hardware sees the bus. Handlers receive the full address.
+     * @param {number} port - Address bits the device decodes
+     * @param {number} mask - Which address bits it decodes
+     * @param {Object} device - Handlers for the ports; either may be left out
+     * @param {function(number): number} [device.read] - Returns the byte for IN from an address
+     * @param {function(number, number): void} [device.write] - Receives the address and byte of an OUT
+     */
+    mapPorts(port, mask, device) {
+        this.devices.push({ port: port & mask, mask, device });
+    }
+
+    // Most peripherals decode only the low byte of the address
+    mapPort(port, device) {
+        this.mapPorts(port, 0xFF, device);
+    }
+
+    // IN: the first matching device with a read handler drives the bus
+    read(address) {
+        for (const { port, mask, device } of this.devices) {
+            if ((address & mask) === port && device.read) return device.read(address) & 0xFF;
+        }
+        return IOBus.FLOATING_BUS;
+    }
+
+    // OUT: every matching device sees the write
+    write(address, value) {
+        for (const { port, mask, device } of this.devices) {
+            if ((address & mask) === port && device.write) device.write(address, value & 0xFF);
+        }
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IOBus;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.IOBus = IOBus;
+}
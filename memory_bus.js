@@ -0,0 +1,107 @@
+// Memory Bus
+// Decides what each address of the 64KB space is: plain RAM, ROM, or a memory-mapped device.
+// Z80CPU accepts a MemoryBus wherever it takes a memory array. It reads and writes RAM
+// addresses straight from the backing array and only calls read/write for the others, so
+// regions that stay RAM cost no more than before.
+//
+// USAGE:
+//   const bus = new MemoryBus(memory, MemoryBus.ROM_WRITES_FAIL);
+//   bus.mapROM(0x0000, 0x2000);
+//   bus.mapDevice(SCREEN_START, 768, { write: (address, value) => ... });
+//   cpu.executeSteps(bus, iomap, 1000);
+class MemoryBus {
+    // Region codes held per address in readMap and writeMap; device n is DEVICE + n
+    static RAM = 0;
+    static ROM = 1;
+    static DEVICE = 2;
+
+    // What a write to ROM does: nothing, as on real hardware, or stop execution with an error
+    static ROM_WRITES_IGNORED = "ignore";
+    static ROM_WRITES_FAIL = "fail";
+
+    /**
+     * @param {Uint8Array} ram - Backing store for the whole address space; ROM contents live here too
+     * @param {string} romWritePolicy - MemoryBus.ROM_WRITES_IGNORED or MemoryBus.ROM_WRITES_FAIL
+     */
+    constructor(ram, romWritePolicy = MemoryBus.ROM_WRITES_IGNORED) {
+        if (romWritePolicy !== MemoryBus.ROM_WRITES_IGNORED && romWritePolicy !== MemoryBus.ROM_WRITES_FAIL) {
+            throw new Error(`Unknown ROM write policy: ${romWritePolicy}`);
+        }
+        this.ram = ram;
+        this.romWritePolicy = romWritePolicy;
+        // Everything starts as RAM
+        this.readMap = new Uint8Array(ram.length);
+        this.writeMap = new Uint8Array(ram.length);
+        this.devices = [];
+        // Counts the remappings, so that what copies the maps can tell when its copy is stale
+        this.generation = 0;
+    }
+
+    mapRAM(start, length) {
+        this.mapRegion(start, length, MemoryBus.RAM, MemoryBus.RAM);
+    }
+
+    // ROM reads like RAM; writes follow romWritePolicy. Load its contents into ram directly.
+    mapROM(start, length) {
+        this.mapRegion(start, length, MemoryBus.RAM, MemoryBus.ROM);
+    }
+
+    /**
+     * Hands a region to a device. A handler left out keeps that direction as plain RAM,
+     * so a device can watch writes without having to serve reads.
+     * @param {number} start - First address of the region
+     * @param {number} length - Size of the region in bytes
+     * @param {Object} device - Handlers for the region
+     * @param {function(number): number} [device.read] - Returns the byte at an address
+     * @param {function(number, number): void} [device.write] - Receives an address and a byte
+     */
+    mapDevice(start, length, device) {
+        const code = MemoryBus.DEVICE + this.devices.length;
+        if (code > 0xFF) {
+            throw new Error(`Too many memory-mapped devices: at most ${0x100 - MemoryBus.DEVICE}`);
+        }
+        this.devices.push(device);
+        this.mapRegion(start, length,
+            device.read ? code : MemoryBus.RAM,
+            device.write ? code : MemoryBus.RAM);
+    }
+
+    mapRegion(start, length, readCode, writeCode) {
+        if (start < 0 || length <= 0 || start + length > this.ram.length) {
+            throw new Error(`Memory region 0x${start.toString(16)}+0x${length.toString(16)} is outside the address space`);
+        }
+        this.readMap.fill(readCode, start, start + length);
+        this.writeMap.fill(writeCode, start, start + length);
+        this.generation++;
+    }
+
+    read(address) {
+        const code = this.readMap[address];
+        if (code === MemoryBus.RAM) return this.ram[address];
+        return this.devices[code - MemoryBus.DEVICE].read(address);
+    }
+
+    write(address, value) {
+        const code = this.writeMap[address];
+        const byte = value & 0xFF;
+        if (code === MemoryBus.RAM) {
+            this.ram[address] = byte;
+        } else if (code === MemoryBus.ROM) {
+            if (this.romWritePolicy === MemoryBus.ROM_WRITES_FAIL) {
+                throw new Error(`Write of 0x${byte.toString(16).padStart(2, '0')} to ROM at 0x${address.toString(16).padStart(4, '0')}`);
+            }
+        } else {
+            this.devices[code - MemoryBus.DEVICE].write(address, byte);
+        }
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MemoryBus;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.MemoryBus = MemoryBus;
+}
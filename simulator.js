@@ -7,6 +7,41 @@ const KEYBOARD_PORT = 1;
 const KBD_NO_KEY_PRESSED = -1;
 const BEEP_10HZ_PORT = 2;
 const BEEP_MS_PORT = 3;
+// Snapshot files say what they are; bump the version when their contents change shape, and
+// say in migrateSnapshot how to read the one before. Version 2 added the assembly's defines.
+const SNAPSHOT_FORMAT = "sinclaude-snapshot";
+const SNAPSHOT_VERSION = 2;
+// Disassembly view: instructions shown, and how many of them may come before PC
+const DISASSEMBLY_LINES = 8;
+const DISASSEMBLY_LINES_BEFORE_PC = 3;
+// Hot spots table: rows shown, each view's columns and the one it sorts by at first
+const HOT_SPOT_ROWS = 50;
+const HOT_SPOT_COLUMNS = {
+  lines: ["line", "address", "source", "executions", "cycles", "percent"],
+  labels: ["name", "address", "executions", "cycles", "percent"],
+  subroutines: ["name", "address", "executions", "cycles", "percent"],
+  memory: ["address", "name", "reads", "writes"],
+};
+const HOT_SPOT_DEFAULT_SORT = { lines: "cycles", labels: "cycles", subroutines: "cycles", memory: "reads" };
+const HOT_SPOT_HEADINGS = {
+  line: "Line",
+  address: "Addr",
+  source: "Source",
+  name: "Name",
+  executions: "Count",
+  cycles: "T-states",
+  percent: "%",
+  reads: "Reads",
+  writes: "Writes",
+};
+// Columns that sort A to Z at the first click; the counts sort largest first
+const HOT_SPOT_ASCENDING = new Set(["line", "address", "source", "name"]);
+// Simulator.watch's port accesses, and the Z80CPU watchpoint access each stands for
+const WATCH_PORT_ACCESSES = {
+  in: Z80CPU.WATCH_READ,
+  out: Z80CPU.WATCH_WRITE,
+  port: Z80CPU.WATCH_ACCESS,
+};
 
 // Sinclair block characters that should not use retro font
 const sinclairBlockChars = [6, 8, 9, 13, 14, 16, 17, 18, 19, 20, 21, 22];
@@ -14,8 +49,42 @@ const sinclairBlockChars = [6, 8, 9, 13, 14, 16, 17, 18, 19, 20, 21, 22];
 class Simulator {
   constructor() {
     this.cpu = new Z80CPU();
-    this.memory = new Uint8Array(MEMORY_SIZE);
-    this.ioMap = new Uint8Array(256);
+    // Shared with the emulator worker where the page is cross-origin isolated, and copied to
+    // and fro otherwise (see emulator_worker.js)
+    this.sharedMemory =
+      typeof SharedArrayBuffer !== "undefined" && window.crossOriginIsolated === true;
+    this.memory = new Uint8Array(
+      this.sharedMemory ? new SharedArrayBuffer(MEMORY_SIZE) : MEMORY_SIZE
+    );
+    this.memoryBus = this.createMemoryBus();
+    this.ioMap = new Uint8Array(this.sharedMemory ? new SharedArrayBuffer(256) : 256);
+    this.ioBus = this.createIOBus();
+    // Undo records for Step Back; the CPU runs against the history's stand-ins for the buses
+    // while it records
+    this.history = new ExecutionHistory(
+      this.cpu,
+      this.memoryBus,
+      this.ioBus,
+      this.ioMap
+    );
+    // Counts for the hot spots table while profiling, which is off until the menu turns it on
+    this.profile = new ExecutionProfile();
+    this.hotSpotSort = { key: HOT_SPOT_DEFAULT_SORT.lines, descending: true };
+    // Shadow call stack for the stack checks, which are off until the menu turns them on
+    this.stackMonitor = new StackMonitor();
+    // Where the program has code and data, for the code checks: "off" until the menu sets
+    // them to CodeMap.WARN or CodeMap.BREAK
+    this.codeMap = new CodeMap();
+    this.codeChecks = "off";
+    // Symbols defined for the assembler before the program's first line, for IF and IFDEF
+    this.defines = {};
+    // Free running happens in the worker when there is one, and in runLoop otherwise. While
+    // the worker has the machine, workerRun tracks the run: whether it has been asked to stop,
+    // and what waits for the machine to come back.
+    this.useWorker = true;
+    this.worker = this.createWorker();
+    this.workerRun = null;
+    this.setHistoryRecording(true);
     this.setState(STATE.NOT_READY);
     this.instructionCount = 0;
     this.mipsValue = 0.0;
@@ -28,11 +97,21 @@ class Simulator {
     this.keyCodeCurrentReleased = true;
     this.runLoopInterval = null;
     this.fastMode = false;
+    // Index into CLOCK_RATES_HZ, and the real-time clock bookkeeping for runSlice
+    this.clockRateIndex = 0;
+    this.clockLastTime = performance.now();
+    this.clockOvershoot = 0;
+    // Cycle count before the last single step, to show how long it took
+    this.stepStartCycles = 0;
     this.easterEggEnabled = false;
     this.isBootSequenceRunning = false;
 
     // Line highlighting for stepping
     this.instructionDetails = [];
+    // Label addresses from the last assembly, for the disassembly
+    this.labels = {};
+    this.disassembler = new Z80Disassembler();
+    this.lastDisassemblyText = null;
     this.highlightedPC = null;
     this.lastPC = null;
 
@@ -40,6 +119,8 @@ class Simulator {
     this.lastScreenState = new Uint8Array(SCREEN_WIDTH * SCREEN_HEIGHT);
     this.screenElements = [];
     this.lastScreenStateIsValid = false;
+    // Set by the screen's memory bus device; spares updateScreen a compare while nothing draws
+    this.screenWritten = true;
 
     // Timer management
     this.activeTimers = new Set();
@@ -237,15 +318,28 @@ class Simulator {
     this.spDisplay = document.getElementById("regSP");
     this.stackContentsDisplay = document.getElementById("stackContents");
     this.regADisplay = document.getElementById("regA");
+    this.regFDisplay = document.getElementById("regF");
     this.regBCDisplay = document.getElementById("regBC");
     this.regDEDisplay = document.getElementById("regDE");
     this.regHLDisplay = document.getElementById("regHL");
+    this.regIXDisplay = document.getElementById("regIX");
+    this.regIYDisplay = document.getElementById("regIY");
+    this.regAFAltDisplay = document.getElementById("regAFAlt");
+    this.regBCAltDisplay = document.getElementById("regBCAlt");
+    this.regDEAltDisplay = document.getElementById("regDEAlt");
+    this.regHLAltDisplay = document.getElementById("regHLAlt");
     this.flagCDisplay = document.getElementById("flagC");
     this.flagZDisplay = document.getElementById("flagZ");
     this.currentInstructionDisplay =
       document.getElementById("currentInstruction");
+    this.disassemblyDisplay = document.getElementById("disassembly");
+    this.cpuErrorPanel = document.getElementById("cpuErrorPanel");
+    this.hotSpotsPanel = document.getElementById("hotSpots");
+    this.hotSpotsView = document.getElementById("hotSpotsView");
+    this.hotSpotsTable = document.getElementById("hotSpotsTable");
     this.refreshRateDisplay = document.getElementById("refreshRate");
     this.mipsDisplay = document.getElementById("mips");
+    this.tStatesDisplay = document.getElementById("tStates");
     this.RAMatPCDisplay = document.getElementById("RAMatPC");
     this.portsDisplay = document.getElementById("ports");
 
@@ -313,6 +407,14 @@ class Simulator {
       }
     });
 
+    // Clicking an address toggles a breakpoint on its line
+    if (this.addressColumn) {
+      this.addressColumn.addEventListener("pointerdown", (e) => {
+        const line = e.target.closest("[data-line]");
+        if (line) this.toggleBreakpoint(Number(line.dataset.line));
+      });
+    }
+
     // Handle input in the assembly column
     this.assemblyColumn.addEventListener("input", () => {
       // Hide columns when user starts editing
@@ -479,10 +581,44 @@ class Simulator {
       }
     });
 
-    this.addressColumn.textContent = addressLines.join("\n");
+    // One span per line, for the breakpoint toggle to find and mark
+    this.addressColumn.innerHTML = addressLines
+      .map((text, index) => {
+        const address = this.breakpointAddressOfLine(index);
+        const className =
+          address !== null && this.cpu.breakpoints.has(address)
+            ? ' class="breakpoint"'
+            : "";
+        return `<span data-line="${index}"${className}>${text}</span>`;
+      })
+      .join("\n");
     this.opcodesColumn.textContent = opcodeLines.join("\n");
   }
 
+  // Address of the instruction on a source line, or null for lines without code
+  breakpointAddressOfLine(lineIndex) {
+    const details = this.instructionDetails[lineIndex];
+    if (!details || details.startAddress === null || details.opcodes.length === 0) {
+      return null;
+    }
+    return details.startAddress;
+  }
+
+  toggleBreakpoint(lineIndex) {
+    const address = this.breakpointAddressOfLine(lineIndex);
+    if (address === null) return;
+    const breakpoints = this.cpu.breakpoints;
+    if (breakpoints.has(address)) {
+      breakpoints.delete(address);
+      userMessage(`Breakpoint at 0x${formatHex4(address)} cleared`);
+    } else {
+      breakpoints.add(address);
+      userMessage(`Breakpoint at 0x${formatHex4(address)} set`);
+    }
+    this.sendToWorkerRun({ type: "breakpoints", addresses: [...breakpoints] });
+    this.updateAddressAndOpcodesColumns();
+  }
+
   clearAddressAndOpcodesColumns() {
     if (this.addressColumn) {
       this.addressColumn.textContent = "";
@@ -820,15 +956,65 @@ class Simulator {
     this.setKey(KBD_NO_KEY_PRESSED);
   }
 
+  // All RAM, with the screen as a device so that writes to it are noticed. ROM regions and
+  // further devices are declared here with mapROM/mapDevice.
+  createMemoryBus() {
+    const bus = new MemoryBus(this.memory, MemoryBus.ROM_WRITES_FAIL);
+    bus.mapDevice(SCREEN_START, SCREEN_WIDTH * SCREEN_HEIGHT, {
+      write: (address, value) => {
+        this.memory[address] = value;
+        this.screenWritten = true;
+      },
+    });
+    return bus;
+  }
+
   pokeMemory(address, value) {
-    this.memory[address] = value;
+    if (
+      this.deferWhileWorkerStops(() => this.pokeMemory(address, value)) ||
+      this.sendToWorkerRun({ type: "poke", address, value })
+    ) {
+      return;
+    }
+    this.memoryBus.write(address, value);
+  }
+
+  // The peripherals decode only the low byte of the port address and keep their state in
+  // ioMap, which the ports display shows. Further devices are declared here with mapPort.
+  createIOBus() {
+    const bus = new IOBus();
+    const latch = {
+      read: (port) => this.ioMap[port & 0xff],
+      write: (port, value) => {
+        this.ioMap[port & 0xff] = value;
+      },
+    };
+    bus.mapPort(FRAME_COUNT_PORT, latch);
+    bus.mapPort(KEYBOARD_PORT, latch);
+    const beep = {
+      read: latch.read,
+      write: (port, value) => {
+        latch.write(port, value);
+        this.handleBeepPortWrite();
+      },
+    };
+    bus.mapPort(BEEP_10HZ_PORT, beep);
+    bus.mapPort(BEEP_MS_PORT, beep);
+    return bus;
   }
 
+  // Host-side write, bypassing the devices: the keyboard and frame counter set their latches here
   OutPort(port, value) {
+    if (
+      this.deferWhileWorkerStops(() => this.OutPort(port, value)) ||
+      this.sendToWorkerRun({ type: "port", port, value })
+    ) {
+      return;
+    }
     this.ioMap[port] = value;
   }
 
-  handleBeepPortChange() {
+  handleBeepPortWrite() {
     const beepHz = this.ioMap[BEEP_10HZ_PORT] * 10;
     const beepMs = this.ioMap[BEEP_MS_PORT];
 
@@ -1057,7 +1243,7 @@ class Simulator {
   displayTextAtPosition(text, row, col) {
     const addr = SCREEN_START + row * SCREEN_WIDTH + col;
     for (let i = 0; i < text.length && col + i < SCREEN_WIDTH; i++) {
-      this.memory[addr + i] = this.unicodeToSinclair(text[i]);
+      this.memoryBus.write(addr + i, this.unicodeToSinclair(text[i]));
     }
   }
 
@@ -1071,7 +1257,7 @@ class Simulator {
     for (let line = 0; line < SCREEN_HEIGHT; line++) {
       for (let col = 0; col < SCREEN_WIDTH; col++) {
         const addr = SCREEN_START + line * SCREEN_WIDTH + col;
-        this.memory[addr] = this.unicodeToSinclair(" ");
+        this.memoryBus.write(addr, this.unicodeToSinclair(" "));
       }
     }
   }
@@ -1108,22 +1294,30 @@ class Simulator {
           .toString(16)
           .padStart(2, "0")
           .toUpperCase();
-        this.memory[screenAddr] = this.unicodeToSinclair(startCodeStr[0]);
-        this.memory[screenAddr + 1] = this.unicodeToSinclair(startCodeStr[1]);
+        this.memoryBus.write(
+          screenAddr,
+          this.unicodeToSinclair(startCodeStr[0])
+        );
+        this.memoryBus.write(
+          screenAddr + 1,
+          this.unicodeToSinclair(startCodeStr[1])
+        );
 
         // Write colon
-        this.memory[screenAddr + 2] = this.unicodeToSinclair(":");
+        this.memoryBus.write(screenAddr + 2, this.unicodeToSinclair(":"));
 
         // Write 4 characters
         for (let i = 0; i < 4; i++) {
           const code = groupStartCode + i;
           if (code < 256) {
-            this.memory[screenAddr + 3 + i] = code;
+            this.memoryBus.write(screenAddr + 3 + i, code);
           }
         }
         screenCol += 7; // 2 hex + colon + 4 chars = 7
-        this.memory[SCREEN_START + currentLine * SCREEN_WIDTH + screenCol] =
-          this.unicodeToSinclair(" ");
+        this.memoryBus.write(
+          SCREEN_START + currentLine * SCREEN_WIDTH + screenCol,
+          this.unicodeToSinclair(" ")
+        );
         screenCol++;
       }
       currentLine++;
@@ -1176,10 +1370,12 @@ class Simulator {
           (combinedPattern + 1) * 0.5 * sinclairBlockChars.length
         );
 
-        this.memory[addr] =
+        this.memoryBus.write(
+          addr,
           sinclairBlockChars[
             Math.max(0, Math.min(sinclairBlockChars.length - 1, charIndex))
-          ];
+          ]
+        );
       }
     }
   }
@@ -1194,8 +1390,9 @@ class Simulator {
     const copyrightStart = SCREEN_START + line * SCREEN_WIDTH;
 
     for (let i = 0; i < copyrightText.length; i++) {
-      this.memory[copyrightStart + padding + i] = this.unicodeToSinclair(
-        copyrightText[i]
+      this.memoryBus.write(
+        copyrightStart + padding + i,
+        this.unicodeToSinclair(copyrightText[i])
       );
     }
   }
@@ -1385,6 +1582,26 @@ class Simulator {
     return this.fastMode ? "→ SLOW" : "→ FAST";
   }
 
+  toggleClock() {
+    this.clockRateIndex = (this.clockRateIndex + 1) % CLOCK_RATES_HZ.length;
+    this.clockLastTime = performance.now();
+    this.clockOvershoot = 0;
+    this.sendToWorkerRun({ type: "clock", clockHz: CLOCK_RATES_HZ[this.clockRateIndex] });
+    const toggleButton = document.getElementById("clockToggle");
+    if (toggleButton) {
+      toggleButton.textContent = this.getClockToggleLabel();
+    }
+  }
+
+  getClockToggleLabel() {
+    const clockHz = CLOCK_RATES_HZ[this.clockRateIndex];
+    return clockHz ? `${clockHz / one_million} MHz` : "MAX MHz";
+  }
+
+  getClockToggleTitle() {
+    return "Cycles the emulated clock: as fast as possible, 3.25 MHz (ZX81) or 3.5 MHz (Spectrum), timed in T-states.";
+  }
+
   getSpeedToggleTitle() {
     return "Toggles screen rendering only. On the ZX-81 this gave ~300% speedup; in Sinclaude it has almost no performance effect.";
   }
@@ -1404,6 +1621,14 @@ class Simulator {
   getRunButtonTitle() {
     return "Resumes continuous execution from the current position.";
   }
+
+  getStepBackButtonTitle() {
+    return "Undoes the last instruction: registers, memory and ports go back to how they were before it.";
+  }
+
+  getReverseContinueButtonTitle() {
+    return "Runs backwards to the previous breakpoint, or as far back as the history goes. Click an address in the editor to set a breakpoint.";
+  }
   // Timer management methods
   createTimer(callback, interval, isInterval = true) {
     const timerId = isInterval
@@ -1468,9 +1693,20 @@ class Simulator {
         this.updateHardwareDisplay();
         this.updateMIPS();
 
-        // Increment FRAME_COUNT_PORT on each frame
-        const currentCount = this.InPort(FRAME_COUNT_PORT);
-        this.OutPort(FRAME_COUNT_PORT, (currentCount + 1) & 0xff);
+        // A worker run counts the frame and takes the interrupt itself
+        if (this.workerRun) {
+          this.sendToWorkerRun({ type: "frame" });
+        } else {
+          // Increment FRAME_COUNT_PORT on each frame
+          const currentCount = this.InPort(FRAME_COUNT_PORT);
+          this.OutPort(FRAME_COUNT_PORT, (currentCount + 1) & 0xff);
+
+          // The display raises the maskable interrupt once per frame while running.
+          // 0xFF on the data bus is RST 38H in IM 0, as on a floating Sinclair bus.
+          if (this.state === STATE.FREE_RUNNING) {
+            this.cpu.requestInterrupt(0xff);
+          }
+        }
       },
       1000 / FPS,
       true
@@ -1491,6 +1727,11 @@ class Simulator {
       this.initializeScreenElements();
     }
 
+    if (this.lastScreenStateIsValid && !this.screenWritten) {
+      return;
+    }
+    this.screenWritten = false;
+
     // Only update changed characters (or if cache is invalid)
     for (let i = 0; i < SCREEN_WIDTH * SCREEN_HEIGHT; i++) {
       const newByte = this.memory[SCREEN_START + i];
@@ -1609,6 +1850,9 @@ class Simulator {
     if (this.regADisplay) {
       this.regADisplay.textContent = formatHex2(regs.A);
     }
+    if (this.regFDisplay) {
+      this.regFDisplay.textContent = formatHex2(Z80CPU.flagsToByte(regs.F));
+    }
     if (this.regBCDisplay) {
       this.regBCDisplay.textContent = formatHex2(regs.B) + formatHex2(regs.C);
     }
@@ -1618,6 +1862,25 @@ class Simulator {
     if (this.regHLDisplay) {
       this.regHLDisplay.textContent = formatHex2(regs.H) + formatHex2(regs.L);
     }
+    if (this.regIXDisplay) {
+      this.regIXDisplay.textContent = formatHex4(regs.IX);
+    }
+    if (this.regIYDisplay) {
+      this.regIYDisplay.textContent = formatHex4(regs.IY);
+    }
+    const alt = this.cpu.shadowRegisters;
+    if (this.regAFAltDisplay) {
+      this.regAFAltDisplay.textContent = formatHex2(alt.A) + formatHex2(Z80CPU.flagsToByte(alt.F));
+    }
+    if (this.regBCAltDisplay) {
+      this.regBCAltDisplay.textContent = formatHex2(alt.B) + formatHex2(alt.C);
+    }
+    if (this.regDEAltDisplay) {
+      this.regDEAltDisplay.textContent = formatHex2(alt.D) + formatHex2(alt.E);
+    }
+    if (this.regHLAltDisplay) {
+      this.regHLAltDisplay.textContent = formatHex2(alt.H) + formatHex2(alt.L);
+    }
     if (this.flagCDisplay) {
       this.flagCDisplay.textContent = regs.F.C ? "1" : "0";
     }
@@ -1625,12 +1888,17 @@ class Simulator {
       this.flagZDisplay.textContent = regs.F.Z ? "1" : "0";
     }
     if (this.currentInstructionDisplay) {
-      // Show 4 bytes at PC as hex
-      const bytes = [];
-      for (let i = 0; i < 4; i++) {
-        bytes.push(formatHex2(this.memory[(regs.PC + i) & 0xffff]));
-      }
-      this.currentInstructionDisplay.textContent = bytes.join(" ");
+      // No instruction is longer than 4 bytes
+      const [line] = this.disassembler.disassemble(
+        this.memory,
+        regs.PC,
+        regs.PC + 4,
+        this.labels
+      );
+      this.currentInstructionDisplay.textContent = line.text;
+    }
+    if (this.disassemblyDisplay) {
+      this.updateDisassemblyDisplay(regs.PC);
     }
     if (this.portsDisplay) {
       // Display ports 0-3 (Frame, Keyboard, BeepHz, BeepMs)
@@ -1663,6 +1931,14 @@ class Simulator {
     if (this.refreshRateDisplay) {
       this.refreshRateDisplay.textContent = Math.round(this.refreshRate);
     }
+    if (this.tStatesDisplay) {
+      // While stepping, also show what the last step cost
+      const stepCycles = this.cpu.cycleCount - this.stepStartCycles;
+      this.tStatesDisplay.textContent =
+        this.state === STATE.STEPPING
+          ? `${this.cpu.cycleCount} (+${stepCycles})`
+          : `${this.cpu.cycleCount}`;
+    }
     if (this.lastPC === null || regs.PC !== this.lastPC) {
       this.lastPC = regs.PC;
       if (this.lastPC !== this.highlightedPC && this.highlightedPC !== null) {
@@ -1674,6 +1950,53 @@ class Simulator {
     }
   }
 
+  // Where to start disassembling so a few instructions before PC show too. Only the
+  // assembled program says where earlier instructions begin; elsewhere the view starts at PC.
+  disassemblyStart(pc) {
+    const starts = this.instructionDetails
+      .flatMap((details) => details.expansion || [details])
+      .filter(
+        (details) =>
+          details.opcodes.length > 0 &&
+          details.startAddress < pc &&
+          pc - details.startAddress <= DISASSEMBLY_LINES_BEFORE_PC * 4
+      )
+      .map((details) => details.startAddress)
+      .sort((a, b) => a - b);
+    for (const start of starts) {
+      const lines = this.disassembler.disassemble(this.memory, start, pc);
+      const end = start + lines.reduce((sum, line) => sum + line.bytes.length, 0);
+      if (lines.length <= DISASSEMBLY_LINES_BEFORE_PC && end === pc) {
+        return start;
+      }
+    }
+    return pc;
+  }
+
+  updateDisassemblyDisplay(pc) {
+    const start = this.disassemblyStart(pc);
+    // 4 bytes is the longest instruction
+    const lines = this.disassembler
+      .disassemble(this.memory, start, start + DISASSEMBLY_LINES * 4, this.labels)
+      .slice(0, DISASSEMBLY_LINES);
+    const texts = lines.map(
+      (line) =>
+        `${formatHex4(line.address & 0xffff)}  ${line.label ? line.label + ": " : ""}${line.text}`
+    );
+    // Rebuilt only when it reads differently, as this runs every frame
+    const text = pc + texts.join("\n");
+    if (text === this.lastDisassemblyText) return;
+    this.lastDisassemblyText = text;
+    this.disassemblyDisplay.replaceChildren(
+      ...lines.map((line, i) => {
+        const div = document.createElement("div");
+        div.textContent = texts[i];
+        if (line.address === pc) div.classList.add("current");
+        return div;
+      })
+    );
+  }
+
   clearMagazineListing() {
     const machineCodeDiv = document.getElementById("machineCode");
     if (machineCodeDiv) {
@@ -1687,6 +2010,7 @@ class Simulator {
     this.clearAddressAndOpcodesColumns();
     this.clearMagazineListing();
     this.instructionDetails = [];
+    this.labels = {};
     this.setState(STATE.NOT_READY);
     this.updateURL("");
   }
@@ -1768,30 +2092,53 @@ class Simulator {
     this.updateAddressAndOpcodesColumns();
   }
 
+  /**
+   * Sets the symbols defined for the next assembly, so that one source builds variants of a
+   * program with IF and IFDEF
+   * @param {string} text - Entries separated by commas, each NAME (defined as 1) or NAME=number
+   * @returns {boolean} False, with the defines left as they were, when an entry is not valid
+   */
+  setDefines(text) {
+    const defines = {};
+    const entries = text.split(",").map((entry) => entry.trim()).filter((entry) => entry !== "");
+    for (const entry of entries) {
+      const match = entry.match(/^([A-Za-z_]\w*)(?:\s*=\s*(.+))?$/);
+      const value = match && match[2] !== undefined ? Number(match[2]) : 1;
+      if (!match || !Number.isInteger(value)) {
+        userMessage(`Cannot define "${entry}": use NAME or NAME=number`);
+        return false;
+      }
+      defines[match[1].toUpperCase()] = value;
+    }
+    this.defines = defines;
+    return true;
+  }
+
+  // The defines as setDefines takes them, e.g. "DEBUG, LEVEL=2"
+  definesText() {
+    return Object.entries(this.defines)
+      .map(([name, value]) => (value === 1 ? name : `${name}=${value}`))
+      .join(", ");
+  }
+
   assembleAndRun() {
+    if (this.deferWhileWorkerStops(() => this.assembleAndRun())) return;
     const sourceCode = this.getAssemblyCode();
-    const machineCodeDiv = document.getElementById("machineCode");
     const assembler = new Z80Assembler();
-    const result = assembler.assemble(sourceCode);
+    const result = assembler.assemble(sourceCode, this.defines);
     this.loadAddress = result.loadAddress;
 
     if (result.success) {
-      // Initialize audio context for beep functionality
-      if (!this.audioContext) {
-        try {
-          this.audioContext = new AudioContext();
-        } catch (e) {
-          userMessage(
-            "Audio context initialization failed - beep functionality disabled"
-          );
-        }
-      }
-
-      // Store instruction details for opcode display and line mapping
-      this.instructionDetails = result.instructionDetails || [];
+      this.initializeAudio();
+      this.showAssembledProgram(assembler, result);
 
       // Load machine code into memory using shared memory loading function
       Z80Assembler.loadOpcodesIntoMemory(this.memory, this.instructionDetails);
+      // The old program's history would rewind into memory it no longer owns, and its
+      // counts belong to its addresses
+      this.history.clear();
+      this.profile.clear();
+      this.updateHotSpots();
 
       // Clear the screen when assembling and running
       this.clearScreen();
@@ -1800,25 +2147,20 @@ class Simulator {
         // Hot-reload case: preserve CPU state, just inform user
         userMessage("Code hot-reloaded - may need Reset to run properly");
         sinclaude.cpu.set(this.loadAddress);
+        this.sendToWorkerRun({
+          type: "load",
+          regions: this.loadedRegions(),
+          pc: this.loadAddress,
+          breakpoints: [...this.cpu.breakpoints],
+        });
+        this.restartStackChecks();
       } else {
         sinclaude.cpu.set(this.loadAddress, 0xffff);
+        this.restartStackChecks(null);
         this.setState(STATE.FREE_RUNNING);
       }
       this.lastPC = null;
 
-      machineCodeDiv.textContent = assembler.generateMachineCodeListing(
-        result.instructionDetails,
-        result.loadAddress
-      );
-
-      // Update all editor columns with new instruction details
-      this.updateAssemblyDisplayForStepping();
-
-      // Show address and opcodes columns on successful assembly
-      this.showAddressOpcodesColumns();
-
-      machineCodeDiv.classList.remove("error");
-
       // Update URL with encoded program
       this.updateURL(sourceCode);
 
@@ -1832,32 +2174,194 @@ class Simulator {
         });
       }
     } else {
-      // Clear instruction details on assembly failure
-      this.instructionDetails = [];
-
-      // Show all errors in machine code window
-      let errorText = "Assembly Errors:\n\n";
-      if (result.errors) {
-        const lines = sourceCode.split("\n");
-        result.errors.forEach((error) => {
-          const line = lines[error.line - 1] || "";
-          const addressText =
-            error.address !== null && error.address !== undefined
-              ? `@ address 0x${error.address.toString(16).toUpperCase()}`
-              : "@ unknown address";
-          errorText += `Line ${
-            error.line
-          }, ${addressText}: "${line.trim()}" - ${error.message}\n`;
-        });
-      } else {
-        errorText += result.error || "Unknown error";
-      }
-      machineCodeDiv.textContent = errorText;
-      machineCodeDiv.classList.add("error");
+      this.showAssemblyErrors(sourceCode, result);
       this.setState(STATE.NOT_READY);
     }
   }
 
+  // Listing of a failed assembly: its errors, and no program to step through
+  showAssemblyErrors(sourceCode, result) {
+    const machineCodeDiv = document.getElementById("machineCode");
+    // Clear instruction details on assembly failure
+    this.instructionDetails = [];
+    this.labels = {};
+    this.codeMap.load(this.instructionDetails);
+    this.hideAddressOpcodesColumns();
+
+    // Show all errors in machine code window
+    let errorText = "Assembly Errors:\n\n";
+    if (result.errors) {
+      const lines = sourceCode.split("\n");
+      result.errors.forEach((error) => {
+        const line = lines[error.line - 1] || "";
+        const addressText =
+          error.address !== null && error.address !== undefined
+            ? `@ address 0x${error.address.toString(16).toUpperCase()}`
+            : "@ unknown address";
+        errorText += `Line ${
+          error.line
+        }, ${addressText}: "${line.trim()}" - ${error.message}\n`;
+      });
+    } else {
+      errorText += result.error || "Unknown error";
+    }
+    machineCodeDiv.textContent = errorText;
+    machineCodeDiv.classList.add("error");
+  }
+
+  // What a hot reload changed in memory, as [address, bytes] pairs: the program and the
+  // cleared screen
+  loadedRegions() {
+    const regions = this.instructionDetails
+      .filter((detail) => detail.startAddress !== null && detail.opcodes.length > 0)
+      .map((detail) => [detail.startAddress, detail.opcodes]);
+    regions.push([
+      SCREEN_START,
+      this.memory.slice(SCREEN_START, SCREEN_START + SCREEN_WIDTH * SCREEN_HEIGHT),
+    ]);
+    return regions;
+  }
+
+  // Initialize audio context for beep functionality
+  initializeAudio() {
+    if (!this.audioContext) {
+      try {
+        this.audioContext = new AudioContext();
+      } catch (e) {
+        userMessage(
+          "Audio context initialization failed - beep functionality disabled"
+        );
+      }
+    }
+  }
+
+  // Listing and editor columns for a successful assembly
+  showAssembledProgram(assembler, result) {
+    const machineCodeDiv = document.getElementById("machineCode");
+    // Store instruction details for opcode display and line mapping
+    this.instructionDetails = result.instructionDetails || [];
+    this.labels = result.labels || {};
+    this.codeMap.load(this.instructionDetails);
+    this.setCodeChecks(this.codeChecks);
+    this.hideCpuError();
+    // Breakpoints are addresses, which a new assembly may have moved
+    this.cpu.breakpoints.clear();
+
+    machineCodeDiv.textContent = assembler.generateMachineCodeListing(
+      result.instructionDetails,
+      result.loadAddress
+    );
+
+    // Update all editor columns with new instruction details
+    this.updateAssemblyDisplayForStepping();
+
+    // Show address and opcodes columns on successful assembly
+    this.showAddressOpcodesColumns();
+
+    machineCodeDiv.classList.remove("error");
+  }
+
+  /**
+   * Captures the whole machine - CPU, memory and I/O ports - with the program source, as
+   * JSON-safe values. loadSnapshot puts it back, here or in another browser.
+   * @returns {Object} Snapshot for loadSnapshot, downloadSnapshotFile or writeSnapshotSlot
+   */
+  saveSnapshot() {
+    if (this.state === STATE.NOT_READY) {
+      throw new Error("Nothing to save: assemble and run a program first");
+    }
+    if (this.workerRun) {
+      // The worker has the machine, and hands it back only when it stops
+      throw new Error("Break first: the CPU is running in the worker");
+    }
+    return {
+      format: SNAPSHOT_FORMAT,
+      version: SNAPSHOT_VERSION,
+      savedAt: new Date().toISOString(),
+      assembly: this.getAssemblyCode(),
+      defines: this.defines,
+      loadAddress: this.loadAddress,
+      instructionCount: this.instructionCount,
+      cpu: this.cpu.saveState(),
+      memory: bytesToBase64(this.memory),
+      ioMap: Array.from(this.ioMap),
+    };
+  }
+
+  // A snapshot of an earlier version in the current version's shape
+  migrateSnapshot(snapshot) {
+    if (snapshot.version === 1) {
+      // Version 1 came before defines, so its program was assembled with none
+      return { ...snapshot, version: 2, defines: {} };
+    }
+    return snapshot;
+  }
+
+  // Restores a saveSnapshot result and stops there in stepping mode. Throws, with the
+  // machine untouched, when the snapshot is not one this version can load.
+  loadSnapshot(snapshot) {
+    if (!snapshot || snapshot.format !== SNAPSHOT_FORMAT) {
+      throw new Error("Not a Sinclaude snapshot");
+    }
+    snapshot = this.migrateSnapshot(snapshot);
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(
+        `Snapshot version ${snapshot.version} is not supported (this build reads version ${SNAPSHOT_VERSION})`
+      );
+    }
+    if (typeof snapshot.defines !== "object" || snapshot.defines === null) {
+      throw new Error("Snapshot has no defines for its program");
+    }
+    const memory = base64ToBytes(snapshot.memory);
+    if (memory.length !== MEMORY_SIZE || snapshot.ioMap.length !== this.ioMap.length) {
+      throw new Error("Snapshot memory or I/O ports have the wrong size");
+    }
+    if (this.workerRun) {
+      // Take the machine back from the worker first, or it would overwrite the snapshot
+      this.stopContinuousExecution();
+      this.deferWhileWorkerStops(() => this.loadSnapshot(snapshot));
+      return;
+    }
+    this.cpu.loadState(snapshot.cpu);
+
+    // The editor and listing show the program the snapshot was running
+    this.loadAssemblyCode(snapshot.assembly);
+    const assembler = new Z80Assembler();
+    // Reassembling after the load builds the same variant of the program
+    this.defines = snapshot.defines;
+    const result = assembler.assemble(snapshot.assembly, this.defines);
+    if (result.success) {
+      this.showAssembledProgram(assembler, result);
+    } else {
+      // The machine still loads, but there is no listing or symbols to step it with
+      this.showAssemblyErrors(snapshot.assembly, result);
+      this.cpu.breakpoints.clear();
+    }
+    this.updateURL(snapshot.assembly);
+    this.initializeAudio();
+
+    this.memory.set(memory);
+    this.ioMap.set(snapshot.ioMap);
+    this.history.clear();
+    this.restartStackChecks();
+    this.loadAddress = snapshot.loadAddress;
+    this.instructionCount = snapshot.instructionCount;
+    this.stepStartCycles = this.cpu.cycleCount;
+    this.lastPC = null;
+    this.invalidateScreenCache();
+    this.setState(STATE.STEPPING);
+    this.updateHardwareDisplay();
+    const savedAt = new Date(snapshot.savedAt).toLocaleString();
+    if (result.success) {
+      userMessage(`Snapshot from ${savedAt} loaded`);
+    } else {
+      userMessage(
+        `Snapshot from ${savedAt} loaded without its program listing: the program does not ` +
+          `assemble (${result.errors.length} error(s), see the listing)`
+      );
+    }
+  }
+
   updateURL(sourceCode) {
     if (this.isUrlUpdateDisabled()) {
       return;
@@ -1954,6 +2458,11 @@ class Simulator {
       this.clearTimer(this.runLoopInterval);
       this.runLoopInterval = null;
     }
+    // The worker answers with "stopped" once its current frame is done; see finishWorkerRun
+    if (this.workerRun && !this.workerRun.stopping) {
+      this.workerRun.stopping = true;
+      this.worker.postMessage({ type: "break" });
+    }
   }
 
   // Set state and update UI accordingly
@@ -1981,6 +2490,8 @@ class Simulator {
             if (section) section.classList.add("collapsed");
           });
         }
+        // A worker run's counts come back with it, in finishWorkerRun
+        if (!this.workerRun) this.updateHotSpots();
         break;
     }
 
@@ -2031,12 +2542,17 @@ class Simulator {
                     <button id="speedToggle" onclick="sinclaude.toggleSpeed()" title="${this.getSpeedToggleTitle()}">${
                       this.getSpeedToggleLabel()
                     }</button>
+                    <button id="clockToggle" onclick="sinclaude.toggleClock()" title="${this.getClockToggleTitle()}">${
+                      this.getClockToggleLabel()
+                    }</button>
                 `;
         break;
 
       case STATE.STEPPING:
         container.innerHTML = `
                     <button onclick="sinclaude.stepRequest()" title="${this.getStepButtonTitle()}">Step</button>
+                    <button onclick="sinclaude.stepBackRequest()" title="${this.getStepBackButtonTitle()}">Step Back</button>
+                    <button onclick="sinclaude.reverseContinueRequest()" title="${this.getReverseContinueButtonTitle()}">Reverse</button>
                     <button onclick="sinclaude.resetRequest()" title="${this.getResetButtonTitle()}">Reset</button>
                     <button onclick="sinclaude.runRequest()" title="${this.getRunButtonTitle()}">Run</button>
                 `;
@@ -2046,13 +2562,23 @@ class Simulator {
 
   // Handle Reset button click
   resetRequest() {
+    if (this.deferWhileWorkerStops(() => this.resetRequest())) return;
     this.cpu.reset();
+    this.history.clear();
+    this.stackMonitor.clear();
+    // Counts and warnings from before the reset are not the new run's
+    this.profile.clear();
+    this.codeMap.clearWarnings();
+    this.hideCpuError();
     // Set PC to the program's load address (ORG)
     if (this.loadAddress !== undefined) {
       this.cpu.registers.PC = this.loadAddress;
     }
     this.instructionCount = 0;
+    this.stepStartCycles = 0;
+    this.sendToWorkerRun({ type: "reset", pc: this.cpu.registers.PC });
     this.updateHardwareDisplay();
+    this.updateHotSpots();
     // Clear any animation timers during reset
     this.clearNonEssentialTimers();
   }
@@ -2127,6 +2653,9 @@ class Simulator {
   }
 
   startContinuousExecution() {
+    // Run again before the worker handed back the last run: finishWorkerRun restarts it
+    if (this.workerRun) return;
+
     if (this.runLoopInterval !== null) {
       userMessageAboutBug(
         "Already running - ignoring request",
@@ -2143,7 +2672,14 @@ class Simulator {
 
     this.mipsLastUpdate = performance.now();
     this.mipsInstructionCount = this.instructionCount;
-    this.runLoop();
+    this.clockLastTime = performance.now();
+    this.clockOvershoot = 0;
+    this.hideCpuError();
+    if (this.canRunInWorker()) {
+      this.startWorkerRun();
+    } else {
+      this.runLoop();
+    }
   }
 
   runLoop() {
@@ -2154,27 +2690,16 @@ class Simulator {
     // closest prime so i doesnt sync with refresh rate
     const numberOfInstructions = 15991;
     while (performance.now() < endTime) {
-      const result = this.cpu.executeSteps(
-        this.memory,
-        this.ioMap,
-        numberOfInstructions,
-        this.cpu.registers
-      );
+      const result = this.runSlice(numberOfInstructions);
       this.instructionCount += result.instructionsExecuted;
+      this.showCodeWarnings(this.codeMap.takeWarnings());
 
-      // Check for beep port changes after Z80 execution
-      this.handleBeepPortChange();
+      if (this.stopOnRunResult(result)) return;
+      // HALT sleeps until the next frame interrupt
+      if (result.halted) break;
 
-      if (result.error) {
-        userMessageAboutBug("CPU error during run", `${result.error}`);
-        return;
-      }
-
-      if (result.halted) {
-        userMessage("CPU halted - switched to stepping mode");
-        this.setState(STATE.STEPPING);
-        return;
-      }
+      // A real-time clock has now run every T-state owed
+      if (CLOCK_RATES_HZ[this.clockRateIndex]) break;
     }
     // Schedule next execution cycle
     this.runLoopInterval = this.createTimer(
@@ -2184,6 +2709,426 @@ class Simulator {
     );
   }
 
+  // Switches to stepping when a batch of free running ended in an error, at a breakpoint or
+  // in a HALT that no interrupt can end; returns whether it did
+  stopOnRunResult(result) {
+    if (result.error) {
+      // Stop where it went wrong rather than spin on it
+      this.showCpuError(result);
+    } else if (result.stoppedAt && result.stoppedAt.reason === "watchpoint") {
+      userMessage(`${this.describeWatchpointStop(result.stoppedAt)} - switched to stepping mode`);
+    } else if (result.stoppedAt && result.stoppedAt.reason === "stack") {
+      userMessage(`${this.describeStackStop(result.stoppedAt)} - switched to stepping mode`);
+    } else if (result.stoppedAt && result.stoppedAt.reason === "code") {
+      userMessage(`${this.describeCodeFinding(result.stoppedAt)} - switched to stepping mode`);
+    } else if (result.stoppedAt) {
+      userMessage(
+        `Breakpoint at 0x${formatHex4(result.stoppedAt.address)} - switched to stepping mode`
+      );
+    } else if (result.halted && !this.cpu.iff1) {
+      userMessage("CPU halted with interrupts disabled - switched to stepping mode");
+    } else {
+      return false;
+    }
+    this.setState(STATE.STEPPING);
+    if (result.stoppedAt && ["watchpoint", "stack", "code"].includes(result.stoppedAt.reason)) {
+      // PC has moved past the instruction that stopped: highlight that one instead
+      this.updateHardwareDisplay();
+      this.setHighlight(result.stoppedAt.address);
+    }
+    return true;
+  }
+
+  // "Watchpoint: write of 0x00 to 0x9000 (PLAYER_COL) by the instruction at 0x8012"
+  describeWatchpointStop(stop) {
+    const value = formatHex2(stop.value);
+    let what;
+    if (stop.space === Z80CPU.WATCH_PORT) {
+      what =
+        stop.access === Z80CPU.WATCH_READ
+          ? `IN of 0x${value} from port 0x${formatHex2(stop.target)}`
+          : `OUT of 0x${value} to port 0x${formatHex2(stop.target)}`;
+    } else {
+      const label = Object.keys(this.labels).find((name) => this.labels[name] === stop.target);
+      what =
+        (stop.access === Z80CPU.WATCH_READ ? `read of 0x${value} from` : `write of 0x${value} to`) +
+        ` 0x${formatHex4(stop.target)}` +
+        (label ? ` (${label})` : "");
+    }
+    return `Watchpoint: ${what} by the instruction at 0x${formatHex4(stop.address)}`;
+  }
+
+  // The finding, then "by the instruction at 0x8012 (in PRINT)" under the label before it
+  describeStackStop(stop) {
+    let routine = null;
+    for (const name of Object.keys(this.labels)) {
+      const address = this.labels[name];
+      if (address <= stop.address && (routine === null || address > this.labels[routine])) {
+        routine = name;
+      }
+    }
+    return (
+      `${stop.message}, by the instruction at 0x${formatHex4(stop.address)}` +
+      (routine !== null ? ` (in ${routine})` : "")
+    );
+  }
+
+  // "Code check: write of 0xC9 to 0x8005, code from line 12 (NOP), by the instruction at 0x8002"
+  describeCodeFinding(finding) {
+    const detail = this.instructionDetails[finding.line - 1];
+    const from = `line ${finding.line}` + (detail ? ` (${detail.sourceString.trim()})` : "");
+    return finding.access === CodeMap.WRITE
+      ? `Code check: write of 0x${formatHex2(finding.value)} to 0x${formatHex4(finding.target)}, code from ${from}, ` +
+          `by the instruction at 0x${formatHex4(finding.address)}`
+      : `Code check: executing 0x${formatHex4(finding.target)}, data from ${from}`;
+  }
+
+  showCodeWarnings(warnings) {
+    for (const warning of warnings) {
+      userMessage(`${this.describeCodeFinding(warning)} (add ; @SMC to the line if meant)`);
+    }
+  }
+
+  /**
+   * What a write to the program's code, or the execution of its data, does (see CodeMap)
+   * @param {string} policy - "off", CodeMap.WARN or CodeMap.BREAK
+   */
+  setCodeChecks(policy) {
+    this.codeChecks = policy;
+    this.cpu.codeMap = policy === "off" ? null : this.codeMap;
+    if (this.cpu.codeMap !== null) this.codeMap.policy = policy;
+    this.sendToWorkerRun({
+      type: "codeMap",
+      codeMap: this.cpu.codeMap !== null ? this.codeMap.saveState() : null,
+    });
+  }
+
+  /**
+   * Stack checks: a shadow call stack that stops execution when a RET pops something other
+   * than what its CALL, RST or interrupt pushed, and guards on the program and the screen
+   * that stop it when the stack grows into them (see StackMonitor)
+   * @param {boolean} enabled
+   */
+  setStackChecks(enabled) {
+    this.cpu.stackMonitor = enabled ? this.stackMonitor : null;
+    this.restartStackChecks();
+  }
+
+  // The stack checks start again from the machine as it is: what the stack holds now was
+  // pushed before, so returns into it are not checked. sp is null when the stack is empty.
+  restartStackChecks(sp = this.cpu.registers.SP) {
+    this.stackMonitor.guards = this.stackGuards();
+    this.stackMonitor.clear(sp);
+    // A running worker restarts its own from where its stack is
+    this.sendToWorkerRun({
+      type: "stack",
+      guards: this.cpu.stackMonitor !== null ? this.stackMonitor.guards : null,
+    });
+  }
+
+  // The program as assembled, in runs of consecutive bytes, and the screen
+  stackGuards() {
+    const spans = (this.instructionDetails || [])
+      .filter((detail) => detail.startAddress !== null && detail.opcodes.length > 0)
+      .map((detail) => ({ start: detail.startAddress, end: detail.startAddress + detail.opcodes.length - 1 }))
+      .sort((a, b) => a.start - b.start);
+    const guards = [];
+    for (const span of spans) {
+      const last = guards[guards.length - 1];
+      if (last && span.start <= last.end + 1) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        guards.push({ ...span, name: "the program" });
+      }
+    }
+    guards.push({
+      start: SCREEN_START,
+      end: SCREEN_START + SCREEN_WIDTH * SCREEN_HEIGHT - 1,
+      name: "the screen",
+    });
+    return guards;
+  }
+
+  /**
+   * Stops execution when memory or a port is accessed (see Z80CPU.setWatchpoints). From the
+   * console: sinclaude.watch("write", "player_col", { value: 0 })
+   * @param {string} access - "read", "write" or "access" (either) for memory; "in", "out" or
+   *   "port" (either) for ports
+   * @param {number|string} target - Address or port, or a label of the last assembly
+   * @param {Object} [options]
+   * @param {number} [options.length=1] - Bytes or ports watched, from target on
+   * @param {number|null} [options.value=null] - The only value that stops; null for any
+   * @returns {Object[]} Every watchpoint now set
+   */
+  watch(access, target, { length = 1, value = null } = {}) {
+    const portAccess = WATCH_PORT_ACCESSES[access];
+    let start = target;
+    if (typeof target === "string") {
+      start = this.labels[target.toUpperCase()];
+      if (start === undefined) {
+        throw new Error(`No label ${target} in the last assembly`);
+      }
+    }
+    this.setWatchpoints([
+      ...this.cpu.watchpoints,
+      {
+        space: portAccess ? Z80CPU.WATCH_PORT : Z80CPU.WATCH_MEMORY,
+        access: portAccess || access,
+        start,
+        end: start + length - 1,
+        value,
+      },
+    ]);
+    return this.cpu.watchpoints;
+  }
+
+  // Removes every watchpoint
+  unwatch() {
+    this.setWatchpoints([]);
+  }
+
+  setWatchpoints(watchpoints) {
+    this.cpu.setWatchpoints(watchpoints);
+    this.sendToWorkerRun({ type: "watchpoints", watchpoints: this.cpu.watchpoints });
+  }
+
+  // Run one batch: a fixed instruction count when unthrottled, or the T-states owed
+  // since the last batch when emulating a real clock
+  runSlice(numberOfInstructions) {
+    const clockHz = CLOCK_RATES_HZ[this.clockRateIndex];
+    if (!clockHz) {
+      return this.cpu.executeSteps(
+        this.cpuMemory,
+        this.cpuIO,
+        numberOfInstructions,
+        this.cpu.registers
+      );
+    }
+    const now = performance.now();
+    // Owe at most one frame so a backgrounded tab does not replay its backlog at once
+    const elapsedMs = Math.min(now - this.clockLastTime, 1000 / FPS);
+    this.clockLastTime = now;
+    // The last instruction of a batch overshoots its budget; repay that from the next one
+    const owed = (elapsedMs / 1000) * clockHz - this.clockOvershoot;
+    const result = this.cpu.executeCycles(
+      this.cpuMemory,
+      this.cpuIO,
+      owed,
+      this.cpu.registers
+    );
+    this.clockOvershoot = result.tStates - owed;
+    return result;
+  }
+
+  // The worker that runs the CPU while free running, or null where one cannot start (some
+  // browsers refuse them to file:// pages) and runLoop does the running instead
+  createWorker() {
+    if (typeof Worker === "undefined") {
+      return null;
+    }
+    // Cache-busted like boot.js's scripts; the worker passes the query on to its own imports
+    const cacheBust =
+      typeof BUILD_VERSION_BY_YAML !== "undefined"
+        ? BUILD_VERSION_BY_YAML().buildDate
+        : Date.now();
+    let worker;
+    try {
+      worker = new Worker(`emulator_worker.js?cb=${cacheBust}`);
+    } catch (e) {
+      return null;
+    }
+    worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+    worker.onerror = (event) => this.handleWorkerError(event);
+    worker.postMessage({
+      type: "init",
+      memory: this.sharedMemory ? this.memory : null,
+      ioMap: this.sharedMemory ? this.ioMap : null,
+      screen: { start: SCREEN_START, length: SCREEN_WIDTH * SCREEN_HEIGHT },
+      ports: {
+        frameCount: FRAME_COUNT_PORT,
+        keyboard: KEYBOARD_PORT,
+        beepHz: BEEP_10HZ_PORT,
+        beepMs: BEEP_MS_PORT,
+      },
+    });
+    return worker;
+  }
+
+  // A trap handler is a function on this page, which the worker cannot call
+  canRunInWorker() {
+    return (
+      this.worker !== null &&
+      this.useWorker &&
+      !(
+        this.cpu.unknownOpcodePolicy === Z80CPU.UNKNOWN_OPCODE_TRAP &&
+        this.cpu.unknownOpcodeHandler !== null
+      )
+    );
+  }
+
+  // Hands the machine to the worker. The history is copied rather than transferred, so that
+  // it is still here should the worker fail.
+  startWorkerRun() {
+    this.workerRun = {
+      stopping: false,
+      whenStopped: [],
+      // Without shared memory only the screen comes back while the worker runs, so should it
+      // fail, the machine goes back to how it was here and stops
+      start: this.sharedMemory
+        ? null
+        : {
+            cpu: this.cpu.saveState(),
+            instructionCount: this.instructionCount,
+            screen: this.memory.slice(SCREEN_START, SCREEN_START + SCREEN_WIDTH * SCREEN_HEIGHT),
+          },
+    };
+    this.worker.postMessage({
+      type: "run",
+      cpu: this.cpu.saveState(),
+      memory: this.sharedMemory ? null : this.memory,
+      ioMap: this.sharedMemory ? null : this.ioMap,
+      instructionCount: this.instructionCount,
+      breakpoints: [...this.cpu.breakpoints],
+      watchpoints: this.cpu.watchpoints,
+      unknownOpcodePolicy: this.cpu.unknownOpcodePolicy,
+      clockHz: CLOCK_RATES_HZ[this.clockRateIndex],
+      frameMs: 1000 / FPS,
+      history: this.cpu.tracer !== null ? this.history.exportRecords() : null,
+      profile: this.cpu.profile !== null ? this.profile.exportCounts() : null,
+      stack: this.cpu.stackMonitor !== null ? this.stackMonitor.saveState() : null,
+      codeMap: this.cpu.codeMap !== null ? this.codeMap.saveState() : null,
+    });
+  }
+
+  // Passes a change on to a running worker; false when there is none, for the caller to make
+  // the change here
+  sendToWorkerRun(message) {
+    if (!this.workerRun || this.workerRun.stopping) {
+      return false;
+    }
+    this.worker.postMessage(message);
+    return true;
+  }
+
+  // Whatever needs the machine while the worker is handing it back waits for it; returns
+  // whether the action had to wait
+  deferWhileWorkerStops(action) {
+    if (!this.workerRun || !this.workerRun.stopping) {
+      return false;
+    }
+    this.workerRun.whenStopped.push(action);
+    return true;
+  }
+
+  handleWorkerMessage(message) {
+    switch (message.type) {
+      case "status":
+        this.showWorkerStatus(message);
+        break;
+      case "beep":
+        this.playBeep(message.hz, message.ms);
+        break;
+      case "stopped":
+        this.finishWorkerRun(message);
+        break;
+      case "profileCounts":
+        if (this.workerRun && message.profile) {
+          this.profile.importCounts(message.profile);
+          this.updateHotSpots();
+        }
+        break;
+    }
+  }
+
+  // The registers, screen and ports as of the worker's last frame, for the displays
+  showWorkerStatus(message) {
+    if (!this.workerRun) return;
+    this.cpu.loadState(message.cpu);
+    this.instructionCount = message.instructionCount;
+    if (message.screen) {
+      this.memory.set(message.screen, SCREEN_START);
+    }
+    if (message.ioMap) {
+      this.ioMap.set(message.ioMap);
+    }
+    if (message.screenWritten) {
+      this.screenWritten = true;
+    }
+    this.showCodeWarnings(message.codeWarnings);
+  }
+
+  // The worker has handed the machine back. A stop of its own is reported as runLoop would;
+  // then come the actions that waited, and a restart if Run was pressed in the meantime.
+  finishWorkerRun(message) {
+    const run = this.workerRun;
+    this.workerRun = null;
+    this.cpu.loadState(message.cpu);
+    if (message.memory) {
+      this.memory.set(message.memory);
+    }
+    if (message.ioMap) {
+      this.ioMap.set(message.ioMap);
+    }
+    if (message.history) {
+      this.history.importRecords(message.history);
+    }
+    if (message.profile) {
+      this.profile.importCounts(message.profile);
+    }
+    if (message.stack) {
+      this.stackMonitor.loadState(message.stack);
+    }
+    if (message.codeMap) {
+      this.codeMap.loadState(message.codeMap);
+    }
+    this.showCodeWarnings(message.codeWarnings);
+    this.instructionCount = message.instructionCount;
+    this.invalidateScreenCache();
+    if (this.state === STATE.FREE_RUNNING) {
+      this.stopOnRunResult(message);
+    }
+    this.updateHardwareDisplay();
+    this.updateHotSpots();
+    run.whenStopped.forEach((action) => action());
+    if (this.state === STATE.FREE_RUNNING && this.workerRun === null) {
+      this.startContinuousExecution();
+    }
+  }
+
+  // A worker that fails, such as when its scripts do not load, is not tried again. Its run
+  // carries on here from the last status, without the history, which no longer fits memory.
+  handleWorkerError(event) {
+    event.preventDefault();
+    userMessageAboutBug("CPU worker failed - the CPU runs on the main thread from now on", event.message);
+    this.worker.terminate();
+    this.worker = null;
+    const run = this.workerRun;
+    if (!run) return;
+    this.workerRun = null;
+    if (run.start !== null) {
+      // The rest of memory is still as it was at Run, and so are the history and the profile.
+      // What the program wrote since is lost, and so are the pokes and port writes that went
+      // only to the worker, so rather than carry on from a machine that never was, stop at
+      // the one from Run.
+      this.cpu.loadState(run.start.cpu);
+      this.instructionCount = run.start.instructionCount;
+      this.memory.set(run.start.screen, SCREEN_START);
+      this.screenWritten = true;
+      this.restartStackChecks();
+      userMessage("Stopped at the machine as it was when Run was pressed: changes since then are lost");
+      this.setState(STATE.STEPPING);
+      this.updateHardwareDisplay();
+      run.whenStopped.forEach((action) => action());
+      return;
+    }
+    this.history.clear();
+    this.restartStackChecks();
+    run.whenStopped.forEach((action) => action());
+    if (this.state === STATE.FREE_RUNNING && this.workerRun === null) {
+      this.startContinuousExecution();
+    }
+  }
+
   updateMIPS() {
     if (this.state !== STATE.FREE_RUNNING) {
       this.mipsValue = "-";
@@ -2214,6 +3159,7 @@ class Simulator {
   }
 
   stepRequest() {
+    if (this.deferWhileWorkerStops(() => this.stepRequest())) return;
     if (this.state === STATE.NOT_READY) {
       userMessage(
         "Please assemble code first before stepping through execution."
@@ -2234,25 +3180,230 @@ class Simulator {
   }
 
   executeOneInstruction() {
+    // Stepping is a debugger action, so it resumes past a HALT rather than waiting for an interrupt
+    this.cpu.halted = false;
+    this.stepStartCycles = this.cpu.cycleCount;
+    this.hideCpuError();
     const result = this.cpu.executeSteps(
-      this.memory,
-      this.ioMap,
+      this.cpuMemory,
+      this.cpuIO,
       1,
       this.cpu.registers
     );
     this.instructionCount += result.instructionsExecuted;
 
-    // Check for beep port changes after Z80 execution
-    this.handleBeepPortChange();
-
     this.updateHardwareDisplay();
+    this.updateHotSpots();
+    this.showCodeWarnings(this.codeMap.takeWarnings());
 
     if (result.error) {
-      userMessageAboutBug("CPU error during step", `${result.error}`);
+      this.showCpuError(result);
+    } else if (result.stoppedAt && result.stoppedAt.reason === "watchpoint") {
+      userMessage(this.describeWatchpointStop(result.stoppedAt));
+    } else if (result.stoppedAt && result.stoppedAt.reason === "stack") {
+      userMessage(this.describeStackStop(result.stoppedAt));
+    } else if (result.stoppedAt && result.stoppedAt.reason === "code") {
+      userMessage(this.describeCodeFinding(result.stoppedAt));
+    }
+  }
+
+  // Error panel under the disassembly. An unknown opcode is shown with its address and
+  // bytes; the CPU leaves PC on it, so the editor highlights its line.
+  showCpuError(result) {
+    const fault = result.stoppedAt;
+    const text =
+      fault && fault.reason === "unknownOpcode"
+        ? `Unknown opcode ${fault.bytes.map(formatHex2).join(" ")} at ${formatHex4(fault.address)}: ${result.error}`
+        : `CPU error at ${formatHex4(this.cpu.registers.PC)}: ${result.error}`;
+    consoleLogApproved(text);
+    if (this.cpuErrorPanel) {
+      this.cpuErrorPanel.textContent = text;
+      this.cpuErrorPanel.hidden = false;
+    }
+  }
+
+  hideCpuError() {
+    if (this.cpuErrorPanel) this.cpuErrorPanel.hidden = true;
+  }
+
+  // Stop, NOP or trap to sinclaude.cpu.unknownOpcodeHandler; see Z80CPU.UNKNOWN_OPCODE_STOP
+  setUnknownOpcodePolicy(policy) {
+    this.cpu.unknownOpcodePolicy = policy;
+    this.sendToWorkerRun({ type: "unknownOpcodePolicy", policy });
+  }
+
+  // History recording slows the CPU down, so it can be switched off from the menu
+  setHistoryRecording(enabled) {
+    this.cpu.tracer = enabled ? this.history : null;
+    this.cpuMemory = enabled ? this.history.memory : this.memoryBus;
+    this.cpuIO = enabled ? this.history.io : this.ioBus;
+    if (!enabled) this.history.clear();
+    if (this.workerRun) {
+      // The history here stopped at Run; the worker starts afresh from this point
+      this.history.clear();
+      this.sendToWorkerRun({
+        type: "recordHistory",
+        history: enabled ? this.history.exportRecords() : null,
+      });
     }
   }
 
-  setHighlight() {
+  // Profiling counts every instruction and memory access (see ExecutionProfile) for the hot
+  // spots table, and slows the CPU down, so it can be switched on and off from the menu
+  setProfiling(enabled) {
+    this.cpu.profile = enabled ? this.profile : null;
+    if (this.hotSpotsPanel) this.hotSpotsPanel.hidden = !enabled;
+    this.sendToWorkerRun({
+      type: "profile",
+      profile: enabled ? this.profile.exportCounts() : null,
+    });
+    this.updateHotSpots();
+  }
+
+  clearProfile() {
+    this.profile.clear();
+    if (this.cpu.profile !== null) {
+      this.sendToWorkerRun({ type: "profile", profile: this.profile.exportCounts() });
+    }
+    this.updateHotSpots();
+  }
+
+  // The counts here stop at Run while the worker runs, so ask it for its own
+  refreshHotSpots() {
+    if (!this.sendToWorkerRun({ type: "profileCounts" })) {
+      this.updateHotSpots();
+    }
+  }
+
+  showHotSpotView() {
+    this.hotSpotSort = {
+      key: HOT_SPOT_DEFAULT_SORT[this.hotSpotsView.value],
+      descending: true,
+    };
+    this.updateHotSpots();
+  }
+
+  // A second click on a heading reverses the order
+  sortHotSpots(key) {
+    this.hotSpotSort =
+      this.hotSpotSort.key === key
+        ? { key, descending: !this.hotSpotSort.descending }
+        : { key, descending: !HOT_SPOT_ASCENDING.has(key) };
+    this.updateHotSpots();
+  }
+
+  // Rebuilds the table from the counts; only called on a stop, a step or a click, as
+  // summarizing goes through all 64K addresses
+  updateHotSpots() {
+    if (!this.hotSpotsTable || this.cpu.profile === null) return;
+    const view = this.hotSpotsView.value;
+    const columns = HOT_SPOT_COLUMNS[view];
+    const summary = this.profile.summarize(this.instructionDetails, this.labels);
+    const rows = summary[view].map((entry) => ({
+      ...entry,
+      name: this.hotSpotName(entry),
+      percent: summary.totalCycles ? (100 * entry.cycles) / summary.totalCycles : 0,
+    }));
+    const { key, descending } = this.hotSpotSort;
+    rows.sort((a, b) => {
+      const order =
+        typeof a[key] === "string" ? a[key].localeCompare(b[key]) : a[key] - b[key];
+      return descending ? -order : order;
+    });
+
+    const header = document.createElement("tr");
+    for (const column of columns) {
+      const th = document.createElement("th");
+      th.textContent =
+        HOT_SPOT_HEADINGS[column] + (column === key ? (descending ? " ▼" : " ▲") : "");
+      th.addEventListener("click", () => this.sortHotSpots(column));
+      header.appendChild(th);
+    }
+    const body = rows.slice(0, HOT_SPOT_ROWS).map((row) => {
+      const tr = document.createElement("tr");
+      for (const column of columns) {
+        const td = document.createElement("td");
+        td.textContent = this.formatHotSpotCell(column, row[column]);
+        tr.appendChild(td);
+      }
+      return tr;
+    });
+    if (rows.length === 0) {
+      const tr = document.createElement("tr");
+      const td = document.createElement("td");
+      td.colSpan = columns.length;
+      td.textContent = "Nothing counted yet";
+      tr.appendChild(td);
+      body.push(tr);
+    }
+    this.hotSpotsTable.replaceChildren(header, ...body);
+  }
+
+  // A label, and for memory how far past it the address is; subroutines without a label have
+  // only their address
+  hotSpotName(entry) {
+    if (entry.name === undefined || entry.name === null) return "";
+    return entry.offset ? `${entry.name}+${entry.offset}` : entry.name;
+  }
+
+  formatHotSpotCell(column, value) {
+    if (column === "address") return formatHex4(value);
+    if (column === "percent") return value.toFixed(1);
+    return String(value);
+  }
+
+  stepBackRequest() {
+    if (this.deferWhileWorkerStops(() => this.stepBackRequest())) return;
+    if (this.state !== STATE.STEPPING) {
+      userMessage("Step Back ignored: not in stepping state");
+      return;
+    }
+    if (!this.history.stepBack()) {
+      userMessage("No earlier instruction recorded");
+      return;
+    }
+    this.instructionCount--;
+    this.showRewoundMachine();
+  }
+
+  // Steps back until the PC reaches a breakpoint or the history runs out
+  reverseContinueRequest() {
+    if (this.deferWhileWorkerStops(() => this.reverseContinueRequest())) return;
+    if (this.state !== STATE.STEPPING) {
+      userMessage("Reverse ignored: not in stepping state");
+      return;
+    }
+    let steps = 0;
+    while (this.history.stepBack()) {
+      steps++;
+      if (this.cpu.breakpoints.has(this.cpu.registers.PC)) break;
+    }
+    if (steps === 0) {
+      userMessage("No earlier instruction recorded");
+      return;
+    }
+    this.instructionCount -= steps;
+    if (this.cpu.breakpoints.has(this.cpu.registers.PC)) {
+      userMessage(
+        `Rewound ${steps} instructions to the breakpoint at 0x${formatHex4(this.cpu.registers.PC)}`
+      );
+    } else {
+      userMessage(`Rewound ${steps} instructions to the start of the history`);
+    }
+    this.showRewoundMachine();
+  }
+
+  showRewoundMachine() {
+    // Rewinding writes memory directly, unseen by the screen device, and undoes calls and
+    // returns unseen by the stack checks
+    this.invalidateScreenCache();
+    this.restartStackChecks();
+    this.stepStartCycles = this.cpu.cycleCount;
+    this.updateHardwareDisplay();
+  }
+
+  // Highlights the source line of the instruction at address, PC by default
+  setHighlight(address = this.cpu.registers.PC) {
     if (!this.instructionDetails || this.instructionDetails.length === 0) {
       userMessageAboutBug(
         "Line highlighting failed - no instruction details mapping",
@@ -2261,18 +3412,24 @@ class Simulator {
       return;
     }
 
-    // Only act if PC has changed from what's currently highlighted
-    if (this.highlightedPC === this.cpu.registers.PC) {
+    // Only act if the address has changed from what's currently highlighted
+    if (this.highlightedPC === address) {
       return;
     }
 
-    this.highlightedPC = this.cpu.registers.PC;
+    this.highlightedPC = address;
 
-    // Find the last source line that corresponds to the current PC (to skip labels)
+    // Find the last source line that corresponds to the current PC (to skip labels); an
+    // instruction from a macro expansion highlights the invocation
     let targetLine = null;
     for (let i = 0; i < this.instructionDetails.length; i++) {
       const detail = this.instructionDetails[i];
-      if (detail && detail.startAddress === this.highlightedPC) {
+      if (
+        detail &&
+        (detail.startAddress === this.highlightedPC ||
+          (detail.expansion &&
+            detail.expansion.some((part) => part.startAddress === this.highlightedPC)))
+      ) {
         targetLine = i;
       } else if (
         detail &&
@@ -0,0 +1,96 @@
+// Machine snapshot storage: files to download and upload, and quick-save slots in IndexedDB.
+// The snapshot itself is built and checked by Simulator.saveSnapshot/loadSnapshot.
+
+const SNAPSHOT_DB_NAME = "sinclaude";
+const SNAPSHOT_STORE_NAME = "snapshots";
+const SNAPSHOT_SLOT_COUNT = 3;
+
+// Memory goes into the JSON as base64, a third the size of an array of numbers
+function bytesToBase64(bytes) {
+  let binary = "";
+  // Chunked, as String.fromCharCode takes its bytes as arguments
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+function downloadSnapshotFile(snapshot) {
+  const blob = new Blob([JSON.stringify(snapshot)], {
+    type: "application/json",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `sinclaude-${snapshot.savedAt.replace(/[:.]/g, "-")}.json`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Asks the user for a snapshot file and passes its parsed contents to onSnapshot
+function uploadSnapshotFile(onSnapshot) {
+  const input = document.createElement("input");
+  input.type = "file";
+  input.accept = ".json,application/json";
+  input.addEventListener("change", () => {
+    const file = input.files[0];
+    if (!file) return;
+    file
+      .text()
+      .then((text) => onSnapshot(JSON.parse(text)))
+      .catch((err) => userMessage(`Cannot load snapshot: ${err.message}`));
+  });
+  input.click();
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openSnapshotDatabase() {
+  const request = indexedDB.open(SNAPSHOT_DB_NAME, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(SNAPSHOT_STORE_NAME);
+  };
+  return requestToPromise(request);
+}
+
+function checkSnapshotSlot(slot) {
+  if (!Number.isInteger(slot) || slot < 1 || slot > SNAPSHOT_SLOT_COUNT) {
+    throw new Error(`Snapshot slot must be 1 to ${SNAPSHOT_SLOT_COUNT}`);
+  }
+}
+
+function writeSnapshotSlot(slot, snapshot) {
+  checkSnapshotSlot(slot);
+  return openSnapshotDatabase().then((db) =>
+    requestToPromise(
+      db
+        .transaction(SNAPSHOT_STORE_NAME, "readwrite")
+        .objectStore(SNAPSHOT_STORE_NAME)
+        .put(snapshot, slot)
+    ).finally(() => db.close())
+  );
+}
+
+// Resolves to the snapshot in the slot, or undefined when the slot is empty
+function readSnapshotSlot(slot) {
+  checkSnapshotSlot(slot);
+  return openSnapshotDatabase().then((db) =>
+    requestToPromise(
+      db
+        .transaction(SNAPSHOT_STORE_NAME, "readonly")
+        .objectStore(SNAPSHOT_STORE_NAME)
+        .get(slot)
+    ).finally(() => db.close())
+  );
+}
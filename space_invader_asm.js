@@ -16,6 +16,11 @@ KBD_RESTART         EQU 'W'
 KBD_INVISIBLE       EQU 'W'
 KBD_NO_KEY_PRESSED  EQU -1
 
+; the invisibility key; Defines CHEATS=0 (or ?define=CHEATS=0) builds the game without it
+IFNDEF CHEATS
+CHEATS              EQU TRUE
+ENDIF
+
 SCREEN_BASE         EQU 60000
 SCREEN_COLS         EQU 32
 SCREEN_ROWS         EQU 24
@@ -145,12 +150,14 @@ handle_keyboard:
   CP   KBD_QUIT
   JR   Z, quit_game
 
+IF CHEATS
   CP   KBD_INVISIBLE
   RET  NZ
 
   LD   A, (invisible_mode)
   CPL
   LD   (invisible_mode), A
+ENDIF
   RET
 
 move_player_left:
@@ -0,0 +1,124 @@
+// Stack Monitor
+// A shadow call stack for Z80CPU: with cpu.stackMonitor set, every CALL, RST and interrupt
+// records the return address it pushed and where, and every RET, RETI and RETN is checked
+// against the latest record. A return that pops another address, or pops it from elsewhere
+// because a PUSH or POP in between was left unbalanced, is reported, as is one that pops an
+// address no CALL pushed. So is SP running into a guard region (the program, the screen) or
+// wrapping around the top or bottom of memory. Each finding stops execution after the
+// instruction that caused it, with stoppedAt { reason: 'stack', address, message }.
+//
+// USAGE:
+//   cpu.stackMonitor = new StackMonitor([{ start: 60000, end: 60767, name: 'the screen' }]);
+//   const result = cpu.executeSteps(memory, iomap, 1000);
+//   if (result.stoppedAt && result.stoppedAt.reason === 'stack') console.log(result.stoppedAt.message);
+class StackMonitor {
+    /**
+     * @param {Object[]} guards - Regions the stack must not grow into, each { start, end, name }
+     *   with end inclusive
+     */
+    constructor(guards = []) {
+        this.guards = guards;
+        this.clear();
+    }
+
+    /**
+     * Forgets the calls recorded, for when the machine is changed from outside (reset, reload,
+     * step back)
+     * @param {number|null} sp - Where the stack stood then: returns that pop from there up were
+     *   called before and are not checked. Null when the stack is known to be empty.
+     */
+    clear(sp = null) {
+        // { sp, returnAddress, target } per call, latest last; sp is where its return address is
+        this.frames = [];
+        this.untrackedFrom = sp === null ? 0x10000 : sp;
+    }
+
+    // The guards and the calls recorded, as plain values, for the simulator's worker to carry
+    // on from
+    saveState() {
+        return { guards: this.guards, frames: this.frames, untrackedFrom: this.untrackedFrom };
+    }
+
+    loadState(state) {
+        this.guards = state.guards;
+        this.frames = state.frames;
+        this.untrackedFrom = state.untrackedFrom;
+    }
+
+    // Z80CPU calls these as it moves the stack; each returns a finding, or null
+
+    // Before a push, with SP as it is
+    push(sp) {
+        if (sp < 2) {
+            return `Stack overflow: SP 0x${StackMonitor.hex4(sp)} wraps below 0000 on a push`;
+        }
+        const low = sp - 2;
+        for (const guard of this.guards) {
+            if (low <= guard.end && sp - 1 >= guard.start) {
+                return `Stack overflow: SP 0x${StackMonitor.hex4(low)} runs into ${guard.name}` +
+                    ` (0x${StackMonitor.hex4(guard.start)}-0x${StackMonitor.hex4(guard.end)})`;
+            }
+        }
+        return null;
+    }
+
+    // Before a pop, with SP as it is
+    pop(sp) {
+        if (sp > 0xFFFE) {
+            return `Stack underflow: SP 0x${StackMonitor.hex4(sp)} wraps past FFFF on a pop`;
+        }
+        return null;
+    }
+
+    // After a CALL, RST or interrupt has pushed returnAddress at sp
+    call(sp, returnAddress, target) {
+        // Calls whose return addresses were at or below this one were left without a return
+        this.dropFramesFrom(sp);
+        this.frames.push({ sp, returnAddress, target });
+        return null;
+    }
+
+    // After a return has popped returnAddress from sp
+    ret(sp, returnAddress) {
+        const frame = this.frames.length !== 0 ? this.frames[this.frames.length - 1] : null;
+        let finding = null;
+        const to = `RET to 0x${StackMonitor.hex4(returnAddress)}`;
+        if (frame === null) {
+            if (sp < this.untrackedFrom) {
+                finding = `${to} with no CALL to return from: the address was never pushed by a CALL`;
+            }
+        } else {
+            const call = `the CALL to 0x${StackMonitor.hex4(frame.target)}` +
+                ` (return address 0x${StackMonitor.hex4(frame.returnAddress)})`;
+            if (sp < frame.sp) {
+                finding = `Unbalanced stack: ${to} with ${frame.sp - sp} bytes still pushed since ${call}`;
+            } else if (sp > frame.sp) {
+                finding = `Unbalanced stack: ${to} after popping past the return address of ${call}`;
+            } else if (returnAddress !== frame.returnAddress) {
+                finding = `Return address corrupted: ${to}, but ${call} pushed 0x${StackMonitor.hex4(frame.returnAddress)}`;
+            }
+        }
+        this.dropFramesFrom(sp);
+        return finding;
+    }
+
+    dropFramesFrom(sp) {
+        while (this.frames.length !== 0 && this.frames[this.frames.length - 1].sp <= sp) {
+            this.frames.pop();
+        }
+    }
+
+    static hex4(value) {
+        return value.toString(16).toUpperCase().padStart(4, '0');
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StackMonitor;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.StackMonitor = StackMonitor;
+}
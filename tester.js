@@ -3,6 +3,20 @@
  * Provides shared functionality for all test classes
  */
 class TestFramework {
+  // The file each class loadDependencies can load comes from, under Node
+  static DEPENDENCY_FILES = {
+    TestFramework: "./tester.js",
+    Z80CPU: "./z80_cpu_emulator.js",
+    Z80Assembler: "./z80_assembler.js",
+    Z80Disassembler: "./z80_disassembler.js",
+    MemoryBus: "./memory_bus.js",
+    IOBus: "./io_bus.js",
+    ExecutionHistory: "./execution_history.js",
+    ExecutionProfile: "./execution_profile.js",
+    StackMonitor: "./stack_monitor.js",
+    CodeMap: "./code_map.js",
+  };
+
   constructor(testName = "Test") {
     this.testName = testName;
     this.testCount = 0;
@@ -76,15 +90,10 @@ class TestFramework {
       // Node.js environment
       try {
         for (const depName of dependencyNames) {
-          if (depName === "TestFramework") {
-            dependencies[depName] = require("./tester.js");
-          } else {
-            // Assume dependency file name matches: Z80CPU -> z80_cpu_emulator.js, Z80Assembler -> z80_assembler.js
-            const fileName = depName === "Z80CPU" ? "./z80_cpu_emulator.js" : 
-                           depName === "Z80Assembler" ? "./z80_assembler.js" : 
-                           `./${depName.toLowerCase()}.js`;
-            dependencies[depName] = require(fileName);
+          if (!Object.hasOwn(TestFramework.DEPENDENCY_FILES, depName)) {
+            throw new Error(`${depName} is not in TestFramework.DEPENDENCY_FILES`);
           }
+          dependencies[depName] = require(TestFramework.DEPENDENCY_FILES[depName]);
         }
       } catch (error) {
         throw new Error(`Failed to load dependencies in Node.js: ${error.message}`);
@@ -1,5 +1,16 @@
 // Constants
 const LOCALSTORAGE_RETRO_FONTS_KEY = "useRetroFont";
+const LOCALSTORAGE_RECORD_HISTORY_KEY = "recordHistory";
+const LOCALSTORAGE_UNKNOWN_OPCODE_POLICY_KEY = "unknownOpcodePolicy";
+const LOCALSTORAGE_RUN_IN_WORKER_KEY = "runInWorker";
+const LOCALSTORAGE_PROFILING_KEY = "profiling";
+const LOCALSTORAGE_STACK_CHECKS_KEY = "stackChecks";
+const LOCALSTORAGE_CODE_CHECKS_KEY = "codeChecks";
+const LOCALSTORAGE_DEFINES_KEY = "defines";
+// Menu order and captions of the unknown opcode policies
+const UNKNOWN_OPCODE_POLICY_NAMES = { stop: "Stop", nop: "NOP", trap: "Trap" };
+// Menu order and captions of what a write to code or an execution of data does
+const CODE_CHECK_NAMES = { off: "Off", warn: "Warn", break: "Break" };
 
 // Menu functionality
 function toggleMenu() {
@@ -34,6 +45,52 @@ function showAbout() {
   closeMenu();
 }
 
+// Snapshot menu items: whole-machine state to a file or a quick-save slot, and back
+function saveSnapshotFromMenu() {
+  closeMenu();
+  try {
+    downloadSnapshotFile(window.sinclaude.saveSnapshot());
+  } catch (err) {
+    userMessage(`Cannot save snapshot: ${err.message}`);
+  }
+}
+
+function loadSnapshotFromMenu() {
+  closeMenu();
+  uploadSnapshotFile((snapshot) => window.sinclaude.loadSnapshot(snapshot));
+}
+
+// Slot number from the user, or null when cancelled
+function promptSnapshotSlot(action) {
+  const answer = prompt(`${action} slot (1-${SNAPSHOT_SLOT_COUNT}):`, "1");
+  return answer === null ? null : Number(answer);
+}
+
+function quickSaveFromMenu() {
+  closeMenu();
+  const slot = promptSnapshotSlot("Quick save to");
+  if (slot === null) return;
+  Promise.resolve()
+    .then(() => writeSnapshotSlot(slot, window.sinclaude.saveSnapshot()))
+    .then(() => userMessage(`Snapshot saved to slot ${slot}`))
+    .catch((err) => userMessage(`Cannot save snapshot: ${err.message}`));
+}
+
+function quickLoadFromMenu() {
+  closeMenu();
+  const slot = promptSnapshotSlot("Quick load from");
+  if (slot === null) return;
+  Promise.resolve()
+    .then(() => readSnapshotSlot(slot))
+    .then((snapshot) => {
+      if (snapshot === undefined) {
+        throw new Error(`slot ${slot} is empty`);
+      }
+      window.sinclaude.loadSnapshot(snapshot);
+    })
+    .catch((err) => userMessage(`Cannot load snapshot: ${err.message}`));
+}
+
 function updateRetroFontsToggle() {
   const retroFontsToggleEl = document.getElementById("retroFontsToggle");
   retroFontsToggleEl.textContent =
@@ -59,6 +116,178 @@ function initializeRetroFonts() {
   }
 }
 
+function updateRecordHistoryToggle() {
+  document.getElementById("recordHistoryToggle").textContent =
+    (window.sinclaude.cpu.tracer !== null ? "✓ " : "  ") + "Record History";
+}
+
+function toggleRecordHistoryFromMenu() {
+  const enabled = window.sinclaude.cpu.tracer === null;
+  window.sinclaude.setHistoryRecording(enabled);
+  localStorage.setItem(LOCALSTORAGE_RECORD_HISTORY_KEY, enabled.toString());
+  updateRecordHistoryToggle();
+  closeMenu();
+}
+
+function initializeRecordHistory() {
+  if (window.sinclaude) {
+    window.sinclaude.setHistoryRecording(
+      localStorage.getItem(LOCALSTORAGE_RECORD_HISTORY_KEY) !== "false"
+    );
+    updateRecordHistoryToggle();
+  }
+}
+
+function updateUnknownOpcodePolicyToggle() {
+  document.getElementById("unknownOpcodePolicyToggle").textContent =
+    "Unknown Opcodes: " +
+    UNKNOWN_OPCODE_POLICY_NAMES[window.sinclaude.cpu.unknownOpcodePolicy];
+}
+
+function cycleUnknownOpcodePolicyFromMenu() {
+  const policies = Object.keys(UNKNOWN_OPCODE_POLICY_NAMES);
+  const current = policies.indexOf(window.sinclaude.cpu.unknownOpcodePolicy);
+  const policy = policies[(current + 1) % policies.length];
+  window.sinclaude.setUnknownOpcodePolicy(policy);
+  localStorage.setItem(LOCALSTORAGE_UNKNOWN_OPCODE_POLICY_KEY, policy);
+  updateUnknownOpcodePolicyToggle();
+  closeMenu();
+}
+
+function initializeUnknownOpcodePolicy() {
+  if (window.sinclaude) {
+    const policy = localStorage.getItem(LOCALSTORAGE_UNKNOWN_OPCODE_POLICY_KEY);
+    if (policy in UNKNOWN_OPCODE_POLICY_NAMES) {
+      window.sinclaude.setUnknownOpcodePolicy(policy);
+    }
+    updateUnknownOpcodePolicyToggle();
+  }
+}
+
+function updateRunInWorkerToggle() {
+  document.getElementById("runInWorkerToggle").textContent =
+    window.sinclaude.worker === null
+      ? "  Run in Worker (unavailable)"
+      : (window.sinclaude.useWorker ? "✓ " : "  ") + "Run in Worker";
+}
+
+function toggleRunInWorkerFromMenu() {
+  window.sinclaude.useWorker = !window.sinclaude.useWorker;
+  localStorage.setItem(
+    LOCALSTORAGE_RUN_IN_WORKER_KEY,
+    window.sinclaude.useWorker.toString()
+  );
+  updateRunInWorkerToggle();
+  closeMenu();
+}
+
+function initializeRunInWorker() {
+  if (window.sinclaude) {
+    window.sinclaude.useWorker =
+      localStorage.getItem(LOCALSTORAGE_RUN_IN_WORKER_KEY) !== "false";
+    updateRunInWorkerToggle();
+  }
+}
+
+function updateProfilingToggle() {
+  document.getElementById("profilingToggle").textContent =
+    (window.sinclaude.cpu.profile !== null ? "✓ " : "  ") + "Profile";
+}
+
+function toggleProfilingFromMenu() {
+  const enabled = window.sinclaude.cpu.profile === null;
+  window.sinclaude.setProfiling(enabled);
+  localStorage.setItem(LOCALSTORAGE_PROFILING_KEY, enabled.toString());
+  updateProfilingToggle();
+  closeMenu();
+}
+
+function initializeProfiling() {
+  if (window.sinclaude) {
+    window.sinclaude.setProfiling(
+      localStorage.getItem(LOCALSTORAGE_PROFILING_KEY) === "true"
+    );
+    updateProfilingToggle();
+  }
+}
+
+function updateStackChecksToggle() {
+  document.getElementById("stackChecksToggle").textContent =
+    (window.sinclaude.cpu.stackMonitor !== null ? "✓ " : "  ") + "Check Stack";
+}
+
+function toggleStackChecksFromMenu() {
+  const enabled = window.sinclaude.cpu.stackMonitor === null;
+  window.sinclaude.setStackChecks(enabled);
+  localStorage.setItem(LOCALSTORAGE_STACK_CHECKS_KEY, enabled.toString());
+  updateStackChecksToggle();
+  closeMenu();
+}
+
+function initializeStackChecks() {
+  if (window.sinclaude) {
+    window.sinclaude.setStackChecks(
+      localStorage.getItem(LOCALSTORAGE_STACK_CHECKS_KEY) === "true"
+    );
+    updateStackChecksToggle();
+  }
+}
+
+function updateCodeChecksToggle() {
+  document.getElementById("codeChecksToggle").textContent =
+    "Code Checks: " + CODE_CHECK_NAMES[window.sinclaude.codeChecks];
+}
+
+function cycleCodeChecksFromMenu() {
+  const policies = Object.keys(CODE_CHECK_NAMES);
+  const current = policies.indexOf(window.sinclaude.codeChecks);
+  const policy = policies[(current + 1) % policies.length];
+  window.sinclaude.setCodeChecks(policy);
+  localStorage.setItem(LOCALSTORAGE_CODE_CHECKS_KEY, policy);
+  updateCodeChecksToggle();
+  closeMenu();
+}
+
+function initializeCodeChecks() {
+  if (window.sinclaude) {
+    const policy = localStorage.getItem(LOCALSTORAGE_CODE_CHECKS_KEY);
+    if (policy in CODE_CHECK_NAMES) {
+      window.sinclaude.setCodeChecks(policy);
+    }
+    updateCodeChecksToggle();
+  }
+}
+
+function updateDefinesToggle() {
+  document.getElementById("definesToggle").textContent =
+    "Defines: " + (window.sinclaude.definesText() || "None");
+}
+
+function editDefinesFromMenu() {
+  closeMenu();
+  const answer = prompt(
+    "Symbols to define for IF/IFDEF, e.g. DEBUG, LEVEL=2:",
+    window.sinclaude.definesText()
+  );
+  if (answer === null || !window.sinclaude.setDefines(answer)) return;
+  localStorage.setItem(LOCALSTORAGE_DEFINES_KEY, answer);
+  updateDefinesToggle();
+  userMessage("Defines take effect on the next Assemble and Run");
+}
+
+function initializeDefines() {
+  if (window.sinclaude) {
+    // ?define=DEBUG (repeated, or comma-separated) wins over what the menu last set
+    const fromUrl = new URLSearchParams(window.location.search).getAll("define");
+    const text =
+      fromUrl.length > 0 ? fromUrl.join(",") : localStorage.getItem(LOCALSTORAGE_DEFINES_KEY);
+    if (text !== null) {
+      window.sinclaude.setDefines(text);
+    }
+    updateDefinesToggle();
+  }
+}
+
 function getFormattedVersionInfo() {
   if (typeof BUILD_VERSION_BY_YAML === "undefined") {
     return null;
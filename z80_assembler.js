@@ -3,7 +3,9 @@
  * 
  * The assembler returns:
  * - loadAddress: The starting address where the program should be loaded
- * - instructionDetails: Array with details for each source line (address, source, opcodes)
+ * - instructionDetails: Array with details for each source line (address, source, opcodes,
+ *   whether the bytes are data rather than code, whether the @SMC pragma marks them as
+ *   self-modifying, and for a macro invocation the lines of its expansion)
  * 
  * GRAMMAR SPECIFICATION (EBNF):
  * 
@@ -16,7 +18,8 @@
  * constant_def = identifier white_space "EQU" white_space arithmetic_expression ;
  * 
  * (* Comments *)
- * comment = ";" { any_character } ;
+ * comment = ";" { any_character | pragma } ;
+ * pragma = "@SMC" ;  (* the line's bytes are meant to be rewritten or run, e.g. LD A,0 ; @SMC *)
  * 
  * (* Directives *)
  * directive = org_directive | equ_directive | data_directive | end_directive ;
@@ -28,6 +31,30 @@
  * ds_directive = "DEFS" white_space arithmetic_expression [ "," white_space arithmetic_expression ] ;
  * end_directive = "END" ;
  * 
+ * (* Conditional assembly - checked in the first pass, against the symbols defined so far and
+ *    those passed to assemble(); blocks nest, and a skipped line is neither parsed nor assembled.
+ *    A symbol IFDEF or IFNDEF found undefined must not be defined further down, except in the
+ *    block the test opens, as in IFNDEF SIZE / SIZE EQU 8 / ENDIF *)
+ * conditional = if_line { line } { "ELSEIF" white_space arithmetic_expression EOL { line } }
+ *               [ "ELSE" EOL { line } ] "ENDIF" ;
+ * if_line = ( "IF" white_space arithmetic_expression   (* nonzero *)
+ *           | ( "IFDEF" | "IFNDEF" ) white_space symbol ) EOL ;
+ * 
+ * (* Macros - a definition outside any IF block is collected before the two passes, so the macro
+ *    may be used before it is defined; one inside an IF block is defined when the first pass
+ *    reaches it in a branch being assembled, so that branches can define variants of a macro *)
+ * macro_def = identifier white_space "MACRO" [ white_space macro_param { "," white_space macro_param } ] EOL
+ *             { line } "ENDM" ;   (* no MACRO inside *)
+ * macro_param = identifier [ "=" operand ] ;   (* with a default value *)
+ * macro_call = [ code_label ] identifier [ white_space macro_arg { "," white_space macro_arg } ] ;
+ * macro_arg = [ identifier "=" ] operand ;   (* positional ones first, then by name *)
+ * - Parameters are replaced by the argument's text wherever they appear as a whole word, so
+ *   they may not be named after a register or condition (A, HL, NZ, M...), which are reserved.
+ * - Labels the body defines are local: each expansion has its own.
+ * - The body may invoke other macros, up to 16 deep, and hold IF blocks, checked per expansion.
+ * - The invocation's detail holds every byte of the expansion, and in expansion the
+ *   { startAddress, sourceString, opcodes, data, selfModifying } of each expanded line.
+ * 
  * (* Instructions *)
  * instruction = mnemonic [ white_space operand_list ] ;
  * mnemonic = identifier ;
@@ -35,18 +62,22 @@
  * operand = register | memory_ref | immediate | relative | string_literal ;
  * 
  * (* Registers and Register Pairs *)
- * register = "A" | "B" | "C" | "D" | "E" | "H" | "L" | "BC" | "DE" | "HL" | "SP" | "AF" | "AF'" ;
+ * register = "A" | "B" | "C" | "D" | "E" | "H" | "L" | "BC" | "DE" | "HL" | "SP" | "AF" | "AF'"
+ *          | "IX" | "IY" | "IXH" | "IXL" | "IYH" | "IYL" ;
  * 
  * (* Memory References - Indirect Addressing *)
- * memory_ref = "(" arithmetic_expression ")" | indirect_register ;
+ * memory_ref = "(" arithmetic_expression ")" | indirect_register | indexed_ref ;
  * indirect_register = "(BC)" | "(DE)" | "(HL)" ;
+ * indexed_ref = "(" ( "IX" | "IY" ) [ ( "+" | "-" ) arithmetic_expression ] ")" ;  (* displacement -128..127 *)
  * 
  * (* Immediate Values *)
  * immediate = arithmetic_expression ;
  * relative = arithmetic_expression ;
  * 
  * (* Arithmetic Expressions - Parentheses here are ONLY for mathematical grouping *)
- * arithmetic_expression = term { ( "+" | "-" ) term } ;
+ * arithmetic_expression = sum [ comparison sum ] ;   (* a comparison is 1 when true, 0 when false *)
+ * comparison = "=" | "==" | "<>" | "!=" | "<" | "<=" | ">" | ">=" ;
+ * sum = term { ( "+" | "-" ) term } ;
  * term = factor { ( "*" | "/" ) factor } ;
  * factor = "(" arithmetic_expression ")" | atom ;
  * atom = number | symbol | character_literal | function_call ;
@@ -81,7 +112,7 @@
  * - Math grouping:       LD A, 5+(3*2)   ; Load immediate value 11
  * 
  * EXPRESSION EVALUATION:
- * Operators: + - * / () with standard precedence
+ * Operators: + - * / () with standard precedence, and below them one comparison, as in IF SIZE > 3
  * Functions: len(symbol) returns string length, chr(n) returns character with ASCII code n
  * 
  * ESCAPE SEQUENCES:
@@ -101,30 +132,32 @@
  * LD A,L; LD H,A; LD L,A; LD A,D; LD D,A; LD B,B; LD B,D; LD B,E; LD B,L; LD C,B; LD C,C; LD C,D;
  * LD C,E; LD C,H; LD C,L; LD D,B; LD D,C; LD D,D; LD D,E; LD D,H; LD D,L; LD E,B; LD E,C; LD E,D;
  * LD E,E; LD E,H; LD E,L; LD H,B; LD H,C; LD H,D; LD H,E; LD H,H; LD H,L; LD L,B; LD L,C; LD L,D;
- * LD L,E; LD L,H; LD L,L; EX AF,AF'; EX DE,HL; EX (SP),HL; LD HL,nn; LD (nn),HL; LD HL,(nn);
+ * LD L,E; LD L,H; LD L,L; LD A,A; LD SP,HL; EX AF,AF'; EXX; EX DE,HL; EX (SP),HL; LD HL,nn; LD (nn),HL; LD HL,(nn);
  * LD BC,nn; LD DE,nn; LD SP,nn; LD (HL),n; CALL nn; CALL Z,nn; CALL NZ,nn; CALL C,nn; CALL NC,nn;
- * RET; RET NZ; RET Z; RET NC; RET C; JR d; JR Z,d; JR NZ,d; JR C,d; JR NC,d; DJNZ d; JP nn;
- * JP (HL); JP Z,nn; JP NZ,nn; JP C,nn; JP NC,nn;
+ * CALL PO,nn; CALL PE,nn; CALL P,nn; CALL M,nn;
+ * RET; RET NZ; RET Z; RET NC; RET C; RET PO; RET PE; RET P; RET M; JR d; JR Z,d; JR NZ,d; JR C,d;
+ * JR NC,d; DJNZ d; JP nn; JP (HL); JP Z,nn; JP NZ,nn; JP C,nn; JP NC,nn; JP PO,nn; JP PE,nn;
+ * JP P,nn; JP M,nn;
  * INC A; INC B; INC C; INC D; INC E; INC H; INC L; INC BC; INC DE; INC HL; INC SP; INC (HL);
  * DEC A; DEC B; DEC C; DEC D; DEC E; DEC H; DEC L; DEC (HL); DEC BC; DEC DE; DEC HL; DEC SP;
  * ADD HL,BC; ADD HL,DE; ADD HL,HL; ADD HL,SP; ADD A,A; ADD A,B; ADD A,C; ADD A,D; ADD A,E; ADD A,H;
- * ADD A,L; ADD A,n; ADD A,(HL); ADC A,H; ADC A,n; SUB A; SUB n; SUB B; SUB C; SUB D; SUB E; SUB H; SUB L;
+ * ADD A,L; ADD A,n; ADD A,(HL); ADC A,r; ADC A,(HL); ADC A,n; SUB A; SUB n; SUB B; SUB C; SUB D; SUB E; SUB H; SUB L;
  * SUB (HL);
  * CP n; CP B; CP C; CP D; CP E; CP H; CP L; CP (HL); CP A; OR A; OR B; OR C; OR D; OR E; OR H;
  * OR L; OR (HL); OR n; XOR A; XOR B; XOR C; XOR D; XOR E; XOR H; XOR L; XOR (HL); XOR n;
- * AND A; AND B; AND C; AND D; AND E; AND H; AND L; AND (HL); AND n; NEG; RLCA; SCF; CCF; CPL;
+ * AND A; AND B; AND C; AND D; AND E; AND H; AND L; AND (HL); AND n; NEG; RLCA; SCF; CCF; CPL; DAA;
  * LDIR; PUSH BC; PUSH DE; PUSH HL; PUSH AF; POP BC; POP DE; POP HL; POP AF; IN A,(n); OUT (n),A;
- * SLA A; SLA B; SLA C; SLA D; SLA E; SLA H; SLA L; SLA (HL); SRA A; SRA B; SRA C; SRA D; SRA E;
- * SRA H; SRA L; SRA (HL); SRL A; SRL B; SRL C; SRL D; SRL E; SRL H; SRL L; SRL (HL); RLA; RRCA; RRA;
- * RLC A; RLC B; RLC C; RLC D; RLC E; RLC H; RLC L; RLC (HL); RRC A; RRC B; RRC C; RRC D; RRC E;
- * RRC H; RRC L; RRC (HL); RL A; RL B; RL C; RL D; RL E; RL H; RL L; RL (HL); RR A; RR B; RR C;
- * RR D; RR E; RR H; RR L; RR (HL); SBC A,A; SBC A,B; SBC A,C; SBC A,D; SBC A,E; SBC A,H; SBC A,L;
- * SBC A,(HL); SBC A,n; SET 0,A; SET 0,B; SET 0,C; SET 0,D; SET 0,E; SET 0,H; SET 0,L; SET 0,(HL);
- * SET 1,A; SET 1,B; SET 1,C; SET 1,D; SET 1,E; SET 1,H; SET 1,L; SET 1,(HL); SET 7,A; SET 7,B;
- * SET 7,C; SET 7,D; SET 7,E; SET 7,H; SET 7,L; SET 7,(HL); RES 0,A; RES 0,B; RES 0,C; RES 0,D;
- * RES 0,E; RES 0,H; RES 0,L; RES 0,(HL); RES 1,A; RES 1,B; RES 1,C; RES 1,D; RES 1,E; RES 1,H;
- * RES 1,L; RES 1,(HL); RES 7,A; RES 7,B; RES 7,C; RES 7,D; RES 7,E; RES 7,H; RES 7,L; RES 7,(HL);
- * BIT 0,A; BIT 1,A; BIT 2,A; BIT 3,A; BIT 4,A; BIT 5,A; BIT 6,A; BIT 7,A; BIT 7,E; BIT 7,D
+ * LDI; LDD; LDDR; CPI; CPIR; CPD; CPDR; INI; INIR; IND; INDR; OUTI; OTIR; OUTD; OTDR;
+ * ADC HL,BC/DE/HL/SP; SBC HL,BC/DE/HL/SP; LD (nn),BC/DE/SP; LD BC/DE/SP,(nn); LD I,A; LD R,A;
+ * LD A,I; LD A,R; RLD; RRD; IN r,(C); IN F,(C); OUT (C),r; OUT (C),0; IM 0; IM 1; IM 2; RETI; RETN;
+ * DI; EI; RST 00H/08H/10H/18H/20H/28H/30H/38H;
+ * SBC A,A; SBC A,B; SBC A,C; SBC A,D; SBC A,E; SBC A,H; SBC A,L; SBC A,(HL); SBC A,n;
+ * RLA; RRCA; RRA; full CB group: RLC/RRC/RL/RR/SLA/SRA/SLL (alias SL1)/SRL r and (HL);
+ * BIT/RES/SET b,r and b,(HL) for every bit 0-7
+ * IX/IY (likewise for IY): LD IX,nn; LD (nn),IX; LD IX,(nn); INC IX; DEC IX; ADD IX,BC/DE/IX/SP;
+ * PUSH IX; POP IX; EX (SP),IX; JP (IX); LD SP,IX; LD r,(IX+d); LD (IX+d),r; LD (IX+d),n;
+ * INC (IX+d); DEC (IX+d); ADD/ADC/SUB/SBC/AND/XOR/OR/CP (IX+d); RLC/RRC/RL/RR/SLA/SRA/SLL/SRL (IX+d);
+ * BIT/RES/SET b,(IX+d); undocumented IXH/IXL forms of LD, INC, DEC and the ALU group
  */
 class Z80Assembler {
     // --- Constants for operand patterns ---
@@ -141,9 +174,48 @@ class Z80Assembler {
         STRING: 'string',
 
         // Relative displacement for JR, DJNZ
-        RELATIVE: 'd'
+        RELATIVE: 'd',
+
+        // Restart address for RST, encoded into the opcode itself
+        RESTART: 'p',
+
+        // Indexed memory operands with a signed 8-bit displacement
+        IX_OFFSET: '(IX+d)',
+        IY_OFFSET: '(IY+d)'
     };
 
+    // Rotates and shifts in CB opcode order; SLL is undocumented
+    static SHIFT_OPERATIONS = ['RLC', 'RRC', 'RL', 'RR', 'SLA', 'SRA', 'SLL', 'SRL'];
+
+    // Operand selected by bits 0-2 of a CB opcode
+    static CB_REGISTERS = ['B', 'C', 'D', 'E', 'H', 'L', '(HL)', 'A'];
+
+    // Alternative spellings accepted for a mnemonic
+    static MNEMONIC_ALIASES = { SL1: 'SLL' };
+
+    // Directives, which a macro may not be named after
+    static DIRECTIVES = ['ORG', 'EQU', 'DB', 'DEFB', 'DEFW', 'DEFS', 'END', 'MACRO', 'ENDM',
+        'IF', 'ELSEIF', 'ELSE', 'ENDIF', 'IFDEF', 'IFNDEF'];
+
+    // Registers and conditions, which a macro parameter may not be named after
+    static OPERAND_NAMES = ['A', 'B', 'C', 'D', 'E', 'H', 'L', 'I', 'R', 'AF', 'BC', 'DE', 'HL', 'SP',
+        'IX', 'IY', 'IXH', 'IXL', 'IYH', 'IYL', 'NZ', 'Z', 'NC', 'PO', 'PE', 'P', 'M'];
+
+    // A macro definition's first and last lines, a line of conditional assembly, and the symbol
+    // IFDEF and IFNDEF take
+    static MACRO_HEADER = /^\s*([A-Za-z_]\w*)\s+MACRO\b(.*)$/i;
+    static MACRO_END = /^\s*ENDM\s*$/i;
+    static CONDITIONAL = /^\s*(IF|IFDEF|IFNDEF|ELSEIF|ELSE|ENDIF)\b(?!\s*:)\s*(.*?)\s*$/i;
+    static SYMBOL_NAME = /^[A-Za-z_][\w']*$/;
+
+    // How deep macros may invoke macros, which also stops one that invokes itself
+    static MACRO_NESTING_LIMIT = 16;
+
+    // Strings, character literals, numbers and identifiers, for the macro pass to step over or
+    // substitute and for finding comments; a number is taken whole so that the FF of 0FFH or
+    // $FF is not an identifier
+    static SOURCE_TOKEN = /"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)'|[$%]?\d\w*|\$[0-9A-Fa-f]+|[A-Za-z_][\w']*|[;,()]/g;
+
     /**
      * Initializes the assembler and builds the instruction lookup table.
      */
@@ -168,14 +240,21 @@ class Z80Assembler {
      * Assembles Z80 source code into machine code.
      *
      * @param {string} sourceCode The Z80 assembly source code.
-     * @returns {{success: boolean, loadAddress?: number, instructionDetails?: object[], errors?: {line: number, message: string}[]}}
+     * @param {Object<string, number>} [defines] Symbols defined before the first line, for IF
+     *        and IFDEF to build variants of one source (e.g. { DEBUG: 1 }).
+     * @returns {{success: boolean, loadAddress?: number, instructionDetails?: object[], labels?: Object<string, number>, errors?: {line: number, message: string}[]}}
      *          An object indicating success or failure. On success, it includes the
-     *          load address and instruction details. On failure, it includes an array of errors.
+     *          load address, instruction details and the address of each label (EQU
+     *          constants left out). On failure, it includes an array of errors.
      */
-    assemble(sourceCode) {
+    assemble(sourceCode, defines = {}) {
         this.sourceLines = sourceCode.split('\n');
         
         this.symbols = {}; // Single symbol table for labels and constants
+        for (const [name, value] of Object.entries(defines)) {
+            this.symbols[name.toUpperCase()] = value;
+        }
+        this.labels = {}; // Just the labels, for the disassembler
         this.dbLengths = {}; // Dictionary mapping DB symbol names to their string lengths
         this.errors = [];
         this.loadAddress = 0; // Default to address 0
@@ -183,10 +262,20 @@ class Z80Assembler {
         this.parsedLines = [];
         this.instructionDetails = []; // Track instruction details for each source line
         this.firstOrgFound = false; // Track if we've seen the first ORG directive
+        this.currentMacro = null; // The macro whose expansion is being assembled, for errors
+        this.conditionals = []; // The IF blocks the current line is in, innermost last
+        this.undefinedTests = []; // The IFDEFs and IFNDEFs that found their symbol undefined
 
         try {
+            // --- Macro Pass: Collect the macros defined outside IF blocks ---
+            const lines = this._collectMacros();
+
+            if (this.errors.length > 0) {
+                throw new Error("Assembly failed due to errors in the macros.");
+            }
+
             // --- First Pass: Parse lines, define symbols, and calculate addresses ---
-            this._performFirstPass();
+            this._performFirstPass(lines);
 
             if (this.errors.length > 0) {
                 // Abort if there were errors in the first pass
@@ -204,6 +293,7 @@ class Z80Assembler {
                 success: true,
                 loadAddress: this.loadAddress,
                 instructionDetails: this.instructionDetails,
+                labels: this.labels,
             };
         } catch (e) {
             // This catches fatal errors or explicitly thrown ones.
@@ -218,14 +308,266 @@ class Z80Assembler {
         }
     }
 
+    /**
+     * MACRO PASS:
+     * - Collects the MACRO ... ENDM definitions outside IF blocks, so that a macro may be used
+     *   before it is defined. Those inside IF blocks are left to the first pass, which knows
+     *   which branches are assembled.
+     * @returns {object[]} The lines for the first pass, each { text, lineNum, macro,
+     *   selfModifying, depth }, with the collected definitions blanked out. The first pass adds
+     *   the lines of each expansion, which carry the invocation's lineNum, the name of the
+     *   macro they came from, whether the invocation's comment holds the @SMC pragma, and how
+     *   many expansions they are within.
+     */
+    _collectMacros() {
+        this.macros = new Map();
+        this.macroExpansions = 0;
+        this.macroDefinition = null; // The definition in an IF block the first pass is collecting
+        const lines = [];
+        let definition = null;
+        let conditionalDepth = 0;
+        this.sourceLines.forEach((text, index) => {
+            const lineNum = index + 1;
+            const line = { text, lineNum, macro: null, selfModifying: false, depth: 0 };
+            lines.push(line);
+            if (conditionalDepth > 0) {
+                conditionalDepth += this._conditionalNesting(text);
+                return;
+            }
+            const code = this._splitComment(text)[0];
+            const header = code.match(Z80Assembler.MACRO_HEADER);
+            const end = Z80Assembler.MACRO_END.test(code);
+            if (definition !== null) {
+                if (end) {
+                    if (definition.name !== null) this.macros.set(definition.name, definition);
+                    definition = null;
+                } else if (header) {
+                    this._reportError(lineNum, `MACRO inside the definition of ${definition.title}`);
+                } else {
+                    definition.body.push(text);
+                }
+                line.text = ''; // The definition assembles to nothing where it stands
+            } else if (header) {
+                definition = this._defineMacro(header[1], header[2], lineNum);
+                line.text = '';
+            } else if (end) {
+                this._reportError(lineNum, 'ENDM without MACRO');
+            } else {
+                conditionalDepth += this._conditionalNesting(text);
+            }
+        });
+        if (definition !== null) {
+            this._reportError(definition.lineNum, `Macro ${definition.title} has no ENDM`);
+        }
+        return lines;
+    }
+
+    // 1 for a line that opens an IF block, -1 for one that closes it, 0 for any other
+    _conditionalNesting(text) {
+        const match = this._splitComment(text)[0].match(Z80Assembler.CONDITIONAL);
+        if (!match) return 0;
+        const directive = match[1].toUpperCase();
+        return directive.startsWith('IF') ? 1 : directive === 'ENDIF' ? -1 : 0;
+    }
+
+    /**
+     * Collects the macro definitions the macro pass left, those in IF blocks, as the first
+     * pass reaches them in a branch being assembled.
+     * @param {object} line - A line of the first pass.
+     * @returns {boolean} Whether the line belongs to a definition, so assembles to nothing.
+     */
+    _collectConditionalMacro(line) {
+        const code = this._splitComment(line.text)[0];
+        const header = code.match(Z80Assembler.MACRO_HEADER);
+        const end = Z80Assembler.MACRO_END.test(code);
+        const definition = this.macroDefinition;
+        if (definition !== null) {
+            if (end) {
+                if (definition.name !== null) this.macros.set(definition.name, definition);
+                this.macroDefinition = null;
+            } else if (header) {
+                this._reportError(line.lineNum, `MACRO inside the definition of ${definition.title}`);
+            } else {
+                definition.body.push(line.text);
+            }
+            return true;
+        }
+        if (header) {
+            this.macroDefinition = this._defineMacro(header[1], header[2], line.lineNum);
+            return true;
+        }
+        if (end) {
+            this._reportError(line.lineNum, 'ENDM without MACRO');
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Starts a macro definition from its MACRO line.
+     * @param {string} name - The macro's name.
+     * @param {string} parameterText - What follows MACRO: "p1, p2=default, ...".
+     * @param {number} lineNum - The MACRO line's number.
+     * @returns {object} The definition, whose body the caller fills; its name is null when
+     *          the name cannot be used, so that the body is still skipped.
+     */
+    _defineMacro(name, parameterText, lineNum) {
+        const upperName = name.toUpperCase();
+        const definition = { name: upperName, title: name, params: [], body: [], lineNum };
+        if (this.instructionMap.has(upperName) || Z80Assembler.MNEMONIC_ALIASES[upperName] ||
+            Z80Assembler.DIRECTIVES.includes(upperName)) {
+            this._reportError(lineNum, `Macro name '${name}' is an instruction or directive`);
+            definition.name = null;
+        } else if (this.macros.has(upperName)) {
+            this._reportError(lineNum, `Duplicate macro definition: '${name}'`);
+            definition.name = null;
+        }
+        for (const parameter of this._splitMacroArguments(parameterText)) {
+            const match = parameter.match(/^([A-Za-z_]\w*)\s*(?:=\s*(.*))?$/);
+            if (!match) {
+                this._reportError(lineNum, `Invalid macro parameter: '${parameter}'`);
+                continue;
+            }
+            const upperParameter = match[1].toUpperCase();
+            if (Z80Assembler.OPERAND_NAMES.includes(upperParameter)) {
+                this._reportError(lineNum, `Macro parameter '${match[1]}' is a register or condition name: ` +
+                    `those are reserved, as a parameter replaces its name wherever it appears in the body`);
+            } else if (definition.params.some((param) => param.name === upperParameter)) {
+                this._reportError(lineNum, `Duplicate macro parameter: '${match[1]}'`);
+            } else {
+                definition.params.push({ name: upperParameter, defaultValue: match[2] !== undefined ? match[2].trim() : null });
+            }
+        }
+        return definition;
+    }
+
+    /**
+     * Expands a line that invokes a macro; the first pass assembles the expansion next, and
+     * expands the invocations within it in turn.
+     * @param {object} line - A line of the first pass.
+     * @returns {object[]|null} Null when the line invokes no macro, otherwise the expansion:
+     *          the invocation's label, then the macro's body.
+     */
+    _expandMacroLine(line) {
+        const [code, comment] = this._splitComment(line.text);
+        const call = code.match(/^\s*(?:([A-Za-z_][\w']*)\s*:)?\s*([A-Za-z_]\w*)(?:\s+(.*?))?\s*$/);
+        const macro = call && !/^(EQU|MACRO)\b/i.test(call[3] || '') ? this.macros.get(call[2].toUpperCase()) : undefined;
+        if (!macro) return null;
+
+        const values = line.depth < Z80Assembler.MACRO_NESTING_LIMIT
+            ? this._macroArguments(macro, call[3] || '', line.lineNum)
+            : null;
+        if (line.depth >= Z80Assembler.MACRO_NESTING_LIMIT) {
+            this._reportError(line.lineNum, `Macro ${macro.title} nests more than ${Z80Assembler.MACRO_NESTING_LIMIT} deep`);
+        }
+        // The invocation's label stays, at the expansion's first byte
+        const labelLine = { ...line, text: call[1] ? `${call[1]}:` : '' };
+        if (values === null) return [labelLine];
+
+        const selfModifying = line.selfModifying || (comment !== null && /@SMC\b/i.test(comment));
+        const expansion = ++this.macroExpansions;
+        const locals = new Map();
+        for (const bodyLine of macro.body) {
+            const label = this._splitComment(bodyLine)[0].match(/^\s*([A-Za-z_][\w']*)\s*:/);
+            if (label) locals.set(label[1].toUpperCase(), `__${macro.name}_${label[1].toUpperCase()}_${expansion}`);
+        }
+
+        const lines = [labelLine];
+        for (const bodyLine of macro.body) {
+            const [bodyCode, bodyComment] = this._splitComment(bodyLine);
+            const text = bodyCode.replace(Z80Assembler.SOURCE_TOKEN, (token) => {
+                const upperToken = token.toUpperCase();
+                return values.get(upperToken) ?? locals.get(upperToken) ?? token;
+            }) + (bodyComment !== null ? `;${bodyComment}` : '');
+            lines.push({ text, lineNum: line.lineNum, macro: macro.title, selfModifying, depth: line.depth + 1 });
+        }
+        return lines;
+    }
+
+    /**
+     * Matches an invocation's arguments to the macro's parameters: positional ones first, then
+     * name=value ones; an empty argument, or one left off, takes the parameter's default.
+     * @returns {Map<string, string>|null} The text for each parameter, or null after an error.
+     */
+    _macroArguments(macro, argumentText, lineNum) {
+        const values = new Map();
+        let position = 0;
+        let named = false;
+        for (const argument of this._splitMacroArguments(argumentText)) {
+            const assignment = argument.match(/^([A-Za-z_]\w*)\s*=\s*(.*)$/);
+            if (assignment) {
+                const upperParameter = assignment[1].toUpperCase();
+                named = true;
+                if (!macro.params.some((param) => param.name === upperParameter)) {
+                    this._reportError(lineNum, `Macro ${macro.title} has no parameter '${assignment[1]}'`);
+                    return null;
+                }
+                if (values.has(upperParameter)) {
+                    this._reportError(lineNum, `Macro parameter '${assignment[1]}' given twice`);
+                    return null;
+                }
+                values.set(upperParameter, assignment[2].trim());
+            } else if (named) {
+                this._reportError(lineNum, `Positional argument after a named one: '${argument}'`);
+                return null;
+            } else if (position >= macro.params.length) {
+                this._reportError(lineNum, `Macro ${macro.title} takes ${macro.params.length} argument(s)`);
+                return null;
+            } else {
+                const param = macro.params[position++];
+                if (argument !== '') values.set(param.name, argument);
+            }
+        }
+        for (const param of macro.params) {
+            if (values.has(param.name)) continue;
+            if (param.defaultValue === null) {
+                this._reportError(lineNum, `Macro ${macro.title} needs a value for '${param.name}'`);
+                return null;
+            }
+            values.set(param.name, param.defaultValue);
+        }
+        return values;
+    }
+
+    /**
+     * Splits a line at its comment, minding semicolons in strings.
+     * @returns {[string, string|null]} The code, and the comment after the ';' or null.
+     */
+    _splitComment(text) {
+        for (const match of text.matchAll(Z80Assembler.SOURCE_TOKEN)) {
+            if (match[0] === ';') return [text.slice(0, match.index), text.slice(match.index + 1)];
+        }
+        return [text, null];
+    }
+
+    // Splits a comma-separated list, minding commas in strings and parentheses
+    _splitMacroArguments(text) {
+        if (text.trim() === '') return [];
+        const parts = [];
+        let depth = 0;
+        let start = 0;
+        for (const match of text.matchAll(Z80Assembler.SOURCE_TOKEN)) {
+            if (match[0] === '(') depth++;
+            else if (match[0] === ')') depth--;
+            else if (match[0] === ',' && depth === 0) {
+                parts.push(text.slice(start, match.index).trim());
+                start = match.index + 1;
+            }
+        }
+        parts.push(text.slice(start).trim());
+        return parts;
+    }
+
     /**
      * PASS 1:
      * - Parses each line into a structured format (Intermediate Representation).
      * - Populates the symbol table (labels and equates).
      * - Calculates the memory address for each line.
      * - Reports syntax errors and undefined equates.
+     * - Collects the macros defined in IF blocks, and expands macro invocations.
+     * @param {object[]} lines - The lines from the macro pass.
      */
-    _performFirstPass() {
+    _performFirstPass(lines) {
         // Initialize instruction details array with all source lines
         this.instructionDetails = new Array(this.sourceLines.length);
         
@@ -234,19 +576,45 @@ class Z80Assembler {
             this.instructionDetails[i] = {
                 startAddress: null, // Will be filled during processing
                 sourceString: this.sourceLines[i],
-                opcodes: [] // Will be filled in second pass
+                opcodes: [], // Will be filled in second pass
+                data: false, // DB, DEFW and DEFS bytes, as opposed to instructions
+                selfModifying: false, // The @SMC pragma: the program rewrites these bytes, or runs data
+                expansion: null // For a macro invocation, each line of its expansion
             };
         }
         
-        for (let i = 0; i < this.sourceLines.length; i++) {
-            const lineNum = i + 1;
-            const line = this.sourceLines[i];
+        let previousLineNum = null;
+        for (let index = 0; index < lines.length; index++) {
+            const line = lines[index];
+            const lineNum = line.lineNum;
+            const i = lineNum - 1;
+            this.currentMacro = line.macro;
+
+            // Record the current address for this line (before processing); an invocation
+            // starts where its expansion does
+            if (lineNum !== previousLineNum) {
+                this.instructionDetails[i].startAddress = this.currentAddress;
+                previousLineNum = lineNum;
+            }
 
-            // Record the current address for this line (before processing)
-            this.instructionDetails[i].startAddress = this.currentAddress;
+            // Lines of a macro definition in an IF block, then conditional assembly: lines in a
+            // block whose condition fails are skipped
+            if (this.macroDefinition !== null && this._collectConditionalMacro(line)) continue;
+            if (this._performConditional(line.text, lineNum) || !this._conditionsHold()) continue;
+            if (this._collectConditionalMacro(line)) continue;
 
-            const parsed = this._parseLine(line, lineNum);
+            // An invocation is followed by its expansion
+            const expansion = this._expandMacroLine(line);
+            if (expansion !== null) {
+                lines.splice(index + 1, 0, ...expansion);
+                continue;
+            }
+
+            const parsed = this._parseLine(line.text, lineNum);
             if (!parsed) continue; // Skip empty/comment lines
+            parsed.macro = line.macro;
+            parsed.source = line.text.trim();
+            parsed.selfModifying = line.selfModifying;
 
             // Process ORG directive first to set addresses before processing labels
             if (parsed.mnemonic && parsed.mnemonic.toUpperCase() === 'ORG') {
@@ -271,6 +639,8 @@ class Z80Assembler {
                         return; // Stop processing on duplicate label error
                     } else {
                         this.symbols[parsed.label.toUpperCase()] = this.currentAddress;
+                        this.labels[parsed.label.toUpperCase()] = this.currentAddress;
+                        this._checkUndefinedTests(parsed.label.toUpperCase(), lineNum);
                     }
                 }
             }
@@ -294,6 +664,7 @@ class Z80Assembler {
                                 return; // Error already reported, stop processing
                             }
                             this.symbols[parsed.label.toUpperCase()] = value;
+                            this._checkUndefinedTests(parsed.label.toUpperCase(), lineNum);
                         }
                         break;
                     case 'DB':
@@ -327,6 +698,92 @@ class Z80Assembler {
                 }
             }
         }
+
+        this.currentMacro = null;
+        if (this.macroDefinition !== null) {
+            this._reportError(this.macroDefinition.lineNum, `Macro ${this.macroDefinition.title} has no ENDM`);
+        }
+        for (const block of this.conditionals) {
+            this._reportError(block.lineNum, `${block.directive} without ENDIF`);
+        }
+    }
+
+    /**
+     * Handles a line of conditional assembly: IF, IFDEF and IFNDEF open a block, ELSEIF and
+     * ELSE switch to its next branch, and ENDIF closes it. Conditions are checked in the first
+     * pass, so they can use the symbols defined above them and those passed to assemble().
+     * @param {string} text - The source line.
+     * @param {number} lineNum - The line number, for error reporting.
+     * @returns {boolean} Whether the line was one of those directives.
+     */
+    _performConditional(text, lineNum) {
+        const match = this._splitComment(text)[0].match(Z80Assembler.CONDITIONAL);
+        if (!match) return false;
+        const directive = match[1].toUpperCase();
+        const operand = match[2];
+        const block = this.conditionals.length !== 0 ? this.conditionals[this.conditionals.length - 1] : null;
+
+        if (directive.startsWith('IF')) {
+            // outer: whether the lines around the block are assembled; taken: whether a branch was
+            const outer = this._conditionsHold();
+            const holds = outer && this._checkCondition(directive, operand, lineNum);
+            const opened = { directive, lineNum, outer, active: holds, taken: holds, elseSeen: false };
+            this.conditionals.push(opened);
+            if (outer && directive !== 'IF' && Z80Assembler.SYMBOL_NAME.test(operand) &&
+                !this.symbols.hasOwnProperty(operand.toUpperCase())) {
+                this.undefinedTests.push({ name: operand.toUpperCase(), directive, lineNum, block: opened });
+            }
+        } else if (block === null) {
+            this._reportError(lineNum, `${directive} without IF`);
+        } else if (directive === 'ENDIF') {
+            if (operand !== '') this._reportError(lineNum, `ENDIF takes no operand: '${operand}'`);
+            this.conditionals.pop();
+        } else if (block.elseSeen) {
+            this._reportError(lineNum, `${directive} after the ELSE of the ${block.directive} on line ${block.lineNum}`);
+        } else if (directive === 'ELSEIF') {
+            const holds = !block.taken && block.outer && this._checkCondition('IF', operand, lineNum);
+            block.active = holds;
+            block.taken = block.taken || holds;
+        } else {
+            if (operand !== '') this._reportError(lineNum, `ELSE takes no operand: '${operand}'`);
+            block.active = !block.taken && block.outer;
+            block.taken = true;
+            block.elseSeen = true;
+        }
+        return true;
+    }
+
+    // Whether IF's expression is nonzero, or whether IFDEF's symbol is defined (IFNDEF: not)
+    _checkCondition(directive, operand, lineNum) {
+        if (operand === '') {
+            this._reportError(lineNum, `${directive} needs ${directive === 'IF' ? 'an expression' : 'a symbol'}`);
+            return false;
+        }
+        if (directive === 'IF') {
+            const value = this._evaluateExpression(operand, this.symbols, lineNum);
+            return !isNaN(value) && value !== 0;
+        }
+        if (!Z80Assembler.SYMBOL_NAME.test(operand)) {
+            this._reportError(lineNum, `${directive} needs a symbol: '${operand}'`);
+            return false;
+        }
+        return this.symbols.hasOwnProperty(operand.toUpperCase()) === (directive === 'IFDEF');
+    }
+
+    // A symbol defined after an IFDEF or IFNDEF found it undefined would have changed the
+    // test's outcome, unless it is defined in the block the test opened
+    _checkUndefinedTests(name, lineNum) {
+        for (const test of this.undefinedTests) {
+            if (test.name === name && !this.conditionals.includes(test.block)) {
+                this._reportError(test.lineNum, `${test.directive} ${name} comes before ${name} is defined, ` +
+                    `on line ${lineNum}: IFDEF and IFNDEF see only the symbols defined above them`);
+            }
+        }
+    }
+
+    // Whether the current line is in no IF block, or only in branches being assembled
+    _conditionsHold() {
+        return this.conditionals.length === 0 || this.conditionals[this.conditionals.length - 1].active;
     }
 
     /**
@@ -341,6 +798,7 @@ class Z80Assembler {
         for (const parsed of this.parsedLines) {
             const lineNum = parsed.lineNum;
             const sourceLineIndex = lineNum - 1; // Convert to 0-based index
+            this.currentMacro = parsed.macro;
             const mnemonic = parsed.mnemonic ? parsed.mnemonic.toUpperCase() : '';
             
             // Skip directives that don't generate code
@@ -391,7 +849,26 @@ class Z80Assembler {
             
             // Store the opcodes in the instruction details for this source line
             if (sourceLineIndex >= 0 && sourceLineIndex < this.instructionDetails.length) {
-                this.instructionDetails[sourceLineIndex].opcodes = bytes.slice(); // Copy the bytes array
+                const detail = this.instructionDetails[sourceLineIndex];
+                const data = ['DB', 'DEFB', 'DEFW', 'DEFS'].includes(mnemonic);
+                const selfModifying = parsed.selfModifying || (parsed.comment !== null && /@SMC\b/i.test(parsed.comment));
+                if (parsed.macro === null) {
+                    detail.opcodes = bytes.slice(); // Copy the bytes array
+                    detail.data = data;
+                    detail.selfModifying = selfModifying;
+                } else {
+                    // An expanded line adds its bytes to the invocation's line
+                    if (detail.expansion === null) detail.expansion = [];
+                    detail.expansion.push({
+                        startAddress: this.currentAddress,
+                        sourceString: parsed.source,
+                        opcodes: bytes.slice(),
+                        data,
+                        selfModifying
+                    });
+                    detail.opcodes.push(...bytes);
+                    detail.selfModifying = parsed.selfModifying;
+                }
             }
             
             this.currentAddress += bytes.length;
@@ -419,7 +896,8 @@ class Z80Assembler {
      */
     _resolveInstruction(parsedLine, lineNum) {
         const { mnemonic, operands } = parsedLine;
-        const candidates = this.instructionMap.get(mnemonic.toUpperCase());
+        const upperMnemonic = mnemonic.toUpperCase();
+        const candidates = this.instructionMap.get(Z80Assembler.MNEMONIC_ALIASES[upperMnemonic] || upperMnemonic);
 
         if (!candidates) {
             this._reportError(lineNum, `Unknown mnemonic '${mnemonic}'`);
@@ -436,6 +914,7 @@ class Z80Assembler {
                     case Z80Assembler.OPERAND.IMM8:
                     case Z80Assembler.OPERAND.IMM16:
                     case Z80Assembler.OPERAND.RELATIVE:
+                    case Z80Assembler.OPERAND.RESTART:
                         // These patterns match immediate values (not memory references)
                         return this._isImmediateValue(operand);
                     case Z80Assembler.OPERAND.MEM16:
@@ -444,6 +923,9 @@ class Z80Assembler {
                         return this._isMemoryReference(operand);
                     case Z80Assembler.OPERAND.STRING:
                         return operand.startsWith('"') && operand.endsWith('"');
+                    case Z80Assembler.OPERAND.IX_OFFSET:
+                    case Z80Assembler.OPERAND.IY_OFFSET:
+                        return this._parseIndexedOperand(operand)?.register === pattern.slice(1, 3);
                     default:
                         // Exact match for registers or conditions (e.g., 'A', 'BC', 'NZ')
                         return pattern === operand;
@@ -455,6 +937,7 @@ class Z80Assembler {
                 let size = inst.opcodes.length;
                 inst.operands.forEach(p => {
                     if (p === Z80Assembler.OPERAND.IMM8 || p === Z80Assembler.OPERAND.RELATIVE || p === Z80Assembler.OPERAND.MEM8) size += 1;
+                    if (p === Z80Assembler.OPERAND.IX_OFFSET || p === Z80Assembler.OPERAND.IY_OFFSET) size += 1;
                     if (p === Z80Assembler.OPERAND.IMM16 || p === Z80Assembler.OPERAND.MEM16) size += 2;
                 });
                 return { ...inst, size };
@@ -533,6 +1016,36 @@ class Z80Assembler {
                     }
                     break;
                 }
+                case Z80Assembler.OPERAND.IX_OFFSET:
+                case Z80Assembler.OPERAND.IY_OFFSET: {
+                    const { displacement } = this._parseIndexedOperand(operandStr);
+                    const value = this._evaluateExpression(displacement, symbols, parsedLine.lineNum);
+                    if (isNaN(value)) {
+                        this._reportError(parsedLine.lineNum, `Invalid index displacement: '${operandStr}'`);
+                        failed = true;
+                    } else if (value < -128 || value > 127) {
+                        this._reportError(parsedLine.lineNum, `Index displacement out of range (-128 to 127): ${value}`);
+                        failed = true;
+                    } else {
+                        // The displacement always follows the prefix and first opcode byte,
+                        // so for DDCB/FDCB it lands before the final opcode byte
+                        bytes.splice(2, 0, value & 0xFF);
+                    }
+                    break;
+                }
+                case Z80Assembler.OPERAND.RESTART: {
+                    const value = this._evaluateExpression(operandStr, symbols, parsedLine.lineNum);
+                    if (isNaN(value)) {
+                        this._reportError(parsedLine.lineNum, `Invalid restart address: '${operandStr}'`);
+                        failed = true;
+                    } else if (value < 0 || value > 0x38 || (value & 7) !== 0) {
+                        this._reportError(parsedLine.lineNum, `Restart address must be 00H-38H in steps of 8: ${value}`);
+                        failed = true;
+                    } else {
+                        bytes[0] |= value;
+                    }
+                    break;
+                }
                 case Z80Assembler.OPERAND.RELATIVE: {
                     const targetAddr = this._evaluateExpression(operandStr, symbols, parsedLine.lineNum);
                     if (isNaN(targetAddr)) {
@@ -642,7 +1155,7 @@ class Z80Assembler {
      * Populates the instruction map with Z80 instruction definitions.
      */
     _buildInstructionSet() {
-        const { IMM8, IMM16, MEM8, MEM16, RELATIVE } = Z80Assembler.OPERAND;
+        const { IMM8, IMM16, MEM8, MEM16, RELATIVE, RESTART } = Z80Assembler.OPERAND;
         const definitions = [
             
             { m: 'NOP', ops: [], opc: [0x00] },
@@ -730,6 +1243,8 @@ class Z80Assembler {
             { m: 'LD', ops: ['A', 'H'], opc: [0x7C] },
             { m: 'LD', ops: ['A', 'L'], opc: [0x7D] },
             { m: 'LD', ops: ['A', '(HL)'], opc: [0x7E] },
+            { m: 'LD', ops: ['A', 'A'], opc: [0x7F] },
+            { m: 'LD', ops: ['SP', 'HL'], opc: [0xF9] },
 
             // Control flow
             { m: 'CALL', ops: [IMM16], opc: [0xCD] },
@@ -737,11 +1252,20 @@ class Z80Assembler {
             { m: 'CALL', ops: ['NZ', IMM16], opc: [0xC4] },
             { m: 'CALL', ops: ['C', IMM16], opc: [0xDC] },
             { m: 'CALL', ops: ['NC', IMM16], opc: [0xD4] },
+            { m: 'CALL', ops: ['PO', IMM16], opc: [0xE4] },
+            { m: 'CALL', ops: ['PE', IMM16], opc: [0xEC] },
+            { m: 'CALL', ops: ['P', IMM16], opc: [0xF4] },
+            { m: 'CALL', ops: ['M', IMM16], opc: [0xFC] },
             { m: 'RET', ops: [], opc: [0xC9] },
             { m: 'RET', ops: ['NZ'], opc: [0xC0] },
             { m: 'RET', ops: ['Z'], opc: [0xC8] },
             { m: 'RET', ops: ['NC'], opc: [0xD0] },
             { m: 'RET', ops: ['C'], opc: [0xD8] },
+            { m: 'RET', ops: ['PO'], opc: [0xE0] },
+            { m: 'RET', ops: ['PE'], opc: [0xE8] },
+            { m: 'RET', ops: ['P'], opc: [0xF0] },
+            { m: 'RET', ops: ['M'], opc: [0xF8] },
+            { m: 'RST', ops: [RESTART], opc: [0xC7] },
 
             { m: 'DJNZ', ops: [RELATIVE], opc: [0x10] },
             { m: 'JR', ops: [RELATIVE], opc: [0x18] },
@@ -752,6 +1276,7 @@ class Z80Assembler {
 
             // Exchange instructions
             { m: 'EX', ops: ['AF', "AF'"], opc: [0x08] },
+            { m: 'EXX', ops: [], opc: [0xD9] },
             { m: 'EX', ops: ['DE', 'HL'], opc: [0xEB] },
             { m: 'EX', ops: ['(SP)', 'HL'], opc: [0xE3] },
             
@@ -761,6 +1286,10 @@ class Z80Assembler {
             { m: 'JP', ops: ['NZ', IMM16], opc: [0xC2] },
             { m: 'JP', ops: ['C', IMM16], opc: [0xDA] },
             { m: 'JP', ops: ['NC', IMM16], opc: [0xD2] },
+            { m: 'JP', ops: ['PO', IMM16], opc: [0xE2] },
+            { m: 'JP', ops: ['PE', IMM16], opc: [0xEA] },
+            { m: 'JP', ops: ['P', IMM16], opc: [0xF2] },
+            { m: 'JP', ops: ['M', IMM16], opc: [0xFA] },
             { m: 'JP', ops: ['(HL)'], opc: [0xE9] },
 
             // Arithmetic
@@ -801,7 +1330,14 @@ class Z80Assembler {
             { m: 'ADD', ops: ['A', 'L'], opc: [0x85] },
             { m: 'ADD', ops: ['A', IMM8], opc: [0xC6] },
             { m: 'ADD', ops: ['A', '(HL)'], opc: [0x86] },
+            { m: 'ADC', ops: ['A', 'B'], opc: [0x88] },
+            { m: 'ADC', ops: ['A', 'C'], opc: [0x89] },
+            { m: 'ADC', ops: ['A', 'D'], opc: [0x8A] },
+            { m: 'ADC', ops: ['A', 'E'], opc: [0x8B] },
             { m: 'ADC', ops: ['A', 'H'], opc: [0x8C] },
+            { m: 'ADC', ops: ['A', 'L'], opc: [0x8D] },
+            { m: 'ADC', ops: ['A', '(HL)'], opc: [0x8E] },
+            { m: 'ADC', ops: ['A', 'A'], opc: [0x8F] },
             { m: 'ADC', ops: ['A', IMM8], opc: [0xCE] },
             { m: 'SUB', ops: ['A'], opc: [0x97] },
             { m: 'SUB', ops: [IMM8], opc: [0xD6] },
@@ -867,13 +1403,60 @@ class Z80Assembler {
             { m: 'RRCA', ops: [], opc: [0x0F] },
             { m: 'RRA', ops: [], opc: [0x1F] },
             
+            // Interrupt control
+            { m: 'DI', ops: [], opc: [0xF3] },
+            { m: 'EI', ops: [], opc: [0xFB] },
+
             // Flag operations
             { m: 'SCF', ops: [], opc: [0x37] },
             { m: 'CCF', ops: [], opc: [0x3F] },
             { m: 'CPL', ops: [], opc: [0x2F] },
+            { m: 'DAA', ops: [], opc: [0x27] },
 
             // Block operations
+            { m: 'LDI', ops: [], opc: [0xED, 0xA0] },
+            { m: 'CPI', ops: [], opc: [0xED, 0xA1] },
+            { m: 'INI', ops: [], opc: [0xED, 0xA2] },
+            { m: 'OUTI', ops: [], opc: [0xED, 0xA3] },
+            { m: 'LDD', ops: [], opc: [0xED, 0xA8] },
+            { m: 'CPD', ops: [], opc: [0xED, 0xA9] },
+            { m: 'IND', ops: [], opc: [0xED, 0xAA] },
+            { m: 'OUTD', ops: [], opc: [0xED, 0xAB] },
             { m: 'LDIR', ops: [], opc: [0xED, 0xB0] },
+            { m: 'CPIR', ops: [], opc: [0xED, 0xB1] },
+            { m: 'INIR', ops: [], opc: [0xED, 0xB2] },
+            { m: 'OTIR', ops: [], opc: [0xED, 0xB3] },
+            { m: 'LDDR', ops: [], opc: [0xED, 0xB8] },
+            { m: 'CPDR', ops: [], opc: [0xED, 0xB9] },
+            { m: 'INDR', ops: [], opc: [0xED, 0xBA] },
+            { m: 'OTDR', ops: [], opc: [0xED, 0xBB] },
+
+            // Other ED-prefixed instructions
+            { m: 'SBC', ops: ['HL', 'BC'], opc: [0xED, 0x42] },
+            { m: 'SBC', ops: ['HL', 'DE'], opc: [0xED, 0x52] },
+            { m: 'SBC', ops: ['HL', 'HL'], opc: [0xED, 0x62] },
+            { m: 'SBC', ops: ['HL', 'SP'], opc: [0xED, 0x72] },
+            { m: 'ADC', ops: ['HL', 'BC'], opc: [0xED, 0x4A] },
+            { m: 'ADC', ops: ['HL', 'DE'], opc: [0xED, 0x5A] },
+            { m: 'ADC', ops: ['HL', 'HL'], opc: [0xED, 0x6A] },
+            { m: 'ADC', ops: ['HL', 'SP'], opc: [0xED, 0x7A] },
+            { m: 'LD', ops: [MEM16, 'BC'], opc: [0xED, 0x43] },
+            { m: 'LD', ops: [MEM16, 'DE'], opc: [0xED, 0x53] },
+            { m: 'LD', ops: [MEM16, 'SP'], opc: [0xED, 0x73] },
+            { m: 'LD', ops: ['BC', MEM16], opc: [0xED, 0x4B] },
+            { m: 'LD', ops: ['DE', MEM16], opc: [0xED, 0x5B] },
+            { m: 'LD', ops: ['SP', MEM16], opc: [0xED, 0x7B] },
+            { m: 'LD', ops: ['I', 'A'], opc: [0xED, 0x47] },
+            { m: 'LD', ops: ['R', 'A'], opc: [0xED, 0x4F] },
+            { m: 'LD', ops: ['A', 'I'], opc: [0xED, 0x57] },
+            { m: 'LD', ops: ['A', 'R'], opc: [0xED, 0x5F] },
+            { m: 'RRD', ops: [], opc: [0xED, 0x67] },
+            { m: 'RLD', ops: [], opc: [0xED, 0x6F] },
+            { m: 'IM', ops: ['0'], opc: [0xED, 0x46] },
+            { m: 'IM', ops: ['1'], opc: [0xED, 0x56] },
+            { m: 'IM', ops: ['2'], opc: [0xED, 0x5E] },
+            { m: 'RETN', ops: [], opc: [0xED, 0x45] },
+            { m: 'RETI', ops: [], opc: [0xED, 0x4D] },
 
             // Stack operations
             { m: 'PUSH', ops: ['BC'], opc: [0xC5] },
@@ -888,138 +1471,29 @@ class Z80Assembler {
             // I/O operations
             { m: 'IN', ops: ['A', MEM8], opc: [0xDB] },
             { m: 'OUT', ops: [MEM8, 'A'], opc: [0xD3] },
+            { m: 'IN', ops: ['B', '(C)'], opc: [0xED, 0x40] },
+            { m: 'IN', ops: ['C', '(C)'], opc: [0xED, 0x48] },
+            { m: 'IN', ops: ['D', '(C)'], opc: [0xED, 0x50] },
+            { m: 'IN', ops: ['E', '(C)'], opc: [0xED, 0x58] },
+            { m: 'IN', ops: ['H', '(C)'], opc: [0xED, 0x60] },
+            { m: 'IN', ops: ['L', '(C)'], opc: [0xED, 0x68] },
+            { m: 'IN', ops: ['F', '(C)'], opc: [0xED, 0x70] },  // Undocumented: sets flags only
+            { m: 'IN', ops: ['A', '(C)'], opc: [0xED, 0x78] },
+            { m: 'OUT', ops: ['(C)', 'B'], opc: [0xED, 0x41] },
+            { m: 'OUT', ops: ['(C)', 'C'], opc: [0xED, 0x49] },
+            { m: 'OUT', ops: ['(C)', 'D'], opc: [0xED, 0x51] },
+            { m: 'OUT', ops: ['(C)', 'E'], opc: [0xED, 0x59] },
+            { m: 'OUT', ops: ['(C)', 'H'], opc: [0xED, 0x61] },
+            { m: 'OUT', ops: ['(C)', 'L'], opc: [0xED, 0x69] },
+            { m: 'OUT', ops: ['(C)', '0'], opc: [0xED, 0x71] },  // Undocumented: outputs zero
+            { m: 'OUT', ops: ['(C)', 'A'], opc: [0xED, 0x79] },
             
-            // Shift and rotate instructions
-            { m: 'SLA', ops: ['A'], opc: [0xCB, 0x27] },
-            { m: 'SLA', ops: ['B'], opc: [0xCB, 0x20] },
-            { m: 'SLA', ops: ['C'], opc: [0xCB, 0x21] },
-            { m: 'SLA', ops: ['D'], opc: [0xCB, 0x22] },
-            { m: 'SLA', ops: ['E'], opc: [0xCB, 0x23] },
-            { m: 'SLA', ops: ['H'], opc: [0xCB, 0x24] },
-            { m: 'SLA', ops: ['L'], opc: [0xCB, 0x25] },
-            { m: 'SLA', ops: ['(HL)'], opc: [0xCB, 0x26] },
-            
-            { m: 'SRA', ops: ['A'], opc: [0xCB, 0x2F] },
-            { m: 'SRA', ops: ['B'], opc: [0xCB, 0x28] },
-            { m: 'SRA', ops: ['C'], opc: [0xCB, 0x29] },
-            { m: 'SRA', ops: ['D'], opc: [0xCB, 0x2A] },
-            { m: 'SRA', ops: ['E'], opc: [0xCB, 0x2B] },
-            { m: 'SRA', ops: ['H'], opc: [0xCB, 0x2C] },
-            { m: 'SRA', ops: ['L'], opc: [0xCB, 0x2D] },
-            { m: 'SRA', ops: ['(HL)'], opc: [0xCB, 0x2E] },
-            
-            { m: 'SRL', ops: ['A'], opc: [0xCB, 0x3F] },
-            { m: 'SRL', ops: ['B'], opc: [0xCB, 0x38] },
-            { m: 'SRL', ops: ['C'], opc: [0xCB, 0x39] },
-            { m: 'SRL', ops: ['D'], opc: [0xCB, 0x3A] },
-            { m: 'SRL', ops: ['E'], opc: [0xCB, 0x3B] },
-            { m: 'SRL', ops: ['H'], opc: [0xCB, 0x3C] },
-            { m: 'SRL', ops: ['L'], opc: [0xCB, 0x3D] },
-            { m: 'SRL', ops: ['(HL)'], opc: [0xCB, 0x3E] },
-            
-            // Rotate instructions (CB prefix)
-            { m: 'RLC', ops: ['A'], opc: [0xCB, 0x07] },
-            { m: 'RLC', ops: ['B'], opc: [0xCB, 0x00] },
-            { m: 'RLC', ops: ['C'], opc: [0xCB, 0x01] },
-            { m: 'RLC', ops: ['D'], opc: [0xCB, 0x02] },
-            { m: 'RLC', ops: ['E'], opc: [0xCB, 0x03] },
-            { m: 'RLC', ops: ['H'], opc: [0xCB, 0x04] },
-            { m: 'RLC', ops: ['L'], opc: [0xCB, 0x05] },
-            { m: 'RLC', ops: ['(HL)'], opc: [0xCB, 0x06] },
-            
-            { m: 'RRC', ops: ['A'], opc: [0xCB, 0x0F] },
-            { m: 'RRC', ops: ['B'], opc: [0xCB, 0x08] },
-            { m: 'RRC', ops: ['C'], opc: [0xCB, 0x09] },
-            { m: 'RRC', ops: ['D'], opc: [0xCB, 0x0A] },
-            { m: 'RRC', ops: ['E'], opc: [0xCB, 0x0B] },
-            { m: 'RRC', ops: ['H'], opc: [0xCB, 0x0C] },
-            { m: 'RRC', ops: ['L'], opc: [0xCB, 0x0D] },
-            { m: 'RRC', ops: ['(HL)'], opc: [0xCB, 0x0E] },
-            
-            { m: 'RL', ops: ['A'], opc: [0xCB, 0x17] },
-            { m: 'RL', ops: ['B'], opc: [0xCB, 0x10] },
-            { m: 'RL', ops: ['C'], opc: [0xCB, 0x11] },
-            { m: 'RL', ops: ['D'], opc: [0xCB, 0x12] },
-            { m: 'RL', ops: ['E'], opc: [0xCB, 0x13] },
-            { m: 'RL', ops: ['H'], opc: [0xCB, 0x14] },
-            { m: 'RL', ops: ['L'], opc: [0xCB, 0x15] },
-            { m: 'RL', ops: ['(HL)'], opc: [0xCB, 0x16] },
-            
-            { m: 'RR', ops: ['A'], opc: [0xCB, 0x1F] },
-            { m: 'RR', ops: ['B'], opc: [0xCB, 0x18] },
-            { m: 'RR', ops: ['C'], opc: [0xCB, 0x19] },
-            { m: 'RR', ops: ['D'], opc: [0xCB, 0x1A] },
-            { m: 'RR', ops: ['E'], opc: [0xCB, 0x1B] },
-            { m: 'RR', ops: ['H'], opc: [0xCB, 0x1C] },
-            { m: 'RR', ops: ['L'], opc: [0xCB, 0x1D] },
-            { m: 'RR', ops: ['(HL)'], opc: [0xCB, 0x1E] },
-            
-            // Bit test instructions  
-            { m: 'BIT', ops: ['0', 'A'], opc: [0xCB, 0x47] },
-            { m: 'BIT', ops: ['1', 'A'], opc: [0xCB, 0x4F] },
-            { m: 'BIT', ops: ['2', 'A'], opc: [0xCB, 0x57] },
-            { m: 'BIT', ops: ['3', 'A'], opc: [0xCB, 0x5F] },
-            { m: 'BIT', ops: ['4', 'A'], opc: [0xCB, 0x67] },
-            { m: 'BIT', ops: ['5', 'A'], opc: [0xCB, 0x6F] },
-            { m: 'BIT', ops: ['6', 'A'], opc: [0xCB, 0x77] },
-            { m: 'BIT', ops: ['7', 'A'], opc: [0xCB, 0x7F] },
-            { m: 'BIT', ops: ['7', 'E'], opc: [0xCB, 0x7B] },
-            { m: 'BIT', ops: ['7', 'D'], opc: [0xCB, 0x7A] },
-            
-            // SET bit instructions
-            { m: 'SET', ops: ['0', 'A'], opc: [0xCB, 0xC7] },
-            { m: 'SET', ops: ['0', 'B'], opc: [0xCB, 0xC0] },
-            { m: 'SET', ops: ['0', 'C'], opc: [0xCB, 0xC1] },
-            { m: 'SET', ops: ['0', 'D'], opc: [0xCB, 0xC2] },
-            { m: 'SET', ops: ['0', 'E'], opc: [0xCB, 0xC3] },
-            { m: 'SET', ops: ['0', 'H'], opc: [0xCB, 0xC4] },
-            { m: 'SET', ops: ['0', 'L'], opc: [0xCB, 0xC5] },
-            { m: 'SET', ops: ['0', '(HL)'], opc: [0xCB, 0xC6] },
-            { m: 'SET', ops: ['1', 'A'], opc: [0xCB, 0xCF] },
-            { m: 'SET', ops: ['1', 'B'], opc: [0xCB, 0xC8] },
-            { m: 'SET', ops: ['1', 'C'], opc: [0xCB, 0xC9] },
-            { m: 'SET', ops: ['1', 'D'], opc: [0xCB, 0xCA] },
-            { m: 'SET', ops: ['1', 'E'], opc: [0xCB, 0xCB] },
-            { m: 'SET', ops: ['1', 'H'], opc: [0xCB, 0xCC] },
-            { m: 'SET', ops: ['1', 'L'], opc: [0xCB, 0xCD] },
-            { m: 'SET', ops: ['1', '(HL)'], opc: [0xCB, 0xCE] },
-            { m: 'SET', ops: ['7', 'A'], opc: [0xCB, 0xFF] },
-            { m: 'SET', ops: ['7', 'B'], opc: [0xCB, 0xF8] },
-            { m: 'SET', ops: ['7', 'C'], opc: [0xCB, 0xF9] },
-            { m: 'SET', ops: ['7', 'D'], opc: [0xCB, 0xFA] },
-            { m: 'SET', ops: ['7', 'E'], opc: [0xCB, 0xFB] },
-            { m: 'SET', ops: ['7', 'H'], opc: [0xCB, 0xFC] },
-            { m: 'SET', ops: ['7', 'L'], opc: [0xCB, 0xFD] },
-            { m: 'SET', ops: ['7', '(HL)'], opc: [0xCB, 0xFE] },
-            
-            // RES bit instructions
-            { m: 'RES', ops: ['0', 'A'], opc: [0xCB, 0x87] },
-            { m: 'RES', ops: ['0', 'B'], opc: [0xCB, 0x80] },
-            { m: 'RES', ops: ['0', 'C'], opc: [0xCB, 0x81] },
-            { m: 'RES', ops: ['0', 'D'], opc: [0xCB, 0x82] },
-            { m: 'RES', ops: ['0', 'E'], opc: [0xCB, 0x83] },
-            { m: 'RES', ops: ['0', 'H'], opc: [0xCB, 0x84] },
-            { m: 'RES', ops: ['0', 'L'], opc: [0xCB, 0x85] },
-            { m: 'RES', ops: ['0', '(HL)'], opc: [0xCB, 0x86] },
-            { m: 'RES', ops: ['1', 'A'], opc: [0xCB, 0x8F] },
-            { m: 'RES', ops: ['1', 'B'], opc: [0xCB, 0x88] },
-            { m: 'RES', ops: ['1', 'C'], opc: [0xCB, 0x89] },
-            { m: 'RES', ops: ['1', 'D'], opc: [0xCB, 0x8A] },
-            { m: 'RES', ops: ['1', 'E'], opc: [0xCB, 0x8B] },
-            { m: 'RES', ops: ['1', 'H'], opc: [0xCB, 0x8C] },
-            { m: 'RES', ops: ['1', 'L'], opc: [0xCB, 0x8D] },
-            { m: 'RES', ops: ['1', '(HL)'], opc: [0xCB, 0x8E] },
-            { m: 'RES', ops: ['7', 'A'], opc: [0xCB, 0xBF] },
-            { m: 'RES', ops: ['7', 'B'], opc: [0xCB, 0xB8] },
-            { m: 'RES', ops: ['7', 'C'], opc: [0xCB, 0xB9] },
-            { m: 'RES', ops: ['7', 'D'], opc: [0xCB, 0xBA] },
-            { m: 'RES', ops: ['7', 'E'], opc: [0xCB, 0xBB] },
-            { m: 'RES', ops: ['7', 'H'], opc: [0xCB, 0xBC] },
-            { m: 'RES', ops: ['7', 'L'], opc: [0xCB, 0xBD] },
-            { m: 'RES', ops: ['7', '(HL)'], opc: [0xCB, 0xBE] },
+            ...this._bitInstructionDefinitions(),
 
             { m: 'HALT', ops: [], opc: [0x76] },
 
+            ...this._indexRegisterDefinitions('IX', 0xDD),
+            ...this._indexRegisterDefinitions('IY', 0xFD),
         ];
 
         const opcodes = new Set();
@@ -1060,12 +1534,14 @@ class Z80Assembler {
                     op === Z80Assembler.OPERAND.IMM8 || 
                     op === Z80Assembler.OPERAND.IMM16 || 
                     op === Z80Assembler.OPERAND.RELATIVE ||
+                    op === Z80Assembler.OPERAND.MEM8 ||
                     op === Z80Assembler.OPERAND.MEM16
                 );
                 const bHasGeneric = b.operands.some(op => 
                     op === Z80Assembler.OPERAND.IMM8 || 
                     op === Z80Assembler.OPERAND.IMM16 || 
                     op === Z80Assembler.OPERAND.RELATIVE ||
+                    op === Z80Assembler.OPERAND.MEM8 ||
                     op === Z80Assembler.OPERAND.MEM16
                 );
                 if (aHasGeneric && !bHasGeneric) return 1;
@@ -1083,6 +1559,104 @@ class Z80Assembler {
         return {duplicateMnemonicOperands, duplicateOpcodes, missingSingleBytes };
     }
 
+    /**
+     * Builds the CB-prefixed definitions: every rotate/shift, BIT, RES and SET on every
+     * register and (HL). The opcode is (group << 6) | (operation or bit << 3) | register.
+     * @returns {object[]} Instruction definitions in the same shape as _buildInstructionSet's.
+     */
+    _bitInstructionDefinitions() {
+        const definitions = [];
+        Z80Assembler.CB_REGISTERS.forEach((register, code) => {
+            Z80Assembler.SHIFT_OPERATIONS.forEach((mnemonic, operation) => {
+                definitions.push({ m: mnemonic, ops: [register], opc: [0xCB, (operation << 3) | code] });
+            });
+            for (let bit = 0; bit < 8; bit++) {
+                definitions.push({ m: 'BIT', ops: [String(bit), register], opc: [0xCB, 0x40 | (bit << 3) | code] });
+                definitions.push({ m: 'RES', ops: [String(bit), register], opc: [0xCB, 0x80 | (bit << 3) | code] });
+                definitions.push({ m: 'SET', ops: [String(bit), register], opc: [0xCB, 0xC0 | (bit << 3) | code] });
+            }
+        });
+        return definitions;
+    }
+
+    /**
+     * Builds the DD (IX) or FD (IY) prefixed definitions. These mirror the HL instructions,
+     * so they are generated from the opcode layout rather than listed one by one.
+     * @param {string} index - 'IX' or 'IY'.
+     * @param {number} prefix - 0xDD or 0xFD.
+     * @returns {object[]} Instruction definitions in the same shape as _buildInstructionSet's.
+     */
+    _indexRegisterDefinitions(index, prefix) {
+        const { IMM8, IMM16, MEM16 } = Z80Assembler.OPERAND;
+        const offset = index === 'IX' ? Z80Assembler.OPERAND.IX_OFFSET : Z80Assembler.OPERAND.IY_OFFSET;
+        const high = index + 'H';
+        const low = index + 'L';
+        const registers = ['B', 'C', 'D', 'E', 'H', 'L', null, 'A'];
+        // Undocumented: with the prefix, H and L select the index register's halves
+        const halves = ['B', 'C', 'D', 'E', high, low, null, 'A'];
+        const aluOperations = [['ADD', 'A'], ['ADC', 'A'], ['SUB'], ['SBC', 'A'], ['AND'], ['XOR'], ['OR'], ['CP']];
+
+        const definitions = [
+            { m: 'ADD', ops: [index, 'BC'], opc: [prefix, 0x09] },
+            { m: 'ADD', ops: [index, 'DE'], opc: [prefix, 0x19] },
+            { m: 'ADD', ops: [index, index], opc: [prefix, 0x29] },
+            { m: 'ADD', ops: [index, 'SP'], opc: [prefix, 0x39] },
+            { m: 'LD', ops: [index, IMM16], opc: [prefix, 0x21] },
+            { m: 'LD', ops: [MEM16, index], opc: [prefix, 0x22] },
+            { m: 'LD', ops: [index, MEM16], opc: [prefix, 0x2A] },
+            { m: 'INC', ops: [index], opc: [prefix, 0x23] },
+            { m: 'DEC', ops: [index], opc: [prefix, 0x2B] },
+            { m: 'INC', ops: [high], opc: [prefix, 0x24] },
+            { m: 'DEC', ops: [high], opc: [prefix, 0x25] },
+            { m: 'LD', ops: [high, IMM8], opc: [prefix, 0x26] },
+            { m: 'INC', ops: [low], opc: [prefix, 0x2C] },
+            { m: 'DEC', ops: [low], opc: [prefix, 0x2D] },
+            { m: 'LD', ops: [low, IMM8], opc: [prefix, 0x2E] },
+            { m: 'INC', ops: [offset], opc: [prefix, 0x34] },
+            { m: 'DEC', ops: [offset], opc: [prefix, 0x35] },
+            { m: 'LD', ops: [offset, IMM8], opc: [prefix, 0x36] },
+            { m: 'POP', ops: [index], opc: [prefix, 0xE1] },
+            { m: 'EX', ops: ['(SP)', index], opc: [prefix, 0xE3] },
+            { m: 'PUSH', ops: [index], opc: [prefix, 0xE5] },
+            { m: 'JP', ops: [`(${index})`], opc: [prefix, 0xE9] },
+            { m: 'LD', ops: ['SP', index], opc: [prefix, 0xF9] },
+        ];
+
+        for (let code = 0; code < 8; code++) {
+            if (code === 6) continue;
+            // LD r,(IX+d) and LD (IX+d),r use the real H and L
+            definitions.push({ m: 'LD', ops: [registers[code], offset], opc: [prefix, 0x46 | (code << 3)] });
+            definitions.push({ m: 'LD', ops: [offset, registers[code]], opc: [prefix, 0x70 | code] });
+        }
+
+        // LD r,r' forms that involve at least one index half
+        for (let target = 0; target < 8; target++) {
+            for (let source = 0; source < 8; source++) {
+                if (target === 6 || source === 6) continue;
+                if (target !== 4 && target !== 5 && source !== 4 && source !== 5) continue;
+                definitions.push({ m: 'LD', ops: [halves[target], halves[source]], opc: [prefix, 0x40 | (target << 3) | source] });
+            }
+        }
+
+        aluOperations.forEach(([mnemonic, ...leading], operation) => {
+            const base = 0x80 | (operation << 3);
+            definitions.push({ m: mnemonic, ops: [...leading, high], opc: [prefix, base | 4] });
+            definitions.push({ m: mnemonic, ops: [...leading, low], opc: [prefix, base | 5] });
+            definitions.push({ m: mnemonic, ops: [...leading, offset], opc: [prefix, base | 6] });
+        });
+
+        Z80Assembler.SHIFT_OPERATIONS.forEach((mnemonic, operation) => {
+            definitions.push({ m: mnemonic, ops: [offset], opc: [prefix, 0xCB, (operation << 3) | 6] });
+        });
+        for (let bit = 0; bit < 8; bit++) {
+            definitions.push({ m: 'BIT', ops: [String(bit), offset], opc: [prefix, 0xCB, 0x46 | (bit << 3)] });
+            definitions.push({ m: 'RES', ops: [String(bit), offset], opc: [prefix, 0xCB, 0x86 | (bit << 3)] });
+            definitions.push({ m: 'SET', ops: [String(bit), offset], opc: [prefix, 0xCB, 0xC6 | (bit << 3)] });
+        }
+
+        return definitions;
+    }
+
     /**
      * Processes escape sequences in a string, converting them to their ASCII values.
      * @param {string} str - The string containing potential escape sequences.
@@ -1137,6 +1711,19 @@ class Z80Assembler {
      * @param {string} operand - The operand to analyze
      * @returns {boolean} True if operand is a memory reference, false if immediate
      */
+    /**
+     * Splits an indexed memory operand such as "(IX+5)", "(IY-OFFSET)" or "(IX)".
+     * @param {string} operand - The operand text.
+     * @returns {{register: string, displacement: string}|null} The index register and its
+     *          displacement expression, or null if the operand is not indexed.
+     */
+    _parseIndexedOperand(operand) {
+        const match = operand.match(/^\(\s*(IX|IY)\s*([+-].*)?\)$/i);
+        if (!match) return null;
+        // Prefix 0 so the sign parses as a binary operator: "(IX-2)" evaluates "0-2"
+        return { register: match[1].toUpperCase(), displacement: '0' + (match[2] || '') };
+    }
+
     _isMemoryReference(operand) {
         if (!operand.startsWith('(') || !operand.endsWith(')')) {
             return false;
@@ -1170,7 +1757,7 @@ class Z80Assembler {
         this.errors.push({ 
             line: lineNum, 
             address: this.currentAddress !== undefined ? this.currentAddress : null, 
-            message 
+            message: this.currentMacro ? `${message} (in macro ${this.currentMacro})` : message
         });
     }
 
@@ -1311,7 +1898,7 @@ class ExpressionParser {
     // Parse a complete expression
     parseExpression() {
         try {
-            const result = this.parseAddSubtract();
+            const result = this.parseComparison();
             if (this.pos < this.expr.length) {
                 this.error(`Unexpected character '${this.peek()}' at position ${this.pos}`);
                 return NaN;
@@ -1323,7 +1910,31 @@ class ExpressionParser {
         }
     }
 
-    // Parse addition and subtraction (lowest precedence)
+    // Parse a comparison (lowest precedence): 1 when it holds, 0 when not. One per expression,
+    // as a chain such as 1 < 2 < 3 would not mean what it says.
+    parseComparison() {
+        this.skipWhitespace();
+        const left = this.parseAddSubtract();
+        const operator = this.expr.slice(this.pos).match(/^(==|=|<>|!=|<=|>=|<|>)/);
+        if (!operator) return left;
+        this.pos += operator[1].length;
+        const right = this.parseAddSubtract();
+        if (isNaN(left) || isNaN(right)) {
+            throw new Error(`Invalid operands in expression`);
+        }
+        switch (operator[1]) {
+            case '=':
+            case '==': return left === right ? 1 : 0;
+            case '<>':
+            case '!=': return left !== right ? 1 : 0;
+            case '<': return left < right ? 1 : 0;
+            case '<=': return left <= right ? 1 : 0;
+            case '>': return left > right ? 1 : 0;
+            default: return left >= right ? 1 : 0;
+        }
+    }
+
+    // Parse addition and subtraction
     parseAddSubtract() {
         this.skipWhitespace();
         let left = this.parseMultiplyDivide();
@@ -1395,7 +2006,7 @@ class ExpressionParser {
         if (this.peek() === '(') {
             this.next(); // consume '('
             this.skipWhitespace();
-            const result = this.parseAddSubtract();
+            const result = this.parseComparison();
             this.skipWhitespace();
             if (this.peek() !== ')') {
                 throw new Error(`Missing closing parenthesis, found '${this.peek()}' at position ${this.pos}`);
@@ -1675,8 +2286,10 @@ class ExpressionParser {
             return null;
         }
         
-        // Parse statement up to comment
-        return this.parseStatement();
+        // Parse statement up to comment, which is kept for its pragmas
+        const statement = this.parseStatement();
+        statement.comment = this.peek() === ';' ? this.expr.slice(this.pos + 1) : null;
+        return statement;
     }
 
     /**
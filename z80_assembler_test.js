@@ -79,13 +79,15 @@ class Z80AssemblerTestClass extends TestFramework {
 
   runAllTests() {
     // Load dependencies using inherited method
-    const { Z80Assembler, TestFramework } = this.loadDependencies([
+    const { Z80Assembler, Z80Disassembler, TestFramework } = this.loadDependencies([
       "Z80Assembler",
+      "Z80Disassembler",
       "TestFramework",
     ]);
 
     // Always create a fresh assembler instance
     this.assembler = new Z80Assembler();
+    this.disassembler = new Z80Disassembler(this.assembler);
     this.testLineParsingAndComments();
     this.testLabelsAndConstants();
     this.testDirectives();
@@ -102,6 +104,13 @@ class Z80AssemblerTestClass extends TestFramework {
     this.testLineAddresses();
     this.testBranchRange();
     this.testMultipleOrg();
+    this.testIndexRegisters();
+    this.testExtendedInstructions();
+    this.testInterruptInstructions();
+    this.testBitInstructions();
+    this.testMacros();
+    this.testConditionalAssembly();
+    this.testDisassembler();
 
     return this.completeTests();
   }
@@ -278,6 +287,27 @@ class Z80AssemblerTestClass extends TestFramework {
       HALT        ; End program`,
       [0x00, 0x76]
     );
+
+    // Data bytes and the @SMC pragma are marked in the instruction details
+    const marked = this.assembler.assemble(
+      `PATCH: LD A, 0 ; @smc - SETUP stores the count here
+      TABLE: DB 1, 2 ; not @smcx
+      DEFS 2
+      NOP ; @SMC`
+    ).instructionDetails;
+    this.assert(
+      !marked[0].data && marked[0].selfModifying,
+      "@SMC in a comment marks an instruction as self-modifying"
+    );
+    this.assert(
+      marked[1].data && !marked[1].selfModifying,
+      "DB bytes are data, and @SMCX is not the pragma"
+    );
+    this.assert(marked[2].data, "DEFS bytes are data");
+    this.assert(
+      !marked[3].data && marked[3].selfModifying,
+      "The pragma is not case sensitive"
+    );
   }
 
   // Test 2: Labels and constants (Grammar lines 10-12, 64-65)
@@ -439,6 +469,7 @@ class Z80AssemblerTestClass extends TestFramework {
     // Special register pairs
     this.assertAssemblySuccess("PUSH AF", [0xf5]);
     this.assertAssemblySuccess("EX AF, AF'", [0x08]);
+    this.assertAssemblySuccess("EXX", [0xd9]);
 
     // Indirect register addressing
     this.assertAssemblySuccess("LD A, (BC)", [0x0a]);
@@ -485,6 +516,18 @@ class Z80AssemblerTestClass extends TestFramework {
     // Negative numbers
     this.assertAssemblySuccess("LD A, -(5) + 10", [0x3e, 5]);
 
+    // Comparisons, below the arithmetic: 1 when true, 0 when false
+    this.assertAssemblySuccess("LD A, 2 + 2 = 4", [0x3e, 1]);
+    this.assertAssemblySuccess("LD A, 3 == 4", [0x3e, 0]);
+    this.assertAssemblySuccess("LD A, 3 <> 4", [0x3e, 1]);
+    this.assertAssemblySuccess("LD A, 3 != 3", [0x3e, 0]);
+    this.assertAssemblySuccess("LD A, 3 < 4", [0x3e, 1]);
+    this.assertAssemblySuccess("LD A, 4 <= 4", [0x3e, 1]);
+    this.assertAssemblySuccess("LD A, 4 > 2 * 2", [0x3e, 0]);
+    this.assertAssemblySuccess("LD A, 5 >= 4", [0x3e, 1]);
+    this.assertAssemblySuccess("LD A, (1 < 2) + (3 > 2)", [0x3e, 2]);
+    this.assertAssemblyError("LD A, 1 < 2 < 3", "Unexpected character '<'");
+
     // Division by zero should fail assembly
     this.assertAssemblyError("LD A, 10 / 0", "Division by zero");
   }
@@ -946,6 +989,10 @@ class Z80AssemblerTestClass extends TestFramework {
     this.assertAssemblySuccess("ADD A,H", [0x84]);
     this.assertAssemblySuccess("ADD A,L", [0x85]);
     this.assertAssemblySuccess("ADD A,A", [0x87]);
+    this.assertAssemblySuccess("ADC A,B", [0x88]);
+    this.assertAssemblySuccess("ADC A,L", [0x8d]);
+    this.assertAssemblySuccess("ADC A,(HL)", [0x8e]);
+    this.assertAssemblySuccess("ADC A,A", [0x8f]);
 
     // Arithmetic with immediate
     this.assertAssemblySuccess("ADD A,42", [0xc6, 0x2a]);
@@ -1042,12 +1089,20 @@ class Z80AssemblerTestClass extends TestFramework {
     this.assertAssemblySuccess("RET NZ", [0xc0]);
     this.assertAssemblySuccess("RET C", [0xd8]);
     this.assertAssemblySuccess("RET NC", [0xd0]);
+    this.assertAssemblySuccess("RET PO", [0xe0]);
+    this.assertAssemblySuccess("RET PE", [0xe8]);
+    this.assertAssemblySuccess("RET P", [0xf0]);
+    this.assertAssemblySuccess("RET M", [0xf8]);
 
     // Conditional jumps
     this.assertAssemblySuccess("JP Z,1234", [0xca, 0xd2, 0x04]);
     this.assertAssemblySuccess("JP NZ,1234", [0xc2, 0xd2, 0x04]);
     this.assertAssemblySuccess("JP C,1234", [0xda, 0xd2, 0x04]);
     this.assertAssemblySuccess("JP NC,1234", [0xd2, 0xd2, 0x04]);
+    this.assertAssemblySuccess("JP PO,1234", [0xe2, 0xd2, 0x04]);
+    this.assertAssemblySuccess("JP PE,1234", [0xea, 0xd2, 0x04]);
+    this.assertAssemblySuccess("JP P,1234", [0xf2, 0xd2, 0x04]);
+    this.assertAssemblySuccess("JP M,1234", [0xfa, 0xd2, 0x04]);
 
     // Conditional relative jumps
     this.assertAssemblySuccess("JR Z,10", [0x28, 0x08]);
@@ -1071,6 +1126,8 @@ class Z80AssemblerTestClass extends TestFramework {
     this.assertAssemblySuccess("LD DE,1234", [0x11, 0xd2, 0x04]);
     this.assertAssemblySuccess("LD HL,1234", [0x21, 0xd2, 0x04]);
     this.assertAssemblySuccess("LD SP,1234", [0x31, 0xd2, 0x04]);
+    this.assertAssemblySuccess("LD SP,HL", [0xf9]);
+    this.assertAssemblySuccess("LD A,A", [0x7f]);
 
     // Exchange instructions
     this.assertAssemblySuccess("EX DE,HL", [0xeb]);
@@ -1092,6 +1149,10 @@ class Z80AssemblerTestClass extends TestFramework {
     this.assertAssemblySuccess("CALL NZ,1234", [0xc4, 0xd2, 0x04]);
     this.assertAssemblySuccess("CALL C,1234", [0xdc, 0xd2, 0x04]);
     this.assertAssemblySuccess("CALL NC,1234", [0xd4, 0xd2, 0x04]);
+    this.assertAssemblySuccess("CALL PO,1234", [0xe4, 0xd2, 0x04]);
+    this.assertAssemblySuccess("CALL PE,1234", [0xec, 0xd2, 0x04]);
+    this.assertAssemblySuccess("CALL P,1234", [0xf4, 0xd2, 0x04]);
+    this.assertAssemblySuccess("CALL M,1234", [0xfc, 0xd2, 0x04]);
 
     // Memory load/store operations
     this.assertAssemblySuccess("LD (1234H),HL", [0x22, 0x34, 0x12]);
@@ -1676,6 +1737,457 @@ class Z80AssemblerTestClass extends TestFramework {
       "JP address high byte is 0x20 (0x2000 >> 8)"
     );
   }
+
+  // Test IX/IY instructions, indexed operands and displacement range
+  testIndexRegisters() {
+    consoleLogIfNode("\nTesting IX/IY Index Registers");
+
+    this.assertAssemblySuccess("LD IX, 1234H", [0xdd, 0x21, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD IY, 1234H", [0xfd, 0x21, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD (1234H), IX", [0xdd, 0x22, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD IY, (1234H)", [0xfd, 0x2a, 0x34, 0x12]);
+    this.assertAssemblySuccess("ADD IX, BC", [0xdd, 0x09]);
+    this.assertAssemblySuccess("ADD IY, IY", [0xfd, 0x29]);
+    this.assertAssemblySuccess("INC IX", [0xdd, 0x23]);
+    this.assertAssemblySuccess("DEC IY", [0xfd, 0x2b]);
+    this.assertAssemblySuccess("PUSH IX", [0xdd, 0xe5]);
+    this.assertAssemblySuccess("POP IY", [0xfd, 0xe1]);
+    this.assertAssemblySuccess("EX (SP), IX", [0xdd, 0xe3]);
+    this.assertAssemblySuccess("JP (IX)", [0xdd, 0xe9]);
+    this.assertAssemblySuccess("JP (IY)", [0xfd, 0xe9]);
+    this.assertAssemblySuccess("LD SP, IX", [0xdd, 0xf9]);
+
+    // Indexed memory operands
+    this.assertAssemblySuccess("LD A, (IX+5)", [0xdd, 0x7e, 0x05]);
+    this.assertAssemblySuccess("LD A, (IX + 5)", [0xdd, 0x7e, 0x05]);
+    this.assertAssemblySuccess("LD A, (IX)", [0xdd, 0x7e, 0x00]);
+    this.assertAssemblySuccess("LD B, (IY-2)", [0xfd, 0x46, 0xfe]);
+    this.assertAssemblySuccess("LD (IX+3), H", [0xdd, 0x74, 0x03]);
+    this.assertAssemblySuccess("LD (IY+1), 42H", [0xfd, 0x36, 0x01, 0x42]);
+    this.assertAssemblySuccess("INC (IY-2)", [0xfd, 0x34, 0xfe]);
+    this.assertAssemblySuccess("DEC (IX+127)", [0xdd, 0x35, 0x7f]);
+    this.assertAssemblySuccess("ADD A, (IX+1)", [0xdd, 0x86, 0x01]);
+    this.assertAssemblySuccess("SBC A, (IY+1)", [0xfd, 0x9e, 0x01]);
+    this.assertAssemblySuccess("CP (IX-128)", [0xdd, 0xbe, 0x80]);
+    this.assertAssemblySuccess("XOR (IY+0)", [0xfd, 0xae, 0x00]);
+    this.assertAssemblySuccess(
+      `
+      OFFSET EQU 4
+      LD A, (IX+OFFSET*2)`,
+      [0xdd, 0x7e, 0x08]
+    );
+
+    // DDCB/FDCB: displacement precedes the final opcode byte
+    this.assertAssemblySuccess("RLC (IX+2)", [0xdd, 0xcb, 0x02, 0x06]);
+    this.assertAssemblySuccess("SRL (IY-1)", [0xfd, 0xcb, 0xff, 0x3e]);
+    this.assertAssemblySuccess("BIT 3, (IX+4)", [0xdd, 0xcb, 0x04, 0x5e]);
+    this.assertAssemblySuccess("RES 0, (IY+5)", [0xfd, 0xcb, 0x05, 0x86]);
+    this.assertAssemblySuccess("SET 7, (IX-1)", [0xdd, 0xcb, 0xff, 0xfe]);
+
+    // Undocumented index register halves
+    this.assertAssemblySuccess("LD IXH, 12H", [0xdd, 0x26, 0x12]);
+    this.assertAssemblySuccess("LD A, IYL", [0xfd, 0x7d]);
+    this.assertAssemblySuccess("LD IXL, IXH", [0xdd, 0x6c]);
+    this.assertAssemblySuccess("INC IYH", [0xfd, 0x24]);
+    this.assertAssemblySuccess("ADD A, IXL", [0xdd, 0x85]);
+    this.assertAssemblySuccess("CP IYH", [0xfd, 0xbc]);
+
+    // Displacement range checking
+    this.assertAssemblyError("LD A, (IX+128)", "Index displacement out of range (-128 to 127): 128");
+    this.assertAssemblyError("INC (IY-129)", "Index displacement out of range (-128 to 127): -129");
+    this.assertAssemblyError("LD IXH, (IX+1)", "Invalid operand combination");
+  }
+
+  testExtendedInstructions() {
+    consoleLogIfNode("\nTesting ED-prefixed Instructions");
+
+    // Block transfer, compare and I/O
+    this.assertAssemblySuccess("LDI", [0xed, 0xa0]);
+    this.assertAssemblySuccess("LDD", [0xed, 0xa8]);
+    this.assertAssemblySuccess("LDDR", [0xed, 0xb8]);
+    this.assertAssemblySuccess("CPI", [0xed, 0xa1]);
+    this.assertAssemblySuccess("CPIR", [0xed, 0xb1]);
+    this.assertAssemblySuccess("CPD", [0xed, 0xa9]);
+    this.assertAssemblySuccess("CPDR", [0xed, 0xb9]);
+    this.assertAssemblySuccess("INI", [0xed, 0xa2]);
+    this.assertAssemblySuccess("INIR", [0xed, 0xb2]);
+    this.assertAssemblySuccess("IND", [0xed, 0xaa]);
+    this.assertAssemblySuccess("INDR", [0xed, 0xba]);
+    this.assertAssemblySuccess("OUTI", [0xed, 0xa3]);
+    this.assertAssemblySuccess("OTIR", [0xed, 0xb3]);
+    this.assertAssemblySuccess("OUTD", [0xed, 0xab]);
+    this.assertAssemblySuccess("OTDR", [0xed, 0xbb]);
+
+    // 16-bit arithmetic and memory transfers
+    this.assertAssemblySuccess("ADC HL, BC", [0xed, 0x4a]);
+    this.assertAssemblySuccess("ADC HL, SP", [0xed, 0x7a]);
+    this.assertAssemblySuccess("SBC HL, DE", [0xed, 0x52]);
+    this.assertAssemblySuccess("SBC HL, HL", [0xed, 0x62]);
+    this.assertAssemblySuccess("LD (1234H), BC", [0xed, 0x43, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD (1234H), SP", [0xed, 0x73, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD DE, (1234H)", [0xed, 0x5b, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD SP, (1234H)", [0xed, 0x7b, 0x34, 0x12]);
+    // HL keeps its shorter unprefixed encodings
+    this.assertAssemblySuccess("LD (1234H), HL", [0x22, 0x34, 0x12]);
+    this.assertAssemblySuccess("LD DE, 1234H", [0x11, 0x34, 0x12]);
+
+    // Port (C) forms must not be mistaken for IN A,(n) / OUT (n),A
+    this.assertAssemblySuccess("IN A, (C)", [0xed, 0x78]);
+    this.assertAssemblySuccess("IN B, (C)", [0xed, 0x40]);
+    this.assertAssemblySuccess("IN F, (C)", [0xed, 0x70]);
+    this.assertAssemblySuccess("OUT (C), L", [0xed, 0x69]);
+    this.assertAssemblySuccess("OUT (C), A", [0xed, 0x79]);
+    this.assertAssemblySuccess("OUT (C), 0", [0xed, 0x71]);
+    this.assertAssemblySuccess("IN A, (0FEH)", [0xdb, 0xfe]);
+    this.assertAssemblySuccess("OUT (0FEH), A", [0xd3, 0xfe]);
+
+    // Special registers, digit rotates and interrupt control
+    this.assertAssemblySuccess("LD I, A", [0xed, 0x47]);
+    this.assertAssemblySuccess("LD R, A", [0xed, 0x4f]);
+    this.assertAssemblySuccess("LD A, I", [0xed, 0x57]);
+    this.assertAssemblySuccess("LD A, R", [0xed, 0x5f]);
+    this.assertAssemblySuccess("RLD", [0xed, 0x6f]);
+    this.assertAssemblySuccess("RRD", [0xed, 0x67]);
+    this.assertAssemblySuccess("IM 0", [0xed, 0x46]);
+    this.assertAssemblySuccess("IM 1", [0xed, 0x56]);
+    this.assertAssemblySuccess("IM 2", [0xed, 0x5e]);
+    this.assertAssemblySuccess("RETI", [0xed, 0x4d]);
+    this.assertAssemblySuccess("RETN", [0xed, 0x45]);
+    this.assertAssemblyError("IM 3", "Invalid operand combination");
+  }
+
+  testInterruptInstructions() {
+    consoleLogIfNode("\nTesting Interrupt Instructions");
+
+    this.assertAssemblySuccess("DI", [0xf3]);
+    this.assertAssemblySuccess("EI", [0xfb]);
+    this.assertAssemblySuccess("RST 0", [0xc7]);
+    this.assertAssemblySuccess("RST 08H", [0xcf]);
+    this.assertAssemblySuccess("RST 38H", [0xff]);
+    this.assertAssemblySuccess(
+      `
+      VECTOR EQU 28H
+      RST VECTOR`,
+      [0xef]
+    );
+    this.assertAssemblyError("RST 39H", "Restart address must be 00H-38H in steps of 8: 57");
+    this.assertAssemblyError("RST 40H", "Restart address must be 00H-38H in steps of 8: 64");
+  }
+
+  testBitInstructions() {
+    consoleLogIfNode("\nTesting CB Bit Instructions");
+
+    this.assertAssemblySuccess("BIT 3,C", [0xcb, 0x59]);
+    this.assertAssemblySuccess("BIT 5,(HL)", [0xcb, 0x6e]);
+    this.assertAssemblySuccess("SET 4,H", [0xcb, 0xe4]);
+    this.assertAssemblySuccess("SET 6,(HL)", [0xcb, 0xf6]);
+    this.assertAssemblySuccess("RES 2,L", [0xcb, 0x95]);
+    this.assertAssemblySuccess("RES 5,(HL)", [0xcb, 0xae]);
+    this.assertAssemblySuccess("SLL B", [0xcb, 0x30]);
+    this.assertAssemblySuccess("SLL (HL)", [0xcb, 0x36]);
+    this.assertAssemblySuccess("SL1 A", [0xcb, 0x37]);
+    this.assertAssemblySuccess("SLL (IX+3)", [0xdd, 0xcb, 0x03, 0x36]);
+    this.assertAssemblySuccess("SL1 (IY-2)", [0xfd, 0xcb, 0xfe, 0x36]);
+    this.assertAssemblyError("BIT 8,A", "Invalid operand combination");
+  }
+
+  testMacros() {
+    consoleLogIfNode("\nTesting Macros");
+
+    const beep = `
+BEEP MACRO hz, ms=10 ; LD A,n / OUT (2),A / LD A,m / OUT (3),A
+      LD A, hz
+      OUT (2), A
+      LD A, ms
+      OUT (3), A
+      ENDM`;
+
+    // Positional, named and default arguments; a macro may be used before its definition
+    this.assertAssemblySuccess(
+      `BEEP 44
+      BEEP 22, 5
+      BEEP ms=1, hz=0FFH
+      ${beep}`,
+      [
+        0x3e, 44, 0xd3, 0x02, 0x3e, 10, 0xd3, 0x03,
+        0x3e, 22, 0xd3, 0x02, 0x3e, 5, 0xd3, 0x03,
+        0x3e, 0xff, 0xd3, 0x02, 0x3e, 1, 0xd3, 0x03,
+      ]
+    );
+
+    // Labels in the body are local to each expansion; a body may invoke another macro
+    const nested = this.assertAssemblySuccess(
+      `ORG 8000H
+      PAUSE MACRO count
+      LD B, count
+      WAIT: DJNZ WAIT
+      BEEP count*2
+      ENDM
+      ${beep}
+      START: PAUSE 3
+      PAUSE 4 ; @SMC
+      JR START`,
+      [
+        0x06, 3, 0x10, 0xfe, 0x3e, 6, 0xd3, 0x02, 0x3e, 10, 0xd3, 0x03,
+        0x06, 4, 0x10, 0xfe, 0x3e, 8, 0xd3, 0x02, 0x3e, 10, 0xd3, 0x03,
+        0x18, 0xe6,
+      ]
+    );
+
+    // The expansion maps back to the invocation's line
+    const details = nested.instructionDetails;
+    const first = details[13];
+    this.assert(
+      first.startAddress === 0x8000 && first.opcodes.length === 12 && nested.labels.START === 0x8000,
+      "An invocation's line holds the expansion's address and bytes"
+    );
+    this.assert(
+      first.expansion.length === 6 &&
+        first.expansion[1].startAddress === 0x8002 &&
+        /^__PAUSE_WAIT_\d+: DJNZ __PAUSE_WAIT_\d+$/.test(first.expansion[1].sourceString) &&
+        first.expansion[2].sourceString === "LD A, 3*2",
+      "An invocation's expansion lists each expanded line at its address"
+    );
+    this.assert(
+      details[3].startAddress === 0x8000 && details[3].opcodes.length === 0 && details[14].startAddress === 0x800c,
+      "Definition lines emit nothing"
+    );
+    this.assert(
+      !first.selfModifying && details[14].selfModifying && details[14].expansion.every((part) => part.selfModifying),
+      "@SMC on an invocation marks its expansion"
+    );
+
+    // Errors
+    this.assertAssemblyError(`${beep}\n      BEEP`, "Macro BEEP needs a value for 'HZ'");
+    this.assertAssemblyError(`${beep}\n      BEEP 1, 2, 3`, "Macro BEEP takes 2 argument(s)");
+    this.assertAssemblyError(`${beep}\n      BEEP tone=1`, "Macro BEEP has no parameter 'tone'");
+    this.assertAssemblyError(`${beep}\n      BEEP ms=1, 2`, "Positional argument after a named one");
+    this.assertAssemblyError(`${beep}\n${beep}`, "Duplicate macro definition: 'BEEP'");
+    this.assertAssemblyError("NOP MACRO\nENDM", "Macro name 'NOP' is an instruction or directive");
+    this.assertAssemblyError(
+      "M MACRO a\nENDM",
+      "Macro parameter 'a' is a register or condition name: those are reserved, as a parameter replaces its name wherever it appears in the body"
+    );
+    this.assertAssemblyError("M MACRO value, hl\nENDM", "Macro parameter 'hl' is a register or condition name");
+    this.assertAssemblyError("M MACRO\nNOP", "Macro M has no ENDM");
+    this.assertAssemblyError("NOP\nENDM", "ENDM without MACRO");
+    this.assertAssemblyError("LOOP MACRO\nLOOP\nENDM\nLOOP", "Macro LOOP nests more than 16 deep");
+    this.assertAssemblyError("M MACRO\nLD A, 300\nENDM\nNOP\nM", "(in macro M)");
+  }
+
+  testConditionalAssembly() {
+    consoleLogIfNode("\nTesting Conditional Assembly");
+
+    const variants = `LEVEL EQU 2
+      IFDEF DEBUG
+        LD A, 1
+        IF LEVEL / 2
+          LD A, 2
+        ELSEIF LEVEL
+          LD A, 3
+        ELSE
+          LD A, 4
+        ENDIF
+      ELSE
+        NOP
+      ENDIF
+      IFNDEF DEBUG ; release only
+        HALT
+      ENDIF`;
+    this.assertAssemblySuccess(variants, [0x00, 0x76]);
+
+    // Symbols predefined by the caller, whatever their value
+    const assemble = (code, defines) =>
+      this.getMachineCodeFromInstructions(this.assembler.assemble(code, defines).instructionDetails);
+    this.assert(
+      this.arraysEqual(assemble(variants, { debug: 0 }), [0x3e, 1, 0x3e, 2]),
+      "IFDEF holds for a predefined symbol and IF picks the first true branch"
+    );
+    this.assert(
+      this.arraysEqual(assemble(variants.replace("LEVEL EQU 2", "LEVEL EQU 1"), { DEBUG: 1 }), [0x3e, 1, 0x3e, 3]),
+      "ELSEIF is taken when the IF before it fails"
+    );
+    this.assert(
+      this.arraysEqual(assemble(variants.replace("LEVEL EQU 2", "LEVEL EQU 0"), { DEBUG: 1 }), [0x3e, 1, 0x3e, 4]),
+      "ELSE is taken when every branch before it fails"
+    );
+
+    // Conditions compare
+    const sized = `SIZE EQU 4
+      IF SIZE > 3
+        LD A, 1
+      ELSEIF SIZE = 3
+        LD A, 2
+      ELSE
+        LD A, 3
+      ENDIF`;
+    this.assertAssemblySuccess(sized, [0x3e, 1]);
+    this.assertAssemblySuccess(sized.replace("EQU 4", "EQU 3"), [0x3e, 2]);
+    this.assertAssemblySuccess(sized.replace("EQU 4", "EQU 2"), [0x3e, 3]);
+
+    // IFDEF sees only the symbols above it: one defined further down would change its outcome,
+    // except in the block it opens, which gives a symbol a default
+    this.assertAssemblyError(
+      "IFDEF LATER\nNOP\nENDIF\nLATER: HALT",
+      "IFDEF LATER comes before LATER is defined, on line 4: IFDEF and IFNDEF see only the symbols defined above them"
+    );
+    this.assertAssemblyError("IFNDEF SIZE\nENDIF\nSIZE EQU 2", "IFNDEF SIZE comes before SIZE is defined, on line 3");
+    const sizeDefault = `IFNDEF SIZE
+        SIZE EQU 8
+      ENDIF
+      LD A, SIZE`;
+    this.assertAssemblySuccess(sizeDefault, [0x3e, 8]);
+    this.assert(
+      this.arraysEqual(assemble(sizeDefault, { SIZE: 2 }), [0x3e, 2]),
+      "IFNDEF gives a symbol a default in the block it opens"
+    );
+
+    // Skipped lines are not parsed, nor their conditions checked
+    this.assertAssemblySuccess(
+      `IF 0
+        not an instruction
+        IF UNDEFINED
+        ENDIF
+      ENDIF
+      NOP`,
+      [0x00]
+    );
+
+    // Conditions inside a macro are checked for each expansion
+    this.assertAssemblySuccess(
+      `CLEAR MACRO value
+        IF value
+          LD A, value
+        ELSE
+          XOR A
+        ENDIF
+      ENDM
+      CLEAR 5
+      CLEAR 0`,
+      [0x3e, 0x05, 0xaf]
+    );
+
+    // Branches can define variants of a macro, defined when the branch is reached
+    const logging = `IF DEBUG
+      LOG MACRO value
+        LD A, value
+        OUT (5), A
+      ENDM
+      ELSE
+      LOG MACRO value
+      ENDM
+      ENDIF
+      LOG 7
+      NOP`;
+    this.assert(
+      this.arraysEqual(assemble(logging, { DEBUG: 1 }), [0x3e, 0x07, 0xd3, 0x05, 0x00]) &&
+        this.arraysEqual(assemble(logging, { DEBUG: 0 }), [0x00]),
+      "IF and ELSE branches define variants of a macro"
+    );
+    this.assertAssemblySuccess(
+      `IF 0
+      UNFINISHED MACRO
+        NOP
+      ENDIF
+      HALT`,
+      [0x76]
+    );
+    this.assertAssemblyError("IF 1\nUNFINISHED MACRO\nNOP\nENDIF", "Macro UNFINISHED has no ENDM");
+    this.assertAssemblyError("LATER\nIF 1\nLATER MACRO\nENDM\nENDIF", "Unknown mnemonic 'LATER'");
+
+    // Unbalanced blocks and bad conditions
+    this.assertAssemblyError("IF 1\nNOP", "IF without ENDIF");
+    this.assertAssemblyError("IFDEF DEBUG\nNOP", "IFDEF without ENDIF");
+    this.assertAssemblyError("NOP\nENDIF", "ENDIF without IF");
+    this.assertAssemblyError("ELSE\nNOP", "ELSE without IF");
+    this.assertAssemblyError("IF 1\nELSE\nELSEIF 1\nENDIF", "ELSEIF after the ELSE of the IF on line 1");
+    this.assertAssemblyError("IF\nENDIF", "IF needs an expression");
+    this.assertAssemblyError("IFNDEF 3\nENDIF", "IFNDEF needs a symbol: '3'");
+    this.assertAssemblyError("IF LATER\nENDIF\nLATER: NOP", "Unknown symbol: 'LATER'");
+  }
+
+  assertDisassembly(bytes, expectedText, expectedLength = bytes.length) {
+    const memory = new Uint8Array(0x10000);
+    memory.set(bytes, 0x8000);
+    const [line] = this.disassembler.disassemble(memory, 0x8000, 0x8000 + bytes.length);
+    this.assert(
+      line.text === expectedText && line.bytes.length === expectedLength,
+      `Disassemble ${bytes.map(formatHex2).join(" ")}`,
+      `Expected "${expectedText}", got "${line.text}" from ${line.bytes.length} bytes`
+    );
+  }
+
+  testDisassembler() {
+    consoleLogIfNode("\nTesting Disassembler");
+
+    this.assertDisassembly([0x00], "NOP");
+    this.assertDisassembly([0x3e, 0xfe], "LD A, 0FEH");
+    this.assertDisassembly([0x21, 0x34, 0x12], "LD HL, 1234H");
+    this.assertDisassembly([0x2a, 0x00, 0xc0], "LD HL, (0C000H)");
+    this.assertDisassembly([0xdb, 0x01], "IN A, (01H)");
+    this.assertDisassembly([0xef], "RST 28H");
+    this.assertDisassembly([0x18, 0xfe], "JR 8000H");
+    this.assertDisassembly([0xed, 0xb0], "LDIR");
+    this.assertDisassembly([0xcb, 0x7e], "BIT 7, (HL)");
+    this.assertDisassembly([0xdd, 0x36, 0xfd, 0x07], "LD (IX-3), 07H");
+    this.assertDisassembly([0xfd, 0xcb, 0x05, 0xc6], "SET 0, (IY+5)");
+    this.assertDisassembly([0xdd, 0x7c], "LD A, IXH");
+    // No definition, or cut short by the end of the range
+    this.assertDisassembly([0xed, 0xff], "DB 0EDH", 1);
+    this.assertDisassembly([0x21, 0x34], "DB 21H", 1);
+
+    // Every instruction the assembler knows reassembles to the bytes it came from
+    const memory = new Uint8Array(0x10000);
+    for (const prefix of [[], [0xcb], [0xed], [0xdd], [0xfd], [0xdd, 0xcb], [0xfd, 0xcb]]) {
+      const failures = [];
+      for (let opcode = 0; opcode < 256; opcode++) {
+        const bytes = prefix.length === 2
+          ? [...prefix, 0x85, opcode]
+          : [...prefix, opcode, 0x85, 0x34, 0x12];
+        if (prefix.length === 0 && [0xcb, 0xed, 0xdd, 0xfd].includes(opcode)) continue;
+        if (prefix.length === 1 && prefix[0] !== 0xcb && prefix[0] !== 0xed && opcode === 0xcb) continue;
+        memory.set(bytes, 0x8000);
+        const [line] = this.disassembler.disassemble(memory, 0x8000, 0x8000 + bytes.length);
+        if (line.mnemonic === "DB") continue;
+        const result = this.assembler.assemble(`ORG 8000H\n${line.text}`);
+        const reassembled = result.success
+          ? this.getMachineCodeFromInstructions(result.instructionDetails)
+          : [];
+        if (!this.arraysEqual(reassembled, line.bytes)) failures.push(line.text);
+      }
+      this.assert(
+        failures.length === 0,
+        `Round trip of ${prefix.map(formatHex2).join(" ") || "unprefixed"} opcodes`,
+        `Reassembled differently: ${failures.join("; ")}`
+      );
+    }
+
+    // Labels name jump targets and addresses, and unplaced ones become EQUs
+    const source = `
+      ORG 8000H
+      FAR EQU 1234H
+      START: LD HL, TABLE
+      LOOP: DJNZ LOOP
+      JR START
+      CALL FAR
+      JP (IX)
+      TABLE: DB 0EDH, 0FFH`;
+    const result = this.assembler.assemble(source);
+    const bytes = this.getMachineCodeFromInstructions(result.instructionDetails);
+    memory.set(bytes, 0x8000);
+    const labels = { ...result.labels, ELSEWHERE: 0x4000 };
+    const disassembly = this.disassembler.toSource(memory, 0x8000, 0x8000 + bytes.length, labels);
+    this.assert(
+      disassembly.includes("LD HL, TABLE") && disassembly.includes("DJNZ LOOP") &&
+        disassembly.includes("JR START") && disassembly.includes("CALL 1234H") &&
+        disassembly.includes("ELSEWHERE EQU 4000H"),
+      "Disassembly uses labels",
+      disassembly
+    );
+    this.assert(!("FAR" in result.labels), "EQU constants are not labels", Object.keys(result.labels).join(", "));
+    this.assertAssemblySuccess(disassembly, bytes);
+  }
+
   reportInstructionSetAnalysis() {
     try {
       // Create a Z80Assembler instance to get the analysis
@@ -2,7 +2,8 @@
 // Browser provides memory, all registers, and step count. Emulator executes instructions
 //
 // IMPLEMENTED INSTRUCTIONS: NOP; EX AF,AF'; RLCA; SCF; CCF; CPL; HALT; LD A,n; LD (nn),A; LD A,(nn);
-// CALL nn; CALL Z,nn; CALL NZ,nn; CALL C,nn; CALL NC,nn; RET; RET NZ; RET Z; RET NC; RET C; 
+// CALL nn; CALL Z,nn; CALL NZ,nn; CALL C,nn; CALL NC,nn; CALL PO,nn; CALL PE,nn; CALL P,nn; CALL M,nn;
+// RET; RET NZ; RET Z; RET NC; RET C; RET PO; RET PE; RET P; RET M; JP PO,nn; JP PE,nn; JP P,nn; JP M,nn;
 // JR d; JP nn; JP (HL); LD HL,nn; LD (nn),HL; LD HL,(nn); LD (HL),n; LD (HL),A; LD (HL),B;
 // LD (HL),C; LD (HL),D; LD (HL),E; LD (HL),H; LD (HL),L; LD A,(HL); LD A,(BC); LD A,(DE);
 // LD B,n; LD C,n; LD D,n; LD E,n; LD H,n; LD L,n; LD B,(HL); LD C,(HL); LD D,(HL); LD E,(HL);
@@ -10,181 +11,715 @@
 // LD A,L; LD H,A; LD L,A; LD A,D; LD D,A; LD B,B; LD B,D; LD B,E; LD B,L; LD C,B; LD C,C; LD C,D;
 // LD C,E; LD C,H; LD C,L; LD D,B; LD D,C; LD D,D; LD D,E; LD D,H; LD D,L; LD E,B; LD E,C; LD E,D;
 // LD E,E; LD E,H; LD E,L; LD H,B; LD H,C; LD H,D; LD H,E; LD H,H; LD H,L; LD L,B; LD L,C; LD L,D;
-// LD L,E; LD L,H; LD L,L; EX DE,HL; EX (SP),HL; LD SP,nn; LD BC,nn; LD (BC),A; LD DE,nn; LD (DE),A; 
+// LD L,E; LD L,H; LD L,L; LD A,A; LD SP,HL; EX DE,HL; EX (SP),HL; LD SP,nn; LD BC,nn; LD (BC),A; LD DE,nn; LD (DE),A; 
 // INC B; INC C; INC D; INC E; INC H; INC L; INC A; INC (HL); DEC A; DEC B; DEC C; DEC D; DEC E; 
 // DEC H; DEC L; INC HL; INC SP; INC BC; INC DE; DEC BC; DEC DE; DEC HL; DEC SP; DEC (HL); 
 // ADD HL,BC; ADD HL,DE; ADD HL,HL; ADD HL,SP; ADD A,B; ADD A,C; ADD A,D; ADD A,E; ADD A,H; ADD A,A; 
-// ADD A,L; ADD A,n; ADD A,(HL); ADC A,H; ADC A,n; SUB A; SUB B; SUB C; SUB D; SUB E; SUB H; SUB L; 
+// ADD A,L; ADD A,n; ADD A,(HL); ADC A,r; ADC A,(HL); ADC A,n; SUB A; SUB B; SUB C; SUB D; SUB E; SUB H; SUB L; 
 // SUB n; SUB (HL); OUT (n),A; IN A,(n); AND B; AND C; AND D; AND E; AND H; AND L; AND (HL); AND A; 
 // CP n; CP B; CP C; CP D; CP E; CP H; CP L; CP (HL); CP A; OR A; OR B; OR C; OR D; OR E; OR H; OR L; 
 // OR (HL); OR n; XOR A; XOR B; XOR C; XOR D; XOR E; XOR H; XOR L; XOR (HL); XOR n; AND n; JR Z,d; 
 // JR NZ,d; JR C,d; JR NC,d; DJNZ d; JP Z,nn; JP NZ,nn; JP C,nn; JP NC,nn; PUSH BC; POP BC; PUSH DE; 
-// PUSH HL; PUSH AF; POP DE; POP HL; POP AF; NEG; LDIR; SLA B; SLA C; SLA D; SLA E; SLA H; SLA L;
-// SLA (HL); SLA A; SRA B; SRA C; SRA D; SRA E; SRA H; SRA L; SRA (HL); SRA A; SRL B; SRL C;
-// SRL D; SRL E; SRL H; SRL L; SRL (HL); SRL A; RLA; RRCA; RRA; RLC A; RLC B; RLC C; RLC D; RLC E;
-// RLC H; RLC L; RLC (HL); RRC A; RRC B; RRC C; RRC D; RRC E; RRC H; RRC L; RRC (HL); RL A; RL B;
-// RL C; RL D; RL E; RL H; RL L; RL (HL); RR A; RR B; RR C; RR D; RR E; RR H; RR L; RR (HL);
-// SBC A,A; SBC A,B; SBC A,C; SBC A,D; SBC A,E; SBC A,H; SBC A,L; SBC A,(HL); SBC A,n; SET 0,A;
-// SET 0,B; SET 0,C; SET 0,D; SET 0,E; SET 0,H; SET 0,L; SET 0,(HL); SET 1,A; SET 1,B; SET 1,C;
-// SET 1,D; SET 1,E; SET 1,H; SET 1,L; SET 1,(HL); SET 7,A; SET 7,B; SET 7,C; SET 7,D; SET 7,E;
-// SET 7,H; SET 7,L; SET 7,(HL); RES 0,A; RES 0,B; RES 0,C; RES 0,D; RES 0,E; RES 0,H; RES 0,L;
-// RES 0,(HL); RES 1,A; RES 1,B; RES 1,C; RES 1,D; RES 1,E; RES 1,H; RES 1,L; RES 1,(HL);
-// RES 7,A; RES 7,B; RES 7,C; RES 7,D; RES 7,E; RES 7,H; RES 7,L; RES 7,(HL); BIT 0,A; BIT 1,A;
-// BIT 2,A; BIT 3,A; BIT 4,A; BIT 5,A; BIT 6,A; BIT 7,A; BIT 7,E; BIT 7,D
+// PUSH HL; PUSH AF; POP DE; POP HL; POP AF; NEG; LDIR; RLA; RRCA; RRA; EXX;
+// SBC A,A; SBC A,B; SBC A,C; SBC A,D; SBC A,E; SBC A,H; SBC A,L; SBC A,(HL); SBC A,n;
+// CB prefix, all 256: RLC/RRC/RL/RR/SLA/SRA/SLL/SRL r and (HL); BIT/RES/SET b,r and b,(HL)
+// IX/IY (DD/FD prefix): LD IX,nn; LD (nn),IX; LD IX,(nn); INC IX; DEC IX; ADD IX,BC/DE/IX/SP;
+// PUSH IX; POP IX; EX (SP),IX; JP (IX); LD SP,IX; LD r,(IX+d); LD (IX+d),r; LD (IX+d),n;
+// INC (IX+d); DEC (IX+d); ADD/ADC/SUB/SBC/AND/XOR/OR/CP (IX+d); DDCB rotate/shift/BIT/RES/SET (IX+d);
+// undocumented IXH/IXL forms of LD, INC, DEC and the ALU group; the same for IY
+// ED prefix: LDI; LDD; LDIR; LDDR; CPI; CPD; CPIR; CPDR; INI; IND; INIR; INDR; OUTI; OUTD; OTIR;
+// OTDR; ADC HL,rr; SBC HL,rr; LD (nn),rr; LD rr,(nn); RLD; RRD; IN r,(C); IN F,(C); OUT (C),r;
+// OUT (C),0; LD I,A; LD R,A; LD A,I; LD A,R; IM 0/1/2; RETI; RETN; and the undocumented mirrors
+// of NEG, IM, RETN. R advances on every opcode fetch, prefixes included.
+// DI; EI; RST 00H-38H.
+//
+// INTERRUPTS: requestInterrupt(dataBus) and requestNMI() are serviced between instructions.
+// IM 0 accepts an RST on the data bus, IM 1 calls 0038H, IM 2 calls through the table at I*256.
+// HALT sleeps (executeSteps returns halted) until an interrupt wakes it.
+//
+// MEMORY: executeSteps/executeCycles take a plain Uint8Array, or a MemoryBus (memory_bus.js)
+// that maps regions to ROM or to memory-mapped devices. Likewise for I/O: a 256-byte iomap,
+// or an IOBus (io_bus.js) whose devices are called on IN/OUT with the 16-bit port address.
+//
+// UNKNOWN OPCODES: only some ED opcodes are undefined. unknownOpcodePolicy says whether one
+// stops execution with an error (the default), runs as a NOP like the real chip, or calls
+// a handler that can emulate it.
+//
+// WATCHPOINTS: setWatchpoints() takes memory ranges and ports to watch for reads, writes or
+// both, optionally only for one value. A matching access lets its instruction finish, then
+// execution stops with stoppedAt saying what was accessed and by the instruction where.
+//
+// STACK CHECKS: with stackMonitor set to a StackMonitor (stack_monitor.js), CALL, RST and
+// interrupts are recorded on a shadow call stack and each return checked against it, and SP is
+// checked against guard regions. A finding stops execution after its instruction, as above.
+//
+// CODE MAP: with codeMap set to a CodeMap (code_map.js), a write to a byte the assembler emitted
+// as an instruction, or an instruction that starts on one it emitted as data, either stops
+// execution after its instruction, as above, or is kept as a warning.
+//
+// PROFILING: with profile set to an ExecutionProfile (execution_profile.js), every instruction
+// is counted with its T-states at its address, and every memory read and write at theirs.
+//
+// STATE: saveState() returns registers, interrupt state and cycle count as JSON-safe values;
+// loadState() puts them back, so a run can be suspended and resumed (see Simulator snapshots).
+//
+// FLAGS: F holds all eight bits - S, Z, H, P/V, N, C and the undocumented Y/X (bits 5 and 3) -
+// and every instruction above sets them as the Z80 does.
+//
+// DECODING: each prefix has a table of 256 handlers built once from the opcode bit fields
+// (x = bits 6-7, y = bits 3-5, z = bits 0-2, p = bits 4-5, q = bit 3), so executing an
+// instruction is a fetch and an indexed call. Registers live in typed arrays; registers and
+// shadowRegisters are views onto them that read like plain objects.
+
+// Indices into regs8. 0-7 follow the register field of an opcode (B, C, D, E, H, L, (HL), A)
+// with F in the (HL) slot, so a decoded field indexes the array directly.
+const REG_B = 0, REG_C = 1, REG_D = 2, REG_E = 3, REG_H = 4, REG_L = 5, REG_F = 6, REG_A = 7;
+// The alternate set follows the main one at this offset
+const ALTERNATE_SET = 8;
+const REG_IXH = 16, REG_IXL = 17, REG_IYH = 18, REG_IYL = 19, REG_I = 20, REG_R = 21;
+// Indices into regs16
+const REG_SP = 0, REG_PC = 1;
+// Bits of the F register
+const FLAG_S = 0x80, FLAG_Z = 0x40, FLAG_Y = 0x20, FLAG_H = 0x10;
+const FLAG_X = 0x08, FLAG_PV = 0x04, FLAG_N = 0x02, FLAG_C = 0x01;
+
 class Z80CPU {
     constructor() {
+        // B, C, D, E, H, L, F, A, the same again for the alternate set, IXH, IXL, IYH, IYL, I, R.
+        // The buffer is padded to whole 32-bit words for ExecutionHistory to copy.
+        this.regs8 = new Uint8Array(new ArrayBuffer(24), 0, 22);
+        // SP and PC; the typed array wraps them at 16 bits
+        this.regs16 = new Uint16Array(2);
+        this.registers = this.createRegisterView(0, true);
+        // Alternate register set, swapped in by EX AF,AF' and EXX
+        this.shadowRegisters = this.createRegisterView(ALTERNATE_SET, false);
+        // Debugging aids, kept across reset(). A tracer's beforeInstruction(cpu) is called
+        // before each instruction (see ExecutionHistory). Execution stops on reaching a
+        // breakpoint address, unless it is where the call started, so that it can resume.
+        this.tracer = null;
+        this.breakpoints = new Set();
+        // What an undefined opcode does (see UNKNOWN_OPCODE_STOP), and the hook for
+        // UNKNOWN_OPCODE_TRAP, called as unknownOpcodeHandler(cpu, { address, bytes })
+        this.unknownOpcodePolicy = Z80CPU.UNKNOWN_OPCODE_STOP;
+        this.unknownOpcodeHandler = null;
+        // ExecutionProfile that counts instructions and memory accesses, or null
+        this.profile = null;
+        // StackMonitor (stack_monitor.js) that checks calls and returns against each other, or null
+        this.stackMonitor = null;
+        // CodeMap (code_map.js) that catches writes to code and the execution of data, or null
+        this.codeMap = null;
+        this.setWatchpoints([]);
         // Use reset to initialize to avoid code duplication
         this.reset();
     }
 
     // Reset CPU to initial state
-    // NOTE: F register only implements Z (zero) and C (carry) flags.
-    // The real Z80 also has S (sign), H (half-carry), P/V (parity/overflow),
-    // and N (subtract) flags. Programs relying on those flags will not work correctly.
     reset() {
-        this.registers = {
-            A: 0, B: 0, C: 0, D: 0, E: 0, H: 0, L: 0,
-            PC: 0, SP: 0xFFFF,
-            F: { Z: false, C: false } // Partial: only Z and C implemented (see note above)
-        };
-        this.shadowRegisters = {
-            A: 0, F: { Z: false, C: false }
-        };
+        this.regs8.fill(0);
+        this.regs16[REG_PC] = 0;
+        this.regs16[REG_SP] = 0xFFFF;
         this.halted = false;
+        // Running T-state count since reset
+        this.cycleCount = 0;
+        // Interrupt flip-flops and mode (IM 0/1/2); IFF2 remembers IFF1 across an NMI
+        this.iff1 = false;
+        this.iff2 = false;
+        this.interruptMode = 0;
+        // Requests waiting for the next instruction boundary (see requestInterrupt/requestNMI)
+        this.pendingInterrupt = null;
+        this.pendingNMI = false;
+        // EI takes effect only after the instruction that follows it
+        this.interruptsDelayed = false;
+        // Why the current instruction stopped execution, for execute to report
+        this.fault = null;
     }
 
-    // Set CPU program counter and optionally stack pointer
-    set(pc, sp = null) {
-        this.registers.PC = this.adjustFFFF(pc);
-        if (sp !== null) {
-            this.registers.SP = this.adjustFFFF(sp);
+    /**
+     * Captures everything reset() initializes, as plain JSON-safe values, so execution can
+     * resume from it later on this or another Z80CPU
+     * @returns {Object} State for loadState
+     */
+    saveState() {
+        return {
+            regs8: Array.from(this.regs8),
+            regs16: Array.from(this.regs16),
+            halted: this.halted,
+            cycleCount: this.cycleCount,
+            iff1: this.iff1,
+            iff2: this.iff2,
+            interruptMode: this.interruptMode,
+            pendingInterrupt: this.pendingInterrupt,
+            pendingNMI: this.pendingNMI,
+            interruptsDelayed: this.interruptsDelayed,
+        };
+    }
+
+    // Restores a saveState() result; fails rather than half-loading one of another shape
+    loadState(state) {
+        if (!Array.isArray(state.regs8) || state.regs8.length !== this.regs8.length ||
+            !Array.isArray(state.regs16) || state.regs16.length !== this.regs16.length) {
+            throw new Error("CPU state does not match this CPU's registers");
         }
+        this.regs8.set(state.regs8);
+        this.regs16.set(state.regs16);
+        this.halted = state.halted;
+        this.cycleCount = state.cycleCount;
+        this.iff1 = state.iff1;
+        this.iff2 = state.iff2;
+        this.interruptMode = state.interruptMode;
+        this.pendingInterrupt = state.pendingInterrupt;
+        this.pendingNMI = state.pendingNMI;
+        this.interruptsDelayed = state.interruptsDelayed;
     }
 
-    // regPairs register constants for register pairs
-    static regPairs = {
-        HL: ['H', 'L'],
-        DE: ['D', 'E'], 
-        BC: ['B', 'C'],
-    };
+    // registers.A, registers.F.Z, registers.PC... read and write the typed arrays, so callers
+    // keep the object shape registers had when they were plain properties, and spreading a
+    // view ({ ...cpu.registers }) takes a snapshot. F accepts a whole flag object.
+    createRegisterView(base, withSpecialRegisters) {
+        const regs8 = this.regs8;
+        const regs16 = this.regs16;
+        const view = {};
+        const define = (name, get, set) => Object.defineProperty(view, name, { get, set, enumerable: true });
+        const defineByte = (name, index) => define(name, () => regs8[index], value => { regs8[index] = value; });
+        const definePair = (name, high) => define(name,
+            () => (regs8[high] << 8) | regs8[high + 1],
+            value => { regs8[high] = value >> 8; regs8[high + 1] = value; });
 
-    // Convert LSB/MSB register pair to 16-bit integer
-    lsbMsbToWord(lsb, msb) {
-        return (this.registers[msb] << 8) | this.registers[lsb];
+        for (const [name, index] of Object.entries({ A: REG_A, B: REG_B, C: REG_C, D: REG_D, E: REG_E, H: REG_H, L: REG_L })) {
+            defineByte(name, base + index);
+        }
+        if (withSpecialRegisters) {
+            definePair('IX', REG_IXH);
+            definePair('IY', REG_IYH);
+            defineByte('I', REG_I);
+            defineByte('R', REG_R);
+            define('PC', () => regs16[REG_PC], value => { regs16[REG_PC] = value; });
+            define('SP', () => regs16[REG_SP], value => { regs16[REG_SP] = value; });
+        }
+        const flags = this.createFlagsView(base + REG_F);
+        define('F', () => flags, value => { regs8[base + REG_F] = Z80CPU.flagsToByte(value); });
+        return Object.seal(view);
     }
 
-    // Get register pair value using regPairs register constant
-    getReg(regPair) {
-        const [msb, lsb] = regPair;
-        return this.lsbMsbToWord(lsb, msb);
+    // One boolean property per flag over the F byte at regs8[index]
+    createFlagsView(index) {
+        const regs8 = this.regs8;
+        const flags = {};
+        for (const [name, mask] of Object.entries(Z80CPU.FLAGS)) {
+            Object.defineProperty(flags, name, {
+                get: () => (regs8[index] & mask) !== 0,
+                set: value => { regs8[index] = value ? regs8[index] | mask : regs8[index] & ~mask; },
+                enumerable: true
+            });
+        }
+        return Object.seal(flags);
     }
 
-    // Set register pair value using regPairs register constant  
-    setReg(regPair, value) {
-        const [msb, lsb] = regPair;
-        this.registers[msb] = (value >> 8) & 0xFF;
-        this.registers[lsb] = value & 0xFF;
+    // Bit positions of the flags within the F register byte.
+    // Y (bit 5) and X (bit 3) are undocumented copies of result bits; software and
+    // test suites such as ZEXALL observe them, so they are modelled like the rest.
+    static FLAGS = { S: FLAG_S, Z: FLAG_Z, Y: FLAG_Y, H: FLAG_H, X: FLAG_X, PV: FLAG_PV, N: FLAG_N, C: FLAG_C };
+
+    // Pack a flag object into the F register byte (display, loading registers)
+    static flagsToByte(flags) {
+        let byte = 0;
+        for (const [name, mask] of Object.entries(Z80CPU.FLAGS)) {
+            if (flags[name]) byte |= mask;
+        }
+        return byte;
+    }
+
+    // S, Z, Y and X of every 8-bit result, looked up rather than computed per instruction
+    static SZXY = Uint8Array.from({ length: 256 }, (_, value) =>
+        (value & (FLAG_S | FLAG_Y | FLAG_X)) | (value === 0 ? FLAG_Z : 0));
+
+    // The same plus P/V, which logic, rotate and I/O instructions set for an even number of 1 bits
+    static SZXYP = Uint8Array.from({ length: 256 }, (_, value) => {
+        let ones = 0;
+        for (let bits = value; bits; bits >>= 1) ones += bits & 1;
+        return Z80CPU.SZXY[value] | ((ones & 1) === 0 ? FLAG_PV : 0);
+    });
+
+    // T-states of each unprefixed opcode. Conditional RET/CALL/JR/DJNZ list the not-taken
+    // cost and add the difference when taken; prefixes (CB, DD, ED, FD) are costed by their groups.
+    static T_STATES = [
+    //   0   1   2   3   4   5   6   7   8   9   A   B   C   D   E   F
+         4, 10,  7,  6,  4,  4,  7,  4,  4, 11,  7,  6,  4,  4,  7,  4, // 0x00
+         8, 10,  7,  6,  4,  4,  7,  4, 12, 11,  7,  6,  4,  4,  7,  4, // 0x10
+         7, 10, 16,  6,  4,  4,  7,  4,  7, 11, 16,  6,  4,  4,  7,  4, // 0x20
+         7, 10, 13,  6, 11, 11, 10,  4,  7, 11, 13,  6,  4,  4,  7,  4, // 0x30
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x40
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x50
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x60
+         7,  7,  7,  7,  7,  7,  4,  7,  4,  4,  4,  4,  4,  4,  7,  4, // 0x70
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x80
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0x90
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0xA0
+         4,  4,  4,  4,  4,  4,  7,  4,  4,  4,  4,  4,  4,  4,  7,  4, // 0xB0
+         5, 10, 10, 10, 10, 11,  7, 11,  5, 10, 10,  0, 10, 17,  7, 11, // 0xC0
+         5, 10, 10, 11, 10, 11,  7, 11,  5,  4, 10, 11, 10,  0,  7, 11, // 0xD0
+         5, 10, 10, 19, 10, 11,  7, 11,  5,  4, 10,  4, 10,  0,  7, 11, // 0xE0
+         5, 10, 10,  4, 10, 11,  7, 11,  5,  6, 10,  4, 10,  0,  7, 11, // 0xF0
+    ];
+
+    // T-states of each ED-prefixed opcode, prefix included. Block instructions list one
+    // iteration; every iteration that repeats costs 21.
+    static T_STATES_ED = Array.from({ length: 256 }, (_, opcode) => {
+        if (opcode >= 0xA0 && opcode <= 0xBB && (opcode & 0x04) === 0) return 16;
+        if (opcode < 0x40 || opcode > 0x7F) return 8;
+        const y = (opcode >> 3) & 7;
+        switch (opcode & 7) {
+            case 0: case 1: return 12; // IN r,(C) / OUT (C),r
+            case 2: return 15;         // ADC/SBC HL,rr
+            case 3: return 20;         // LD (nn),rr / LD rr,(nn)
+            case 5: return 14;         // RETN/RETI
+            case 7: return y < 4 ? 9 : (y < 6 ? 18 : 8); // LD I/R, RRD/RLD, NOP
+            default: return 8;         // NEG, IM
+        }
+    });
+
+    // T-states of each CB-prefixed opcode, prefix included: BIT only reads (HL), the others also write it
+    static T_STATES_CB = Array.from({ length: 256 }, (_, opcode) => {
+        if ((opcode & 7) !== 6) return 8;
+        return (opcode & 0xC0) === 0x40 ? 12 : 15;
+    });
+
+    // Set CPU program counter and optionally stack pointer
+    set(pc, sp = null) {
+        this.regs16[REG_PC] = pc;
+        if (sp !== null) {
+            this.regs16[REG_SP] = sp;
+        }
     }
 
     /**
      * Executes Z80 instructions for the specified number of steps
-     * @param {Uint8Array} memory - System memory array (64KB for Z80)
-     * @param {Uint8Array} iomap - I/O port map for IN/OUT instructions (256 ports)
+     * @param {Uint8Array|MemoryBus} memory - System memory array (64KB for Z80), or a MemoryBus
+     *   that maps regions of it to ROM or devices
+     * @param {Uint8Array|IOBus} iomap - I/O port map for IN/OUT instructions (256 ports, indexed by
+     *   the low address byte), or an IOBus whose devices receive the full 16-bit port address
      * @param {number} steps - Maximum number of instructions to execute
      * @param {Object|null} initialRegisters - Optional register state to load before execution
-     * @param {Object} initialRegisters.F - Flag register object with Z, C, N, H properties
+     * @param {Object} initialRegisters.F - Flag register object with S, Z, Y, H, X, PV, N, C properties
      * @returns {Object} Execution result
      * @returns {number} returns.instructionsExecuted - Actual instructions completed
-     * @returns {boolean} returns.halted - Whether CPU halted (HLT instruction)
+     * @returns {number} returns.tStates - T-states used by those instructions and any interrupts
+     * @returns {boolean} returns.halted - Whether CPU halted (HLT instruction); it stays halted
+     *   across calls until an interrupt, NMI or reset wakes it
      * @returns {Object} returns.registers - Final CPU register state
+     * @returns {Object} returns.shadowRegisters - Final alternate set: A', F', B', C', D', E', H', L'
+     * @returns {Object|null} returns.stoppedAt - Why execution stopped early, as
+     *   { reason: "breakpoint", address }, { reason: "unknownOpcode", address, bytes } along
+     *   with the error, or null
      * @returns {string|null} returns.error - Error message if execution failed
      */
     executeSteps(memory, iomap, steps, initialRegisters = null) {
+        return this.execute(memory, iomap, steps, Infinity, initialRegisters);
+    }
+
+    /**
+     * Executes Z80 instructions until at least the given number of T-states have elapsed.
+     * The last instruction may overshoot; callers keeping a real-time clock should carry
+     * the difference (returns.tStates - tStates) into the next budget. A halted CPU
+     * idles in 4 T-state steps, as HALT repeats NOPs, so time still passes.
+     * @param {Uint8Array|MemoryBus} memory - System memory array (64KB for Z80), or a MemoryBus
+     *   that maps regions of it to ROM or devices
+     * @param {Uint8Array|IOBus} iomap - I/O port map for IN/OUT instructions (256 ports, indexed by
+     *   the low address byte), or an IOBus whose devices receive the full 16-bit port address
+     * @param {number} tStates - T-state budget
+     * @param {Object|null} initialRegisters - Optional register state to load before execution
+     * @returns {Object} Execution result, as for executeSteps
+     */
+    executeCycles(memory, iomap, tStates, initialRegisters = null) {
+        return this.execute(memory, iomap, Infinity, tStates, initialRegisters);
+    }
+
+    // A bare Uint8Array is all RAM: give it maps with no hooked addresses
+    static PLAIN_RAM_MAP = new Uint8Array(0x10000);
+
+    attachMemory(memory) {
+        if (this.profile !== null) memory = this.profile.wrapMemory(memory);
+        if (this.watchedAddresses !== null) memory = this.watchMemory(memory);
+        if (this.codeMap !== null) memory = this.codeMap.wrapMemory(memory);
+        if (memory instanceof Uint8Array) {
+            this.bus = null;
+            this.memory = memory;
+            this.readMap = Z80CPU.PLAIN_RAM_MAP;
+            this.writeMap = Z80CPU.PLAIN_RAM_MAP;
+        } else {
+            this.bus = memory;
+            this.memory = memory.ram;
+            this.readMap = memory.readMap;
+            this.writeMap = memory.writeMap;
+        }
+    }
+
+    attachIO(iomap) {
+        if (this.watchedPorts !== null) iomap = this.watchIO(iomap);
+        if (iomap instanceof Uint8Array) {
+            this.ioBus = null;
+            this.iomap = iomap;
+        } else {
+            this.ioBus = iomap;
+            this.iomap = null;
+        }
+    }
+
+    // Values of a watchpoint's space and access; ACCESS watches reads and writes alike
+    static WATCH_MEMORY = 'memory';
+    static WATCH_PORT = 'port';
+    static WATCH_READ = 'read';
+    static WATCH_WRITE = 'write';
+    static WATCH_ACCESS = 'access';
+
+    // Bits of watchedAddresses and watchedPorts
+    static WATCHED_READ = 1;
+    static WATCHED_WRITE = 2;
+
+    /**
+     * Sets the accesses that stop execution, replacing any set before. Kept across reset().
+     * @param {Object[]} watchpoints - Each { space, access, start, end, value }:
+     *   space - WATCH_MEMORY, or WATCH_PORT for the low byte of the port address
+     *   access - WATCH_READ, WATCH_WRITE or WATCH_ACCESS (either)
+     *   start, end - First and last address or port watched; end defaults to start
+     *   value - The only value read or written that stops; null or missing for any
+     * Execution stops after the instruction making the access, with stoppedAt
+     * { reason: 'watchpoint', address, space, access, target, value, watchpoint }: address is
+     * the instruction's (or, for the stack writes of an interrupt, where it was accepted),
+     * access is WATCH_READ or WATCH_WRITE, target the address or port, and watchpoint the one
+     * matched.
+     */
+    setWatchpoints(watchpoints) {
+        const spaces = { [Z80CPU.WATCH_MEMORY]: 0x10000, [Z80CPU.WATCH_PORT]: 0x100 };
+        const accesses = {
+            [Z80CPU.WATCH_READ]: Z80CPU.WATCHED_READ,
+            [Z80CPU.WATCH_WRITE]: Z80CPU.WATCHED_WRITE,
+            [Z80CPU.WATCH_ACCESS]: Z80CPU.WATCHED_READ | Z80CPU.WATCHED_WRITE,
+        };
+        this.watchpoints = watchpoints.map((watchpoint) => {
+            const { space, access, start, end = start, value = null } = watchpoint;
+            if (!(space in spaces) || !(access in accesses) ||
+                !(start >= 0 && start <= end && end < spaces[space])) {
+                throw new Error(`Invalid watchpoint: ${JSON.stringify(watchpoint)}`);
+            }
+            return { space, access, start, end, value };
+        });
+        // Which accesses are watched per address and port; null while none are, so that the
+        // buses are used as they are
+        this.watchedAddresses = null;
+        this.watchedPorts = null;
+        for (const { space, access, start, end } of this.watchpoints) {
+            let watched;
+            if (space === Z80CPU.WATCH_MEMORY) {
+                watched = this.watchedAddresses = this.watchedAddresses || new Uint8Array(0x10000);
+            } else {
+                watched = this.watchedPorts = this.watchedPorts || new Uint8Array(0x100);
+            }
+            for (let target = start; target <= end; target++) watched[target] |= accesses[access];
+        }
+        // The maps of watchMemory's stand-in: the bus's own plus the watched addresses. Built
+        // on the first execute, and again only for another bus, or after the bus is remapped.
+        this.watchReadMap = this.watchedAddresses !== null ? new Uint8Array(0x10000) : null;
+        this.watchWriteMap = this.watchedAddresses !== null ? new Uint8Array(0x10000) : null;
+        this.watchMapsBuiltFor = null;
+        // Why the current instruction's watchpoint or stack check stops execution after it
+        this.debugStop = null;
+    }
+
+    // Memory whose watched addresses are checked on their way through; the rest is accessed
+    // as before, straight from RAM where the bus allows
+    watchMemory(memory) {
+        const ram = memory instanceof Uint8Array ? memory : memory.ram;
+        const bus = memory instanceof Uint8Array ? null : memory;
+        const watched = this.watchedAddresses;
+        const readMap = this.watchReadMap;
+        const writeMap = this.watchWriteMap;
+        const builtFor = this.watchMapsBuiltFor;
+        const source = bus !== null
+            ? { readMap: bus.readMap, writeMap: bus.writeMap, generation: bus.generation }
+            : { readMap: null, writeMap: null, generation: undefined };
+        if (builtFor === null || builtFor.readMap !== source.readMap ||
+            builtFor.writeMap !== source.writeMap || builtFor.generation !== source.generation) {
+            for (let address = 0; address < 0x10000; address++) {
+                readMap[address] = (watched[address] & Z80CPU.WATCHED_READ) | (bus !== null ? bus.readMap[address] : 0);
+                writeMap[address] = (watched[address] & Z80CPU.WATCHED_WRITE) | (bus !== null ? bus.writeMap[address] : 0);
+            }
+            this.watchMapsBuiltFor = source;
+        }
+        return {
+            ram,
+            readMap,
+            writeMap,
+            // The maps are rebuilt in place when the bus is remapped; what wraps this can tell by it
+            generation: source.generation,
+            read: (address) => {
+                const value = bus !== null && bus.readMap[address] !== 0 ? bus.read(address) : ram[address];
+                if (watched[address] & Z80CPU.WATCHED_READ) {
+                    this.checkWatchpoints(Z80CPU.WATCH_MEMORY, Z80CPU.WATCH_READ, address, value);
+                }
+                return value;
+            },
+            write: (address, value) => {
+                // writeWord hands over the whole word for its low byte
+                if (watched[address] & Z80CPU.WATCHED_WRITE) {
+                    this.checkWatchpoints(Z80CPU.WATCH_MEMORY, Z80CPU.WATCH_WRITE, address, value & 0xFF);
+                }
+                if (bus !== null && bus.writeMap[address] !== 0) {
+                    bus.write(address, value);
+                } else {
+                    ram[address] = value;
+                }
+            },
+        };
+    }
+
+    // Ports, as an IOBus-like object, with the watched ones checked
+    watchIO(iomap) {
+        const ports = iomap instanceof Uint8Array ? iomap : null;
+        const watched = this.watchedPorts;
+        return {
+            read: (port) => {
+                const value = ports !== null ? ports[port & 0xFF] : iomap.read(port);
+                if (watched[port & 0xFF] & Z80CPU.WATCHED_READ) {
+                    this.checkWatchpoints(Z80CPU.WATCH_PORT, Z80CPU.WATCH_READ, port & 0xFF, value);
+                }
+                return value;
+            },
+            write: (port, value) => {
+                if (watched[port & 0xFF] & Z80CPU.WATCHED_WRITE) {
+                    this.checkWatchpoints(Z80CPU.WATCH_PORT, Z80CPU.WATCH_WRITE, port & 0xFF, value & 0xFF);
+                }
+                if (ports !== null) {
+                    ports[port & 0xFF] = value;
+                } else {
+                    iomap.write(port, value);
+                }
+            },
+        };
+    }
+
+    // Records the first watchpoint an access matches, for execute to stop on
+    checkWatchpoints(space, access, target, value) {
+        if (this.debugStop !== null) return;
+        for (const watchpoint of this.watchpoints) {
+            if (watchpoint.space === space &&
+                (watchpoint.access === access || watchpoint.access === Z80CPU.WATCH_ACCESS) &&
+                target >= watchpoint.start && target <= watchpoint.end &&
+                (watchpoint.value === null || watchpoint.value === value)) {
+                this.debugStop = { reason: 'watchpoint', space, access, target, value, watchpoint };
+                return;
+            }
+        }
+    }
+
+    // Shared loop of executeSteps and executeCycles: stops at whichever limit comes first
+    execute(memory, iomap, steps, tStates, initialRegisters) {
         let instructionsExecuted = 0;
         let error = null;
-        
-        // Reset halted state when starting execution
-        this.halted = false;        
-       
-        // Load initial registers if provided
-        if (initialRegisters) {
-            this.registers = { 
-                ...initialRegisters,
-                F: { ...initialRegisters.F } // Deep copy F register
-            };
+        let stoppedAt = null;
+        const startCycles = this.cycleCount;
+        const endCycles = startCycles + tStates;
+        // Stored for the instruction handlers
+        this.attachMemory(memory);
+        this.attachIO(iomap);
+        this.debugStop = null;
+
+        // Load initial registers if provided (callers often pass back this.registers itself)
+        if (initialRegisters && initialRegisters !== this.registers) {
+            Object.assign(this.registers, initialRegisters);
         }
-        
-        for (let i = 0; i < steps && !this.halted && !error; i++) {
-            try {
-                const result = this.executeInstruction(memory,iomap);
-                if (result.error) {
-                    error = result.error;
+
+        try {
+            while (instructionsExecuted < steps && this.cycleCount < endCycles) {
+                if (this.pendingNMI || this.pendingInterrupt !== null || this.interruptsDelayed) {
+                    const interrupted = this.regs16[REG_PC];
+                    const interrupt = this.acceptInterrupt();
+                    if (interrupt.error) {
+                        error = interrupt.error;
+                        break;
+                    }
+                    this.cycleCount += interrupt.tStates;
+                    if (this.codeMap !== null) this.codeMapFinding(this.codeMap.endInstruction(interrupted, false));
+                    if (this.debugStop !== null) {
+                        stoppedAt = { ...this.debugStop, address: interrupted };
+                        break;
+                    }
+                }
+                if (this.halted) {
+                    if (tStates !== Infinity) {
+                        const idle = endCycles - this.cycleCount;
+                        if (idle > 0) this.cycleCount += Math.ceil(idle / 4) * 4;
+                    }
+                    break;
+                }
+                if (this.breakpoints.size !== 0 && instructionsExecuted !== 0 &&
+                    this.breakpoints.has(this.regs16[REG_PC])) {
+                    stoppedAt = { reason: "breakpoint", address: this.regs16[REG_PC] };
+                    break;
+                }
+                if (this.tracer !== null) this.tracer.beforeInstruction(this);
+                const address = this.regs16[REG_PC];
+                error = this.executeInstruction();
+                if (error) {
+                    if (this.fault !== null) {
+                        stoppedAt = this.fault;
+                        this.fault = null;
+                    }
                     break;
                 }
+                this.cycleCount += this.instructionTStates;
+                if (this.profile !== null) this.profile.countInstruction(address, this.instructionTStates);
                 instructionsExecuted++;
-            } catch (e) {
-                error = `CPU Exception: ${e.message}`;
-                break;
+                if (this.codeMap !== null) this.codeMapFinding(this.codeMap.endInstruction(address, true));
+                if (this.debugStop !== null) {
+                    stoppedAt = { ...this.debugStop, address };
+                    break;
+                }
             }
+        } catch (e) {
+            error = `CPU Exception: ${e.message}`;
         }
-        
+
         return {
             instructionsExecuted,
+            tStates: this.cycleCount - startCycles,
             halted: this.halted,
-            registers: { 
+            registers: {
                 ...this.registers,
-                F: { ...this.registers.F } // Deep copy F register
+                F: { ...this.registers.F } // Copy out of the live flags view
             },
             shadowRegisters: {
                 ...this.shadowRegisters,
-                F: { ...this.shadowRegisters.F } // Deep copy shadow F register
+                F: { ...this.shadowRegisters.F }
             },
-            error
+            stoppedAt,
+            error: error || null
         };
     }
 
+    /**
+     * Raises the maskable interrupt line. It is serviced at the next instruction boundary
+     * if interrupts are enabled there, and dropped otherwise, like the short INT pulse
+     * of a real machine.
+     * @param {number} dataBus - Byte the interrupting device places on the data bus:
+     *   the instruction for IM 0 (only RST is supported) or the vector low byte for IM 2
+     */
+    requestInterrupt(dataBus = 0xFF) {
+        this.pendingInterrupt = dataBus;
+    }
+
+    /**
+     * Raises the non-maskable interrupt. It is latched until serviced, and always serviced.
+     */
+    requestNMI() {
+        this.pendingNMI = true;
+    }
+
+    // Service a pending NMI or maskable interrupt at an instruction boundary
+    acceptInterrupt() {
+        if (this.pendingNMI) {
+            this.pendingNMI = false;
+            this.iff1 = false;
+            this.wakeForInterrupt();
+            this.callAddress(0x0066);
+            return { tStates: 11 };
+        }
+        const delayed = this.interruptsDelayed;
+        this.interruptsDelayed = false;
+        if (this.pendingInterrupt === null || delayed) return { tStates: 0 };
+        const dataBus = this.pendingInterrupt;
+        this.pendingInterrupt = null;
+        if (!this.iff1) return { tStates: 0 };
+
+        this.iff1 = false;
+        this.iff2 = false;
+        this.wakeForInterrupt();
+        switch (this.interruptMode) {
+            case 0:
+                if ((dataBus & 0xC7) !== 0xC7) {
+                    return { error: `IM 0 interrupt with 0x${dataBus.toString(16).padStart(2, '0')} on the data bus: only RST instructions are supported` };
+                }
+                this.callAddress(dataBus & 0x38);
+                return { tStates: 13 };
+            case 1:
+                this.callAddress(0x0038);
+                return { tStates: 13 };
+            case 2:
+                this.callAddress(this.readWord((this.regs8[REG_I] << 8) | dataBus));
+                return { tStates: 19 };
+        }
+    }
+
+    // Interrupt acknowledge is an M1 cycle, and ends a HALT (PC already points past it)
+    wakeForInterrupt() {
+        this.incrementRefresh();
+        this.halted = false;
+    }
+
+    // Every M1 cycle advances the low 7 bits of the refresh register R
+    incrementRefresh() {
+        const R = this.regs8[REG_R];
+        this.regs8[REG_R] = (R & 0x80) | ((R + 1) & 0x7F);
+    }
+
     // Basic CPU primitive: fetch byte from memory at PC and increment PC
     fetchByte() {
-        const byte = this.memory[this.registers.PC];
-        this.registers.PC = this.adjustFFFF(this.registers.PC + 1);
-        return byte;
+        const pc = this.regs16[REG_PC];
+        this.regs16[REG_PC] = pc + 1;
+        return this.readMemory(pc);
+    }
+
+    // Opcode fetch (M1 cycle)
+    fetchOpcode() {
+        this.incrementRefresh();
+        return this.fetchByte();
     }
 
     // Fetch 16-bit word (LSB first, then MSB) from memory at PC
     fetchWord() {
         const lsb = this.fetchByte();
-        const msb = this.fetchByte();
-        return lsb | (msb << 8);
+        return lsb | (this.fetchByte() << 8);
+    }
+
+    // Stack: SP is pre-decremented by push and post-incremented by pop, high byte at the higher address
+    push(value) {
+        const regs16 = this.regs16;
+        if (this.stackMonitor !== null) this.stackFinding(this.stackMonitor.push(regs16[REG_SP]));
+        regs16[REG_SP]--;
+        this.writeMemory(regs16[REG_SP], value >> 8);
+        regs16[REG_SP]--;
+        this.writeMemory(regs16[REG_SP], value);
+    }
+
+    pop() {
+        const sp = this.regs16[REG_SP];
+        if (this.stackMonitor !== null) this.stackFinding(this.stackMonitor.pop(sp));
+        this.regs16[REG_SP] = sp + 2;
+        return this.readWord(sp);
     }
 
-    // Pop 16-bit word from stack and set PC
-    popPC() {
-        this.registers.PC = this.memory[this.registers.SP] | (this.memory[this.registers.SP + 1] << 8);
-        this.registers.SP = this.adjustFFFF(this.registers.SP + 2);
+    // RET, a taken RET cc, RETI and RETN
+    returnFromCall() {
+        const sp = this.regs16[REG_SP];
+        this.regs16[REG_PC] = this.pop();
+        if (this.stackMonitor !== null) this.stackFinding(this.stackMonitor.ret(sp, this.regs16[REG_PC]));
     }
 
-    // Pop from stack returning [lsb, msb] pair
-    popLSB_MSB() {
-        const lsb = this.memory[this.registers.SP];
-        this.registers.SP = this.adjustFFFF(this.registers.SP + 1);
-        const msb = this.memory[this.registers.SP];
-        this.registers.SP = this.adjustFFFF(this.registers.SP + 1);
-        return [lsb, msb];
+    // Records what the stack monitor found, if anything, for execute to stop on
+    stackFinding(message) {
+        if (message !== null && this.debugStop === null) this.debugStop = { reason: 'stack', message };
     }
 
-    // Push [lsb, msb] pair to stack
-    pushLSB_MSB(lsb, msb) {
-        this.registers.SP = this.adjustFFFF(this.registers.SP - 1);
-        this.memory[this.registers.SP] = msb;
-        this.registers.SP = this.adjustFFFF(this.registers.SP - 1);
-        this.memory[this.registers.SP] = lsb;
+    // Likewise for the code map, whose findings carry their own address
+    codeMapFinding(finding) {
+        if (finding !== null && this.debugStop === null) this.debugStop = finding;
     }
 
     // Helper functions to adjust register values with proper overflow/underflow handling
     adjustFF(value) {
         return value & 0xFF;
     }
-    
+
     adjustFFFF(value) {
         return value & 0xFFFF;
     }
@@ -196,73 +731,220 @@ class Z80CPU {
         return (msb << 8) | lsb;
     }
 
-    adjustFFPlusUpdateZC(result) {
-        const adjustedValue = this.adjustFF(result);
-        this.registers.F.Z = adjustedValue === 0;
-        this.registers.F.C = result > 255 || result < 0;
-        return adjustedValue;
-    }
-
-    adjustFFFFUpdateC(result) {
-        this.registers.F.C = result > 0xFFFF;
-        const adjustedValue = this.adjustFFFF(result);
-        return adjustedValue;
+    // Memory access by the instructions. Plain RAM is indexed directly; only addresses that
+    // a MemoryBus maps to ROM or a device go through the bus.
+    readMemory(address) {
+        return this.readMap[address] === 0 ? this.memory[address] : this.bus.read(address);
     }
 
-    adjustFFPlusUpdateZ(result) {
-        const adjustedValue = this.adjustFF(result);
-        this.registers.F.Z = adjustedValue === 0;
-        return adjustedValue;
+    writeMemory(address, value) {
+        if (this.writeMap[address] === 0) {
+            this.memory[address] = value;
+        } else {
+            this.bus.write(address, value);
+        }
     }
 
-    updateAZC(value) {
-        this.registers.A = value;
-        this.registers.F.Z = value === 0;
-        this.registers.F.C = false;
+    readWord(address) {
+        return this.readMemory(address) | (this.readMemory(this.adjustFFFF(address + 1)) << 8);
     }
 
-    incrementMemoryUpdateZ(address) {
-        this.memory[address] = this.adjustFFPlusUpdateZ(this.memory[address] + 1);
+    writeWord(address, value) {
+        this.writeMemory(address, value);
+        this.writeMemory(this.adjustFFFF(address + 1), value >> 8);
     }
 
-    decrementMemoryUpdateZ(address) {
-        this.memory[address] = this.adjustFFPlusUpdateZ(this.memory[address] - 1);
+    // Register pairs by the regs8 index of their high byte; the low byte follows it
+    getPair(high) {
+        return (this.regs8[high] << 8) | this.regs8[high + 1];
     }
 
-    // Convert word to [lsb, msb] pair
-    wordToLSB_MSB(value) {
-        return [this.adjustFF(value), this.adjustFF(value >> 8)];
+    setPair(high, value) {
+        this.regs8[high] = value >> 8;
+        this.regs8[high + 1] = value;
     }
 
-    // Convenience methods for common register pair access to reduce duplication
     getHL() {
-        return this.getReg(Z80CPU.regPairs.HL);
+        return this.getPair(REG_H);
     }
 
     getBC() {
-        return this.getReg(Z80CPU.regPairs.BC);
+        return this.getPair(REG_B);
     }
 
     getDE() {
-        return this.getReg(Z80CPU.regPairs.DE);
+        return this.getPair(REG_D);
     }
 
     setHL(value) {
-        this.setReg(Z80CPU.regPairs.HL, value);
+        this.setPair(REG_H, value);
     }
 
     setBC(value) {
-        this.setReg(Z80CPU.regPairs.BC, value);
+        this.setPair(REG_B, value);
     }
 
     setDE(value) {
-        this.setReg(Z80CPU.regPairs.DE, value);
+        this.setPair(REG_D, value);
+    }
+
+    // EX AF,AF' and EXX: swap a main register with its alternate
+    exchangeWithAlternate(index) {
+        const regs8 = this.regs8;
+        const value = regs8[index];
+        regs8[index] = regs8[index + ALTERNATE_SET];
+        regs8[index + ALTERNATE_SET] = value;
+    }
+
+    // Some instructions copy bits 5 and 3 from something other than their result
+    setXYFlags(value) {
+        this.regs8[REG_F] = (this.regs8[REG_F] & ~(FLAG_Y | FLAG_X)) | (value & (FLAG_Y | FLAG_X));
+    }
+
+    // ADD/ADC: overflow when both operands share a sign that the result does not.
+    // H is bit 4 of a ^ b ^ result: the carry into bit 4.
+    add8(a, b, carryIn = 0) {
+        const sum = a + b + carryIn;
+        const result = sum & 0xFF;
+        this.regs8[REG_F] = Z80CPU.SZXY[result] | ((a ^ b ^ result) & FLAG_H)
+            | (((a ^ ~b) & (a ^ result) & 0x80) >> 5) | (sum >> 8);
+        return result;
+    }
+
+    // SUB/SBC/CP/NEG: overflow when the operands differ in sign and the result takes the subtrahend's
+    sub8(a, b, carryIn = 0) {
+        const difference = a - b - carryIn;
+        const result = difference & 0xFF;
+        this.regs8[REG_F] = Z80CPU.SZXY[result] | ((a ^ b ^ result) & FLAG_H)
+            | (((a ^ b) & (a ^ result) & 0x80) >> 5) | FLAG_N | (difference < 0 ? FLAG_C : 0);
+        return result;
+    }
+
+    // CP discards the result, and takes Y/X from the operand rather than the result
+    compareA(value) {
+        this.sub8(this.regs8[REG_A], value);
+        this.setXYFlags(value);
+    }
+
+    // AND/OR/XOR share flag rules except H, which only AND sets
+    logicA(result, halfCarry) {
+        this.regs8[REG_A] = result;
+        this.regs8[REG_F] = Z80CPU.SZXYP[result] | (halfCarry ? FLAG_H : 0);
+    }
+
+    andA(value) {
+        this.logicA(this.regs8[REG_A] & value, true);
+    }
+
+    orA(value) {
+        this.logicA(this.regs8[REG_A] | value, false);
+    }
+
+    xorA(value) {
+        this.logicA(this.regs8[REG_A] ^ value, false);
+    }
+
+    // DAA: corrects A after a BCD ADD or SUB, which N says it was. H and C from that
+    // operation say which digits overflowed; digits over 9 did so without carrying.
+    decimalAdjustA() {
+        const A = this.regs8[REG_A];
+        const F = this.regs8[REG_F];
+        const low = A & 0x0F;
+        let correction = 0;
+        let carry = F & FLAG_C;
+        if ((F & FLAG_H) || low > 9) correction = 0x06;
+        if (carry || A > 0x99) {
+            correction |= 0x60;
+            carry = FLAG_C;
+        }
+        let result, halfCarry;
+        if (F & FLAG_N) {
+            result = (A - correction) & 0xFF;
+            halfCarry = (F & FLAG_H) && low < 6;
+        } else {
+            result = (A + correction) & 0xFF;
+            halfCarry = low > 9;
+        }
+        this.regs8[REG_A] = result;
+        this.regs8[REG_F] = Z80CPU.SZXYP[result] | (halfCarry ? FLAG_H : 0) | (F & FLAG_N) | carry;
+    }
+
+    // INC/DEC r leave C alone; overflow only at the 0x7F/0x80 boundary
+    inc8(value) {
+        const result = (value + 1) & 0xFF;
+        this.regs8[REG_F] = (this.regs8[REG_F] & FLAG_C) | Z80CPU.SZXY[result]
+            | ((value & 0x0F) === 0x0F ? FLAG_H : 0) | (value === 0x7F ? FLAG_PV : 0);
+        return result;
+    }
+
+    dec8(value) {
+        const result = (value - 1) & 0xFF;
+        this.regs8[REG_F] = (this.regs8[REG_F] & FLAG_C) | Z80CPU.SZXY[result]
+            | ((value & 0x0F) === 0x00 ? FLAG_H : 0) | (value === 0x80 ? FLAG_PV : 0) | FLAG_N;
+        return result;
+    }
+
+    // ADD HL,rr leaves S, Z and P/V alone; H is the carry out of bit 11
+    add16(a, b) {
+        const sum = a + b;
+        const result = sum & 0xFFFF;
+        this.regs8[REG_F] = (this.regs8[REG_F] & (FLAG_S | FLAG_Z | FLAG_PV))
+            | ((a & 0x0FFF) + (b & 0x0FFF) > 0x0FFF ? FLAG_H : 0)
+            | ((result >> 8) & (FLAG_Y | FLAG_X)) | (sum >> 16);
+        return result;
+    }
+
+    // RLCA/RRCA/RLA/RRA only touch H, N, C and the undocumented bits
+    setAccumulatorRotateFlags(carry) {
+        this.regs8[REG_F] = (this.regs8[REG_F] & (FLAG_S | FLAG_Z | FLAG_PV))
+            | (this.regs8[REG_A] & (FLAG_Y | FLAG_X)) | (carry ? FLAG_C : 0);
+    }
+
+    // LDI/LDD family: Y/X come from bits 1 and 3 of (transferred byte + A); P/V reports BC != 0
+    setBlockTransferFlags(value, bc) {
+        const n = value + this.regs8[REG_A];
+        this.regs8[REG_F] = (this.regs8[REG_F] & (FLAG_S | FLAG_Z | FLAG_C))
+            | ((n << 4) & FLAG_Y) | (n & FLAG_X) | (bc !== 0 ? FLAG_PV : 0);
+    }
+
+    // CB rotates and shifts set every flag from the result
+    setShiftFlags(result, carry) {
+        this.regs8[REG_F] = Z80CPU.SZXYP[result] | (carry ? FLAG_C : 0);
     }
 
     // Push current PC to stack and jump to target address
     callAddress(targetAddress) {
-        this.pushLSB_MSB(...this.wordToLSB_MSB(this.registers.PC));
-        this.registers.PC = targetAddress;
+        this.push(this.regs16[REG_PC]);
+        if (this.stackMonitor !== null) {
+            this.stackMonitor.call(this.regs16[REG_SP], this.regs16[REG_PC], targetAddress);
+        }
+        this.regs16[REG_PC] = targetAddress;
+    }
+
+    // Conditional RET costs 11 T-states when taken, 5 when not
+    conditionalReturn(condition) {
+        if (condition) {
+            this.returnFromCall();
+            this.instructionTStates += 6;
+        }
+    }
+
+    // CALL cc always fetches its target; taking it costs 17 T-states instead of 10
+    conditionalCall(condition) {
+        const addr = this.fetchWord();
+        if (condition) {
+            this.callAddress(addr);
+            this.instructionTStates += 7;
+        }
+    }
+
+    // JR cc and DJNZ always fetch the displacement; taking the jump costs 5 more T-states
+    relativeJump(condition) {
+        const displacement = this.toSignedByte(this.fetchByte());
+        if (condition) {
+            this.regs16[REG_PC] += displacement;
+            this.instructionTStates += 5;
+        }
     }
 
     // Convert signed byte (0-255) to signed offset (-128 to 127)
@@ -270,1149 +952,696 @@ class Z80CPU {
         return (byte > 127) ? byte - 256 : byte;
     }
 
-    // executes one Z80 instruction
-    executeInstruction(memory,iomap) {
-        // Store memory and iomap references for helper functions
-        this.memory = memory;
-        this.iomap = iomap;
-        const instructionAddress = this.registers.PC;
-        const opcode = this.fetchByte();
-        
-        switch(opcode) {
-            case 0x00: // NOP
-                // No operation - just continue
-                break;
-            case 0x08: // EX AF, AF'
-                // Exchange AF with shadow AF'
-                const tempA = this.registers.A;
-                const tempF = { ...this.registers.F };
-                this.registers.A = this.shadowRegisters.A;
-                this.registers.F = { ...this.shadowRegisters.F };
-                this.shadowRegisters.A = tempA;
-                this.shadowRegisters.F = tempF;
-                break;
-            case 0x07: // RLCA
-                // Rotate Left Circular Accumulator
-                const bit7 = (this.registers.A & 0x80) >> 7;
-                this.registers.A = this.adjustFF((this.registers.A << 1) | bit7);
-                this.registers.F.C = bit7 !== 0;
-                break;
-            case 0x0F: // RRCA
-                // Rotate Right Circular Accumulator
-                const bit0 = this.registers.A & 0x01;
-                this.registers.A = this.adjustFF((this.registers.A >> 1) | (bit0 << 7));
-                this.registers.F.C = bit0 !== 0;
-                break;
-            case 0x17: // RLA
-                // Rotate Left Accumulator through carry
-                const oldCarry = this.registers.F.C ? 1 : 0;
-                const newCarry = (this.registers.A & 0x80) !== 0;
-                this.registers.A = this.adjustFF((this.registers.A << 1) | oldCarry);
-                this.registers.F.C = newCarry;
-                break;
-            case 0x1F: // RRA
-                // Rotate Right Accumulator through carry
-                const oldCarryRRA = this.registers.F.C ? 0x80 : 0;
-                const newCarryRRA = (this.registers.A & 0x01) !== 0;
-                this.registers.A = this.adjustFF((this.registers.A >> 1) | oldCarryRRA);
-                this.registers.F.C = newCarryRRA;
-                break;
-            case 0x37: // SCF - Set Carry Flag
-                this.registers.F.C = true;
-                break;
-            case 0x3F: // CCF - Complement Carry Flag
-                this.registers.F.C = !this.registers.F.C;
-                break;
-            case 0x2F: // CPL - Complement accumulator
-                this.registers.A = this.adjustFF(~this.registers.A);
-                break;
-            case 0x76: // HALT
-                // Halt execution
-                this.halted = true;
-                break;
-            case 0x3E: // LD A, n
-                this.registers.A = this.fetchByte();
-                break;
-            case 0x32: // LD (nn), A
-                memory[this.fetchWord()] = this.registers.A;
-                break;
-            case 0x3A: // LD A, (nn)
-                this.registers.A = memory[this.fetchWord()];
-                break;
-            case 0xCD: // CALL nn
-                this.callAddress(this.fetchWord());
-                break;
-            case 0xC9: // RET
-                this.popPC();
-                break;
-            case 0xC0: // RET NZ
-                if (!this.registers.F.Z) {
-                    this.popPC();
-                }
-                break;
-            case 0xC8: // RET Z
-                if (this.registers.F.Z) {
-                    this.popPC();
-                }
-                break;
-            case 0xD0: // RET NC
-                if (!this.registers.F.C) {
-                    this.popPC();
-                }
-                break;
-            case 0xD8: // RET C
-                if (this.registers.F.C) {
-                    this.popPC();
-                }
-                break;
-            case 0x18: // JR n
-                {
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0x21: // LD HL, nn
-                this.registers.L = this.fetchByte();
-                this.registers.H = this.fetchByte();
-                break;
-            case 0x22: // LD (nn), HL
-                {
-                    const addr = this.fetchWord();
-                    memory[addr] = this.registers.L;
-                    memory[this.adjustFFFF(addr + 1)] = this.registers.H;
-                }
-                break;
-            case 0x2A: // LD HL, (nn)
-                {
-                    const addr = this.fetchWord();
-                    this.registers.L = memory[addr];
-                    this.registers.H = memory[this.adjustFFFF(addr + 1)];
-                }
-                break;
-            case 0x36: // LD (HL), n
-                memory[this.getHL()] = this.fetchByte();
-                break;
-            case 0x77: // LD (HL), A
-                memory[this.getHL()] = this.registers.A;
-                break;
-            case 0x70: // LD (HL), B
-                memory[this.getHL()] = this.registers.B;
-                break;
-            case 0x71: // LD (HL), C
-                memory[this.getHL()] = this.registers.C;
-                break;
-            case 0x72: // LD (HL), D
-                memory[this.getHL()] = this.registers.D;
-                break;
-            case 0x73: // LD (HL), E
-                memory[this.getHL()] = this.registers.E;
-                break;
-            case 0x74: // LD (HL), H
-                memory[this.getHL()] = this.registers.H;
-                break;
-            case 0x75: // LD (HL), L
-                memory[this.getHL()] = this.registers.L;
-                break;
-            case 0x7E: // LD A, (HL)
-                this.registers.A = memory[this.getHL()];
-                break;
-            case 0x0A: // LD A, (BC)
-                this.registers.A = memory[this.getBC()];
-                break;
-            case 0x1A: // LD A, (DE)
-                this.registers.A = memory[this.getDE()];
-                break;
-            
-            // More LD instructions
-            case 0x06: // LD B, n
-                this.registers.B = this.fetchByte();
-                break;
-            case 0x0E: // LD C, n
-                this.registers.C = this.fetchByte();
-                break;
-            case 0x16: // LD D, n
-                this.registers.D = this.fetchByte();
-                break;
-            case 0x1E: // LD E, n
-                this.registers.E = this.fetchByte();
-                break;
-            case 0x26: // LD H, n
-                this.registers.H = this.fetchByte();
-                break;
-            case 0x2E: // LD L, n
-                this.registers.L = this.fetchByte();
-                break;
-            case 0x46: // LD B, (HL)
-                this.registers.B = memory[this.getHL()];
-                break;
-            case 0x5F: // LD E, A
-                this.registers.E = this.registers.A;
-                break;
-            case 0x7B: // LD A, E
-                this.registers.A = this.registers.E;
-                break;
-            case 0x79: // LD A, C
-                this.registers.A = this.registers.C;
-                break;
-            case 0x47: // LD B, A
-                this.registers.B = this.registers.A;
-                break;
-            case 0x4F: // LD C, A
-                this.registers.C = this.registers.A;
-                break;
-            case 0x41: // LD B, C
-                this.registers.B = this.registers.C;
-                break;
-            case 0x44: // LD B, H
-                this.registers.B = this.registers.H;
-                break;
-            case 0x78: // LD A, B
-                this.registers.A = this.registers.B;
-                break;
-            case 0x7C: // LD A, H
-                this.registers.A = this.registers.H;
-                break;
-            case 0x7D: // LD A, L
-                this.registers.A = this.registers.L;
-                break;
-            case 0x67: // LD H, A
-                this.registers.H = this.registers.A;
-                break;
-            case 0x6F: // LD L, A
-                this.registers.L = this.registers.A;
-                break;
-            case 0x7A: // LD A, D
-                this.registers.A = this.registers.D;
-                break;
-            case 0x57: // LD D, A
-                this.registers.D = this.registers.A;
-                break;
-            
-            // Additional register-to-register LD variants
-            case 0x40: // LD B, B
-                this.registers.B = this.registers.B;
-                break;
-            case 0x42: // LD B, D
-                this.registers.B = this.registers.D;
-                break;
-            case 0x43: // LD B, E
-                this.registers.B = this.registers.E;
-                break;
-            case 0x45: // LD B, L
-                this.registers.B = this.registers.L;
-                break;
-            case 0x48: // LD C, B
-                this.registers.C = this.registers.B;
-                break;
-            case 0x49: // LD C, C
-                this.registers.C = this.registers.C;
-                break;
-            case 0x4A: // LD C, D
-                this.registers.C = this.registers.D;
-                break;
-            case 0x4B: // LD C, E
-                this.registers.C = this.registers.E;
-                break;
-            case 0x4C: // LD C, H
-                this.registers.C = this.registers.H;
-                break;
-            case 0x4D: // LD C, L
-                this.registers.C = this.registers.L;
-                break;
-            case 0x4E: // LD C, (HL)
-                this.registers.C = memory[this.getHL()];
-                break;
-            case 0x50: // LD D, B
-                this.registers.D = this.registers.B;
-                break;
-            case 0x51: // LD D, C
-                this.registers.D = this.registers.C;
-                break;
-            case 0x52: // LD D, D
-                this.registers.D = this.registers.D;
-                break;
-            case 0x53: // LD D, E
-                this.registers.D = this.registers.E;
-                break;
-            case 0x54: // LD D, H
-                this.registers.D = this.registers.H;
-                break;
-            case 0x55: // LD D, L
-                this.registers.D = this.registers.L;
-                break;
-            case 0x56: // LD D, (HL)
-                this.registers.D = memory[this.getHL()];
-                break;
-            case 0x58: // LD E, B
-                this.registers.E = this.registers.B;
-                break;
-            case 0x59: // LD E, C
-                this.registers.E = this.registers.C;
-                break;
-            case 0x5A: // LD E, D
-                this.registers.E = this.registers.D;
-                break;
-            case 0x5B: // LD E, E
-                this.registers.E = this.registers.E;
-                break;
-            case 0x5C: // LD E, H
-                this.registers.E = this.registers.H;
-                break;
-            case 0x5D: // LD E, L
-                this.registers.E = this.registers.L;
-                break;
-            case 0x5E: // LD E, (HL)
-                this.registers.E = memory[this.getHL()];
-                break;
-            case 0x60: // LD H, B
-                this.registers.H = this.registers.B;
-                break;
-            case 0x61: // LD H, C
-                this.registers.H = this.registers.C;
-                break;
-            case 0x62: // LD H, D
-                this.registers.H = this.registers.D;
-                break;
-            case 0x63: // LD H, E
-                this.registers.H = this.registers.E;
-                break;
-            case 0x64: // LD H, H
-                this.registers.H = this.registers.H;
-                break;
-            case 0x65: // LD H, L
-                this.registers.H = this.registers.L;
-                break;
-            case 0x66: // LD H, (HL)
-                this.registers.H = memory[this.getHL()];
-                break;
-            case 0x68: // LD L, B
-                this.registers.L = this.registers.B;
-                break;
-            case 0x69: // LD L, C
-                this.registers.L = this.registers.C;
-                break;
-            case 0x6A: // LD L, D
-                this.registers.L = this.registers.D;
-                break;
-            case 0x6B: // LD L, E
-                this.registers.L = this.registers.E;
-                break;
-            case 0x6C: // LD L, H
-                this.registers.L = this.registers.H;
-                break;
-            case 0x6D: // LD L, L
-                this.registers.L = this.registers.L;
-                break;
-            case 0x6E: // LD L, (HL)
-                this.registers.L = memory[this.getHL()];
-                break;
-            case 0xEB: // EX DE, HL
-                const temp_D = this.registers.D;
-                const temp_E = this.registers.E;
-                this.registers.D = this.registers.H;
-                this.registers.E = this.registers.L;
-                this.registers.H = temp_D;
-                this.registers.L = temp_E;
-                break;
-            case 0xE3: // EX (SP), HL
-                {
-                    const sp = this.registers.SP;
-                    const temp_L = this.registers.L;
-                    const temp_H = this.registers.H;
-                    this.registers.L = memory[sp];
-                    this.registers.H = memory[this.adjustFFFF(sp + 1)];
-                    memory[sp] = temp_L;
-                    memory[this.adjustFFFF(sp + 1)] = temp_H;
-                }
-                break;
-            case 0x31: // LD SP, nn
-                this.registers.SP = this.fetchWord();
-                break;
-            case 0x01: // LD BC, nn
-                this.registers.C = this.fetchByte();
-                this.registers.B = this.fetchByte();
-                break;
-            case 0x02: // LD (BC), A
-                memory[this.getBC()] = this.registers.A;
-                break;
-            case 0x11: // LD DE, nn
-                this.registers.E = this.fetchByte();
-                this.registers.D = this.fetchByte();
-                break;
-            case 0x12: // LD (DE), A
-                memory[this.getDE()] = this.registers.A;
-                break;
-                
-            // Arithmetic
-            case 0x04: // INC B
-                this.registers.B = this.adjustFFPlusUpdateZ(this.registers.B + 1);
-                break;
-            case 0x0C: // INC C
-                this.registers.C = this.adjustFFPlusUpdateZ(this.registers.C + 1);
-                break;
-            case 0x14: // INC D
-                this.registers.D = this.adjustFFPlusUpdateZ(this.registers.D + 1);
-                break;
-            case 0x1C: // INC E
-                this.registers.E = this.adjustFFPlusUpdateZ(this.registers.E + 1);
-                break;
-            case 0x24: // INC H
-                this.registers.H = this.adjustFFPlusUpdateZ(this.registers.H + 1);
-                break;
-            case 0x2C: // INC L
-                this.registers.L = this.adjustFFPlusUpdateZ(this.registers.L + 1);
-                break;
-            case 0x3C: // INC A
-                this.registers.A = this.adjustFFPlusUpdateZ(this.registers.A + 1);
-                break;
-            case 0x34: // INC (HL)
-                this.incrementMemoryUpdateZ(this.getHL());
-                break;
-            case 0x3D: // DEC A
-                this.registers.A = this.adjustFFPlusUpdateZ(this.registers.A - 1);
-                break;
-            case 0x05: // DEC B
-                this.registers.B = this.adjustFFPlusUpdateZ(this.registers.B - 1);
-                break;
-            case 0x0D: // DEC C
-                this.registers.C = this.adjustFFPlusUpdateZ(this.registers.C - 1);
-                break;
-            case 0x15: // DEC D
-                this.registers.D = this.adjustFFPlusUpdateZ(this.registers.D - 1);
-                break;
-            case 0x1D: // DEC E
-                this.registers.E = this.adjustFFPlusUpdateZ(this.registers.E - 1);
-                break;
-            case 0x25: // DEC H
-                this.registers.H = this.adjustFFPlusUpdateZ(this.registers.H - 1);
-                break;
-            case 0x2D: // DEC L
-                this.registers.L = this.adjustFFPlusUpdateZ(this.registers.L - 1);
-                break;
-            case 0x23: // INC HL
-                this.setHL(this.adjustFFFF(this.getHL() + 1));
-                break;
-            case 0x33: // INC SP
-                this.registers.SP = this.adjustFFFF(this.registers.SP + 1);
-                break;
-            case 0x03: // INC BC
-                this.setBC(this.adjustFFFF(this.getBC() + 1));
-                break;
-            case 0x13: // INC DE
-                this.setDE(this.adjustFFFF(this.getDE() + 1));
-                break;
-            case 0x0B: // DEC BC
-                this.setBC(this.adjustFFFF(this.getBC() - 1));
-                break;
-            case 0x1B: // DEC DE
-                this.setDE(this.adjustFFFF(this.getDE() - 1));
-                break;
-            case 0x2B: // DEC HL
-                this.setHL(this.adjustFFFF(this.getHL() - 1));
-                break;
-            case 0x3B: // DEC SP
-                this.registers.SP = this.adjustFFFF(this.registers.SP - 1);
-                break;
-            case 0x35: // DEC (HL)
-                this.decrementMemoryUpdateZ(this.getHL());
-                break;
-            case 0x09: // ADD HL, BC
-                this.setHL(this.adjustFFFFUpdateC(this.getHL() + this.getBC()));
-                break;
-            case 0x19: // ADD HL, DE
-                this.setHL(this.adjustFFFFUpdateC(this.getHL() + this.getDE()));
-                break;
-            case 0x29: // ADD HL, HL
-                this.setHL(this.adjustFFFFUpdateC(this.getHL() + this.getHL()));
-                break;
-            case 0x39: // ADD HL, SP
-                this.setHL(this.adjustFFFFUpdateC(this.getHL() + this.registers.SP));
-                break;
-            case 0x80: // ADD A, B
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.B);
-                break;
-            case 0x81: // ADD A, C
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.C);
-                break;
-            case 0x82: // ADD A, D
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.D);
-                break;
-            case 0x83: // ADD A, E
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.E);
-                break;
-            case 0x84: // ADD A, H
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.H);
-                break;
-            case 0x87: // ADD A, A
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.A);
-                break;
-            case 0x85: // ADD A, L
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.L);
-                break;
-            case 0xC6: // ADD A, n
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.fetchByte());
-                break;
-            case 0x86: // ADD A, (HL)
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + memory[this.getHL()]);
-                break;
-            case 0x8C: // ADC A, H
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.registers.H + (this.registers.F.C ? 1 : 0));
-                break;
-            case 0xCE: // ADC A, n
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A + this.fetchByte() + (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x97: // SUB A
-                this.registers.A = 0;
-                this.registers.F.Z = true;
-                this.registers.F.C = false;
-                break;
-            case 0x90: // SUB B
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.B);
-                break;
-            case 0x91: // SUB C
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.C);
-                break;
-            case 0x92: // SUB D
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.D);
-                break;
-            case 0x93: // SUB E
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.E);
-                break;
-            case 0x94: // SUB H
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.H);
-                break;
-            case 0x95: // SUB L
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.L);
-                break;
-            case 0xD6: // SUB A, n
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.fetchByte());
-                break;
-            case 0x96: // SUB (HL)
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - memory[this.getHL()]);
-                break;
-            
-            // SBC (Subtract with Carry) instructions
-            case 0x9F: // SBC A, A
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.A - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x98: // SBC A, B
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.B - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x99: // SBC A, C
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.C - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x9A: // SBC A, D
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.D - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x9B: // SBC A, E
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.E - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x9C: // SBC A, H
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.H - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x9D: // SBC A, L
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.registers.L - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0x9E: // SBC A, (HL)
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.memory[this.getHL()] - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0xDE: // SBC A, n
-                this.registers.A = this.adjustFFPlusUpdateZC(this.registers.A - this.fetchByte() - (this.registers.F.C ? 1 : 0));
-                break;
-            case 0xD3: // OUT (n), A
-                const outPort = this.fetchByte();
-                this.OutPort(outPort, this.registers.A);
-                break;
-            case 0xDB: // IN A, (n)
-                const inPort = this.fetchByte();
-                this.registers.A = this.InPort(inPort);
-                break;
-                
-            // AND instructions
-            case 0xA0: // AND B
-                this.updateAZC(this.registers.A & this.registers.B);
-                break;
-            case 0xA1: // AND C
-                this.updateAZC(this.registers.A & this.registers.C);
-                break;
-            case 0xA2: // AND D
-                this.updateAZC(this.registers.A & this.registers.D);
-                break;
-            case 0xA3: // AND E
-                this.updateAZC(this.registers.A & this.registers.E);
-                break;
-            case 0xA4: // AND H
-                this.updateAZC(this.registers.A & this.registers.H);
-                break;
-            case 0xA5: // AND L
-                this.updateAZC(this.registers.A & this.registers.L);
-                break;
-            case 0xA6: // AND (HL)
-                this.updateAZC(this.registers.A & memory[this.getHL()]);
-                break;
-            case 0xA7: // AND A
-                this.updateAZC(this.registers.A & this.registers.A);
-                break;
-                
-            // Comparison and logic
-            case 0xFE: // CP n
-                const cpVal = this.fetchByte();
-                this.registers.F.Z = this.registers.A === cpVal;
-                this.registers.F.C = this.registers.A < cpVal;
-                break;
-            case 0xB8: // CP B
-                this.registers.F.Z = this.registers.A === this.registers.B;
-                this.registers.F.C = this.registers.A < this.registers.B;
-                break;
-            case 0xB9: // CP C
-                this.registers.F.Z = this.registers.A === this.registers.C;
-                this.registers.F.C = this.registers.A < this.registers.C;
-                break;
-            case 0xBA: // CP D
-                this.registers.F.Z = this.registers.A === this.registers.D;
-                this.registers.F.C = this.registers.A < this.registers.D;
-                break;
-            case 0xBB: // CP E
-                this.registers.F.Z = this.registers.A === this.registers.E;
-                this.registers.F.C = this.registers.A < this.registers.E;
-                break;
-            case 0xBC: // CP H
-                this.registers.F.Z = this.registers.A === this.registers.H;
-                this.registers.F.C = this.registers.A < this.registers.H;
-                break;
-            case 0xBD: // CP L
-                this.registers.F.Z = this.registers.A === this.registers.L;
-                this.registers.F.C = this.registers.A < this.registers.L;
-                break;
-            case 0xBE: // CP (HL)
-                {
-                    const hlValue = memory[this.getHL()];
-                    this.registers.F.Z = this.registers.A === hlValue;
-                    this.registers.F.C = this.registers.A < hlValue;
-                }
-                break;
-            case 0xBF: // CP A
-                this.registers.F.Z = true;  // A == A is always true
-                this.registers.F.C = false; // A < A is always false
-                break;
-            case 0xB7: // OR A
-                this.updateAZC(this.registers.A);
-                break;
-            case 0xB0: // OR B
-                this.updateAZC(this.registers.A | this.registers.B);
-                break;
-            case 0xB1: // OR C
-                this.updateAZC(this.registers.A | this.registers.C);
-                break;
-            case 0xB2: // OR D
-                this.updateAZC(this.registers.A | this.registers.D);
-                break;
-            case 0xB3: // OR E
-                this.updateAZC(this.registers.A | this.registers.E);
-                break;
-            case 0xB4: // OR H
-                this.updateAZC(this.registers.A | this.registers.H);
-                break;
-            case 0xB5: // OR L
-                this.updateAZC(this.registers.A | this.registers.L);
-                break;
-            case 0xB6: // OR (HL)
-                this.updateAZC(this.registers.A | memory[this.getHL()]);
-                break;
-            case 0xF6: // OR n
-                this.updateAZC(this.registers.A | this.fetchByte());
-                break;
-            case 0xAF: // XOR A
-                this.updateAZC(0);
-                break;
-            case 0xA8: // XOR B
-                this.updateAZC(this.registers.A ^ this.registers.B);
-                break;
-            case 0xA9: // XOR C
-                this.updateAZC(this.registers.A ^ this.registers.C);
-                break;
-            case 0xAA: // XOR D
-                this.updateAZC(this.registers.A ^ this.registers.D);
-                break;
-            case 0xAB: // XOR E
-                this.updateAZC(this.registers.A ^ this.registers.E);
-                break;
-            case 0xAC: // XOR H
-                this.updateAZC(this.registers.A ^ this.registers.H);
-                break;
-            case 0xAD: // XOR L
-                this.updateAZC(this.registers.A ^ this.registers.L);
-                break;
-            case 0xAE: // XOR (HL)
-                this.updateAZC(this.registers.A ^ memory[this.getHL()]);
-                break;
-            case 0xEE: // XOR n
-                this.updateAZC(this.registers.A ^ this.fetchByte());
-                break;
-            case 0xE6: // AND n
-                this.updateAZC(this.registers.A & this.fetchByte());
-                break;
-                
-            // Conditional jumps
-            case 0x28: // JR Z, n
-                {
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    if (this.registers.F.Z) this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0x20: // JR NZ, n
-                {
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    if (!this.registers.F.Z) this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0x38: // JR C, n
-                {
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    if (this.registers.F.C) this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0x30: // JR NC, n
-                {
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    if (!this.registers.F.C) this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0x10: // DJNZ n
-                {
-                    this.registers.B = (this.registers.B - 1) & 0xFF;
-                    const displacement = this.toSignedByte(this.fetchByte());
-                    if (this.registers.B !== 0) this.registers.PC = this.adjustFFFF(this.registers.PC + displacement);
-                }
-                break;
-            case 0xCA: // JP Z, nn
-                const jpZAddr = this.fetchWord();
-                if (this.registers.F.Z) {
-                    this.registers.PC = jpZAddr;
-                }
-                break;
-            case 0xC2: // JP NZ, nn
-                const jpNzAddr = this.fetchWord();
-                if (!this.registers.F.Z) {
-                    this.registers.PC = jpNzAddr;
-                }
-                break;
-            case 0xDA: // JP C, nn
-                const jpCAddr = this.fetchWord();
-                if (this.registers.F.C) {
-                    this.registers.PC = jpCAddr;
-                }
-                break;
-            case 0xD2: // JP NC, nn
-                const jpNCAddr = this.fetchWord();
-                if (!this.registers.F.C) {
-                    this.registers.PC = jpNCAddr;
+    // Executes one Z80 instruction; returns an error message, or undefined on success.
+    // The handler leaves the instruction's cost in instructionTStates.
+    executeInstruction() {
+        const opcode = this.fetchOpcode();
+        this.instructionTStates = Z80CPU.T_STATES[opcode];
+        return Z80CPU.OPCODES[opcode](this, opcode);
+    }
+
+    // DD/FD-prefixed instructions: the following opcode uses IX or IY in place of HL.
+    // The prefix adds an opcode fetch to the HL form's cost.
+    executeIndexedInstruction(table) {
+        const opcode = this.fetchOpcode();
+        this.instructionTStates = Z80CPU.T_STATES[opcode] + 4;
+        return table[opcode](this, opcode);
+    }
+
+    executeEDInstruction() {
+        const opcode = this.fetchOpcode();
+        this.instructionTStates = Z80CPU.T_STATES_ED[opcode];
+        return Z80CPU.ED_OPCODES[opcode](this, opcode);
+    }
+
+    executeCBInstruction() {
+        const cbOpcode = this.fetchOpcode();
+        this.instructionTStates = Z80CPU.T_STATES_CB[cbOpcode];
+        Z80CPU.CB_OPCODES[cbOpcode](this);
+    }
+
+    // Fetch the signed displacement of an (IX+d)/(IY+d) operand and return the effective address
+    // (IX+d) costs 8 T-states over (HL): the displacement fetch and the address addition
+    indexedAddress(high) {
+        this.instructionTStates += 8;
+        const displacement = this.toSignedByte(this.fetchByte());
+        return (this.getPair(high) + displacement) & 0xFFFF;
+    }
+
+    // DDCB/FDCB: the displacement precedes the final opcode byte
+    executeIndexedCBInstruction(high) {
+        const addr = this.indexedAddress(high);
+        const cbOpcode = this.fetchByte();
+        this.instructionTStates = (cbOpcode & 0xC0) === 0x40 ? 20 : 23;
+        Z80CPU.INDEXED_CB_OPCODES[cbOpcode](this, addr);
+    }
+
+    // Values of unknownOpcodePolicy. STOP returns an error with PC left on the instruction,
+    // for a debugger to show; NOP carries on past it, as the Z80 itself does; TRAP calls
+    // unknownOpcodeHandler, which may emulate it by changing registers or PC, and stops as
+    // STOP does if there is no handler or it returns an error message.
+    static UNKNOWN_OPCODE_STOP = "stop";
+    static UNKNOWN_OPCODE_NOP = "nop";
+    static UNKNOWN_OPCODE_TRAP = "trap";
+
+    static unknownExtendedOpcode(cpu, opcode) {
+        return cpu.unknownInstruction([0xED, opcode], 'extended opcode');
+    }
+
+    // An opcode with no definition, its bytes already fetched: returns the error, if any
+    unknownInstruction(bytes, kind) {
+        const address = this.adjustFFFF(this.regs16[REG_PC] - bytes.length);
+        const policy = this.unknownOpcodePolicy;
+        if (policy === Z80CPU.UNKNOWN_OPCODE_NOP) return undefined;
+        let error = null;
+        if (policy === Z80CPU.UNKNOWN_OPCODE_TRAP && this.unknownOpcodeHandler !== null) {
+            error = this.unknownOpcodeHandler(this, { address, bytes });
+            if (!error) return undefined;
+        }
+        this.regs16[REG_PC] = address;
+        this.fault = { reason: 'unknownOpcode', address, bytes };
+        const hex = bytes.map(byte => '0x' + byte.toString(16).toUpperCase().padStart(2, '0')).join(' ');
+        return error || `Unknown ${kind}: ${hex} at address 0x${address.toString(16).padStart(4, '0')}`;
+    }
+
+    // Conditions selected by bits 3-5 of JP/CALL/RET cc (bits 3-4 for JR cc): NZ, Z, NC, C, PO, PE, P, M.
+    // Each is [flag, value the masked flag must have].
+    static CONDITIONS = [
+        [FLAG_Z, 0], [FLAG_Z, FLAG_Z], [FLAG_C, 0], [FLAG_C, FLAG_C],
+        [FLAG_PV, 0], [FLAG_PV, FLAG_PV], [FLAG_S, 0], [FLAG_S, FLAG_S]
+    ];
+
+    // ALU operation selected by bits 3-5 of the opcode: ADD, ADC, SUB, SBC, AND, XOR, OR, CP
+    static ALU_OPERATIONS = [
+        (cpu, value) => { cpu.regs8[REG_A] = cpu.add8(cpu.regs8[REG_A], value); },
+        (cpu, value) => { cpu.regs8[REG_A] = cpu.add8(cpu.regs8[REG_A], value, cpu.regs8[REG_F] & FLAG_C); },
+        (cpu, value) => { cpu.regs8[REG_A] = cpu.sub8(cpu.regs8[REG_A], value); },
+        (cpu, value) => { cpu.regs8[REG_A] = cpu.sub8(cpu.regs8[REG_A], value, cpu.regs8[REG_F] & FLAG_C); },
+        (cpu, value) => cpu.andA(value),
+        (cpu, value) => cpu.xorA(value),
+        (cpu, value) => cpu.orA(value),
+        (cpu, value) => cpu.compareA(value),
+    ];
+
+    // Rotate/shift selected by bits 3-5 of a CB opcode: RLC, RRC, RL, RR, SLA, SRA, SLL, SRL
+    static SHIFT_OPERATIONS = [
+        (cpu, value) => cpu.rotateLeftCircular(value),
+        (cpu, value) => cpu.rotateRightCircular(value),
+        (cpu, value) => cpu.rotateLeftThroughCarry(value),
+        (cpu, value) => cpu.rotateRightThroughCarry(value),
+        (cpu, value) => cpu.shiftLeftArithmetic(value),
+        (cpu, value) => cpu.shiftRightArithmetic(value),
+        (cpu, value) => cpu.shiftLeftLogical(value),
+        (cpu, value) => cpu.shiftRightLogical(value),
+    ];
+
+    // The accumulator and flag group at z = 7 of the unprefixed table: RLCA, RRCA, RLA, RRA,
+    // DAA, CPL, SCF, CCF
+    static ACCUMULATOR_OPERATIONS = [
+        cpu => {
+            const A = cpu.regs8[REG_A];
+            cpu.regs8[REG_A] = (A << 1) | (A >> 7);
+            cpu.setAccumulatorRotateFlags(A & 0x80);
+        },
+        cpu => {
+            const A = cpu.regs8[REG_A];
+            cpu.regs8[REG_A] = (A >> 1) | (A << 7);
+            cpu.setAccumulatorRotateFlags(A & 0x01);
+        },
+        cpu => {
+            const A = cpu.regs8[REG_A];
+            cpu.regs8[REG_A] = (A << 1) | (cpu.regs8[REG_F] & FLAG_C);
+            cpu.setAccumulatorRotateFlags(A & 0x80);
+        },
+        cpu => {
+            const A = cpu.regs8[REG_A];
+            cpu.regs8[REG_A] = (A >> 1) | ((cpu.regs8[REG_F] & FLAG_C) << 7);
+            cpu.setAccumulatorRotateFlags(A & 0x01);
+        },
+        cpu => cpu.decimalAdjustA(),
+        cpu => {
+            const A = ~cpu.regs8[REG_A] & 0xFF;
+            cpu.regs8[REG_A] = A;
+            cpu.regs8[REG_F] = (cpu.regs8[REG_F] & (FLAG_S | FLAG_Z | FLAG_PV | FLAG_C))
+                | FLAG_H | FLAG_N | (A & (FLAG_Y | FLAG_X));
+        },
+        cpu => {
+            cpu.regs8[REG_F] = (cpu.regs8[REG_F] & (FLAG_S | FLAG_Z | FLAG_PV))
+                | (cpu.regs8[REG_A] & (FLAG_Y | FLAG_X)) | FLAG_C;
+        },
+        cpu => {
+            // H receives the carry as it was before the complement
+            const F = cpu.regs8[REG_F];
+            cpu.regs8[REG_F] = (F & (FLAG_S | FLAG_Z | FLAG_PV)) | ((F & FLAG_C) ? FLAG_H : 0)
+                | (cpu.regs8[REG_A] & (FLAG_Y | FLAG_X)) | ((F & FLAG_C) ^ FLAG_C);
+        },
+    ];
+
+    // Read/write accessors for the register pair in bits 4-5 of an opcode: BC, DE, HL (or the
+    // index register standing in for it, whose high byte is at regs8[high]) and SP or AF
+    static pairAccessors(p, high, lastIsAF) {
+        if (p === 3 && !lastIsAF) {
+            return [cpu => cpu.regs16[REG_SP], (cpu, value) => { cpu.regs16[REG_SP] = value; }];
+        }
+        const pairHigh = [REG_B, REG_D, high, REG_A][p];
+        if (pairHigh === REG_A) {
+            // AF is stored F, A: the only pair with its high byte second
+            return [
+                cpu => (cpu.regs8[REG_A] << 8) | cpu.regs8[REG_F],
+                (cpu, value) => { cpu.regs8[REG_A] = value >> 8; cpu.regs8[REG_F] = value; }
+            ];
+        }
+        return [cpu => cpu.getPair(pairHigh), (cpu, value) => cpu.setPair(pairHigh, value)];
+    }
+
+    // Handler for an unprefixed opcode, or a DD/FD-prefixed one when high selects IXH/IYH.
+    // With an index register, H/L in the register fields become its halves (the undocumented
+    // IXH/IXL/IYH/IYL) and (HL) becomes (IX+d), except that LD r,(IX+d) and LD (IX+d),r
+    // use the real H and L.
+    static decodeOpcode(opcode, high) {
+        const x = opcode >> 6;
+        const y = (opcode >> 3) & 7;
+        const z = opcode & 7;
+        const p = y >> 1;
+        const q = y & 1;
+        const indexed = high !== REG_H;
+        const reg = code => code === REG_H ? high : (code === REG_L ? high + 1 : code);
+        const address = indexed ? cpu => cpu.indexedAddress(high) : cpu => cpu.getPair(REG_H);
+        const [getPair, setPair] = Z80CPU.pairAccessors(p, high, false);
+        const [condition, conditionValue] = Z80CPU.CONDITIONS[y];
+
+        switch (x) {
+            case 0:
+                switch (z) {
+                    case 0:
+                        switch (y) {
+                            case 0: // NOP
+                                return () => {};
+                            case 1: // EX AF,AF'
+                                return cpu => {
+                                    cpu.exchangeWithAlternate(REG_A);
+                                    cpu.exchangeWithAlternate(REG_F);
+                                };
+                            case 2: // DJNZ d
+                                return cpu => {
+                                    const B = (cpu.regs8[REG_B] - 1) & 0xFF;
+                                    cpu.regs8[REG_B] = B;
+                                    cpu.relativeJump(B !== 0);
+                                };
+                            case 3: // JR d
+                                return cpu => {
+                                    const displacement = cpu.toSignedByte(cpu.fetchByte());
+                                    cpu.regs16[REG_PC] += displacement;
+                                };
+                            default: { // JR NZ/Z/NC/C,d
+                                const [flag, value] = Z80CPU.CONDITIONS[y - 4];
+                                return cpu => cpu.relativeJump((cpu.regs8[REG_F] & flag) === value);
+                            }
+                        }
+                    case 1:
+                        if (q === 0) { // LD rr,nn
+                            return cpu => setPair(cpu, cpu.fetchWord());
+                        }
+                        // ADD HL,rr
+                        return cpu => cpu.setPair(high, cpu.add16(cpu.getPair(high), getPair(cpu)));
+                    case 2:
+                        switch (y) {
+                            case 0: return cpu => { cpu.writeMemory(cpu.getBC(), cpu.regs8[REG_A]); }; // LD (BC),A
+                            case 1: return cpu => { cpu.regs8[REG_A] = cpu.readMemory(cpu.getBC()); }; // LD A,(BC)
+                            case 2: return cpu => { cpu.writeMemory(cpu.getDE(), cpu.regs8[REG_A]); }; // LD (DE),A
+                            case 3: return cpu => { cpu.regs8[REG_A] = cpu.readMemory(cpu.getDE()); }; // LD A,(DE)
+                            case 4: return cpu => cpu.writeWord(cpu.fetchWord(), cpu.getPair(high)); // LD (nn),HL
+                            case 5: return cpu => cpu.setPair(high, cpu.readWord(cpu.fetchWord())); // LD HL,(nn)
+                            case 6: return cpu => { cpu.writeMemory(cpu.fetchWord(), cpu.regs8[REG_A]); }; // LD (nn),A
+                            case 7: return cpu => { cpu.regs8[REG_A] = cpu.readMemory(cpu.fetchWord()); }; // LD A,(nn)
+                        }
+                    case 3: // INC rr / DEC rr
+                        return q === 0
+                            ? cpu => setPair(cpu, (getPair(cpu) + 1) & 0xFFFF)
+                            : cpu => setPair(cpu, (getPair(cpu) - 1) & 0xFFFF);
+                    case 4:
+                    case 5: { // INC r / DEC r
+                        const operation = z === 4 ? (cpu, value) => cpu.inc8(value) : (cpu, value) => cpu.dec8(value);
+                        if (y === 6) {
+                            return cpu => {
+                                const addr = address(cpu);
+                                cpu.writeMemory(addr, operation(cpu, cpu.readMemory(addr)));
+                            };
+                        }
+                        const r = reg(y);
+                        return cpu => { cpu.regs8[r] = operation(cpu, cpu.regs8[r]); };
+                    }
+                    case 6: { // LD r,n
+                        if (y === 6) {
+                            return cpu => {
+                                const addr = address(cpu);
+                                cpu.writeMemory(addr, cpu.fetchByte());
+                                // The address addition overlaps the fetch of n: 19 T-states in all
+                                if (indexed) cpu.instructionTStates = 19;
+                            };
+                        }
+                        const r = reg(y);
+                        return cpu => { cpu.regs8[r] = cpu.fetchByte(); };
+                    }
+                    case 7:
+                        return Z80CPU.ACCUMULATOR_OPERATIONS[y];
                 }
-                break;
-            case 0xC3: // JP nn
-                this.registers.PC = this.fetchWord();
-                break;
-            case 0xE9: // JP (HL)
-                this.registers.PC = this.getHL();
-                break;
-            
-            // Conditional CALL instructions
-            case 0xC4: // CALL NZ, nn
-                {
-                    const addr = this.fetchWord();
-                    if (!this.registers.F.Z) this.callAddress(addr);
+            case 1: {
+                if (y === 6 && z === 6) { // HALT: sleep until an interrupt (see acceptInterrupt)
+                    return cpu => { cpu.halted = true; };
                 }
-                break;
-            case 0xCC: // CALL Z, nn
-                {
-                    const addr = this.fetchWord();
-                    if (this.registers.F.Z) this.callAddress(addr);
+                if (z === 6) { // LD r,(HL)
+                    return cpu => { cpu.regs8[y] = cpu.readMemory(address(cpu)); };
                 }
-                break;
-            case 0xD4: // CALL NC, nn
-                {
-                    const addr = this.fetchWord();
-                    if (!this.registers.F.C) this.callAddress(addr);
+                if (y === 6) { // LD (HL),r
+                    return cpu => { cpu.writeMemory(address(cpu), cpu.regs8[z]); };
                 }
-                break;
-            case 0xDC: // CALL C, nn
-                {
-                    const addr = this.fetchWord();
-                    if (this.registers.F.C) this.callAddress(addr);
+                // LD r,r'
+                const target = reg(y);
+                const source = reg(z);
+                return cpu => { cpu.regs8[target] = cpu.regs8[source]; };
+            }
+            case 2: { // ADD/ADC/SUB/SBC/AND/XOR/OR/CP r
+                const operation = Z80CPU.ALU_OPERATIONS[y];
+                if (z === 6) {
+                    return cpu => operation(cpu, cpu.readMemory(address(cpu)));
                 }
-                break;
-                
-            // Stack operations
-            case 0xC5: // PUSH BC
-                this.pushLSB_MSB(this.registers.C, this.registers.B);
-                break;
-            case 0xC1: // POP BC
-                [this.registers.C, this.registers.B] = this.popLSB_MSB();
-                break;
-            case 0xD5: // PUSH DE
-                this.pushLSB_MSB(this.registers.E, this.registers.D);
-                break;
-            case 0xE5: // PUSH HL
-                this.pushLSB_MSB(this.registers.L, this.registers.H);
-                break;
-            case 0xF5: // PUSH AF
-                // Create proper F register encoding - Z80 flag register format
-                // Bit 7: S (sign), Bit 6: Z (zero), Bit 5: unused, Bit 4: H (half-carry) 
-                // Bit 3: unused, Bit 2: P/V (parity/overflow), Bit 1: N (subtract), Bit 0: C (carry)
-                const flagByte = (this.registers.F.Z ? 0x40 : 0) | (this.registers.F.C ? 0x01 : 0);
-                this.pushLSB_MSB(flagByte, this.registers.A);
-                break;
-            case 0xD1: // POP DE
-                [this.registers.E, this.registers.D] = this.popLSB_MSB();
-                break;
-            case 0xE1: // POP HL
-                [this.registers.L, this.registers.H] = this.popLSB_MSB();
-                break;
-            case 0xF1: // POP AF
-                const [flags, aReg] = this.popLSB_MSB();
-                this.registers.A = aReg;
-                this.registers.F.Z = (flags & 0x40) !== 0;
-                this.registers.F.C = (flags & 0x01) !== 0;
-                break;
-                
-            // Extended instructions (0xED prefix)
-            case 0xED:
-                const extOpcode = this.fetchByte();
-                switch(extOpcode) {
-                    case 0x44: // NEG
-                        this.registers.A = this.adjustFFPlusUpdateZC(0 - this.registers.A);
-                        break;
-                    case 0xB0: // LDIR
-                        let hl = this.getHL();
-                        let de = this.getDE();
-                        let bc = this.getBC();
-                        
-                        while (bc > 0) {
-                            // Copy byte from (HL) to (DE)
-                            memory[de] = memory[hl];
-                            
-                            // Increment HL and DE
-                            hl = this.adjustFFFF(hl + 1);
-                            de = this.adjustFFFF(de + 1);
-                            
-                            // Decrement BC
-                            bc = this.adjustFFFF(bc - 1);
+                const r = reg(z);
+                return cpu => operation(cpu, cpu.regs8[r]);
+            }
+            case 3:
+                switch (z) {
+                    case 0: // RET cc
+                        return cpu => cpu.conditionalReturn((cpu.regs8[REG_F] & condition) === conditionValue);
+                    case 1:
+                        if (q === 0) { // POP rr
+                            const [, setPairOrAF] = Z80CPU.pairAccessors(p, high, true);
+                            return cpu => setPairOrAF(cpu, cpu.pop());
                         }
-                        
-                        // Update registers with final values
-                        this.setHL(hl);
-                        this.setDE(de);
-                        this.setBC(bc);
-                        break;
-                    default:
-                        const extErrorMsg = `Unknown extended opcode: 0xED 0x${extOpcode.toString(16).padStart(2, '0')} at address 0x${(this.registers.PC - 2).toString(16).padStart(4, '0')}`;
-                        return { error: extErrorMsg };
+                        switch (p) {
+                            case 0: return cpu => cpu.returnFromCall(); // RET
+                            case 1: // EXX: exchange BC, DE and HL with BC', DE' and HL'
+                                return cpu => {
+                                    for (let r = REG_B; r <= REG_L; r++) cpu.exchangeWithAlternate(r);
+                                };
+                            case 2: return cpu => { cpu.regs16[REG_PC] = cpu.getPair(high); }; // JP (HL)
+                            case 3: return cpu => { cpu.regs16[REG_SP] = cpu.getPair(high); }; // LD SP,HL
+                        }
+                    case 2: // JP cc,nn
+                        return cpu => {
+                            const addr = cpu.fetchWord();
+                            if ((cpu.regs8[REG_F] & condition) === conditionValue) cpu.regs16[REG_PC] = addr;
+                        };
+                    case 3:
+                        switch (y) {
+                            case 0: return cpu => { cpu.regs16[REG_PC] = cpu.fetchWord(); }; // JP nn
+                            case 1: // CB prefix
+                                return indexed ? cpu => cpu.executeIndexedCBInstruction(high) : cpu => cpu.executeCBInstruction();
+                            case 2: return cpu => cpu.OutPort((cpu.regs8[REG_A] << 8) | cpu.fetchByte(), cpu.regs8[REG_A]); // OUT (n),A
+                            case 3: return cpu => { cpu.regs8[REG_A] = cpu.InPort((cpu.regs8[REG_A] << 8) | cpu.fetchByte()); }; // IN A,(n)
+                            case 4: // EX (SP),HL
+                                return cpu => {
+                                    const sp = cpu.regs16[REG_SP];
+                                    const stackWord = cpu.readWord(sp);
+                                    cpu.writeWord(sp, cpu.getPair(high));
+                                    cpu.setPair(high, stackWord);
+                                };
+                            case 5: // EX DE,HL: never affected by a prefix
+                                return cpu => {
+                                    const de = cpu.getDE();
+                                    cpu.setDE(cpu.getHL());
+                                    cpu.setHL(de);
+                                };
+                            case 6: // DI
+                                return cpu => {
+                                    cpu.iff1 = false;
+                                    cpu.iff2 = false;
+                                };
+                            case 7: // EI
+                                return cpu => {
+                                    cpu.iff1 = true;
+                                    cpu.iff2 = true;
+                                    cpu.interruptsDelayed = true;
+                                };
+                        }
+                    case 4: // CALL cc,nn
+                        return cpu => cpu.conditionalCall((cpu.regs8[REG_F] & condition) === conditionValue);
+                    case 5:
+                        if (q === 0) { // PUSH rr
+                            const [getPairOrAF] = Z80CPU.pairAccessors(p, high, true);
+                            return cpu => cpu.push(getPairOrAF(cpu));
+                        }
+                        switch (p) {
+                            case 0: return cpu => cpu.callAddress(cpu.fetchWord()); // CALL nn
+                            case 1: return cpu => cpu.executeIndexedInstruction(Z80CPU.IX_OPCODES); // DD prefix
+                            case 2: return cpu => cpu.executeEDInstruction(); // ED prefix
+                            case 3: return cpu => cpu.executeIndexedInstruction(Z80CPU.IY_OPCODES); // FD prefix
+                        }
+                    case 6: { // ALU A,n
+                        const operation = Z80CPU.ALU_OPERATIONS[y];
+                        return cpu => operation(cpu, cpu.fetchByte());
+                    }
+                    case 7: // RST 00H-38H
+                        return cpu => cpu.callAddress(y << 3);
                 }
-                break;
-                
-            case 0xCB: // CB prefix - shift and bit instructions
-                const cbOpcode = this.fetchByte();
-                this.executeCBInstruction(cbOpcode);
-                break;
-                
-            default:
-                // Return error for unknown instructions
-                const errorMsg = `Unknown opcode: 0x${opcode.toString(16).padStart(2, '0')} at address 0x${instructionAddress.toString(16).padStart(4, '0')}`;
-                return { error: errorMsg };
         }
-        this.registers.PC &= 0xFFFF;
-        return {}; // Success - no error
-    }
-    
-    // CB-prefixed instructions (shift and bit operations)
-    executeCBInstruction(cbOpcode) {
-        switch(cbOpcode) {
-            // RLC (Rotate Left Circular) instructions
-            case 0x00: this.registers.B = this.rotateLeftCircular(this.registers.B); break;
-            case 0x01: this.registers.C = this.rotateLeftCircular(this.registers.C); break;
-            case 0x02: this.registers.D = this.rotateLeftCircular(this.registers.D); break;
-            case 0x03: this.registers.E = this.rotateLeftCircular(this.registers.E); break;
-            case 0x04: this.registers.H = this.rotateLeftCircular(this.registers.H); break;
-            case 0x05: this.registers.L = this.rotateLeftCircular(this.registers.L); break;
-            case 0x06: this.rotateLeftCircularAtHL(); break;
-            case 0x07: this.registers.A = this.rotateLeftCircular(this.registers.A); break;
-            
-            // RRC (Rotate Right Circular) instructions
-            case 0x08: this.registers.B = this.rotateRightCircular(this.registers.B); break;
-            case 0x09: this.registers.C = this.rotateRightCircular(this.registers.C); break;
-            case 0x0A: this.registers.D = this.rotateRightCircular(this.registers.D); break;
-            case 0x0B: this.registers.E = this.rotateRightCircular(this.registers.E); break;
-            case 0x0C: this.registers.H = this.rotateRightCircular(this.registers.H); break;
-            case 0x0D: this.registers.L = this.rotateRightCircular(this.registers.L); break;
-            case 0x0E: this.rotateRightCircularAtHL(); break;
-            case 0x0F: this.registers.A = this.rotateRightCircular(this.registers.A); break;
-            
-            // RL (Rotate Left through carry) instructions
-            case 0x10: this.registers.B = this.rotateLeftThroughCarry(this.registers.B); break;
-            case 0x11: this.registers.C = this.rotateLeftThroughCarry(this.registers.C); break;
-            case 0x12: this.registers.D = this.rotateLeftThroughCarry(this.registers.D); break;
-            case 0x13: this.registers.E = this.rotateLeftThroughCarry(this.registers.E); break;
-            case 0x14: this.registers.H = this.rotateLeftThroughCarry(this.registers.H); break;
-            case 0x15: this.registers.L = this.rotateLeftThroughCarry(this.registers.L); break;
-            case 0x16: this.rotateLeftThroughCarryAtHL(); break;
-            case 0x17: this.registers.A = this.rotateLeftThroughCarry(this.registers.A); break;
-            
-            // RR (Rotate Right through carry) instructions
-            case 0x18: this.registers.B = this.rotateRightThroughCarry(this.registers.B); break;
-            case 0x19: this.registers.C = this.rotateRightThroughCarry(this.registers.C); break;
-            case 0x1A: this.registers.D = this.rotateRightThroughCarry(this.registers.D); break;
-            case 0x1B: this.registers.E = this.rotateRightThroughCarry(this.registers.E); break;
-            case 0x1C: this.registers.H = this.rotateRightThroughCarry(this.registers.H); break;
-            case 0x1D: this.registers.L = this.rotateRightThroughCarry(this.registers.L); break;
-            case 0x1E: this.rotateRightThroughCarryAtHL(); break;
-            case 0x1F: this.registers.A = this.rotateRightThroughCarry(this.registers.A); break;
-            
-            // SLA (Shift Left Arithmetic) instructions
-            case 0x20: this.registers.B = this.shiftLeftArithmetic(this.registers.B); break;
-            case 0x21: this.registers.C = this.shiftLeftArithmetic(this.registers.C); break;
-            case 0x22: this.registers.D = this.shiftLeftArithmetic(this.registers.D); break;
-            case 0x23: this.registers.E = this.shiftLeftArithmetic(this.registers.E); break;
-            case 0x24: this.registers.H = this.shiftLeftArithmetic(this.registers.H); break;
-            case 0x25: this.registers.L = this.shiftLeftArithmetic(this.registers.L); break;
-            case 0x26: this.shiftLeftArithmeticAtHL(); break;
-            case 0x27: this.registers.A = this.shiftLeftArithmetic(this.registers.A); break;
-            
-            // SRA (Shift Right Arithmetic) instructions
-            case 0x28: this.registers.B = this.shiftRightArithmetic(this.registers.B); break;
-            case 0x29: this.registers.C = this.shiftRightArithmetic(this.registers.C); break;
-            case 0x2A: this.registers.D = this.shiftRightArithmetic(this.registers.D); break;
-            case 0x2B: this.registers.E = this.shiftRightArithmetic(this.registers.E); break;
-            case 0x2C: this.registers.H = this.shiftRightArithmetic(this.registers.H); break;
-            case 0x2D: this.registers.L = this.shiftRightArithmetic(this.registers.L); break;
-            case 0x2E: this.shiftRightArithmeticAtHL(); break;
-            case 0x2F: this.registers.A = this.shiftRightArithmetic(this.registers.A); break;
-            
-            // SRL (Shift Right Logical) instructions
-            case 0x38: this.registers.B = this.shiftRightLogical(this.registers.B); break;
-            case 0x39: this.registers.C = this.shiftRightLogical(this.registers.C); break;
-            case 0x3A: this.registers.D = this.shiftRightLogical(this.registers.D); break;
-            case 0x3B: this.registers.E = this.shiftRightLogical(this.registers.E); break;
-            case 0x3C: this.registers.H = this.shiftRightLogical(this.registers.H); break;
-            case 0x3D: this.registers.L = this.shiftRightLogical(this.registers.L); break;
-            case 0x3E: this.shiftRightLogicalAtHL(); break;
-            case 0x3F: this.registers.A = this.shiftRightLogical(this.registers.A); break;
-            
-            // BIT test instructions (test bit 7)
-            case 0x47: this.testBit(0, this.registers.A); break;
-            case 0x4F: this.testBit(1, this.registers.A); break;
-            case 0x57: this.testBit(2, this.registers.A); break;
-            case 0x5F: this.testBit(3, this.registers.A); break;
-            case 0x67: this.testBit(4, this.registers.A); break;
-            case 0x6F: this.testBit(5, this.registers.A); break;
-            case 0x77: this.testBit(6, this.registers.A); break;
-            case 0x7F: this.testBit(7, this.registers.A); break;
-            case 0x7B: this.testBit(7, this.registers.E); break;
-            case 0x7A: this.testBit(7, this.registers.D); break;
-            
-            // RES (Reset bit) instructions
-            case 0x80: this.registers.B = this.resetBit(0, this.registers.B); break;
-            case 0x81: this.registers.C = this.resetBit(0, this.registers.C); break;
-            case 0x82: this.registers.D = this.resetBit(0, this.registers.D); break;
-            case 0x83: this.registers.E = this.resetBit(0, this.registers.E); break;
-            case 0x84: this.registers.H = this.resetBit(0, this.registers.H); break;
-            case 0x85: this.registers.L = this.resetBit(0, this.registers.L); break;
-            case 0x86: this.resetBitAtHL(0); break;
-            case 0x87: this.registers.A = this.resetBit(0, this.registers.A); break;
-            case 0x88: this.registers.B = this.resetBit(1, this.registers.B); break;
-            case 0x89: this.registers.C = this.resetBit(1, this.registers.C); break;
-            case 0x8A: this.registers.D = this.resetBit(1, this.registers.D); break;
-            case 0x8B: this.registers.E = this.resetBit(1, this.registers.E); break;
-            case 0x8C: this.registers.H = this.resetBit(1, this.registers.H); break;
-            case 0x8D: this.registers.L = this.resetBit(1, this.registers.L); break;
-            case 0x8E: this.resetBitAtHL(1); break;
-            case 0x8F: this.registers.A = this.resetBit(1, this.registers.A); break;
-            case 0xB8: this.registers.B = this.resetBit(7, this.registers.B); break;
-            case 0xB9: this.registers.C = this.resetBit(7, this.registers.C); break;
-            case 0xBA: this.registers.D = this.resetBit(7, this.registers.D); break;
-            case 0xBB: this.registers.E = this.resetBit(7, this.registers.E); break;
-            case 0xBC: this.registers.H = this.resetBit(7, this.registers.H); break;
-            case 0xBD: this.registers.L = this.resetBit(7, this.registers.L); break;
-            case 0xBE: this.resetBitAtHL(7); break;
-            case 0xBF: this.registers.A = this.resetBit(7, this.registers.A); break;
-            
-            // SET (Set bit) instructions
-            case 0xC0: this.registers.B = this.setBit(0, this.registers.B); break;
-            case 0xC1: this.registers.C = this.setBit(0, this.registers.C); break;
-            case 0xC2: this.registers.D = this.setBit(0, this.registers.D); break;
-            case 0xC3: this.registers.E = this.setBit(0, this.registers.E); break;
-            case 0xC4: this.registers.H = this.setBit(0, this.registers.H); break;
-            case 0xC5: this.registers.L = this.setBit(0, this.registers.L); break;
-            case 0xC6: this.setBitAtHL(0); break;
-            case 0xC7: this.registers.A = this.setBit(0, this.registers.A); break;
-            case 0xC8: this.registers.B = this.setBit(1, this.registers.B); break;
-            case 0xC9: this.registers.C = this.setBit(1, this.registers.C); break;
-            case 0xCA: this.registers.D = this.setBit(1, this.registers.D); break;
-            case 0xCB: this.registers.E = this.setBit(1, this.registers.E); break;
-            case 0xCC: this.registers.H = this.setBit(1, this.registers.H); break;
-            case 0xCD: this.registers.L = this.setBit(1, this.registers.L); break;
-            case 0xCE: this.setBitAtHL(1); break;
-            case 0xCF: this.registers.A = this.setBit(1, this.registers.A); break;
-            case 0xF8: this.registers.B = this.setBit(7, this.registers.B); break;
-            case 0xF9: this.registers.C = this.setBit(7, this.registers.C); break;
-            case 0xFA: this.registers.D = this.setBit(7, this.registers.D); break;
-            case 0xFB: this.registers.E = this.setBit(7, this.registers.E); break;
-            case 0xFC: this.registers.H = this.setBit(7, this.registers.H); break;
-            case 0xFD: this.registers.L = this.setBit(7, this.registers.L); break;
-            case 0xFE: this.setBitAtHL(7); break;
-            case 0xFF: this.registers.A = this.setBit(7, this.registers.A); break;
-            
-            default:
-                return { error: `Unknown CB opcode: 0xCB 0x${cbOpcode.toString(16).padStart(2, '0')} at address 0x${(this.registers.PC - 2).toString(16).padStart(4, '0')}` };
+    }
+
+    // Handlers for the opcode after a DD or FD prefix
+    static buildIndexedTable(high) {
+        return Array.from({ length: 256 }, (_, opcode) => {
+            if (opcode === 0xDD || opcode === 0xED || opcode === 0xFD) {
+                // A prefix followed by another prefix is ignored, apart from its opcode fetch
+                return (cpu, nextOpcode) => {
+                    cpu.instructionTStates = Z80CPU.T_STATES[nextOpcode];
+                    const error = Z80CPU.OPCODES[nextOpcode](cpu, nextOpcode);
+                    cpu.instructionTStates += 4;
+                    return error;
+                };
+            }
+            return Z80CPU.decodeOpcode(opcode, high);
+        });
+    }
+
+    // IN r,(C), RLD, RRD, LD A,I and LD A,R: S, Z, Y, X from the value, H and N cleared
+    setInputFlags(value, parityOverflow) {
+        this.regs8[REG_F] = (this.regs8[REG_F] & FLAG_C) | Z80CPU.SZXY[value] | (parityOverflow ? FLAG_PV : 0);
+    }
+
+    // ADC HL,rr / SBC HL,rr: unlike ADD HL,rr these set S, Z and P/V from the 16-bit result
+    adcSbc16(value, subtract) {
+        const hl = this.getHL();
+        const carryIn = this.regs8[REG_F] & FLAG_C;
+        const full = subtract ? hl - value - carryIn : hl + value + carryIn;
+        const result = full & 0xFFFF;
+        const halfCarry = subtract
+            ? (hl & 0x0FFF) - (value & 0x0FFF) - carryIn < 0
+            : (hl & 0x0FFF) + (value & 0x0FFF) + carryIn > 0x0FFF;
+        const signsDiffer = subtract ? (hl ^ value) : (hl ^ ~value);
+        this.regs8[REG_F] = ((result >> 8) & (FLAG_S | FLAG_Y | FLAG_X)) | (result === 0 ? FLAG_Z : 0)
+            | (halfCarry ? FLAG_H : 0) | ((signsDiffer & (hl ^ result) & 0x8000) !== 0 ? FLAG_PV : 0)
+            | (subtract ? FLAG_N : 0) | (full < 0 || full > 0xFFFF ? FLAG_C : 0);
+        this.setHL(result);
+    }
+
+    // LDI/LDD step: copy (HL) to (DE), move both pointers by delta and count BC down
+    blockTransfer(delta) {
+        const value = this.readMemory(this.getHL());
+        this.writeMemory(this.getDE(), value);
+        this.setHL((this.getHL() + delta) & 0xFFFF);
+        this.setDE((this.getDE() + delta) & 0xFFFF);
+        const bc = (this.getBC() - 1) & 0xFFFF;
+        this.setBC(bc);
+        this.setBlockTransferFlags(value, bc);
+    }
+
+    // CPI/CPD step: compare A with (HL) leaving C alone; Y/X come from bits 1 and 3 of A-(HL)-H
+    blockCompare(delta) {
+        const carry = this.regs8[REG_F] & FLAG_C;
+        const value = this.readMemory(this.getHL());
+        const result = this.sub8(this.regs8[REG_A], value);
+        this.setHL((this.getHL() + delta) & 0xFFFF);
+        const bc = (this.getBC() - 1) & 0xFFFF;
+        this.setBC(bc);
+        const F = this.regs8[REG_F];
+        const n = result - ((F & FLAG_H) ? 1 : 0);
+        this.regs8[REG_F] = (F & (FLAG_S | FLAG_Z | FLAG_H | FLAG_N)) | ((n << 4) & FLAG_Y) | (n & FLAG_X)
+            | (bc !== 0 ? FLAG_PV : 0) | carry;
+    }
+
+    // INI/IND/OUTI/OUTD flags: S, Z, Y, X follow the decremented B, N is bit 7 of the byte,
+    // and H, C and P/V come from adding the byte to the low address byte involved
+    setBlockIOFlags(value, k) {
+        const b = this.regs8[REG_B];
+        this.regs8[REG_F] = Z80CPU.SZXY[b] | ((value & 0x80) ? FLAG_N : 0) | (k > 0xFF ? FLAG_H | FLAG_C : 0)
+            | (Z80CPU.SZXYP[(k & 7) ^ b] & FLAG_PV);
+    }
+
+    // INI/IND step: read port (C) into (HL), move HL by delta and count B down
+    blockInput(delta) {
+        const value = this.InPort(this.getBC());
+        this.writeMemory(this.getHL(), value);
+        this.setHL((this.getHL() + delta) & 0xFFFF);
+        this.regs8[REG_B]--;
+        this.setBlockIOFlags(value, value + ((this.regs8[REG_C] + delta) & 0xFF));
+    }
+
+    // OUTI/OUTD step: B counts down before (HL) is written to port (C)
+    blockOutput(delta) {
+        const value = this.readMemory(this.getHL());
+        this.regs8[REG_B]--;
+        this.OutPort(this.getBC(), value);
+        this.setHL((this.getHL() + delta) & 0xFFFF);
+        this.setBlockIOFlags(value, value + this.regs8[REG_L]);
+    }
+
+    // LDIR/CPIR/INIR/OTIR family: one step per execution. While the condition holds, PC
+    // goes back to the instruction so that it runs again, as the Z80 does; interrupts and
+    // breakpoints get their turn in between. An iteration that loops back costs 21 T-states,
+    // the final one 16.
+    repeatBlock(step, repeats) {
+        step(this);
+        if (repeats(this)) {
+            this.regs16[REG_PC] -= 2;
+            this.instructionTStates += 5;
         }
     }
-    
+
+    // Handler for an ED-prefixed opcode. 0x40-0x7F are decoded from their bit fields
+    // (y = bits 3-5 selects the register, p = bits 4-5 the register pair); the rest
+    // are the block instructions at 0xA0-0xBB.
+    static decodeEDOpcode(opcode) {
+        const y = (opcode >> 3) & 7;
+        const p = y >> 1;
+        const q = y & 1;
+
+        if (opcode >= 0xA0 && opcode <= 0xBB && (opcode & 0x04) === 0) {
+            // Bit 3 selects decrement, bit 4 repeat, bits 0-1 LD/CP/IN/OUT
+            const delta = (opcode & 0x08) ? -1 : 1;
+            const step = [
+                cpu => cpu.blockTransfer(delta),
+                cpu => cpu.blockCompare(delta),
+                cpu => cpu.blockInput(delta),
+                cpu => cpu.blockOutput(delta),
+            ][opcode & 3];
+            const repeats = [
+                cpu => (cpu.regs8[REG_F] & FLAG_PV) !== 0,
+                cpu => (cpu.regs8[REG_F] & (FLAG_PV | FLAG_Z)) === FLAG_PV,
+                cpu => cpu.regs8[REG_B] !== 0,
+                cpu => cpu.regs8[REG_B] !== 0,
+            ][opcode & 3];
+            return (opcode & 0x10) ? cpu => cpu.repeatBlock(step, repeats) : step;
+        }
+        if (opcode < 0x40 || opcode > 0x7F) return Z80CPU.unknownExtendedOpcode;
+
+        const [getPair, setPair] = Z80CPU.pairAccessors(p, REG_H, false);
+        switch (opcode & 7) {
+            case 0: // IN r,(C); IN (C) (y = 6) only sets the flags
+                return cpu => {
+                    const value = cpu.InPort(cpu.getBC());
+                    if (y !== 6) cpu.regs8[y] = value;
+                    cpu.regs8[REG_F] = (cpu.regs8[REG_F] & FLAG_C) | Z80CPU.SZXYP[value];
+                };
+            case 1: // OUT (C),r; OUT (C),0 (y = 6)
+                return y === 6
+                    ? cpu => cpu.OutPort(cpu.getBC(), 0)
+                    : cpu => cpu.OutPort(cpu.getBC(), cpu.regs8[y]);
+            case 2: // SBC HL,rr (q = 0) / ADC HL,rr (q = 1)
+                return cpu => cpu.adcSbc16(getPair(cpu), q === 0);
+            case 3: // LD (nn),rr (q = 0) / LD rr,(nn) (q = 1)
+                return q === 0
+                    ? cpu => cpu.writeWord(cpu.fetchWord(), getPair(cpu))
+                    : cpu => setPair(cpu, cpu.readWord(cpu.fetchWord()));
+            case 4: // NEG (and its undocumented mirrors)
+                return cpu => { cpu.regs8[REG_A] = cpu.sub8(0, cpu.regs8[REG_A]); };
+            case 5: // RETN / RETI (and mirrors): both restore IFF1 from IFF2
+                return cpu => {
+                    cpu.iff1 = cpu.iff2;
+                    cpu.returnFromCall();
+                };
+            case 6: { // IM 0/1/2 (0x4E/0x6E are undocumented mirrors of IM 0)
+                const mode = [0, 0, 1, 2][y & 3];
+                return cpu => { cpu.interruptMode = mode; };
+            }
+            case 7:
+                switch (y) {
+                    case 0: return cpu => { cpu.regs8[REG_I] = cpu.regs8[REG_A]; }; // LD I,A
+                    case 1: return cpu => { cpu.regs8[REG_R] = cpu.regs8[REG_A]; }; // LD R,A
+                    case 2: // LD A,I
+                    case 3: { // LD A,R
+                        const source = y === 2 ? REG_I : REG_R;
+                        return cpu => {
+                            cpu.regs8[REG_A] = cpu.regs8[source];
+                            cpu.setInputFlags(cpu.regs8[REG_A], cpu.iff2);
+                        };
+                    }
+                    case 4: // RRD: low nibble of (HL) into A, A's low nibble to the top of (HL)
+                        return cpu => {
+                            const hl = cpu.getHL();
+                            const value = cpu.readMemory(hl);
+                            const A = cpu.regs8[REG_A];
+                            cpu.writeMemory(hl, (A << 4) | (value >> 4));
+                            cpu.regs8[REG_A] = (A & 0xF0) | (value & 0x0F);
+                            cpu.regs8[REG_F] = (cpu.regs8[REG_F] & FLAG_C) | Z80CPU.SZXYP[cpu.regs8[REG_A]];
+                        };
+                    case 5: // RLD: high nibble of (HL) into A, A's low nibble to the bottom of (HL)
+                        return cpu => {
+                            const hl = cpu.getHL();
+                            const value = cpu.readMemory(hl);
+                            const A = cpu.regs8[REG_A];
+                            cpu.writeMemory(hl, (value << 4) | (A & 0x0F));
+                            cpu.regs8[REG_A] = (A & 0xF0) | (value >> 4);
+                            cpu.regs8[REG_F] = (cpu.regs8[REG_F] & FLAG_C) | Z80CPU.SZXYP[cpu.regs8[REG_A]];
+                        };
+                    default: // 0xED 0x77 and 0xED 0x7F do nothing
+                        return () => {};
+                }
+        }
+    }
+
+    // Bits 6-7 of a CB opcode pick rotate/shift, BIT, RES or SET, and bits 3-5 the operation
+    // or bit number. Returns (cpu, value) => value to write back; BIT is handled by the callers,
+    // as it only sets flags.
+    static cbOperation(cbOpcode) {
+        const y = (cbOpcode >> 3) & 7;
+        switch (cbOpcode >> 6) {
+            case 0: return Z80CPU.SHIFT_OPERATIONS[y];
+            case 2: return (cpu, value) => cpu.resetBit(y, value);
+            case 3: return (cpu, value) => cpu.setBit(y, value);
+        }
+    }
+
+    // CB-prefixed instructions: bits 0-2 select the register, with 6 meaning (HL)
+    static decodeCBOpcode(cbOpcode) {
+        const y = (cbOpcode >> 3) & 7;
+        const z = cbOpcode & 7;
+        if ((cbOpcode >> 6) === 1) { // BIT b,r
+            return z === 6
+                ? cpu => cpu.testBit(y, cpu.readMemory(cpu.getHL()))
+                : cpu => cpu.testBit(y, cpu.regs8[z]);
+        }
+        const operation = Z80CPU.cbOperation(cbOpcode);
+        if (z === 6) {
+            return cpu => {
+                const addr = cpu.getHL();
+                cpu.writeMemory(addr, operation(cpu, cpu.readMemory(addr)));
+            };
+        }
+        return cpu => { cpu.regs8[z] = operation(cpu, cpu.regs8[z]); };
+    }
+
+    // DDCB/FDCB instructions always operate on (IX+d), whose address the caller passes
+    static decodeIndexedCBOpcode(cbOpcode) {
+        const y = (cbOpcode >> 3) & 7;
+        const z = cbOpcode & 7;
+        if ((cbOpcode >> 6) === 1) {
+            return (cpu, addr) => {
+                cpu.testBit(y, cpu.readMemory(addr));
+                // BIT: bits 5 and 3 come from the high byte of the effective address
+                cpu.setXYFlags(addr >> 8);
+            };
+        }
+        const operation = Z80CPU.cbOperation(cbOpcode);
+        return (cpu, addr) => {
+            const result = operation(cpu, cpu.readMemory(addr));
+            cpu.writeMemory(addr, result);
+            // Undocumented: a register code other than 6 also receives a copy of the result
+            if (z !== 6) cpu.regs8[z] = result;
+        };
+    }
+
     // Helper methods for shift operations
     shiftLeftArithmetic(value) {
-        this.registers.F.C = (value & 0x80) !== 0;  // Save bit 7 to carry
         const result = (value << 1) & 0xFF;
-        this.registers.F.Z = result === 0;
+        this.setShiftFlags(result, value & 0x80);  // Bit 7 goes to carry
         return result;
     }
-    
-    shiftLeftArithmeticAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        this.registers.F.C = (value & 0x80) !== 0;
-        this.memory[addr] = (value << 1) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
     shiftRightArithmetic(value) {
-        this.registers.F.C = (value & 0x01) !== 0;  // Save bit 0 to carry
-        const result = ((value >> 1) | (value & 0x80)) & 0xFF;  // Preserve sign bit
-        this.registers.F.Z = result === 0;
+        const result = (value >> 1) | (value & 0x80);  // Preserve sign bit
+        this.setShiftFlags(result, value & 0x01);  // Bit 0 goes to carry
         return result;
     }
-    
-    shiftRightArithmeticAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        this.registers.F.C = (value & 0x01) !== 0;
-        this.memory[addr] = ((value >> 1) | (value & 0x80)) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
+
+    // SLL (undocumented): shifts left and sets bit 0
+    shiftLeftLogical(value) {
+        const result = ((value << 1) | 0x01) & 0xFF;
+        this.setShiftFlags(result, value & 0x80);  // Bit 7 goes to carry
+        return result;
     }
-    
+
     shiftRightLogical(value) {
-        this.registers.F.C = (value & 0x01) !== 0;  // Save bit 0 to carry
-        const result = (value >> 1) & 0xFF;  // No sign preservation
-        this.registers.F.Z = result === 0;
+        const result = value >> 1;  // No sign preservation
+        this.setShiftFlags(result, value & 0x01);  // Bit 0 goes to carry
         return result;
     }
-    
-    shiftRightLogicalAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        this.registers.F.C = (value & 0x01) !== 0;
-        this.memory[addr] = (value >> 1) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
+    // BIT sets Z (mirrored in P/V) from the tested bit, and S only when testing a set bit 7.
+    // Y/X copy the operand; for BIT n,(HL) real silicon copies an internal address latch
+    // instead, which is not modelled.
     testBit(bit, value) {
-        const bitMask = 1 << bit;
-        this.registers.F.Z = (value & bitMask) === 0;
+        const isSet = (value & (1 << bit)) !== 0;
+        this.regs8[REG_F] = (this.regs8[REG_F] & FLAG_C) | FLAG_H | (isSet ? 0 : FLAG_Z | FLAG_PV)
+            | (bit === 7 && isSet ? FLAG_S : 0) | (value & (FLAG_Y | FLAG_X));
     }
-    
+
     // Rotate instructions helper methods
     rotateLeftCircular(value) {
-        const bit7 = (value & 0x80) >> 7;
-        this.registers.F.C = bit7 !== 0;
+        const bit7 = value >> 7;
         const result = ((value << 1) | bit7) & 0xFF;
-        this.registers.F.Z = result === 0;
+        this.setShiftFlags(result, bit7);
         return result;
     }
-    
-    rotateLeftCircularAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        const bit7 = (value & 0x80) >> 7;
-        this.registers.F.C = bit7 !== 0;
-        this.memory[addr] = ((value << 1) | bit7) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
     rotateRightCircular(value) {
         const bit0 = value & 0x01;
-        this.registers.F.C = bit0 !== 0;
-        const result = ((value >> 1) | (bit0 << 7)) & 0xFF;
-        this.registers.F.Z = result === 0;
+        const result = (value >> 1) | (bit0 << 7);
+        this.setShiftFlags(result, bit0);
         return result;
     }
-    
-    rotateRightCircularAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        const bit0 = value & 0x01;
-        this.registers.F.C = bit0 !== 0;
-        this.memory[addr] = ((value >> 1) | (bit0 << 7)) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
     rotateLeftThroughCarry(value) {
-        const oldCarry = this.registers.F.C ? 1 : 0;
-        this.registers.F.C = (value & 0x80) !== 0;
-        const result = ((value << 1) | oldCarry) & 0xFF;
-        this.registers.F.Z = result === 0;
+        const result = ((value << 1) | (this.regs8[REG_F] & FLAG_C)) & 0xFF;
+        this.setShiftFlags(result, value & 0x80);
         return result;
     }
-    
-    rotateLeftThroughCarryAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        const oldCarry = this.registers.F.C ? 1 : 0;
-        this.registers.F.C = (value & 0x80) !== 0;
-        this.memory[addr] = ((value << 1) | oldCarry) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
     rotateRightThroughCarry(value) {
-        const oldCarry = this.registers.F.C ? 0x80 : 0;
-        this.registers.F.C = (value & 0x01) !== 0;
-        const result = ((value >> 1) | oldCarry) & 0xFF;
-        this.registers.F.Z = result === 0;
+        const result = (value >> 1) | ((this.regs8[REG_F] & FLAG_C) << 7);
+        this.setShiftFlags(result, value & 0x01);
         return result;
     }
-    
-    rotateRightThroughCarryAtHL() {
-        const addr = this.getHL();
-        const value = this.memory[addr];
-        const oldCarry = this.registers.F.C ? 0x80 : 0;
-        this.registers.F.C = (value & 0x01) !== 0;
-        this.memory[addr] = ((value >> 1) | oldCarry) & 0xFF;
-        this.registers.F.Z = this.memory[addr] === 0;
-    }
-    
+
     // Bit manipulation helper methods
     setBit(bit, value) {
         return value | (1 << bit);
     }
-    
-    setBitAtHL(bit) {
-        const addr = this.getHL();
-        this.memory[addr] = this.memory[addr] | (1 << bit);
-    }
-    
+
     resetBit(bit, value) {
         return value & (~(1 << bit));
     }
-    
-    resetBitAtHL(bit) {
-        const addr = this.getHL();
-        this.memory[addr] = this.memory[addr] & (~(1 << bit));
-    }
 
-    // I/O Port handling - use stored iomap (named to match Simulator.OutPort/InPort)
+    // I/O Port handling (named to match Simulator.OutPort/InPort). port is the full 16-bit
+    // address the instruction puts on the bus; a bare iomap array only sees its low byte.
     OutPort(port, value) {
-      this.iomap[port] = value;
+        if (this.ioBus === null) {
+            this.iomap[port & 0xFF] = value;
+        } else {
+            this.ioBus.write(port, value);
+        }
     }
 
     InPort(port) {
-      return this.iomap[port];
+        return this.ioBus === null ? this.iomap[port & 0xFF] : this.ioBus.read(port);
     }
+
+    // Dispatch tables, one per prefix, built once from the decoders above
+    static OPCODES = Array.from({ length: 256 }, (_, opcode) => Z80CPU.decodeOpcode(opcode, REG_H));
+    static IX_OPCODES = Z80CPU.buildIndexedTable(REG_IXH);
+    static IY_OPCODES = Z80CPU.buildIndexedTable(REG_IYH);
+    static ED_OPCODES = Array.from({ length: 256 }, (_, opcode) => Z80CPU.decodeEDOpcode(opcode));
+    static CB_OPCODES = Array.from({ length: 256 }, (_, opcode) => Z80CPU.decodeCBOpcode(opcode));
+    static INDEXED_CB_OPCODES = Array.from({ length: 256 }, (_, opcode) => Z80CPU.decodeIndexedCBOpcode(opcode));
 }
 
 // Export for Node.js
@@ -2,7 +2,7 @@
 // This file contains all the test cases for the Z80 CPU emulator
 // The tests are separated from the test infrastructure for better organization
 
-function runZ80CPUEmulatorTestClass(test, test_expect_error) {
+function runZ80CPUEmulatorTestClass(test, test_expect_error, test_interrupt, test_cycles, test_rom, test_io, test_snapshot, test_step_back, test_breakpoint, test_watchpoint, test_unknown_opcode, test_profile, test_stack, test_code_map) {
   test("NOP");
 
   test("HALT", "halted=t");
@@ -163,6 +163,32 @@ function runZ80CPUEmulatorTestClass(test, test_expect_error) {
     "Exchange AF with shadow register"
   );
 
+  test(`
+    LD BC, 1234H
+    LD DE, 5678H
+    LD HL, 9ABCH
+    EXX`,
+    "b=0x00, c=0x00, d=0x00, e=0x00, h=0x00, l=0x00, b'=0x12, c'=0x34, d'=0x56, e'=0x78, h'=0x9A, l'=0xBC, tstates=34",
+    "EXX swaps BC, DE and HL with the alternate set"
+  );
+
+  test(`
+    LD BC, 1234H
+    EXX
+    LD BC, 5678H
+    EXX`,
+    "b=0x12, c=0x34, b'=0x56, c'=0x78",
+    "EXX twice restores the main set"
+  );
+
+  test(`
+    LD A, 42H
+    LD HL, 1000H
+    EXX`,
+    "a=0x42, h=0x00, l=0x00, h'=0x10, l'=0x00",
+    "EXX leaves AF alone"
+  );
+
   test(`
     LD D, 0FFH
     LD E, 0
@@ -490,6 +516,47 @@ function runZ80CPUEmulatorTestClass(test, test_expect_error) {
     "Add immediate to A with carry"
   );
 
+  test(`
+    LD A, 0FFH
+    LD B, 0
+    SCF
+    ADC A, B`,
+    "a=0x00, zero=t, carry=t",
+    "ADC A,B carries out of 0FFH plus the carry"
+  );
+
+  test(`
+    LD A, 7FH
+    LD HL, 2000H
+    LD (HL), 0
+    SCF
+    ADC A, (HL)`,
+    "a=0x80, h=0x20, l=0x00, [0x2000]=0x00, sign=t, zero=f, carry=f, parity=t, halfcarry=t",
+    "ADC A,(HL) overflows into the sign bit"
+  );
+
+  test(`
+    LD A, 81H
+    OR A
+    ADC A, A`,
+    "a=0x02, carry=t, zero=f, sign=f, parity=t",
+    "ADC A,A with the carry clear"
+  );
+
+  test(`
+    LD A, 42H
+    LD A, A`,
+    "a=0x42",
+    "LD A,A leaves A unchanged"
+  );
+
+  test(`
+    LD HL, 1234H
+    LD SP, HL`,
+    "h=0x12, l=0x34, sp=0x1234",
+    "LD SP,HL copies HL into SP"
+  );
+
   test(`
     LD A, 0FFH
     LD B, 80H
@@ -917,6 +984,77 @@ function runZ80CPUEmulatorTestClass(test, test_expect_error) {
     "Reset bit 0 of memory at HL"
   );
 
+  // Every bit of every register: SET then BIT finds it, RES then BIT does not
+  for (const register of ["B", "C", "D", "E", "H", "L", "A"]) {
+    for (let bit = 0; bit < 8; bit++) {
+      const mask = formatHex2(1 << bit);
+      test(`
+    LD ${register}, 00H
+    SET ${bit}, ${register}
+    BIT ${bit}, ${register}`,
+        `${register.toLowerCase()}=0x${mask}, zero=f, halfcarry=t, subtract=f`,
+        `SET and BIT ${bit}, ${register}`
+      );
+      test(`
+    LD ${register}, 0FFH
+    RES ${bit}, ${register}
+    BIT ${bit}, ${register}`,
+        `${register.toLowerCase()}=0x${formatHex2(0xff ^ (1 << bit))}, zero=t, parity=t, halfcarry=t, subtract=f`,
+        `RES and BIT ${bit}, ${register}`
+      );
+    }
+  }
+  test(`
+    LD HL, 1240H
+    LD (HL), 20H
+    SCF
+    BIT 5, (HL)`,
+    "h=0x12, l=0x40, zero=f, halfcarry=t, subtract=f, carry=t, [0x1240]=0x20, tstates=36",
+    "BIT b,(HL) keeps carry and costs 12 T-states"
+  );
+  test(`
+    LD HL, 1240H
+    LD (HL), 0DFH
+    BIT 5, (HL)`,
+    "h=0x12, l=0x40, [0x1240]=0xDF, zero=t, parity=t, sign=f",
+    "BIT b,(HL) of a clear bit"
+  );
+  test(`
+    LD HL, 1240H
+    LD (HL), 00H
+    SET 4, (HL)
+    SET 6, (HL)
+    RES 4, (HL)`,
+    "h=0x12, l=0x40, [0x1240]=0x40",
+    "SET and RES middle bits of (HL)"
+  );
+  test(`
+    LD B, 81H
+    SLL B`,
+    "b=0x03, carry=t, zero=f, sign=f, parity=t, halfcarry=f, subtract=f",
+    "SLL shifts left and sets bit 0"
+  );
+  test(`
+    LD A, 40H
+    SL1 A`,
+    "a=0x81, carry=f, zero=f, sign=t, parity=t",
+    "SL1 is an alias of SLL"
+  );
+  test(`
+    LD HL, 1240H
+    LD (HL), 0FFH
+    SLL (HL)`,
+    "h=0x12, l=0x40, [0x1240]=0xFF, carry=t, zero=f, sign=t, tstates=35",
+    "SLL (HL)"
+  );
+  test(`
+    LD IX, 1240H
+    LD (IX+2), 01H
+    SLL (IX+2)`,
+    "ix=0x1240, [0x1242]=0x03, carry=f, zero=f",
+    "DDCB SLL (IX+d)"
+  );
+
   // SBC (Subtract with Carry) operations
   test(`
     LD A, 10H
@@ -1019,8 +1157,8 @@ function runZ80CPUEmulatorTestClass(test, test_expect_error) {
     LD A, 0FFH
     SCF
     PUSH AF`,
-    "a=0xFF, carry=t, sp=0x1246, [0x1247]=0xFF Z0C0:[0x1246]=0x01 Z0C1:[0x1246]=0x01 Z1C0:[0x1246]=0x41 Z1C1:[0x1246]=0x41",
-    "Push AF to stack"
+    "a=0xFF, carry=t, halfcarry=f, subtract=f, sp=0x1246, [0x1247]=0xFF Z0C0:[0x1246]=0x29 Z0C1:[0x1246]=0x29 Z1C0:[0x1246]=0x69 Z1C1:[0x1246]=0x69",
+    "Push AF to stack (SCF copies bits 5 and 3 of A into F)"
   );
 
   test("JR 3", "pc=3");
@@ -1308,8 +1446,1113 @@ function runZ80CPUEmulatorTestClass(test, test_expect_error) {
     "Compare CP A - compare A with itself (equal)"
   );
 
+  // Full flag register: sign, half-carry, parity/overflow and subtract
+  test(`
+    LD A, 7FH
+    ADD A, 1`,
+    "a=0x80, sign=t, zero=f, halfcarry=t, parity=t, subtract=f, carry=f",
+    "ADD overflow into sign bit sets S, H and P/V"
+  );
+  test(`
+    LD A, 80H
+    SUB 1`,
+    "a=0x7F, sign=f, zero=f, halfcarry=t, parity=t, subtract=t, carry=f",
+    "SUB overflow out of sign bit sets H, P/V and N"
+  );
+  test(`
+    LD A, 40H
+    CP 80H`,
+    "a=0x40, sign=t, zero=f, halfcarry=f, parity=t, subtract=t, carry=t",
+    "CP sets overflow and borrow without changing A"
+  );
+  test(`
+    LD A, 01H
+    NEG`,
+    "a=0xFF, sign=t, zero=f, halfcarry=t, parity=f, subtract=t, carry=t",
+    "NEG of 1 borrows from both nibbles"
+  );
+  test(`
+    LD A, 80H
+    NEG`,
+    "a=0x80, sign=t, zero=f, halfcarry=f, parity=t, subtract=t, carry=t",
+    "NEG of 80H overflows"
+  );
+  test(`
+    LD A, 0FH
+    AND 0FFH`,
+    "a=0x0F, sign=f, zero=f, halfcarry=t, parity=t, subtract=f, carry=f",
+    "AND sets H and even parity"
+  );
+  test(`
+    LD A, 07H
+    XOR 00H`,
+    "a=0x07, sign=f, zero=f, halfcarry=f, parity=f, subtract=f, carry=f",
+    "XOR reports odd parity"
+  );
+  test(`
+    LD A, 01H
+    OR 82H`,
+    "a=0x83, sign=t, zero=f, halfcarry=f, parity=f, subtract=f, carry=f",
+    "OR sets sign from result"
+  );
+  test(`
+    LD B, 7FH
+    INC B`,
+    "b=0x80, sign=t, zero=f, halfcarry=t, parity=t, subtract=f",
+    "INC 7FH overflows and leaves carry alone"
+  );
+  test(`
+    LD B, 80H
+    DEC B`,
+    "b=0x7F, sign=f, zero=f, halfcarry=t, parity=t, subtract=t",
+    "DEC 80H overflows and leaves carry alone"
+  );
+  test(`
+    LD HL, 0FFFH
+    LD BC, 1
+    ADD HL, BC`,
+    "h=0x10, l=0x00, b=0x00, c=0x01, halfcarry=t, subtract=f, carry=f",
+    "ADD HL carries out of bit 11 into H"
+  );
+  test(`
+    LD A, 0F0H
+    CPL`,
+    "a=0x0F, halfcarry=t, subtract=t",
+    "CPL sets H and N"
+  );
+  test(`
+    LD A, 81H
+    RLCA`,
+    "a=0x03, halfcarry=f, subtract=f, carry=t",
+    "RLCA clears H and N"
+  );
+  test(`
+    LD B, 81H
+    SRL B`,
+    "b=0x40, sign=f, zero=f, halfcarry=f, parity=f, subtract=f, carry=t",
+    "SRL sets parity from result"
+  );
+  test(`
+    LD A, 80H
+    BIT 7, A`,
+    "a=0x80, sign=t, zero=f, halfcarry=t, parity=f, subtract=f",
+    "BIT 7 of a set bit sets S"
+  );
+  test("BIT 0, A", "sign=f, zero=t, halfcarry=t, parity=t, subtract=f");
+  test(`
+    LD SP, 1240H
+    LD BC, 12D7H
+    PUSH BC
+    POP AF`,
+    "a=0x12, b=0x12, c=0xD7, sp=0x1240, [0x123E]=0xD7, [0x123F]=0x12, sign=t, zero=t, halfcarry=t, parity=t, subtract=t, carry=t",
+    "POP AF loads every flag bit"
+  );
+  test(`
+    LD SP, 1240H
+    LD BC, 12FFH
+    PUSH BC
+    POP AF
+    LD SP, 1250H
+    PUSH AF`,
+    "a=0x12, b=0x12, c=0xFF, sp=0x124E, [0x123E]=0xFF, [0x123F]=0x12, [0x124E]=0xFF, [0x124F]=0x12, sign=t, zero=t, halfcarry=t, parity=t, subtract=t, carry=t",
+    "POP AF then PUSH AF round-trips the whole F byte"
+  );
+  test(`
+    LD A, 7FH
+    ADD A, 1
+    JP PE, 1234H`,
+    "a=0x80, zero=f, carry=f, pc=0x1234",
+    "JP PE taken on overflow"
+  );
+  test(`
+    LD A, 7FH
+    ADD A, 1
+    JP PO, 1234H`,
+    "a=0x80, zero=f, carry=f",
+    "JP PO not taken on overflow"
+  );
+  test(`
+    LD A, 7FH
+    ADD A, 1
+    JP M, 1234H`,
+    "a=0x80, zero=f, carry=f, pc=0x1234",
+    "JP M taken on negative result"
+  );
+  test(`
+    LD A, 7FH
+    ADD A, 1
+    JP P, 1234H`,
+    "a=0x80, zero=f, carry=f",
+    "JP P not taken on negative result"
+  );
+  test(`
+    LD SP, 1240H
+    XOR A
+    CALL PE, 1234H`,
+    "a=0x00, zero=t, carry=f, sp=0x123E, [0x123E]=0x07, [0x123F]=0x00, pc=0x1234",
+    "CALL PE taken on even parity"
+  );
+  test(`
+    LD SP, 1240H
+    LD A, 01H
+    OR A
+    CALL PO, 1234H`,
+    "a=0x01, zero=f, carry=f, sp=0x123E, [0x123E]=0x09, [0x123F]=0x00, pc=0x1234",
+    "CALL PO taken on odd parity"
+  );
+
+  // DAA on every value of A with every combination of the flags it reads: C, H and N.
+  // The expected results follow the correction and flag tables of "The Undocumented Z80
+  // Documented", as a check on the emulator's arithmetic rather than a copy of it.
+  const daaExpected = (a, carry, halfCarry, subtract) => {
+    const high = a >> 4;
+    const low = a & 0x0f;
+    let correction;
+    if (carry) {
+      correction = halfCarry || low > 9 ? 0x66 : 0x60;
+    } else if (low > 9) {
+      correction = high > 8 ? 0x66 : 0x06;
+    } else if (high > 9) {
+      correction = halfCarry ? 0x66 : 0x60;
+    } else {
+      correction = halfCarry ? 0x06 : 0x00;
+    }
+    const carryOut = carry || high > 9 || (high === 9 && low > 9);
+    const halfCarryOut = subtract ? halfCarry && low < 6 : low > 9;
+    const result = (subtract ? a - correction : a + correction) & 0xff;
+    let bits = 0;
+    for (let value = result; value; value >>= 1) bits += value & 1;
+    const flags =
+      (result & 0xa8) | (result === 0 ? 0x40 : 0) | (halfCarryOut ? 0x10 : 0) |
+      (bits % 2 === 0 ? 0x04 : 0) | (subtract ? 0x02 : 0) | (carryOut ? 0x01 : 0);
+    return { result, flags };
+  };
+  for (let a = 0; a < 256; a++) {
+    for (let inputs = 0; inputs < 8; inputs++) {
+      const carry = (inputs & 1) !== 0;
+      const halfCarry = (inputs & 2) !== 0;
+      const subtract = (inputs & 4) !== 0;
+      const flagsIn = (halfCarry ? 0x10 : 0) | (subtract ? 0x02 : 0) | (carry ? 0x01 : 0);
+      const { result, flags } = daaExpected(a, carry, halfCarry, subtract);
+      // POP AF sets up the flags and PUSH AF shows all of them, undocumented bits included
+      test(`
+    LD SP, 1240H
+    LD BC, ${formatHex2(a)}${formatHex2(flagsIn)}H
+    PUSH BC
+    POP AF
+    DAA
+    PUSH AF`,
+        `a=0x${formatHex2(result)}, b=0x${formatHex2(a)}, c=0x${formatHex2(flagsIn)}, sp=0x123E, ` +
+          `[0x123E]=0x${formatHex2(flags)}, [0x123F]=0x${formatHex2(result)}, ` +
+          `zero=${flags & 0x40 ? "t" : "f"}, carry=${flags & 0x01 ? "t" : "f"}`,
+        `DAA of ${formatHex2(a)}H with C=${+carry} H=${+halfCarry} N=${+subtract}`
+      );
+    }
+  }
+  test(`
+    LD A, 19H
+    ADD A, 28H
+    DAA`,
+    "a=0x47, zero=f, carry=f, halfcarry=f, subtract=f",
+    "DAA after ADD: 19 + 28 = 47 in BCD"
+  );
+  test(`
+    LD A, 91H
+    SUB 12H
+    DAA`,
+    "a=0x79, zero=f, carry=f, halfcarry=f, subtract=t",
+    "DAA after SUB: 91 - 12 = 79 in BCD"
+  );
+  test(`
+    LD A, 99H
+    ADD A, 01H
+    DAA`,
+    "a=0x00, zero=t, carry=t, parity=t",
+    "DAA wraps 99 + 1 to 00 with carry"
+  );
+
+  // IX/IY index registers
+  test("LD IX, 1234H", "ix=0x1234");
+  test("LD IY, 0ABCDH", "iy=0xABCD");
+  test(`
+    LD IX, 1000H
+    LD (IX+5), 42H
+    LD A, (IX+5)`,
+    "ix=0x1000, a=0x42, [0x1005]=0x42",
+    "Store and load through (IX+d)"
+  );
+  test(`
+    LD IY, 1002H
+    LD B, 77H
+    LD (IY-2), B
+    LD E, (IY-2)`,
+    "iy=0x1002, b=0x77, e=0x77, [0x1000]=0x77",
+    "Negative displacement through (IY-d)"
+  );
+  test(`
+    LD IY, 1002H
+    LD (IY-2), 0FFH
+    INC (IY-2)`,
+    "iy=0x1002, [0x1000]=0x00, zero=t, halfcarry=t",
+    "INC (IY-d) wraps to zero"
+  );
+  test(`
+    LD IX, 1000H
+    LD (IX+2), 5
+    LD A, 3
+    ADD A, (IX+2)`,
+    "ix=0x1000, a=0x08, [0x1002]=0x05, zero=f, carry=f",
+    "ADD A,(IX+d)"
+  );
+  test(`
+    LD IX, 0FFFFH
+    LD BC, 1
+    ADD IX, BC`,
+    "ix=0x0000, b=0x00, c=0x01, carry=t, halfcarry=t, subtract=f",
+    "ADD IX,BC carries out of bit 15"
+  );
+  test(`
+    LD SP, 1240H
+    LD IX, 1234H
+    PUSH IX
+    POP IY`,
+    "sp=0x1240, ix=0x1234, iy=0x1234, [0x123E]=0x34, [0x123F]=0x12",
+    "PUSH IX then POP IY"
+  );
+  test(`
+    LD IX, 1234H
+    JP (IX)`,
+    "ix=0x1234, pc=0x1234",
+    "JP (IX)"
+  );
+  test(`
+    LD IY, 4321H
+    LD SP, IY`,
+    "iy=0x4321, sp=0x4321",
+    "LD SP,IY"
+  );
+  test(`
+    LD SP, 1240H
+    LD HL, 5678H
+    PUSH HL
+    LD IX, 1234H
+    EX (SP), IX`,
+    "sp=0x123E, h=0x56, l=0x78, ix=0x5678, [0x123E]=0x34, [0x123F]=0x12",
+    "EX (SP),IX"
+  );
+  test(`
+    LD IX, 0BEEFH
+    LD (1000H), IX
+    LD IY, (1000H)`,
+    "ix=0xBEEF, iy=0xBEEF, [0x1000]=0xEF, [0x1001]=0xBE",
+    "LD (nn),IX and LD IY,(nn)"
+  );
+  test(`
+    LD IX, 1000H
+    LD (IX+1), 81H
+    RLC (IX+1)`,
+    "ix=0x1000, [0x1001]=0x03, zero=f, carry=t",
+    "DDCB rotate RLC (IX+d)"
+  );
+  test(`
+    LD IY, 1000H
+    LD (IY+1), 80H
+    BIT 7, (IY+1)`,
+    "iy=0x1000, [0x1001]=0x80, zero=f, sign=t",
+    "FDCB BIT 7,(IY+d)"
+  );
+  test(`
+    LD IX, 1001H
+    SET 3, (IX-1)
+    SET 0, (IX-1)
+    RES 3, (IX-1)`,
+    "ix=0x1001, [0x1000]=0x01",
+    "DDCB SET and RES (IX-d)"
+  );
+  test(`
+    LD IX, 1234H
+    LD A, IXH
+    LD B, IXL`,
+    "ix=0x1234, a=0x12, b=0x34",
+    "Undocumented LD r,IXH/IXL"
+  );
+  test(`
+    LD IY, 1234H
+    LD IYL, 0FFH
+    INC IYH`,
+    "iy=0x13FF, zero=f",
+    "Undocumented LD IYL,n and INC IYH"
+  );
+  test("DB 0DDH, 3CH", "a=0x01, zero=f");
+
+  // ED-prefixed block transfer and compare
+  test(`
+    LD HL, 1000H
+    LD DE, 2000H
+    LD BC, 2
+    LD (HL), 55H
+    LDI`,
+    "h=0x10, l=0x01, d=0x20, e=0x01, b=0x00, c=0x01, [0x1000]=0x55, [0x2000]=0x55, parity=t, halfcarry=f, subtract=f",
+    "LDI copies one byte and reports BC != 0"
+  );
+  test(`
+    LD HL, 1000H
+    LD DE, 2000H
+    LD BC, 1
+    LD (HL), 55H
+    LDD`,
+    "h=0x0F, l=0xFF, d=0x1F, e=0xFF, b=0x00, c=0x00, [0x1000]=0x55, [0x2000]=0x55, parity=f",
+    "LDD counts BC to zero"
+  );
+  test(`
+    LD A, 11H
+    LD (1000H), A
+    LD A, 22H
+    LD (1001H), A
+    LD HL, 1001H
+    LD DE, 2001H
+    LD BC, 2
+    LDDR`,
+    "a=0x22, h=0x0F, l=0xFF, d=0x1F, e=0xFF, b=0x00, c=0x00, [0x1000]=0x11, [0x1001]=0x22, [0x2000]=0x11, [0x2001]=0x22, parity=f",
+    "LDDR copies downwards"
+  );
+  test(`
+    LD A, 33H
+    LD (1002H), A
+    LD HL, 1000H
+    LD BC, 10H
+    CPIR`,
+    "a=0x33, h=0x10, l=0x03, b=0x00, c=0x0D, [0x1002]=0x33, zero=t, parity=t, subtract=t",
+    "CPIR stops on a match"
+  );
+  test(`
+    LD A, 33H
+    LD HL, 1000H
+    LD BC, 3
+    CPIR`,
+    "a=0x33, h=0x10, l=0x03, b=0x00, c=0x00, zero=f, parity=f",
+    "CPIR stops when BC runs out"
+  );
+  test(`
+    LD HL, 1000H
+    LD BC, 1
+    CPD`,
+    "h=0x0F, l=0xFF, b=0x00, c=0x00, zero=t, parity=f, subtract=t",
+    "CPD compares and moves HL down, carry unchanged"
+  );
+
+  // ED-prefixed 16-bit arithmetic and transfers
+  test(`
+    SCF
+    LD HL, 7FFFH
+    LD DE, 0
+    ADC HL, DE`,
+    "h=0x80, l=0x00, sign=t, zero=f, halfcarry=t, parity=t, subtract=f, carry=f",
+    "ADC HL,DE overflows into the sign bit"
+  );
+  test(`
+    OR A
+    LD HL, 0
+    LD BC, 1
+    SBC HL, BC`,
+    "h=0xFF, l=0xFF, b=0x00, c=0x01, sign=t, zero=f, halfcarry=t, parity=f, subtract=t, carry=t",
+    "SBC HL,BC borrows"
+  );
+  test(`
+    OR A
+    LD HL, 1234H
+    SBC HL, HL`,
+    "h=0x00, l=0x00, zero=t, sign=f, carry=f, subtract=t",
+    "SBC HL,HL sets Z from the 16-bit result"
+  );
+  test(`
+    LD BC, 1234H
+    LD (2000H), BC
+    LD DE, (2000H)`,
+    "b=0x12, c=0x34, d=0x12, e=0x34, [0x2000]=0x34, [0x2001]=0x12",
+    "LD (nn),BC and LD DE,(nn)"
+  );
+  test(`
+    LD SP, 0ABCDH
+    LD (2000H), SP
+    LD SP, 0
+    LD SP, (2000H)`,
+    "sp=0xABCD, [0x2000]=0xCD, [0x2001]=0xAB",
+    "LD (nn),SP and LD SP,(nn)"
+  );
+
+  // RLD/RRD
+  test(`
+    LD HL, 1000H
+    LD (HL), 34H
+    LD A, 12H
+    RLD`,
+    "h=0x10, l=0x00, a=0x13, [0x1000]=0x42, zero=f, parity=f, halfcarry=f, subtract=f",
+    "RLD rotates digits left through A"
+  );
+  test(`
+    LD HL, 1000H
+    LD (HL), 34H
+    LD A, 12H
+    RRD`,
+    "h=0x10, l=0x00, a=0x14, [0x1000]=0x23, zero=f, parity=t",
+    "RRD rotates digits right through A"
+  );
+
+  // Port (C) I/O
+  test(`
+    LD C, 7FH
+    LD A, 42H
+    OUT (C), A
+    IN B, (C)`,
+    "a=0x42, b=0x42, c=0x7F, port[0x7F]=0x42, zero=f, sign=f, parity=t",
+    "OUT (C),A and IN B,(C)"
+  );
+  test(`
+    LD C, 10H
+    LD A, 99H
+    OUT (C), A
+    OUT (C), 0`,
+    "a=0x99, c=0x10, port[0x10]=0x00",
+    "Undocumented OUT (C),0"
+  );
+  test(`
+    LD C, 10H
+    IN F, (C)`,
+    "c=0x10, zero=t, parity=t",
+    "Undocumented IN F,(C) only sets flags"
+  );
+  test(`
+    LD HL, 1000H
+    LD BC, 0210H
+    LD A, 77H
+    OUT (C), A
+    INI`,
+    "a=0x77, h=0x10, l=0x01, b=0x01, c=0x10, [0x1000]=0x77, port[0x10]=0x77, zero=f, subtract=f, carry=f",
+    "INI stores the port byte and counts B down"
+  );
+  test(`
+    LD HL, 1000H
+    LD BC, 0210H
+    LD A, 77H
+    OUT (C), A
+    INIR`,
+    "a=0x77, h=0x10, l=0x02, b=0x00, c=0x10, [0x1000]=0x77, [0x1001]=0x77, port[0x10]=0x77, zero=t, parity=t, carry=f",
+    "INIR repeats until B is zero"
+  );
+  test(`
+    LD HL, 1000H
+    LD (HL), 5
+    INC HL
+    LD (HL), 6
+    DEC HL
+    LD BC, 0220H
+    OTIR`,
+    "h=0x10, l=0x02, b=0x00, c=0x20, [0x1000]=0x05, [0x1001]=0x06, port[0x20]=0x06, zero=t, subtract=f, carry=f",
+    "OTIR sends each byte to port (C)"
+  );
+  test(`
+    LD HL, 1000H
+    LD (HL), 0F0H
+    LD BC, 0130H
+    OUTD`,
+    "h=0x0F, l=0xFF, b=0x00, c=0x30, [0x1000]=0xF0, port[0x30]=0xF0, zero=t, subtract=t, halfcarry=t, carry=t",
+    "OUTD takes N from bit 7 of the byte sent"
+  );
+
+  // I and R registers, interrupt mode and returns
+  test(`
+    LD A, 5AH
+    LD I, A
+    XOR A
+    LD A, I`,
+    "a=0x5A, i=0x5A, sign=f, zero=f, parity=f, carry=f",
+    "LD I,A and LD A,I copy IFF2 into P/V"
+  );
+  test(`
+    LD A, 80H
+    LD R, A
+    LD A, R`,
+    "a=0x82, sign=t, zero=f",
+    "LD A,R sees the refresh counter advance"
+  );
+  test(`
+    NOP
+    NOP
+    LD A, R`,
+    "a=0x04, zero=f",
+    "R counts opcode fetches including the ED prefix"
+  );
+  test("IM 2", "");
+  test(`
+    LD SP, 1000H
+    LD HL, 1234H
+    PUSH HL
+    RETI`,
+    "sp=0x1000, h=0x12, l=0x34, pc=0x1234, [0x0FFE]=0x34, [0x0FFF]=0x12",
+    "RETI returns like RET"
+  );
+  test(`
+    LD SP, 1000H
+    LD HL, 1234H
+    PUSH HL
+    RETN`,
+    "sp=0x1000, h=0x12, l=0x34, pc=0x1234, [0x0FFE]=0x34, [0x0FFF]=0x12",
+    "RETN returns like RET"
+  );
+
+  // Interrupts, EI/DI and RST
+  test(`
+    LD SP, 1000H
+    RST 38H`,
+    "sp=0x0FFE, pc=0x0038, [0x0FFE]=0x04, [0x0FFF]=0x00",
+    "RST 38H pushes the return address"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    IM 1
+    EI
+    HALT
+    ORG 38H
+    LD A, 42H
+    HALT`,
+    { after: 4, dataBus: 0xFF },
+    "a=0x42, sp=0x0FFE, pc=0x003B, [0x0FFE]=0x07, [0x0FFF]=0x00, halted=t",
+    "IM 1 interrupt wakes HALT and calls 0038H"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    IM 1
+    DI
+    HALT
+    ORG 38H
+    LD A, 42H
+    HALT`,
+    { after: 4, dataBus: 0xFF },
+    "sp=0x1000, pc=0x0007, halted=t",
+    "Interrupt is ignored while interrupts are disabled"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    LD A, 20H
+    LD I, A
+    IM 2
+    EI
+    HALT
+    ORG 20FEH
+    DEFW 3000H
+    ORG 3000H
+    LD B, 7
+    HALT`,
+    { after: 6, dataBus: 0xFE },
+    "a=0x20, i=0x20, b=0x07, sp=0x0FFE, pc=0x3003, [0x0FFE]=0x0B, [0x0FFF]=0x00, halted=t",
+    "IM 2 interrupt calls through the vector table at I*256+data bus"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    EI
+    NOP
+    NOP
+    ORG 28H
+    LD C, 9
+    HALT`,
+    { after: 2, dataBus: 0xEF },
+    "c=0x09, sp=0x0FFE, pc=0x002B, [0x0FFE]=0x05, [0x0FFF]=0x00, halted=t",
+    "IM 0 runs the RST on the data bus, one instruction after EI"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    DI
+    HALT
+    ORG 66H
+    LD D, 1
+    HALT`,
+    { after: 3, nmi: true },
+    "d=0x01, sp=0x0FFE, pc=0x0069, [0x0FFE]=0x05, [0x0FFF]=0x00, halted=t",
+    "NMI wakes HALT even with interrupts disabled"
+  );
+
+  // T-state counts
+  test("NOP", "tstates=4");
+  test("LD HL, 1234H", "h=0x12, l=0x34, tstates=10");
+  test("RLC B", "zero=t, carry=f, tstates=8");
+  test("IM 1", "tstates=8");
+  test("DB 0DDH, 00H", "tstates=8");
+  test(`
+    XOR A
+    JR Z, DONE
+    NOP
+    DONE: HALT`,
+    "a=0x00, zero=t, carry=f, halted=t, tstates=20",
+    "JR cc taken costs 12 T-states"
+  );
+  test(`
+    LD A, 1
+    OR A
+    JR Z, DONE
+    NOP
+    DONE: HALT`,
+    "a=0x01, zero=f, carry=f, halted=t, tstates=26",
+    "JR cc not taken costs 7 T-states"
+  );
+  test(`
+    LD B, 2
+    LOOP: DJNZ LOOP`,
+    "b=0x01, pc=0x0002, tstates=20",
+    "DJNZ taken costs 13 T-states"
+  );
+  test(`
+    LD SP, 1000H
+    SCF
+    CALL C, 1234H`,
+    "sp=0x0FFE, pc=0x1234, carry=t, [0x0FFE]=0x07, [0x0FFF]=0x00, tstates=31",
+    "CALL cc taken costs 17 T-states"
+  );
+  test(`
+    SCF
+    RET NC`,
+    "carry=t, tstates=9",
+    "RET cc not taken costs 5 T-states"
+  );
+  test(`
+    LD SP, 0FFEH
+    SCF
+    RET C`,
+    "sp=0x1000, pc=0x0000, carry=t, tstates=25",
+    "RET cc taken costs 11 T-states"
+  );
+  test(`
+    LD HL, 1000H
+    SET 1, (HL)
+    RES 0, (HL)`,
+    "h=0x10, l=0x00, [0x1000]=0x02, tstates=40",
+    "CB (HL) forms cost 15 T-states"
+  );
+  test(`
+    LD IX, 1000H
+    LD A, (IX+5)
+    INC (IX+1)
+    LD (IX+2), 3`,
+    "ix=0x1000, a=0x00, [0x1001]=0x01, [0x1002]=0x03, zero=f, tstates=75",
+    "Indexed forms cost 19 or 23 T-states"
+  );
+  test(`
+    LD IY, 1000H
+    BIT 0, (IY+0)
+    SET 0, (IY+0)`,
+    "iy=0x1000, [0x1000]=0x01, zero=t, tstates=57",
+    "FDCB BIT costs 20, SET 23"
+  );
+  test(`
+    LD BC, 1234H
+    LD (2000H), BC`,
+    "b=0x12, c=0x34, [0x2000]=0x34, [0x2001]=0x12, tstates=30",
+    "LD (nn),BC costs 20 T-states"
+  );
+  test(`
+    LD HL, 1000H
+    LD DE, 2000H
+    LD BC, 3
+    LDIR`,
+    "h=0x10, l=0x03, d=0x20, e=0x03, b=0x00, c=0x00, parity=f, tstates=88",
+    "LDIR costs 21 per repeat and 16 for the last byte"
+  );
+  test_cycles(`
+    LD HL, 1000H
+    LD DE, 2000H
+    LD BC, 3
+    LDIR`,
+    51,
+    "h=0x10, l=0x01, d=0x20, e=0x01, b=0x00, c=0x02, pc=0x0009, parity=t, tstates=51",
+    "LDIR runs one iteration at a time, rewinding PC, so a budget can end part way"
+  );
+  test_interrupt(`
+    LD SP, 1000H
+    IM 1
+    EI
+    LD BC, 3
+    LDIR
+    ORG 38H
+    HALT`,
+    { after: 5, dataBus: 0xFF },
+    "b=0x00, c=0x02, h=0x00, l=0x01, d=0x00, e=0x01, sp=0x0FFE, pc=0x0039, [0x0FFE]=0x09, [0x0FFF]=0x00, parity=t, halted=t",
+    "Interrupt accepted between LDIR iterations returns to the LDIR"
+  );
+  test_interrupt(`
+    IM 1
+    EI
+    HALT
+    ORG 38H
+    HALT`,
+    { after: 3, dataBus: 0xFF },
+    "sp=0xFFFD, pc=0x0039, [0xFFFD]=0x04, [0xFFFE]=0x00, halted=t, tstates=33",
+    "IM 1 interrupt acknowledge costs 13 T-states"
+  );
+  test_cycles(`
+    LD A, 1
+    INC A
+    INC A
+    INC A`,
+    11,
+    "a=0x02, pc=0x0003, zero=f, tstates=11",
+    "executeCycles stops once the budget is used"
+  );
+  test_cycles(`
+    LD A, 1
+    INC A
+    INC A`,
+    8,
+    "a=0x02, pc=0x0003, zero=f, tstates=11",
+    "executeCycles lets the last instruction overshoot"
+  );
+  test_cycles("HALT", 10, "halted=t, tstates=12");
+
+  // ROM regions through a MemoryBus
+  const rom = { start: 0x2000, length: 0x100, policy: "ignore" };
+  test_rom(`
+    LD A, 55H
+    LD (2000H), A`,
+    rom,
+    "a=0x55",
+    "A write to ROM is ignored"
+  );
+  test_rom(`
+    LD A, 55H
+    LD (2100H), A`,
+    rom,
+    "a=0x55, [0x2100]=0x55",
+    "RAM just past a ROM region stays writable"
+  );
+  test_rom(`
+    LD HL, 20FFH
+    INC (HL)`,
+    rom,
+    "h=0x20, l=0xFF, zero=f",
+    "INC (HL) on ROM sets flags but leaves the byte"
+  );
+  test_rom(`
+    LD SP, 2002H
+    LD BC, 1234H
+    PUSH BC`,
+    { ...rom, policy: "fail" },
+    "",
+    "PUSH into ROM with the fail policy",
+    "Execution error: CPU Exception: Write of 0x12 to ROM at 0x2001"
+  );
+
+  // Full 16-bit port addresses through an IOBus
+  test_io(`
+    LD A, 12H
+    IN A, (0FEH)`,
+    "a=0x12",
+    "IN A,(n) puts A on the high address byte"
+  );
+  test_io(`
+    LD BC, 34FEH
+    IN D, (C)`,
+    "b=0x34, c=0xFE, d=0x34, zero=f",
+    "IN r,(C) puts B on the high address byte"
+  );
+  test_io(`
+    LD A, 05H
+    OUT (0FEH), A`,
+    "a=0x05, port[0x05]=0x05",
+    "OUT (n),A puts A on the high address byte"
+  );
+  test_io(`
+    LD BC, 07FEH
+    LD A, 99H
+    OUT (C), A`,
+    "a=0x99, b=0x07, c=0xFE, port[0x07]=0x99",
+    "OUT (C),r puts B on the high address byte"
+  );
+  test_io(`
+    LD HL, 3000H
+    LD (HL), 77H
+    LD BC, 02FEH
+    OUTI`,
+    "h=0x30, l=0x01, b=0x01, c=0xFE, [0x3000]=0x77, port[0x01]=0x77, zero=f, carry=f",
+    "OUTI decrements B before it goes on the address bus"
+  );
+
+  // CPU state saved part way through and restored on a scrambled CPU
+  test_snapshot(`
+    LD A, 05H
+    EXX
+    LD B, 07H
+    EXX
+    INC A`,
+    3,
+    "a=0x06, b'=0x07, zero=f, tstates=26",
+    "Snapshot keeps registers, the alternate set and the T-state count"
+  );
+  test_snapshot(`
+    EI
+    NOP
+    LD A, I`,
+    1,
+    "a=0x00, zero=t, parity=t",
+    "Snapshot taken right after EI keeps the interrupts enabled"
+  );
+  test_snapshot(`
+    LD A, 01H
+    HALT
+    INC A`,
+    2,
+    "a=0x01, halted=t, pc=0x0003",
+    "Snapshot of a halted CPU stays halted"
+  );
+
+  // Stepping back through an ExecutionHistory
+  test_step_back(`
+    LD A, 05H
+    LD (3000H), A
+    INC A`,
+    1,
+    "a=0x05, [0x3000]=0x05, pc=0x0005",
+    "Step back undoes the last instruction only"
+  );
+  test_step_back(`
+    LD HL, 3000H
+    LD (HL), 11H
+    LD A, 22H
+    OUT (07H), A
+    PUSH HL
+    INC (HL)`,
+    6,
+    "pc=0x0000",
+    "Stepping back through every instruction restores registers, memory and ports"
+  );
+  test_step_back(`
+    LD SP, 8000H
+    LD BC, 4321H
+    PUSH BC
+    EXX
+    POP DE
+    EXX`,
+    3,
+    "sp=0x7FFE, b=0x43, c=0x21, [0x7FFE]=0x21, [0x7FFF]=0x43, pc=0x0007",
+    "Step back restores the stack and the alternate registers"
+  );
+  test_step_back(`
+    LD SP, 8000H
+    IM 1
+    EI
+    NOP
+    NOP`,
+    1,
+    "sp=0x8000, pc=0x0007",
+    "Step back restores the interrupt flip-flops"
+  );
+
+  // Code breakpoints stop execution before the instruction at their address
+  test_breakpoint(`
+    LD A, 01H
+    INC A
+    INC A
+    INC A`,
+    0x0004,
+    "a=0x03, zero=f, pc=0x0004",
+    "Breakpoint stops before its instruction"
+  );
+  test_breakpoint(`
+    LD B, 03H
+    LOOP: INC A
+    DJNZ LOOP`,
+    0x0003,
+    "a=0x01, b=0x03, zero=f, pc=0x0003",
+    "Breakpoint inside a loop stops on the first pass"
+  );
+
+  // Watchpoints stop execution after the instruction that made the access
+  test_watchpoint(`
+    LD HL, 3000H
+    LD (HL), 05H
+    LD (HL), 00H
+    INC A`,
+    { watchpoints: [{ space: "memory", access: "write", start: 0x3000, value: 0x00 }], address: 0x0005 },
+    "h=0x30, l=0x00, pc=0x0007",
+    "Watchpoint on a write of one value passes over other values"
+  );
+  test_watchpoint(`
+    LD HL, 1234H
+    LD (3000H), HL
+    INC A`,
+    { watchpoints: [{ space: "memory", access: "write", start: 0x3000, value: 0x34 }], address: 0x0003 },
+    "h=0x12, l=0x34, [0x3000]=0x34, [0x3001]=0x12, pc=0x0006",
+    "Watchpoint value matches the low byte of a word write"
+  );
+  test_watchpoint(`
+    LD A, 01H
+    LD HL, (3001H)
+    INC A`,
+    { watchpoints: [{ space: "memory", access: "read", start: 0x3002, end: 0x3003 }], address: 0x0002 },
+    "a=0x01, pc=0x0005",
+    "Watchpoint on a range stops on the second byte of a word read"
+  );
+  test_watchpoint(`
+    LD A, 07H
+    IN A, (01H)
+    OUT (02H), A
+    INC A`,
+    { watchpoints: [{ space: "port", access: "access", start: 0x02 }], address: 0x0004 },
+    "a=0x00, port[0x02]=0x00, pc=0x0006",
+    "Port watchpoint stops after OUT"
+  );
+
+  // Stack checks: the shadow call stack and guard regions
+  test_stack(`
+    LD SP, 8000H
+    CALL SUB
+    HALT
+    SUB: PUSH BC
+    POP BC
+    RET`,
+    { guards: [{ start: 0x0000, end: 0x0009, name: "the program" }], address: null },
+    "sp=0x8000, [0x7FFE]=0x06, halted=t, pc=0x0007",
+    "Balanced PUSH and POP inside a CALL pass the stack checks"
+  );
+  test_stack(`
+    LD SP, 8000H
+    CALL SUB
+    HALT
+    SUB: PUSH BC
+    RET`,
+    { guards: [], address: 0x0008 },
+    "sp=0x7FFE, [0x7FFE]=0x06, pc=0x0000",
+    "RET with a PUSH left on the stack stops after the RET"
+  );
+  test_stack(`
+    LD SP, 8000H
+    LD HL, 0008H
+    PUSH HL
+    RET
+    INC A`,
+    { guards: [], address: 0x0007 },
+    "h=0x00, l=0x08, sp=0x8000, [0x7FFE]=0x08, pc=0x0008",
+    "RET to an address no CALL pushed stops after the RET"
+  );
+  test_stack(`
+    LD SP, 2002H
+    PUSH BC
+    PUSH BC
+    INC A`,
+    { guards: [{ start: 0x1F00, end: 0x1FFF, name: "the screen" }], address: 0x0004 },
+    "sp=0x1FFE, pc=0x0005",
+    "PUSH into a guard region stops after the PUSH"
+  );
+
+  // Code map: writes to code and execution of data, and the @SMC pragma
+  test_code_map(`
+    LD A, 0C9H
+    LD (PATCH), A
+    PATCH: NOP
+    INC A`,
+    { policy: "break", address: 0x0002 },
+    "a=0xC9, [0x0005]=0xC9, pc=0x0005",
+    "A write to an instruction stops after the writing instruction"
+  );
+  test_code_map(`
+    LD A, 3CH
+    LD (PATCH), A
+    PATCH: NOP ; @SMC - patched to INC A
+    INC A`,
+    { policy: "break", address: null },
+    "a=0x3E, zero=f, [0x0005]=0x3C, pc=0x0007",
+    "The @SMC pragma allows an instruction to be rewritten"
+  );
+  test_code_map(`
+    JP DATA
+    DATA: DB 3CH
+    INC A`,
+    { policy: "break", address: 0x0003 },
+    "a=0x01, zero=f, pc=0x0004",
+    "Executing a DB byte stops after it"
+  );
+  test_code_map(`
+    LD A, 0
+    LD (PATCH), A
+    LD (PATCH), A
+    PATCH: NOP`,
+    { policy: "warn", address: null, warnings: 1 },
+    "pc=0x0009",
+    "Warn policy carries on, warning once per address"
+  );
+
+  // Undefined ED opcodes under each unknown opcode policy
+  test_unknown_opcode(`
+    LD A, 01H
+    DB 0EDH, 00H
+    INC A`,
+    { policy: "stop" },
+    "a=0x01, pc=0x0002, tstates=7",
+    "Stop policy leaves PC on the unknown opcode"
+  );
+  test_unknown_opcode(`
+    LD A, 01H
+    DB 0EDH, 00H
+    INC A`,
+    { policy: "nop" },
+    "a=0x02, zero=f, tstates=19",
+    "NOP policy runs an unknown ED opcode as an 8 T-state NOP"
+  );
+  test_unknown_opcode(`
+    DB 0EDH, 0FFH
+    INC A`,
+    { policy: "trap", handler: (cpu, fault) => { cpu.registers.A = fault.bytes[1] + fault.address; } },
+    "a=0x00, zero=t",
+    "Trap policy calls the handler with the address and bytes, then carries on"
+  );
+  test_unknown_opcode(`
+    LD A, 01H
+    DB 0EDH, 0FFH
+    INC A`,
+    { policy: "trap", handler: () => "Not emulated" },
+    "a=0x01, pc=0x0002",
+    "Trap handler that returns an error stops on the opcode"
+  );
+  test_unknown_opcode(`
+    LD A, 01H
+    DB 0EDH, 0FFH`,
+    { policy: "trap" },
+    "a=0x01, pc=0x0002",
+    "Trap policy without a handler stops"
+  );
+
+  // Profiling counts each iteration of a block instruction, and the bytes it moves
+  test_profile(`
+    LD HL, 1000H
+    LD DE, 2000H
+    LD BC, 3
+    LDIR`,
+    {
+      executions: { 0x0006: 1, 0x0009: 3 },
+      cycles: { 0x0009: 58 },
+      reads: { 0x0009: 3, 0x000A: 3, 0x1000: 1, 0x1002: 1 },
+      writes: { 0x2000: 1, 0x2002: 1, 0x1003: 0 },
+    },
+    "h=0x10, l=0x03, d=0x20, e=0x03, b=0x00, c=0x00, parity=f",
+    "Profile counts LDIR once per iteration"
+  );
+  test_profile(`
+    LD SP, 8000H
+    CALL SUB
+    HALT
+    SUB: INC A
+    RET`,
+    {
+      executions: { 0x0003: 1, 0x0006: 1, 0x0007: 1, 0x0008: 1 },
+      cycles: { 0x0003: 17, 0x0008: 10 },
+      reads: { 0x7FFE: 1, 0x7FFF: 1 },
+      writes: { 0x7FFE: 1, 0x7FFF: 1 },
+    },
+    "sp=0x8000, [0x7FFE]=0x06, a=0x01, zero=f, halted=t, pc=0x0007",
+    "Profile counts instructions where they are and the stack where it is"
+  );
+
   // Test that expects a specific error message - should pass when it gets the expected error
   test_expect_error("LD HL,0\nLD (HL),0", "Unexpected memory changes: [0x0000]: 0x21→0x00");
+  test_expect_error("DB 0EDH, 00H", "Execution error: Unknown extended opcode: 0xED 0x00 at address 0x0000");
 }
 
 // Export for Node.js
@@ -7,17 +7,76 @@
 // EXPECTATION SYNTAX: "key1=value1, key2=value2, ..."
 //
 // REGISTERS & FLAGS:
-//   "a=0xFF, b=0x80, h=0x12, l=0x34, sp=0xFFFD, pc=0x1234"
+//   "a=0xFF, b=0x80, h=0x12, l=0x34, ix=0x1000, iy=0x2000, sp=0xFFFD, pc=0x1234"
+//   - R is not checked: it counts every opcode fetch
+//   "b'=0x12, h'=0x34" - alternate registers A' to L', swapped in by EX AF,AF' and EXX
 //   "zero=t, carry=f" or "zero=true, carry=false"
+//   "sign=t, halfcarry=f, parity=t, subtract=f" - S, H, P/V and N flags
 //   "zero=flip" - expect flag to change from initial state
+//   - zero and carry must stay unchanged unless named; sign, halfcarry, parity and
+//     subtract are only checked when named
 //   - Values can be hex (0xFF) or decimal (255)
 //
 // MEMORY & I/O:
 //   "[0x1234]=0xFF, [0x1235]=0x80" - memory expectations
 //   "port[0x7F]=0xFF" - I/O port expectations
 //
+// STEPS:
+//   test() runs one step per line, letting a repeating block instruction (LDIR, CPIR...)
+//   run to the end: it takes a step per iteration. The helpers below count plain steps.
+//
 // OTHER STATE:
 //   "halted=t" - CPU halted state
+//   "tstates=17" - total T-states taken by the whole program
+//
+// INTERRUPTS:
+//   test_interrupt(assembly, { after: 4, dataBus: 0xFF }, expectations, name) runs 4 steps,
+//   calls requestInterrupt(0xFF), then runs the remaining steps; { after: 4, nmi: true }
+//   calls requestNMI() instead
+//
+// ROM:
+//   test_rom(assembly, { start: 0x2000, length: 0x100, policy: "ignore" }, expectations, name)
+//   runs through a MemoryBus with that region mapped as ROM; with policy "fail" pass the
+//   expected error as a fifth argument
+//
+// SNAPSHOT:
+//   test_snapshot(assembly, 3, expectations, name) runs 3 steps, passes saveState() through
+//   JSON, scrambles the CPU, restores it with loadState() and runs the remaining steps
+//
+// HISTORY AND BREAKPOINTS:
+//   test_step_back(assembly, 2, expectations, name) runs the program with an ExecutionHistory
+//   recording, then steps back through its last 2 instructions
+//   test_breakpoint(assembly, 0x0005, expectations, name) runs with a breakpoint at 0005H and
+//   fails unless execution stops there
+//   test_watchpoint(assembly, { watchpoints, address: 0x0005 }, expectations, name) runs with
+//   those Z80CPU watchpoints and fails unless one stops execution after the instruction at
+//   0005H; the expectations are checked where it stopped
+//   test_stack(assembly, { guards, address: 0x0005 }, expectations, name) runs with a
+//   StackMonitor guarding those regions and fails unless a finding stops execution after the
+//   instruction at 0005H, or stops it at all when address is null
+//   test_code_map(assembly, { policy: "break", address: 0x0005 }, expectations, name) runs with
+//   a CodeMap of the program and fails unless a write to its code or an execution of its data
+//   stops execution after the instruction at 0005H (or stops it at all when address is null);
+//   with policy "warn", { warnings: 1 } is the number of warnings it must keep instead
+//
+// UNKNOWN OPCODES:
+//   test_unknown_opcode(assembly, { policy: "trap", handler }, expectations, name) runs with
+//   that unknownOpcodePolicy and handler. A stop on an unknown opcode ends the run without an
+//   error, so the state it leaves (PC on the opcode) can be checked.
+//
+// PROFILING:
+//   test_profile(assembly, { executions: { 0x0009: 3 }, writes: { 0x2000: 1 } }, expectations, name)
+//   runs with an ExecutionProfile and checks its counters (executions, cycles, reads, writes)
+//   at the addresses given
+//
+// I/O ADDRESS:
+//   test_io(assembly, expectations, name) runs through an IOBus whose one device decodes the
+//   high byte of the 16-bit port address: IN returns that byte, and OUT stores its value in
+//   port[high byte]
+//
+// CYCLE BUDGET:
+//   test_cycles(assembly, 11, expectations, name) runs executeCycles with an 11 T-state
+//   budget instead of one step per line
 //
 // FLAG-SPECIFIC EXPECTATIONS:
 //   "base Z0C0:flag-specific Z0C1:flag-specific Z1C0:flag-specific Z1C1:flag-specific"
@@ -41,10 +100,16 @@ class Z80CPUEmulatorTestClass extends TestFramework {
 
   runAllTests() {
     // Load dependencies using inherited method
-    const { Z80CPU, Z80Assembler, TestFramework } = this.loadDependencies([
+    const { Z80CPU, Z80Assembler, TestFramework, MemoryBus, IOBus, ExecutionHistory, ExecutionProfile, StackMonitor, CodeMap } = this.loadDependencies([
       "Z80CPU", 
       "Z80Assembler", 
-      "TestFramework"
+      "TestFramework",
+      "MemoryBus",
+      "IOBus",
+      "ExecutionHistory",
+      "ExecutionProfile",
+      "StackMonitor",
+      "CodeMap"
     ]);
 
     const assembler = new Z80Assembler();
@@ -173,12 +238,29 @@ class Z80CPUEmulatorTestClass extends TestFramework {
       return expectations;
     }
 
+    // One step per line of assembly, except that a repeating block instruction (LDIR, CPIR,
+    // INIR, OTIR and the decrementing forms) takes a step per iteration: each iteration
+    // but the last leaves PC on the instruction
+    function executeLines(bus, io, lines) {
+      let execResult = cpu.executeSteps(bus, io, 0);
+      for (let line = 0; line < lines; ) {
+        const pc = cpu.registers.PC;
+        const repeating =
+          memory[pc] === 0xed && (memory[(pc + 1) & 0xffff] & 0xf4) === 0xb0;
+        execResult = cpu.executeSteps(bus, io, 1);
+        if (execResult.error || execResult.stoppedAt || execResult.instructionsExecuted === 0) break;
+        if (!repeating || cpu.registers.PC !== pc) line++;
+      }
+      return execResult;
+    }
+
     // Main test helper function - should only be called by test() and test_expect_error()
     function test_helper(
       assembly,
       expectations = "",
       testName = null,
-      expectedError = null
+      expectedError = null,
+      options = {}
     ) {
       const flagCombos = [
         { Z: false, C: false },
@@ -211,15 +293,15 @@ class Z80CPUEmulatorTestClass extends TestFramework {
           iomap.fill(0);
           cpu.reset();
           cpu.set(0x0000, 0xffff);
-          cpu.registers.F = { ...initialFlags };
+          cpu.registers.F = { ...cpu.registers.F, ...initialFlags };
 
           // Capture complete initial state for comprehensive change verification
           const initialState = {
             registers: { ...cpu.registers, F: { ...cpu.registers.F } },
-            shadowRegisters: cpu.shadowRegisters ? { 
-              A: cpu.shadowRegisters.A, 
-              F: { ...cpu.shadowRegisters.F } 
-            } : null,
+            shadowRegisters: {
+              ...cpu.shadowRegisters,
+              F: { ...cpu.shadowRegisters.F }
+            },
             halted: cpu.halted,
             iomap: new Uint8Array(iomap),
           };
@@ -244,7 +326,135 @@ class Z80CPUEmulatorTestClass extends TestFramework {
           const instructionCount = assembly
             .split("\n")
             .filter((line) => line.trim()).length;
-          execResult = cpu.executeSteps(memory, iomap, instructionCount);
+          const { interrupt, tStates, rom, decodeHighByte, snapshotAfter, stepBack, breakpoint, watch, stack, codeMap, unknownOpcode, profile } = options;
+          // A ROM region puts a MemoryBus in front of the same memory array
+          let bus = memory;
+          if (rom) {
+            bus = new MemoryBus(memory, rom.policy);
+            bus.mapROM(rom.start, rom.length);
+          }
+          // One device on every port that decodes the high address byte instead of the low
+          let io = iomap;
+          if (decodeHighByte) {
+            io = new IOBus();
+            io.mapPorts(0, 0, {
+              read: (port) => port >> 8,
+              write: (port, value) => {
+                iomap[port >> 8] = value;
+              },
+            });
+          }
+          if (tStates !== undefined) {
+            execResult = cpu.executeCycles(bus, io, tStates);
+          } else if (interrupt) {
+            execResult = cpu.executeSteps(bus, io, interrupt.after);
+            if (!execResult.error) {
+              if (interrupt.nmi) {
+                cpu.requestNMI();
+              } else {
+                cpu.requestInterrupt(interrupt.dataBus);
+              }
+              execResult = cpu.executeSteps(bus, io, instructionCount - interrupt.after);
+            }
+          } else if (stepBack !== undefined) {
+            // Record the whole run, then undo its last instructions
+            const history = new ExecutionHistory(cpu, bus, io, iomap, 16);
+            cpu.tracer = history;
+            execResult = cpu.executeSteps(history.memory, history.io, instructionCount);
+            cpu.tracer = null;
+            for (let i = 0; i < stepBack && !execResult.error; i++) {
+              if (!history.stepBack()) {
+                throw new Error(`Only ${i} instructions to step back through`);
+              }
+            }
+            // A zero-step run reports the rewound state
+            if (!execResult.error) execResult = cpu.executeSteps(bus, io, 0);
+          } else if (breakpoint !== undefined) {
+            cpu.breakpoints.add(breakpoint);
+            execResult = cpu.executeSteps(bus, io, instructionCount);
+            cpu.breakpoints.clear();
+            if (!execResult.error && !execResult.stoppedAt) {
+              throw new Error(`Did not stop at breakpoint 0x${formatHex4(breakpoint)}`);
+            }
+          } else if (watch !== undefined) {
+            cpu.setWatchpoints(watch.watchpoints);
+            execResult = executeLines(bus, io, instructionCount);
+            cpu.setWatchpoints([]);
+            const stop = execResult.stoppedAt;
+            if (!execResult.error && !(stop && stop.reason === "watchpoint" && stop.address === watch.address)) {
+              throw new Error(
+                `Did not stop on a watchpoint after 0x${formatHex4(watch.address)}: ${JSON.stringify(stop)}`
+              );
+            }
+          } else if (stack !== undefined) {
+            cpu.stackMonitor = new StackMonitor(stack.guards);
+            execResult = executeLines(bus, io, instructionCount);
+            cpu.stackMonitor = null;
+            const stop = execResult.stoppedAt;
+            const stopped = stop && stop.reason === "stack";
+            if (!execResult.error && (stack.address === null ? stopped : !(stopped && stop.address === stack.address))) {
+              throw new Error(
+                stack.address === null
+                  ? `Stopped on a stack check: ${stop.message}`
+                  : `Did not stop on a stack check after 0x${formatHex4(stack.address)}: ${JSON.stringify(stop)}`
+              );
+            }
+          } else if (codeMap !== undefined) {
+            const map = new CodeMap(codeMap.policy);
+            map.load(result.instructionDetails);
+            cpu.codeMap = map;
+            execResult = executeLines(bus, io, instructionCount);
+            cpu.codeMap = null;
+            const stop = execResult.stoppedAt;
+            const stopped = stop && stop.reason === "code";
+            if (!execResult.error && (codeMap.address === null ? stopped : !(stopped && stop.address === codeMap.address))) {
+              throw new Error(
+                codeMap.address === null
+                  ? `Stopped on the code map: ${JSON.stringify(stop)}`
+                  : `Did not stop on the code map after 0x${formatHex4(codeMap.address)}: ${JSON.stringify(stop)}`
+              );
+            }
+            const warnings = map.takeWarnings();
+            if (codeMap.warnings !== undefined && warnings.length !== codeMap.warnings) {
+              throw new Error(`Expected ${codeMap.warnings} code map warnings but got ${JSON.stringify(warnings)}`);
+            }
+          } else if (snapshotAfter !== undefined) {
+            // Resume from a JSON round trip of the state, with the registers scrambled in between
+            execResult = cpu.executeSteps(bus, io, snapshotAfter);
+            if (!execResult.error) {
+              const state = JSON.parse(JSON.stringify(cpu.saveState()));
+              cpu.reset();
+              cpu.regs8.fill(0xA5);
+              cpu.loadState(state);
+              execResult = cpu.executeSteps(bus, io, instructionCount - snapshotAfter);
+            }
+          } else if (unknownOpcode !== undefined) {
+            cpu.unknownOpcodePolicy = unknownOpcode.policy;
+            cpu.unknownOpcodeHandler = unknownOpcode.handler || null;
+            execResult = executeLines(bus, io, instructionCount);
+            cpu.unknownOpcodePolicy = Z80CPU.UNKNOWN_OPCODE_STOP;
+            cpu.unknownOpcodeHandler = null;
+            // A stop on the opcode ends the run, and the state there is what gets checked
+            if (execResult.stoppedAt && execResult.stoppedAt.reason === "unknownOpcode") {
+              execResult = { ...execResult, error: null };
+            }
+          } else if (profile !== undefined) {
+            const counts = new ExecutionProfile();
+            cpu.profile = counts;
+            execResult = executeLines(bus, io, instructionCount);
+            cpu.profile = null;
+            for (const [counter, expectedCounts] of Object.entries(profile)) {
+              for (const [address, count] of Object.entries(expectedCounts)) {
+                if (counts[counter][address] !== count) {
+                  throw new Error(
+                    `Profile ${counter} at 0x${formatHex4(Number(address))}: expected ${count} but got ${counts[counter][address]}`
+                  );
+                }
+              }
+            }
+          } else {
+            execResult = executeLines(bus, io, instructionCount);
+          }
 
           // Check for execution errors first
           if (execResult.error) {
@@ -266,7 +476,14 @@ class Z80CPUEmulatorTestClass extends TestFramework {
           }
 
           // Check flag expectations with mapped names (only full names to avoid conflicts)
-          const flagMap = { zero: "Z", carry: "C" };
+          const flagMap = {
+            sign: "S",
+            zero: "Z",
+            halfcarry: "H",
+            parity: "PV",
+            subtract: "N",
+            carry: "C",
+          };
           for (const [key, expectedVal] of Object.entries(expected)) {
             const flagName = flagMap[key];
             if (flagName) {
@@ -312,6 +529,14 @@ class Z80CPUEmulatorTestClass extends TestFramework {
             }
           }
 
+          if (expected.hasOwnProperty("tstates")) {
+            if (cpu.cycleCount !== expected.tstates) {
+              throw new Error(
+                `T-states: expected ${expected.tstates}, got ${cpu.cycleCount}`
+              );
+            }
+          }
+
           // Check memory expectations
           if (expected.hasOwnProperty("memory")) {
             for (const [address, expectedValue] of Object.entries(
@@ -351,7 +576,7 @@ class Z80CPUEmulatorTestClass extends TestFramework {
           }
 
           // 1. Check explicit register expectations first
-          const allRegisters = ["A", "B", "C", "D", "E", "H", "L", "SP"];
+          const allRegisters = ["A", "B", "C", "D", "E", "H", "L", "IX", "IY", "I", "SP"];
           for (const reg of allRegisters) {
             const regKey = reg.toLowerCase();
             if (expected.hasOwnProperty(regKey)) {
@@ -381,32 +606,38 @@ class Z80CPUEmulatorTestClass extends TestFramework {
             }
           }
 
-          // 2a. Check for unexpected shadow register changes
-          if (execResult.shadowRegisters) {
-            // Check shadow A register
-            if (execResult.shadowRegisters.A !== initialState.shadowRegisters?.A) {
-              throw new Error(
-                `Shadow register A: unexpected change from 0x${formatHex2(
-                  initialState.shadowRegisters?.A || 0
-                )} to 0x${formatHex2(execResult.shadowRegisters.A)}`
-              );
-            }
-            
-            // Check shadow flags
-            if (execResult.shadowRegisters.F && initialState.shadowRegisters?.F) {
-              if (execResult.shadowRegisters.F.Z !== initialState.shadowRegisters.F.Z) {
-                throw new Error(
-                  `Shadow flag Z: unexpected change from ${initialState.shadowRegisters.F.Z} to ${execResult.shadowRegisters.F.Z}`
-                );
-              }
-              if (execResult.shadowRegisters.F.C !== initialState.shadowRegisters.F.C) {
+          // 2a. Check shadow registers: expected values, otherwise unchanged
+          for (const reg of ["A", "B", "C", "D", "E", "H", "L"]) {
+            const regKey = reg.toLowerCase() + "'";
+            const actual = execResult.shadowRegisters[reg];
+            if (expected.hasOwnProperty(regKey)) {
+              if (actual !== expected[regKey]) {
                 throw new Error(
-                  `Shadow flag C: unexpected change from ${initialState.shadowRegisters.F.C} to ${execResult.shadowRegisters.F.C}`
+                  `Shadow register ${reg}': expected 0x${formatHex2(
+                    expected[regKey]
+                  )}, got 0x${formatHex2(actual)}`
                 );
               }
+            } else if (actual !== initialState.shadowRegisters[reg]) {
+              throw new Error(
+                `Shadow register ${reg}': unexpected change from 0x${formatHex2(
+                  initialState.shadowRegisters[reg]
+                )} to 0x${formatHex2(actual)}`
+              );
             }
           }
 
+          // Check shadow flags
+          const initialShadowF = Z80CPU.flagsToByte(initialState.shadowRegisters.F);
+          const finalShadowF = Z80CPU.flagsToByte(execResult.shadowRegisters.F);
+          if (finalShadowF !== initialShadowF) {
+            throw new Error(
+              `Shadow flags: unexpected change from 0x${formatHex2(
+                initialShadowF
+              )} to 0x${formatHex2(finalShadowF)}`
+            );
+          }
+
           // 2b. Check for unexpected halted state changes
           if (!expected.hasOwnProperty("halted")) {
             if (execResult.halted !== initialState.halted) {
@@ -544,7 +775,7 @@ class Z80CPUEmulatorTestClass extends TestFramework {
                 memory.fill(0);
                 cpu.reset();
                 cpu.set(0x0000, 0xffff);
-                cpu.registers.F = { ...initialFlags };
+                cpu.registers.F = { ...cpu.registers.F, ...initialFlags };
                 Z80Assembler.loadOpcodesIntoMemory(
                   memory,
                   result.instructionDetails
@@ -601,11 +832,10 @@ class Z80CPUEmulatorTestClass extends TestFramework {
                 .padStart(4, "0")
                 .toUpperCase()}H`
             );
-            failureDetails.push(
-              `  Flags: Z=${execResultForReport.registers.F.Z ? 1 : 0}, C=${
-                execResultForReport.registers.F.C ? 1 : 0
-              }`
-            );
+            const flagsReport = Object.keys(Z80CPU.FLAGS)
+              .map((flag) => `${flag}=${execResultForReport.registers.F[flag] ? 1 : 0}`)
+              .join(", ");
+            failureDetails.push(`  Flags: ${flagsReport}`);
             if (execResultForReport.halted) {
               failureDetails.push(`  Status: HALTED`);
             }
@@ -642,17 +872,81 @@ class Z80CPUEmulatorTestClass extends TestFramework {
       test_helper(assembly, "", null, expectedError);
     }
 
+    // Test function that raises an interrupt part way through the program
+    function test_interrupt(assembly, interrupt, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { interrupt });
+    }
+
+    // Test function that runs a T-state budget instead of one step per line
+    function test_cycles(assembly, tStates, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { tStates });
+    }
+
+    // Test function that write-protects a region: rom = { start, length, policy }, where policy
+    // is a MemoryBus ROM write policy. expectedError is the error a failing write must raise.
+    function test_rom(assembly, rom, expectations, testName, expectedError = null) {
+      test_helper(assembly, expectations, testName, expectedError, { rom });
+    }
+
+    // Test function that saves the CPU state part way through and resumes from it
+    function test_snapshot(assembly, after, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { snapshotAfter: after });
+    }
+
+    // Test function that records the run in an ExecutionHistory and steps back through it
+    function test_step_back(assembly, back, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { stepBack: back });
+    }
+
+    // Test function that sets a breakpoint, and fails unless execution stops there
+    function test_breakpoint(assembly, address, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { breakpoint: address });
+    }
+
+    // Test function that sets watchpoints, and fails unless one stops execution after the
+    // instruction at watch.address
+    function test_watchpoint(assembly, watch, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { watch });
+    }
+
+    // Test function that runs with a StackMonitor, and fails unless one of its findings stops
+    // execution after the instruction at stack.address (or, with null, none does)
+    function test_stack(assembly, stack, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { stack });
+    }
+
+    // Test function that runs with a CodeMap of the program: { policy, address, warnings }
+    function test_code_map(assembly, codeMap, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { codeMap });
+    }
+
+    // Test function that runs with an unknown opcode policy: { policy, handler }, with a
+    // Z80CPU.UNKNOWN_OPCODE_* policy and the handler for UNKNOWN_OPCODE_TRAP
+    function test_unknown_opcode(assembly, unknownOpcode, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { unknownOpcode });
+    }
+
+    // Test function that counts the run in an ExecutionProfile: { counter: { address: count } }
+    function test_profile(assembly, profile, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { profile });
+    }
+
+    // Test function that runs through an IOBus to check the 16-bit port address
+    function test_io(assembly, expectations, testName) {
+      test_helper(assembly, expectations, testName, null, { decodeHighByte: true });
+    }
+
     consoleLogIfNode("Starting Z80 CPU tests with key=value expectations...\n");
 
     // Load and execute test cases
     if (typeof require !== "undefined") {
       // Node.js environment - load test cases as a function
       const runTestCases = require("./z80_cpu_emulator_test_cases.js");
-      runTestCases(test, test_expect_error);
+      runTestCases(test, test_expect_error, test_interrupt, test_cycles, test_rom, test_io, test_snapshot, test_step_back, test_breakpoint, test_watchpoint, test_unknown_opcode, test_profile, test_stack, test_code_map);
     } else {
       // Browser environment - test cases should be globally available
       if (typeof runZ80CPUEmulatorTestClass === "function") {
-        runZ80CPUEmulatorTestClass(test, test_expect_error);
+        runZ80CPUEmulatorTestClass(test, test_expect_error, test_interrupt, test_cycles, test_rom, test_io, test_snapshot, test_step_back, test_breakpoint, test_watchpoint, test_unknown_opcode, test_profile, test_stack, test_code_map);
       } else {
         throw new Error(
           "Test cases not available in browser environment - ensure z80_cpu_emulator_test_cases.js is loaded"
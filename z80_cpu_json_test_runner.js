@@ -0,0 +1,220 @@
+// Z80 CPU JSON Fixture Test Runner
+//
+// OVERVIEW:
+// Runs per-opcode fixture files in the single-step-tests layout, where each file (such as
+// "ed b0.json") holds an array of cases for one opcode:
+//   {
+//     "name": "ed b0 0000",
+//     "initial": { "pc": 0, "sp": 0, "a": 0, "b": 0, "c": 0, "d": 0, "e": 0, "f": 0, "h": 0,
+//                  "l": 0, "i": 0, "r": 0, "ix": 0, "iy": 0, "af_": 0, "bc_": 0, "de_": 0,
+//                  "hl_": 0, "im": 0, "iff1": 0, "iff2": 0, "ram": [[address, value], ...] },
+//     "final": { ...the same fields after one instruction... },
+//     "cycles": [[address, data, "r-m-"], ...],
+//     "ports": [[port, value, "r" or "w"], ...]
+//   }
+// Each case starts from a reset Z80CPU and zeroed memory, loads the initial state, runs one
+// step and compares the result with the final state: every register, all eight bits of F
+// and F', the interrupt state, and every byte of memory (the final RAM list on top of the
+// initial one, zero elsewhere).
+//
+// WHAT IS NOT COMPARED:
+//   - wz, q, p and ei: internal state Z80CPU does not model
+//   - the bus cycles themselves: Z80CPU runs whole instructions, so only their number is
+//     checked, against the instruction's T-states
+//
+// I/O:
+//   IN returns the values of the fixture's "r" port entries in order; OUT is compared with
+//   its "w" entries. Undefined ED opcodes run as NOPs, as on the real chip.
+//
+// USAGE:
+//   node z80_cpu_json_test_runner.js <fixture directory> [file name prefix...]
+//   node z80_cpu_json_test_runner.js ../z80-tests/v1 "ed b" cb
+//   - with prefixes, only the files whose names start with one of them are run
+//   - exits with 1 when any case fails
+const fs = require("fs");
+const path = require("path");
+const Z80CPU = require("./z80_cpu_emulator.js");
+const IOBus = require("./io_bus.js");
+
+// Fixture fields of 8 and 16-bit registers, and where they live on the CPU
+const MAIN_REGISTERS = ["a", "b", "c", "d", "e", "h", "l", "i", "r", "ix", "iy", "pc", "sp"];
+const ALTERNATE_PAIRS = { af_: ["A", "F"], bc_: ["B", "C"], de_: ["D", "E"], hl_: ["H", "L"] };
+
+// Failing cases printed per file; the rest are only counted
+const FAILURES_SHOWN = 3;
+
+function flagsFromByte(byte) {
+  const flags = {};
+  for (const [name, mask] of Object.entries(Z80CPU.FLAGS)) {
+    flags[name] = (byte & mask) !== 0;
+  }
+  return flags;
+}
+
+function formatValue(value) {
+  return typeof value === "number" ? `0x${value.toString(16).toUpperCase()}` : String(value);
+}
+
+function loadState(cpu, memory, state) {
+  cpu.reset();
+  memory.fill(0);
+  for (const name of MAIN_REGISTERS) {
+    cpu.registers[name.toUpperCase()] = state[name];
+  }
+  cpu.registers.F = flagsFromByte(state.f);
+  for (const [name, [high, low]] of Object.entries(ALTERNATE_PAIRS)) {
+    cpu.shadowRegisters[high] = state[name] >> 8;
+    if (low === "F") {
+      cpu.shadowRegisters.F = flagsFromByte(state[name] & 0xFF);
+    } else {
+      cpu.shadowRegisters[low] = state[name] & 0xFF;
+    }
+  }
+  cpu.interruptMode = state.im;
+  cpu.iff1 = state.iff1 !== 0;
+  cpu.iff2 = state.iff2 !== 0;
+  for (const [address, value] of state.ram) {
+    memory[address] = value;
+  }
+}
+
+// The CPU's state in the fixture's field names
+function captureState(cpu) {
+  const state = {};
+  for (const name of MAIN_REGISTERS) {
+    state[name] = cpu.registers[name.toUpperCase()];
+  }
+  state.f = Z80CPU.flagsToByte(cpu.registers.F);
+  for (const [name, [high, low]] of Object.entries(ALTERNATE_PAIRS)) {
+    const lowValue = low === "F" ? Z80CPU.flagsToByte(cpu.shadowRegisters.F) : cpu.shadowRegisters[low];
+    state[name] = (cpu.shadowRegisters[high] << 8) | lowValue;
+  }
+  state.im = cpu.interruptMode;
+  state.iff1 = cpu.iff1 ? 1 : 0;
+  state.iff2 = cpu.iff2 ? 1 : 0;
+  return state;
+}
+
+/**
+ * Runs one fixture case
+ * @param {Z80CPU} cpu - CPU to run it on; it is reset first
+ * @param {Uint8Array} memory - 64K of memory, cleared first
+ * @param {Object} fixture - One case of a fixture file
+ * @param {Uint8Array} [expectedMemory] - Scratch 64K for the expected memory, to reuse across cases
+ * @returns {string[]} Differences from the fixture's final state, empty when it passes
+ */
+function runFixture(cpu, memory, fixture, expectedMemory = new Uint8Array(65536)) {
+  const differences = [];
+  const portReads = (fixture.ports || []).filter(([, , direction]) => direction === "r");
+  const expectedWrites = (fixture.ports || []).filter(([, , direction]) => direction === "w");
+  const writes = [];
+  const io = new IOBus();
+  io.mapPorts(0, 0, {
+    read: (port) => {
+      const entry = portReads.shift();
+      if (!entry) {
+        differences.push(`IN from ${formatValue(port)} not in the fixture`);
+        return IOBus.FLOATING_BUS;
+      }
+      if (entry[0] !== port) {
+        differences.push(`IN from ${formatValue(port)}, fixture has ${formatValue(entry[0])}`);
+      }
+      return entry[1];
+    },
+    write: (port, value) => writes.push([port, value]),
+  });
+
+  loadState(cpu, memory, fixture.initial);
+  const result = cpu.executeSteps(memory, io, 1);
+  if (result.error) differences.push(result.error);
+
+  const actual = captureState(cpu);
+  for (const [name, value] of Object.entries(actual)) {
+    if (value !== fixture.final[name]) {
+      differences.push(`${name}: expected ${formatValue(fixture.final[name])}, got ${formatValue(value)}`);
+    }
+  }
+
+  expectedMemory.fill(0);
+  for (const [address, value] of [...fixture.initial.ram, ...fixture.final.ram]) {
+    expectedMemory[address] = value;
+  }
+  for (let address = 0; address < memory.length; address++) {
+    if (memory[address] !== expectedMemory[address]) {
+      differences.push(`[${formatValue(address)}]: expected ${formatValue(expectedMemory[address])}, ` +
+        `got ${formatValue(memory[address])}`);
+    }
+  }
+
+  if (writes.length !== expectedWrites.length ||
+      writes.some(([port, value], i) => port !== expectedWrites[i][0] || value !== expectedWrites[i][1])) {
+    const list = (entries) => entries.map(([port, value]) => `${formatValue(port)}=${formatValue(value)}`).join(" ") || "none";
+    differences.push(`OUT: expected ${list(expectedWrites)}, got ${list(writes)}`);
+  }
+  if (portReads.length !== 0) {
+    differences.push(`${portReads.length} IN value(s) in the fixture not read`);
+  }
+  if (fixture.cycles && result.tStates !== fixture.cycles.length) {
+    differences.push(`tstates: expected ${fixture.cycles.length}, got ${result.tStates}`);
+  }
+  return differences;
+}
+
+/**
+ * Runs every case of a fixture file
+ * @param {string} file - Path of the JSON file
+ * @returns {{total: number, failures: {name: string, differences: string[]}[]}}
+ */
+function runFixtureFile(file) {
+  const fixtures = JSON.parse(fs.readFileSync(file, "utf8"));
+  const cpu = new Z80CPU();
+  cpu.unknownOpcodePolicy = Z80CPU.UNKNOWN_OPCODE_NOP;
+  const memory = new Uint8Array(65536);
+  const expectedMemory = new Uint8Array(65536);
+  const failures = [];
+  for (const fixture of fixtures) {
+    const differences = runFixture(cpu, memory, fixture, expectedMemory);
+    if (differences.length !== 0) failures.push({ name: fixture.name, differences });
+  }
+  return { total: fixtures.length, failures };
+}
+
+function main(args) {
+  if (args.length === 0) {
+    console.error("Usage: node z80_cpu_json_test_runner.js <fixture directory> [file name prefix...]");
+    return 1;
+  }
+  const [directory, ...prefixes] = args;
+  const files = fs.readdirSync(directory)
+    .filter((file) => file.endsWith(".json"))
+    .filter((file) => prefixes.length === 0 || prefixes.some((prefix) => file.startsWith(prefix)))
+    .sort();
+  if (files.length === 0) {
+    console.error(`No fixture files in ${directory}`);
+    return 1;
+  }
+
+  let total = 0;
+  let failed = 0;
+  let failedFiles = 0;
+  for (const file of files) {
+    const result = runFixtureFile(path.join(directory, file));
+    total += result.total;
+    failed += result.failures.length;
+    if (result.failures.length === 0) continue;
+    failedFiles++;
+    console.log(`FAIL ${file}: ${result.failures.length}/${result.total} cases`);
+    for (const failure of result.failures.slice(0, FAILURES_SHOWN)) {
+      console.log(`  ${failure.name}: ${failure.differences.join("; ")}`);
+    }
+  }
+  console.log(`\n${files.length} files, ${files.length - failedFiles} passed; ` +
+    `${total} cases, ${total - failed} passed, ${failed} failed`);
+  return failed === 0 ? 0 : 1;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { runFixture, runFixtureFile, main };
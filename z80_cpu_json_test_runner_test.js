@@ -0,0 +1,114 @@
+/**
+ * Tests for z80_cpu_json_test_runner.js, under Node, against the small fixture directory
+ * z80_cpu_json_fixtures: INC A (3c), OUT (n),A (d3) and IN A,(n) (db), with hand-computed
+ * final states
+ *
+ * USAGE:
+ *   node z80_cpu_json_test_runner_test.js
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const TestFramework = require("./tester.js");
+const Z80CPU = require("./z80_cpu_emulator.js");
+const { runFixture, runFixtureFile, main } = require("./z80_cpu_json_test_runner.js");
+
+// TestFramework reports through consoleLogIfNode, which console-utils.js defines on the page
+if (typeof consoleLogIfNode === "undefined") {
+  global.consoleLogIfNode = (message) => console.log(message);
+}
+
+const FIXTURES = path.join(__dirname, "z80_cpu_json_fixtures");
+
+function loadFixtures(file) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, file), "utf8"));
+}
+
+class JSONTestRunnerTestClass extends TestFramework {
+  constructor() {
+    super("Z80 JSON Test Runner");
+  }
+
+  runAllTests() {
+    this.testPassingFixtures();
+    this.testFailingFixture();
+    this.testExitCode();
+    return this.completeTests();
+  }
+
+  testPassingFixtures() {
+    consoleLogIfNode("\nTesting the committed fixtures");
+
+    const cpu = new Z80CPU();
+    const memory = new Uint8Array(65536);
+    for (const file of ["3c.json", "d3.json", "db.json"]) {
+      for (const fixture of loadFixtures(file)) {
+        const differences = runFixture(cpu, memory, fixture);
+        this.assert(differences.length === 0, `${fixture.name} passes`, differences.join("; "));
+      }
+    }
+
+    const result = runFixtureFile(path.join(FIXTURES, "3c.json"));
+    this.assert(
+      result.total === 3 && result.failures.length === 0,
+      "runFixtureFile counts every case of a file",
+      `${result.total} cases, ${result.failures.length} failed`
+    );
+  }
+
+  // A passing case with its expectations changed must report each change
+  testFailingFixture() {
+    consoleLogIfNode("\nTesting a failing fixture");
+
+    const cpu = new Z80CPU();
+    const memory = new Uint8Array(65536);
+
+    const [inc] = loadFixtures("3c.json");
+    inc.final = { ...inc.final, a: 0x11, ram: [...inc.final.ram, [0x4000, 0x55]] };
+    inc.cycles = inc.cycles.slice(1);
+    const differences = runFixture(cpu, memory, inc);
+    this.assert(differences.length === 3, "Each wrong expectation is one difference", differences.join("; "));
+    this.assert(differences.includes("a: expected 0x11, got 0x10"), "A wrong register is reported");
+    this.assert(differences.includes("[0x4000]: expected 0x55, got 0x0"), "A wrong memory byte is reported");
+    this.assert(differences.includes("tstates: expected 3, got 4"), "A wrong cycle count is reported");
+
+    const [out] = loadFixtures("d3.json");
+    out.ports = [[0x1234, 0x13, "w"]];
+    this.assert(
+      runFixture(cpu, memory, out).join("; ") === "OUT: expected 0x1234=0x13, got 0x1234=0x12",
+      "A wrong port write is reported"
+    );
+
+    const [input] = loadFixtures("db.json");
+    input.ports = [];
+    this.assert(
+      runFixture(cpu, memory, input)[0] === "IN from 0x5678 not in the fixture",
+      "A port read missing from the fixture is reported"
+    );
+  }
+
+  // main() prints as it goes; its exit code is what a CI check sees
+  testExitCode() {
+    consoleLogIfNode("\nTesting the exit code");
+
+    this.assert(main([FIXTURES]) === 0, "Exit code 0 when every case passes");
+    this.assert(main([FIXTURES, "d3", "db"]) === 0, "Prefixes select files");
+    this.assert(main([FIXTURES, "ed"]) === 1, "Exit code 1 when no file matches");
+
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "json-runner-test-"));
+    try {
+      const fixtures = loadFixtures("3c.json");
+      fixtures[1].final = { ...fixtures[1].final, f: 0x40 };
+      fs.writeFileSync(path.join(directory, "3c.json"), JSON.stringify(fixtures));
+      this.assert(main([directory]) === 1, "Exit code 1 when a case fails");
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  }
+}
+
+if (require.main === module) {
+  process.exitCode = new JSONTestRunnerTestClass().runAllTests() ? 0 : 1;
+}
+
+module.exports = JSONTestRunnerTestClass;
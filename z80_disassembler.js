@@ -0,0 +1,194 @@
+// Z80 Disassembler
+// Decodes machine code back into source the assembler accepts. The decode tables are built from
+// Z80Assembler's own instruction definitions, so anything one side learns the other knows too.
+// Output reassembles at the same address to the same bytes: bytes no definition covers, and
+// instructions cut off by the end of the range, come out as DB.
+//
+// USAGE:
+//   const disassembler = new Z80Disassembler();
+//   const lines = disassembler.disassemble(memory, 0x8000, 0x8010, result.labels);
+//   const source = disassembler.toSource(memory, 0x8000, 0x8010, result.labels);
+class Z80Disassembler {
+    /**
+     * @param {Z80Assembler} assembler - Source of the instruction definitions
+     */
+    constructor(assembler = new Z80Assembler()) {
+        const { IX_OFFSET, IY_OFFSET, RESTART } = Z80Assembler.OPERAND;
+        // Definitions keyed by their opcode bytes, displacement left out
+        this.definitions = new Map();
+        for (const [mnemonic, candidates] of assembler.instructionMap) {
+            for (const { operands, opcodes } of candidates) {
+                const definition = {
+                    mnemonic,
+                    operands,
+                    opcodes,
+                    indexed: operands.includes(IX_OFFSET) || operands.includes(IY_OFFSET),
+                };
+                if (operands.includes(RESTART)) {
+                    // One definition stands for all eight RST opcodes
+                    for (let restart = 0; restart <= 0x38; restart += 8) {
+                        this.definitions.set(String([opcodes[0] | restart]), definition);
+                    }
+                } else if (!this.definitions.has(String(opcodes))) {
+                    this.definitions.set(String(opcodes), definition);
+                }
+            }
+        }
+    }
+
+    /**
+     * Decodes the instruction at an address
+     * @param {Uint8Array} memory - 64K address space
+     * @param {number} address - Where the instruction starts
+     * @param {Object<string, number>} [labels] - Label names and their addresses, used for
+     *   16-bit operands and jump targets
+     * @returns {{address: number, bytes: number[], mnemonic: string, operands: string[], text: string}|null}
+     *   Null when no instruction starts with these bytes
+     */
+    decode(memory, address, labels = {}) {
+        return this._decode(memory, address, this._labelsByAddress(labels));
+    }
+
+    /**
+     * Decodes every instruction starting in [start, end)
+     * @param {Uint8Array} memory - 64K address space
+     * @param {number} start - First address
+     * @param {number} end - Address after the last byte
+     * @param {Object<string, number>} [labels] - Label names and their addresses
+     * @returns {{address: number, bytes: number[], mnemonic: string, operands: string[], text: string, label?: string}[]}
+     *   One entry per instruction or DB byte, with the label of its address when there is one
+     */
+    disassemble(memory, start, end, labels = {}) {
+        const labelsByAddress = this._labelsByAddress(labels);
+        const lines = [];
+        let address = start;
+        while (address < end) {
+            let line = this._decode(memory, address, labelsByAddress);
+            if (line === null || address + line.bytes.length > end) {
+                line = this._dataByte(memory, address);
+            }
+            if (labelsByAddress.has(address)) line.label = labelsByAddress.get(address);
+            lines.push(line);
+            address += line.bytes.length;
+        }
+        return lines;
+    }
+
+    /**
+     * Disassembles a range as a complete program: an ORG, EQU for the labels it uses that do
+     * not fall on one of its instructions, then the instructions under their labels
+     * @returns {string} Source that assembles to the bytes in [start, end)
+     */
+    toSource(memory, start, end, labels = {}) {
+        const lines = this.disassemble(memory, start, end, labels);
+        const placed = new Set(lines.filter((line) => line.label).map((line) => line.label));
+        const equates = Object.keys(labels)
+            .filter((name) => !placed.has(name.toUpperCase()))
+            .map((name) => `${name.toUpperCase()} EQU ${Z80Disassembler.formatWord(labels[name])}`);
+        const source = [`    ORG ${Z80Disassembler.formatWord(start)}`, ...equates];
+        for (const line of lines) {
+            if (line.label) source.push(`${line.label}:`);
+            source.push(`    ${line.text}`);
+        }
+        return source.join('\n');
+    }
+
+    // Hex in the assembler's H suffix form, with a leading 0 where it starts with a letter
+    static formatByte(value) {
+        return Z80Disassembler._suffixHex(formatHex2(value));
+    }
+
+    static formatWord(value) {
+        return Z80Disassembler._suffixHex(formatHex4(value));
+    }
+
+    static _suffixHex(digits) {
+        return (/^[A-F]/.test(digits) ? '0' : '') + digits + 'H';
+    }
+
+    _labelsByAddress(labels) {
+        const labelsByAddress = new Map();
+        for (const name of Object.keys(labels)) {
+            // The first name given for an address wins
+            if (!labelsByAddress.has(labels[name])) labelsByAddress.set(labels[name], name.toUpperCase());
+        }
+        return labelsByAddress;
+    }
+
+    _dataByte(memory, address) {
+        const value = memory[address & 0xFFFF];
+        const operand = Z80Disassembler.formatByte(value);
+        return { address, bytes: [value], mnemonic: 'DB', operands: [operand], text: `DB ${operand}` };
+    }
+
+    _decode(memory, address, labelsByAddress) {
+        const byteAt = (offset) => memory[(address + offset) & 0xFFFF];
+        const first = byteAt(0);
+        let key;
+        if ((first === 0xDD || first === 0xFD) && byteAt(1) === 0xCB) {
+            // DDCB/FDCB: the displacement comes before the last opcode byte
+            key = [first, 0xCB, byteAt(3)];
+        } else if (first === 0xDD || first === 0xFD || first === 0xED || first === 0xCB) {
+            key = [first, byteAt(1)];
+        } else {
+            key = [first];
+        }
+        const definition = this.definitions.get(String(key));
+        if (!definition) return null;
+
+        // Operand bytes follow the opcodes, and the displacement goes in at index 2
+        let next = definition.opcodes.length + (definition.indexed ? 1 : 0);
+        const displacement = (byteAt(2) << 24) >> 24;
+        const { IMM8, IMM16, MEM8, MEM16, RELATIVE, RESTART, IX_OFFSET, IY_OFFSET } = Z80Assembler.OPERAND;
+        const size = definition.operands.reduce((total, pattern) => {
+            if (pattern === IMM8 || pattern === MEM8 || pattern === RELATIVE) return total + 1;
+            if (pattern === IMM16 || pattern === MEM16) return total + 2;
+            return total;
+        }, next);
+
+        const word = (value) => labelsByAddress.get(value) || Z80Disassembler.formatWord(value);
+        const operands = definition.operands.map((pattern) => {
+            switch (pattern) {
+                case IMM8:
+                    return Z80Disassembler.formatByte(byteAt(next++));
+                case MEM8:
+                    return `(${Z80Disassembler.formatByte(byteAt(next++))})`;
+                case IMM16:
+                case MEM16: {
+                    const value = byteAt(next) | (byteAt(next + 1) << 8);
+                    next += 2;
+                    return pattern === MEM16 ? `(${word(value)})` : word(value);
+                }
+                case RELATIVE: {
+                    const offset = (byteAt(next++) << 24) >> 24;
+                    return word((address + size + offset) & 0xFFFF);
+                }
+                case RESTART:
+                    return Z80Disassembler.formatByte(first & 0x38);
+                case IX_OFFSET:
+                case IY_OFFSET: {
+                    const register = pattern.slice(1, 3);
+                    if (displacement === 0) return `(${register})`;
+                    return displacement < 0 ? `(${register}${displacement})` : `(${register}+${displacement})`;
+                }
+                default:
+                    return pattern;
+            }
+        });
+
+        const bytes = [];
+        for (let i = 0; i < size; i++) bytes.push(byteAt(i));
+        const text = operands.length === 0 ? definition.mnemonic : `${definition.mnemonic} ${operands.join(', ')}`;
+        return { address, bytes, mnemonic: definition.mnemonic, operands, text };
+    }
+}
+
+// Export for Node.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Z80Disassembler;
+}
+
+// Also make available as global for browser use
+if (typeof window !== "undefined") {
+    window.Z80Disassembler = Z80Disassembler;
+}